@@ -0,0 +1,89 @@
+/**
+ * Budget-constrained allocation over the loans that passed applyClientFilters.
+ *
+ * Each passing loan gets a score from cfg.allocWeights (all terms scaled 0–1):
+ *   tier        repeat borrowers first       (tier - 1) / 3
+ *   defaultRate lower partner default        1 - defRate / ceiling
+ *   term        shorter lenderRepaymentTerm  1 - term / maxTerm
+ *   diversity   under-represented countries  1 - portfolio share / country cap
+ * Loans are then taken greedily, highest score first (cheaper first on ties),
+ * while the budget lasts and the country/partner caps hold against portfolio +
+ * loans already chosen; cheaper loans further down still fill leftover budget.
+ * The default-rate ceiling is the highest defaultRate max among the batches
+ * being lent in (cfg.batch), or the highest defaultRate among the loans when
+ * one of those batches has no upper bound.
+ */
+
+import { DEFAULT_CFG, concentrationBreakdown } from "./filters.mjs";
+import { selectedBatches } from "./batches.mjs";
+
+const clamp01 = x => Math.max(0, Math.min(1, x));
+
+export function defaultRateCeiling(loans, cfg) {
+  const maxes = selectedBatches(cfg.batches ?? DEFAULT_CFG.batches, cfg.batch ?? DEFAULT_CFG.batch).map(b => b.defaultRate.max);
+  if (maxes.length && maxes.every(Number.isFinite)) return Math.max(...maxes);
+  return Math.max(0, ...loans.map(l => l.defRate ?? 0));
+}
+
+export function scoreLoan(loan, weights, { cfg, countryShare, defCeiling = defaultRateCeiling([loan], cfg) }) {
+  const parts = {
+    tier: (loan.tier - 1) / 3,
+    // a zero ceiling means every loan is at 0%, the best there is
+    defaultRate: loan.defRate !== null ? (defCeiling > 0 ? clamp01(1 - loan.defRate / defCeiling) : 1) : 0,
+    term: loan.term !== null ? clamp01(1 - loan.term / cfg.maxTerm) : 0,
+    diversity: clamp01(1 - (countryShare[loan.country] ?? 0) * 100 / cfg.countryCap),
+  };
+  return Object.entries(parts).reduce((s, [k, v]) => s + (weights[k] ?? 0) * v, 0);
+}
+
+// -> { chosen, leftOut, spent, remaining, distribution: { country, partner } }
+// leftOut entries carry a `why` string
+export function allocateBudget(passing, portfolio, cfg, budget, weights = cfg.allocWeights ?? DEFAULT_CFG.allocWeights) {
+  const portTotal = portfolio.length;
+  const countryN = {}, partnerN = {};
+  portfolio.forEach(p => {
+    countryN[p.country] = (countryN[p.country] || 0) + 1;
+    if (p.partnerId) partnerN[p.partnerId] = (partnerN[p.partnerId] || 0) + 1;
+  });
+  const countryShare = Object.fromEntries(Object.entries(countryN).map(([k, n]) => [k, n / (portTotal || 1)]));
+  const defCeiling = defaultRateCeiling(passing, cfg);
+
+  const ranked = passing
+    .map(l => ({ ...l, score: scoreLoan(l, weights, { cfg, countryShare, defCeiling }) }))
+    .sort((a, b) => b.score - a.score || a.lendAmount - b.lendAmount);
+
+  const chosen = [], leftOut = [];
+  let spent = 0;
+  for (const loan of ranked) {
+    if (spent + loan.lendAmount > budget) {
+      leftOut.push({ ...loan, why: `Over budget: needs $${loan.lendAmount}, $${budget - spent} left` });
+      continue;
+    }
+    // same concentration formula as applyClientFilters, against portfolio + chosen
+    const total = portTotal + chosen.length + 1;
+    const cPct = portTotal > 0 ? ((countryN[loan.country] || 0) + 1) / total * 100 : 0;
+    const pPct = portTotal > 0 && loan.partnerId ? ((partnerN[loan.partnerId] || 0) + 1) / total * 100 : 0;
+    if (cPct >= cfg.countryCap) {
+      leftOut.push({ ...loan, why: `Country ${loan.country} would reach ${cPct.toFixed(1)}% ≥ cap ${cfg.countryCap}%` });
+      continue;
+    }
+    if (loan.partnerId && pPct >= cfg.partnerCap) {
+      leftOut.push({ ...loan, why: `Partner "${loan.partner}" would reach ${pPct.toFixed(1)}% ≥ cap ${cfg.partnerCap}%` });
+      continue;
+    }
+    chosen.push(loan);
+    spent += loan.lendAmount;
+    countryN[loan.country] = (countryN[loan.country] || 0) + 1;
+    if (loan.partnerId) partnerN[loan.partnerId] = (partnerN[loan.partnerId] || 0) + 1;
+  }
+
+  // share per key before (portfolio only) and after (portfolio + chosen)
+  const distribution = {};
+  for (const key of ["country", "partner"]) {
+    const before = Object.fromEntries(concentrationBreakdown(portfolio, [], key).rows.map(r => [r.k, r.pct]));
+    distribution[key] = concentrationBreakdown(portfolio, chosen, key).rows
+      .map(r => ({ k: r.k, before: before[r.k] ?? 0, after: r.pct, added: r.newN }));
+  }
+
+  return { chosen, leftOut, spent, remaining: budget - spent, distribution };
+}
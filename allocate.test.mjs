@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan, applyClientFilters } from "./filters.mjs";
+import { allocateBudget, defaultRateCeiling, scoreLoan } from "./allocate.mjs";
+import { ANY_BATCH } from "./batches.mjs";
+import { toMarkdownReport } from "./export.mjs";
+import { rawLoan, spreadLoans } from "./testkit.mjs";
+
+const cfg = { ...DEFAULT_CFG, ageFilter: false, phrase: "" };
+const portfolio = spreadLoans(30).map(mapLoan);
+const onlyDefault = { tier: 0, defaultRate: 1, term: 0, diversity: 0 };
+const wide = { id: "W", name: "Wide", risk: { min: null, max: null }, defaultRate: { min: 0.02, max: 0.05 }, lendAmount: null };
+const open = { ...wide, id: "O", name: "Open", defaultRate: { min: null, max: null } };
+const passingOf = raws => applyClientFilters(raws.map(mapLoan), portfolio, cfg).filter(l => l.pass);
+
+test("scores scale each weighted term to 0–1", () => {
+  const [loan] = passingOf([rawLoan(1, { defaultRate: 0.005, term: 6 })]);
+  const ctx = { cfg, countryShare: {} };
+  assert.equal(scoreLoan(loan, onlyDefault, ctx), 0.75);
+  assert.equal(scoreLoan(loan, { term: 1 }, ctx), 0.5);
+  assert.equal(scoreLoan(loan, { diversity: 1 }, { cfg, countryShare: { KE: 0.05 } }), 0.5);
+  assert.equal(scoreLoan({ ...loan, tier: 4 }, { tier: 2 }, ctx), 2);
+});
+
+test("the default-rate ceiling follows the selected batches", () => {
+  assert.equal(defaultRateCeiling([], DEFAULT_CFG), 0.02);
+  assert.equal(defaultRateCeiling([], { ...DEFAULT_CFG, batch: "A" }), 0.01);
+  assert.equal(defaultRateCeiling([], { ...DEFAULT_CFG, batches: [wide], batch: ANY_BATCH }), 0.05);
+  // an unbounded batch falls back to the loans
+  assert.equal(defaultRateCeiling([{ defRate: 0.04 }, { defRate: null }], { ...DEFAULT_CFG, batches: [open] }), 0.04);
+});
+
+test("loans above 2% default still score within a wider batch", () => {
+  const [loan] = applyClientFilters([mapLoan(rawLoan(1, { defaultRate: 0.03 }))], portfolio, { ...cfg, batches: [wide] });
+  assert.ok(Math.abs(scoreLoan(loan, onlyDefault, { cfg: { ...cfg, batches: [wide] }, countryShare: {} }) - 0.4) < 1e-9);
+});
+
+test("allocation spends the budget on the best scores first", () => {
+  const passing = passingOf([
+    rawLoan(1, { country: "A", partnerId: 11, defaultRate: 0.015 }),
+    rawLoan(2, { country: "B", partnerId: 12, defaultRate: 0.005 }),
+    rawLoan(3, { country: "C", partnerId: 13, defaultRate: 0.01 }),
+  ]);
+  const { chosen, leftOut, spent, remaining } = allocateBudget(passing, portfolio, cfg, 60, onlyDefault);
+  assert.deepEqual(chosen.map(l => l.id), [2, 3]);
+  assert.deepEqual([spent, remaining], [50, 10]);
+  assert.deepEqual(leftOut.map(l => [l.id, l.why]), [[1, "Over budget: needs $25, $10 left"]]);
+});
+
+test("the caps hold against portfolio + loans already chosen", () => {
+  const passing = passingOf([rawLoan(1, { partnerId: 11 }), rawLoan(2, { partnerId: 12 })]);
+  const crowded = [...portfolio, ...spreadLoans(2, 200).map(l => mapLoan({ ...l, geocode: { country: { isoCode: "KE", name: "Kenya" } } }))];
+  const { chosen, leftOut, distribution } = allocateBudget(passing, crowded, cfg, 100, onlyDefault);
+  assert.deepEqual(chosen.map(l => l.id), [1]);
+  assert.match(leftOut[0].why, /^Country KE would reach 11\.8% ≥ cap 10%/);
+  const ke = distribution.country.find(r => r.k === "KE");
+  assert.equal(ke.added, 1);
+  assert.ok(ke.after > ke.before);
+});
+
+test("the report lists chosen and left-out loans", () => {
+  const passing = passingOf([rawLoan(1, { country: "A", partnerId: 11 }), rawLoan(2, { country: "B", partnerId: 12 })]);
+  const allocation = allocateBudget(passing, portfolio, cfg, 25, onlyDefault);
+  const md = toMarkdownReport({ cfg: { ...cfg, budget: 25 }, results: passing, portfolio, allocation });
+  assert.match(md, /## Budget Allocation/);
+  assert.match(md, /Budget \$25 · spent \$25 · unspent \$0/);
+  assert.match(md, /Left out:[\s\S]*Over budget/);
+  assert.match(md, /\| allocWeights \| tier×1, defaultRate×1, term×0, diversity×0 \|/);
+});
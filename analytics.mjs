@@ -0,0 +1,81 @@
+/**
+ * Portfolio diversification analytics over the mapped my { loans } portfolio.
+ *
+ * Every loan counts once (my { loans } carries no per-lender amount, and most
+ * shares are $25), so shares, HHI and the weighted averages are by loan count.
+ * HHI is Σ share² on the 0–10,000 scale: below 1,500 is diversified, above
+ * 2,500 concentrated; 10,000 / HHI is the "effective number" of equal holdings.
+ * An optional benchmark (share per key, e.g. from countryFacets) turns each row
+ * into over/under-weight against what is fundraising right now.
+ */
+
+import { DEFAULT_BATCHES, batchOf } from "./batches.mjs";
+
+const TERM_BUCKETS = [[6, "≤ 6mo"], [12, "7–12mo"], [18, "13–18mo"], [24, "19–24mo"], [Infinity, "> 24mo"]];
+
+// dimension -> (loan) -> [key, label]
+export const DIMENSIONS = {
+  country: l => [l.country, l.countryName || l.country],
+  partner: l => l.partnerId ? [String(l.partnerId), l.partner] : ["direct", "Direct (no partner)"],
+  sector:  l => [l.sector || "unknown", l.sector || "Unknown"],
+  gender:  l => {
+    const g = [...new Set(l.genders)];
+    return g.length === 0 ? ["unknown", "Unknown"] : g.length > 1 ? ["mixed", "Mixed group"] : [g[0], g[0][0].toUpperCase() + g[0].slice(1)];
+  },
+  term:    l => {
+    if (l.term === null) return ["unknown", "Unknown"];
+    const i = TERM_BUCKETS.findIndex(([max]) => l.term <= max);
+    return [String(i), TERM_BUCKETS[i][1]];
+  },
+};
+
+export const hhiLevel = hhi => hhi < 1500 ? "diversified" : hhi <= 2500 ? "moderate" : "concentrated";
+
+// -> { rows: [{ k, label, n, share, bench, gap }], hhi, effectiveN }, largest share first
+// (term rows stay in bucket order)
+export function distribution(loans, dimension, benchmark = null) {
+  const keyOf = DIMENSIONS[dimension];
+  const counts = new Map();
+  loans.forEach(l => {
+    const [k, label] = keyOf(l);
+    const row = counts.get(k) ?? { k, label, n: 0 };
+    row.n++;
+    counts.set(k, row);
+  });
+  const total = loans.length || 1;
+  const rows = [...counts.values()].map(r => {
+    const share = r.n / total;
+    const bench = benchmark ? benchmark[r.k] ?? 0 : null;
+    return { ...r, share, bench, gap: bench === null ? null : share - bench };
+  });
+  rows.sort(dimension === "term" ? (a, b) => a.k.localeCompare(b.k) : (a, b) => b.n - a.n);
+  const hhi = rows.reduce((s, r) => s + (r.share * 100) ** 2, 0);
+  return { rows, hhi, effectiveN: hhi > 0 ? 10000 / hhi : 0 };
+}
+
+// benchmark keys with no portfolio loans at all, biggest opportunity first
+export function missingFromPortfolio(dist, benchmark, labels = {}) {
+  const held = new Set(dist.rows.map(r => r.k));
+  return Object.entries(benchmark)
+    .filter(([k, share]) => !held.has(k) && share > 0)
+    .map(([k, share]) => ({ k, label: labels[k] ?? k, share }))
+    .sort((a, b) => b.share - a.share);
+}
+
+// benchmarks: { [dimension]: { [key]: share } }; batches: cfg.batches
+export function portfolioAnalytics(portfolio, benchmarks = {}, batches = DEFAULT_BATCHES) {
+  const withPartner = portfolio.filter(l => l.risk !== null);
+  const withDefault = portfolio.filter(l => l.defRate !== null);
+  const avg = (list, f) => list.length ? list.reduce((s, l) => s + f(l), 0) / list.length : null;
+  const counts = Object.fromEntries([...batches.map(b => [b.id, 0]), ["neither", 0]]);
+  portfolio.forEach(l => { counts[batchOf(l, batches)?.id ?? "neither"]++; });
+  const total = portfolio.length || 1;
+
+  return {
+    count: portfolio.length,
+    avgRisk: avg(withPartner, l => l.risk), riskCoverage: withPartner.length,
+    avgDefault: avg(withDefault, l => l.defRate), defaultCoverage: withDefault.length,
+    batchShare: Object.fromEntries(Object.entries(counts).map(([k, n]) => [k, n / total])),   // by batch id, plus "neither"
+    dimensions: Object.fromEntries(Object.keys(DIMENSIONS).map(d => [d, distribution(portfolio, d, benchmarks[d] ?? null)])),
+  };
+}
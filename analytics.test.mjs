@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mapLoan } from "./filters.mjs";
+import { distribution, missingFromPortfolio, portfolioAnalytics, hhiLevel } from "./analytics.mjs";
+import { rawLoan } from "./testkit.mjs";
+
+// 4 × KE, 2 × PE, 2 × UG, 1 direct PH loan, 1 mixed group
+const portfolio = [
+  ...[1, 2, 3, 4].map(id => rawLoan(id, { defaultRate: 0.005 })),
+  ...[5, 6].map(id => rawLoan(id, { country: "PE", partnerId: 2, defaultRate: 0.015, term: 14 })),
+  ...[7, 8].map(id => rawLoan(id, { country: "UG", partnerId: 3, defaultRate: 0.03, term: 30 })),
+  rawLoan(9, { country: "PH", partnerId: null }),
+  rawLoan(10, { borrowers: [{ id: 1, gender: "female" }, { id: 2, gender: "male" }] }),
+].map(mapLoan);
+
+test("shares and HHI are by loan count", () => {
+  const { rows, hhi, effectiveN } = distribution(portfolio, "country");
+  assert.deepEqual(rows.map(r => [r.k, r.n]), [["KE", 5], ["PE", 2], ["UG", 2], ["PH", 1]]);
+  assert.equal(rows[0].share, 0.5);
+  assert.ok(Math.abs(hhi - 3400) < 1e-6);
+  assert.ok(Math.abs(effectiveN - 10000 / 3400) < 1e-9);
+  assert.equal(hhiLevel(hhi), "concentrated");
+  assert.deepEqual([hhiLevel(1000), hhiLevel(2000)], ["diversified", "moderate"]);
+});
+
+test("term rows stay in bucket order and groups are their own gender row", () => {
+  assert.deepEqual(distribution(portfolio, "term").rows.map(r => r.label), ["7–12mo", "13–18mo", "> 24mo"]);
+  assert.deepEqual(distribution(portfolio, "gender").rows.map(r => [r.k, r.n]), [["female", 9], ["mixed", 1]]);
+  assert.equal(distribution(portfolio, "partner").rows.find(r => r.k === "direct").label, "Direct (no partner)");
+});
+
+test("a benchmark adds gaps and lists what the portfolio is missing", () => {
+  const bench = { KE: 0.2, PE: 0.2, GT: 0.5, SN: 0.1 };
+  const dist = distribution(portfolio, "country", bench);
+  const ke = dist.rows.find(r => r.k === "KE");
+  assert.ok(Math.abs(ke.gap - 0.3) < 1e-9);
+  assert.equal(dist.rows.find(r => r.k === "UG").bench, 0);
+  assert.deepEqual(missingFromPortfolio(dist, bench, { GT: "Guatemala" }), [
+    { k: "GT", label: "Guatemala", share: 0.5 }, { k: "SN", label: "SN", share: 0.1 },
+  ]);
+});
+
+test("averages skip loans without partner stats; batch shares use batchOf", () => {
+  const a = portfolioAnalytics(portfolio);
+  assert.equal(a.count, 10);
+  assert.deepEqual([a.riskCoverage, a.defaultCoverage], [9, 9]);
+  assert.equal(a.avgRisk, 3);
+  assert.deepEqual(a.batchShare, { A: 0.5, B: 0.2, neither: 0.3 });
+  assert.equal(portfolioAnalytics([]).avgRisk, null);
+});
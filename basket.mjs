@@ -0,0 +1,52 @@
+/**
+ * Add passing loans to the Kiva basket through the gateway.
+ *
+ * Uses the same shop { updateLoanReservation } mutation kiva.org's lend pages
+ * send; price is Money (a decimal string). Loans are reserved one at a time so
+ * a single failure doesn't abort the rest, and each result is reported back.
+ *
+ * Dry run logs every mutation it would send and touches nothing.
+ */
+
+import { gql, sleep } from "./kiva.mjs";
+
+export const ADD_TO_BASKET = `
+  mutation AddToBasket($basketId: String, $loanId: Int!, $price: Money!) {
+    shop(basketId: $basketId) {
+      updateLoanReservation(loanReservation: { id: $loanId, price: $price }) {
+        id
+        price
+      }
+    }
+  }
+`;
+
+export const basketTotal = loans => loans.reduce((s, l) => s + l.lendAmount, 0);
+
+// loans: mapped + filtered loans (uses id, name, lendAmount)
+// returns [{ id, name, amount, ok, error, dryRun }] in input order;
+// `reauth` is passed through to gql so an expired session is renewed mid-way
+export async function addLoansToBasket(token, loans, { dryRun = false, basketId = null, log = console.info, onResult, reauth } = {}) {
+  const results = [];
+  for (const loan of loans) {
+    const variables = { basketId, loanId: Number(loan.id), price: loan.lendAmount.toFixed(2) };
+    const result = { id: loan.id, name: loan.name, amount: loan.lendAmount, ok: false, error: null, dryRun };
+    if (dryRun) {
+      log(`[dry run] AddToBasket ${JSON.stringify(variables)}`);
+      result.ok = true;
+    } else {
+      if (results.length > 0) await sleep(400);
+      try {
+        const data = await gql(ADD_TO_BASKET, variables, token, { reauth });
+        const reservation = data.shop?.updateLoanReservation;
+        if (!reservation) throw new Error("No reservation returned");
+        result.ok = true;
+      } catch (e) {
+        result.error = e.message;
+      }
+    }
+    results.push(result);
+    onResult?.(result);
+  }
+  return results;
+}
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addLoansToBasket, basketTotal } from "./basket.mjs";
+
+const loans = [{ id: 1, name: "Ana", lendAmount: 25 }, { id: 2, name: "Ben", lendAmount: 50 }];
+
+test("basketTotal adds the lend amounts", () => {
+  assert.equal(basketTotal(loans), 75);
+  assert.equal(basketTotal([]), 0);
+});
+
+test("a dry run logs each mutation and sends nothing", async t => {
+  const fetch = t.mock.method(globalThis, "fetch", async () => { throw new Error("no network in a dry run"); });
+  const logged = [];
+  const results = await addLoansToBasket("tok", loans, { dryRun: true, log: m => logged.push(m) });
+  assert.equal(fetch.mock.callCount(), 0);
+  assert.deepEqual(results.map(r => [r.id, r.ok, r.dryRun]), [[1, true, true], [2, true, true]]);
+  assert.match(logged[1], /"loanId":2,"price":"50.00"/);
+});
+
+test("each loan is reserved on its own and failures are reported per loan", async t => {
+  const sent = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    const { variables } = JSON.parse(init.body);
+    sent.push([variables.loanId, variables.price, init.headers.Authorization]);
+    const body = variables.loanId === 1
+      ? { data: { shop: { updateLoanReservation: { id: 1, price: "25.00" } } } }
+      : { errors: [{ message: "Loan is fully funded" }] };
+    return new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json" } });
+  });
+  const seen = [];
+  const results = await addLoansToBasket("tok", loans, { onResult: r => seen.push(r.id) });
+  assert.deepEqual(sent, [[1, "25.00", "Bearer tok"], [2, "50.00", "Bearer tok"]]);
+  assert.deepEqual(results.map(r => [r.ok, r.error]), [[true, null], [false, "Loan is fully funded"]]);
+  assert.deepEqual(seen, [1, 2]);
+});
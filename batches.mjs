@@ -0,0 +1,110 @@
+/**
+ * Risk batches: named riskRating / defaultRate ranges a loan's field partner
+ * must fall in. cfg.batches holds the definitions and is the only place the
+ * thresholds live: the server filter, the batch rule, the stat cards and the
+ * reports are all derived from it.
+ *
+ * A batch is { id, name, risk: { min, max }, defaultRate: { min, max }, lendAmount }.
+ * Bounds are inclusive and null means unbounded; defaultRate is a fraction
+ * (0.01 = 1%). A bounded range needs a value, so direct loans, which have no
+ * partner stats, only fall in a batch that bounds neither. Batches are tried in
+ * order and the first match wins, so overlapping ranges are allowed. lendAmount,
+ * when set, replaces the tier amount for loans in that batch.
+ *
+ * cfg.batch is the id of the batch to lend in, or ANY_BATCH for any of them.
+ */
+
+import { SHARE } from "./borrowers.mjs";
+
+// "BOTH" from the days of exactly two batches; kept so older presets, links and scripts still load
+export const ANY_BATCH = "BOTH";
+
+export const DEFAULT_BATCHES = [
+  { id: "A", name: "Batch A", risk: { min: 2, max: null }, defaultRate: { min: null, max: 0.01 }, lendAmount: null },
+  // from 1%: exactly 1% is already Batch A, which comes first
+  { id: "B", name: "Batch B", risk: { min: 2, max: null }, defaultRate: { min: 0.01, max: 0.02 }, lendAmount: null },
+];
+
+const within = (v, { min, max }) =>
+  min === null && max === null ? true
+  : v !== null && v !== undefined && (min === null || v >= min) && (max === null || v <= max);
+
+// first batch the loan's partner stats fall in, or null
+export function batchOf(loan, batches = DEFAULT_BATCHES) {
+  return batches.find(b => within(loan.risk, b.risk) && within(loan.defRate, b.defaultRate)) ?? null;
+}
+
+// the batches cfg.batch lends in
+export const selectedBatches = (batches, batch) => batch === ANY_BATCH ? batches : batches.filter(b => b.id === batch);
+
+// one range covering all of them; null bounds win (nothing to send), and so do
+// half-typed ones from the editor, which the batch rule still holds back client-side
+function cover(ranges) {
+  const bound = v => Number.isFinite(v) ? v : null;
+  const mins = ranges.map(r => bound(r.min)), maxes = ranges.map(r => bound(r.max));
+  const out = {};
+  if (mins.length && !mins.includes(null)) out.min = Math.min(...mins);
+  if (maxes.length && !maxes.includes(null)) out.max = Math.max(...maxes);
+  return Object.keys(out).length ? out : null;
+}
+
+// riskRating / defaultRate MinMaxRangeInput covering the selected batches.
+// A superset when ranges leave gaps between them; the batch rule splits it client-side.
+export function batchServerFilters(batches, batch) {
+  const chosen = selectedBatches(batches, batch);
+  const filters = {};
+  const risk = cover(chosen.map(b => b.risk)), def = cover(chosen.map(b => b.defaultRate));
+  if (risk) filters.riskRating = risk;
+  if (def) filters.defaultRate = def;
+  return filters;
+}
+
+const pctText = v => `${+(v * 100).toFixed(2)}%`;
+function rangeText(label, { min, max }, fmt) {
+  if (min === null && max === null) return null;
+  if (min === null) return `${label} ≤ ${fmt(max)}`;
+  if (max === null) return `${label} ≥ ${fmt(min)}`;
+  return `${label} ${fmt(min)}–${fmt(max)}`;
+}
+
+// "risk ≥ 2 · default ≤ 1%"
+export function describeBatch(b) {
+  const parts = [rangeText("risk", b.risk, v => String(v)), rangeText("default", b.defaultRate, pctText)].filter(Boolean);
+  return parts.join(" · ") || "any loan";
+}
+
+const isBound = v => v === null || Number.isFinite(v);
+
+// everything wrong with a list of batch definitions, as messages; [] when usable
+export function batchProblems(batches) {
+  if (!Array.isArray(batches)) return ["batches must be a list"];
+  if (batches.length === 0) return ["define at least one batch"];
+  const problems = [];
+  const ids = new Set();
+  batches.forEach((b, i) => {
+    const who = `batch ${typeof b?.name === "string" && b.name.trim() ? `"${b.name}"` : `#${i + 1}`}`;
+    if (!b || typeof b.id !== "string" || !b.id.trim()) return problems.push(`${who} needs an id`);
+    if (b.id === ANY_BATCH) problems.push(`${who}: "${ANY_BATCH}" is reserved for "any batch"`);
+    if (ids.has(b.id)) problems.push(`${who}: id "${b.id}" is used twice`);
+    ids.add(b.id);
+    if (typeof b.name !== "string" || !b.name.trim()) problems.push(`${who} needs a name`);
+    for (const [key, label] of [["risk", "risk"], ["defaultRate", "default rate"]]) {
+      const r = b[key];
+      if (!r || !isBound(r.min) || !isBound(r.max)) problems.push(`${who}: ${label} bounds must be numbers or empty`);
+      else if (r.min !== null && r.max !== null && r.min > r.max) problems.push(`${who}: ${label} minimum is above the maximum`);
+    }
+    if (b.lendAmount !== null && !(Number.isInteger(b.lendAmount) && b.lendAmount >= SHARE && b.lendAmount % SHARE === 0))
+      problems.push(`${who}: lend amount must be a multiple of $${SHARE}`);
+  });
+  return problems;
+}
+
+// -> a fresh id for a new batch ("C", "D", … then "batch-7")
+export function nextBatchId(batches) {
+  const taken = new Set(batches.map(b => b.id));
+  const letter = [..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"].find(c => !taken.has(c));
+  if (letter) return letter;
+  let n = batches.length + 1;
+  while (taken.has(`batch-${n}`)) n++;
+  return `batch-${n}`;
+}
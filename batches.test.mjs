@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ANY_BATCH, DEFAULT_BATCHES, batchOf, batchServerFilters, describeBatch, batchProblems, nextBatchId } from "./batches.mjs";
+
+const direct = { id: "D", name: "Direct", risk: { min: null, max: null }, defaultRate: { min: null, max: null }, lendAmount: 50 };
+const high = { id: "H", name: "High", risk: { min: 1, max: 2 }, defaultRate: { min: 0.03, max: 0.05 }, lendAmount: null };
+
+test("batchOf takes the first batch the partner stats fall in", () => {
+  assert.equal(batchOf({ risk: 3, defRate: 0.005 })?.id, "A");
+  // exactly 1% is in both ranges; Batch A comes first
+  assert.equal(batchOf({ risk: 3, defRate: 0.01 })?.id, "A");
+  assert.equal(batchOf({ risk: 3, defRate: 0.015 })?.id, "B");
+  assert.equal(batchOf({ risk: 1.5, defRate: 0.005 }), null);
+  assert.equal(batchOf({ risk: 3, defRate: 0.03 }), null);
+});
+
+test("only a batch bounding nothing admits loans without partner stats", () => {
+  assert.equal(batchOf({ risk: null, defRate: null }), null);
+  assert.equal(batchOf({ risk: null, defRate: null }, [...DEFAULT_BATCHES, direct])?.id, "D");
+  assert.equal(batchOf({ risk: 3, defRate: 0.005 }, [direct, ...DEFAULT_BATCHES])?.id, "D");
+});
+
+test("server filters cover the selected batches", () => {
+  assert.deepEqual(batchServerFilters(DEFAULT_BATCHES, ANY_BATCH), { riskRating: { min: 2 }, defaultRate: { max: 0.02 } });
+  assert.deepEqual(batchServerFilters(DEFAULT_BATCHES, "B"), { riskRating: { min: 2 }, defaultRate: { min: 0.01, max: 0.02 } });
+  assert.deepEqual(batchServerFilters([...DEFAULT_BATCHES, high], ANY_BATCH), { riskRating: { min: 1 }, defaultRate: { max: 0.05 } });
+  assert.deepEqual(batchServerFilters([...DEFAULT_BATCHES, direct], ANY_BATCH), {});
+  // a half-typed bound widens the server filter instead of sending NaN
+  assert.deepEqual(batchServerFilters([{ ...high, risk: { min: NaN, max: 2 } }], "H"), { riskRating: { max: 2 }, defaultRate: { min: 0.03, max: 0.05 } });
+});
+
+test("describeBatch", () => {
+  assert.equal(describeBatch(DEFAULT_BATCHES[0]), "risk ≥ 2 · default ≤ 1%");
+  assert.equal(describeBatch(high), "risk 1–2 · default 3%–5%");
+  assert.equal(describeBatch(direct), "any loan");
+});
+
+test("batchProblems", () => {
+  assert.deepEqual(batchProblems(DEFAULT_BATCHES), []);
+  assert.deepEqual(batchProblems([]), ["define at least one batch"]);
+  assert.deepEqual(batchProblems([{ ...high, id: ANY_BATCH }]), [`batch "High": "${ANY_BATCH}" is reserved for "any batch"`]);
+  assert.deepEqual(batchProblems([high, { ...high, risk: { min: 3, max: 1 }, lendAmount: 30 }]), [
+    'batch "High": id "H" is used twice',
+    'batch "High": risk minimum is above the maximum',
+    'batch "High": lend amount must be a multiple of $25',
+  ]);
+});
+
+test("nextBatchId", () => {
+  assert.equal(nextBatchId(DEFAULT_BATCHES), "C");
+  const all = [..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"].map(id => ({ id }));
+  assert.equal(nextBatchId(all), "batch-27");
+});
@@ -0,0 +1,70 @@
+/**
+ * Repeat borrowers: which of our portfolio loans went to a candidate's
+ * borrowers before, and the tier / lend amount that follows.
+ *
+ * A portfolio loan is a prior loan when any borrower id on it overlaps any
+ * borrower id on the candidate, so every member of a group loan counts and a
+ * loan whose first borrower changed still matches. With cfg.fuzzyBorrowers a
+ * portfolio loan also matches on first name + country + partner, for borrowers
+ * re-registered under a new id; those matches are `via: "name"`. Direct loans
+ * have no partner to narrow a first name down, so they match by id only.
+ *
+ * Tier is prior loans + 1, capped at 4; cfg.tierAmounts is the USD lent per tier.
+ */
+
+export const TIERS = 4;
+export const DEFAULT_TIER_AMOUNTS = [25, 25, 50, 100];
+// Kiva lends in $25 shares
+export const SHARE = 25;
+
+// "María " -> "maria"
+const normalizeName = s => (s ?? "").normalize("NFD").replace(/\p{M}/gu, "").trim().toLowerCase();
+const nameKey = (firstName, country, partnerId) => `${normalizeName(firstName)}|${country}|${partnerId}`;
+
+// mapped portfolio -> { byId, byName } lookup for priorLoans
+export function borrowerIndex(portfolio) {
+  const byId = new Map(), byName = new Map();
+  const add = (map, key, loan) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(loan);
+  };
+  portfolio.forEach(l => l.borrowers.forEach(b => {
+    if (b.id !== null && b.id !== undefined) add(byId, b.id, l);
+    if (l.partnerId && normalizeName(b.firstName)) add(byName, nameKey(b.firstName, l.country, l.partnerId), l);
+  }));
+  return { byId, byName };
+}
+
+// -> [{ loan, borrower, via: "id" | "name" }], each portfolio loan once (an id
+// match wins over a name match); borrower is the candidate's matching first name.
+// A portfolio copy of the candidate itself is not a prior loan.
+export function priorLoans(loan, index, { fuzzy = false } = {}) {
+  const found = new Map();
+  const take = (via, b) => p => {
+    if (p.id !== loan.id && !found.has(p.id)) found.set(p.id, { loan: p, borrower: b.firstName, via });
+  };
+  loan.borrowers.forEach(b => (index.byId.get(b.id) ?? []).forEach(take("id", b)));
+  if (fuzzy && loan.partnerId) {
+    loan.borrowers
+      .filter(b => normalizeName(b.firstName))
+      .forEach(b => (index.byName.get(nameKey(b.firstName, loan.country, loan.partnerId)) ?? []).forEach(take("name", b)));
+  }
+  return [...found.values()];
+}
+
+export const tierOf = priorCount => Math.min(priorCount, TIERS - 1) + 1;
+
+// a missing or unusable entry (older presets, hand-edited JSON) falls back to the default
+export function lendAmountFor(tier, tierAmounts) {
+  const v = tierAmounts?.[tier - 1];
+  return Number.isFinite(v) && v >= SHARE && v % SHARE === 0 ? v : DEFAULT_TIER_AMOUNTS[tier - 1];
+}
+
+// "25,25,50,100" -> [25, 25, 50, 100]; throws on anything else
+export function parseTierAmounts(text) {
+  const amounts = String(text).split(",").map(s => Number(s.trim()));
+  if (amounts.length !== TIERS) throw new Error(`expected ${TIERS} amounts (tier 1–${TIERS}), got ${amounts.length}`);
+  const bad = amounts.find(v => !Number.isInteger(v) || v < SHARE || v % SHARE !== 0);
+  if (bad !== undefined) throw new Error(`"${bad}" is not a multiple of $${SHARE}`);
+  return amounts;
+}
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan, applyClientFilters } from "./filters.mjs";
+import { borrowerIndex, priorLoans, tierOf, lendAmountFor, parseTierAmounts } from "./borrowers.mjs";
+import { rawLoan, spreadLoans } from "./testkit.mjs";
+
+const loan = (id, borrowers, over = {}) => mapLoan(rawLoan(id, { borrowers, ...over }));
+const portfolio = [
+  loan(1, [{ id: 10, firstName: "Ana" }, { id: 11, firstName: "José" }]),
+  loan(2, [{ id: 12, firstName: "María" }]),
+  loan(3, [{ id: 13, firstName: "Maria" }], { partnerId: null }),
+];
+const index = borrowerIndex(portfolio);
+const ids = found => found.map(f => `${f.loan.id}:${f.via}`);
+
+test("any shared borrower id makes a prior loan", () => {
+  assert.deepEqual(ids(priorLoans(loan(9, [{ id: 99, firstName: "X" }, { id: 11, firstName: "José" }]), index)), ["1:id"]);
+  assert.deepEqual(ids(priorLoans(loan(1, [{ id: 10, firstName: "Ana" }]), index)), []);
+});
+
+test("fuzzy matching uses first name, country and partner", () => {
+  const candidate = loan(9, [{ id: 77, firstName: " maria " }]);
+  assert.deepEqual(ids(priorLoans(candidate, index)), []);
+  assert.deepEqual(ids(priorLoans(candidate, index, { fuzzy: true })), ["2:name"]);
+  assert.deepEqual(ids(priorLoans({ ...candidate, country: "UG" }, index, { fuzzy: true })), []);
+  // direct loans match by id only
+  assert.deepEqual(ids(priorLoans({ ...candidate, partnerId: null }, index, { fuzzy: true })), []);
+});
+
+test("tiers and lend amounts", () => {
+  assert.deepEqual([0, 1, 2, 3, 7].map(tierOf), [1, 2, 3, 4, 4]);
+  assert.equal(lendAmountFor(4, [25, 25, 50, 150]), 150);
+  assert.equal(lendAmountFor(3, [25, 25, 30]), 50);
+  assert.equal(lendAmountFor(2, undefined), 25);
+  assert.deepEqual(parseTierAmounts("25, 50,75,100"), [25, 50, 75, 100]);
+  assert.throws(() => parseTierAmounts("25,50"), /expected 4 amounts/);
+  assert.throws(() => parseTierAmounts("25,50,60,100"), /"60" is not a multiple of \$25/);
+});
+
+test("a group member's earlier loans raise the tier by cfg.tierAmounts", () => {
+  const cfg = { ...DEFAULT_CFG, ageFilter: false, phrase: "", tierAmounts: [25, 75, 100, 200] };
+  const group = loan(9, [{ id: 99, firstName: "Rosa" }, { id: 12, firstName: "María" }], { country: "X9", partnerId: 9 });
+  const [result] = applyClientFilters([group], [...spreadLoans(30).map(mapLoan), ...portfolio], cfg);
+  assert.deepEqual([result.priorCount, result.tier, result.lendAmount], [1, 2, 75]);
+  assert.deepEqual(result.priorLoans.map(p => [p.id, p.borrower, p.via]), [[2, "María", "id"]]);
+});
@@ -0,0 +1,103 @@
+/**
+ * IndexedDB cache for portfolio and candidate loans.
+ *
+ * One entry per key: { key, fetchedAt, filter, loans }. Portfolio entries are
+ * keyed by account, candidate entries by the server filter that produced them,
+ * so client-only settings can be re-applied to a cached scan without refetching.
+ * Loans are stored as returned by the gateway and run through mapLoan on read,
+ * so a change to mapLoan never meets a stale mapped shape.
+ *
+ * Without IndexedDB (Node, private windows) every call is a harmless no-op.
+ */
+
+const DB_NAME = "kiva-filter-cache";
+const STORE = "entries";
+
+// incremental refresh only trusts candidate scans younger than this; older
+// ones are re-scanned in full so funded/expired loans drop out
+export const INCREMENTAL_MAX_AGE_MS = 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  dbPromise ??= new Promise(resolve => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "key" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result ?? null);
+    tx.onerror = () => reject(tx.error);
+    // a quota error aborts the transaction without an error event on it
+    tx.onabort = () => reject(tx.error ?? new Error("transaction aborted"));
+  });
+}
+
+// JSON with sorted keys, so equal filters always give the same cache key
+function stableKey(value) {
+  if (Array.isArray(value)) return `[${value.map(stableKey).join(",")}]`;
+  if (value && typeof value === "object")
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableKey(value[k])}`).join(",")}}`;
+  return JSON.stringify(value);
+}
+
+export const portfolioKey = account => `portfolio:${account || "default"}`;
+// sort order and depth change which loans a scan sees, so they are part of the key
+export const candidatesKey = (gqlFilters, scan = {}) => `candidates:${stableKey({ filters: gqlFilters, ...scan })}`;
+
+export function readCache(key) {
+  return withStore("readonly", store => store.get(key)).catch(() => null);
+}
+
+// an incremental merge passes the entry's original fetchedAt, so it still
+// ages out of INCREMENTAL_MAX_AGE_MS and gets its full re-scan
+export async function writeCache(key, loans, filter = null, fetchedAt = Date.now()) {
+  const entry = { key, fetchedAt, filter, loans };
+  await withStore("readwrite", store => store.put(entry)).catch(() => null);
+  return entry;
+}
+
+export function deleteCache(key) {
+  return withStore("readwrite", store => store.delete(key)).catch(() => null);
+}
+
+export function clearCache() {
+  return withStore("readwrite", store => store.clear()).catch(() => null);
+}
+
+// fresh pages win; cached loans not seen again are kept after them
+export function mergeById(fresh, cached) {
+  const seen = new Set(fresh.map(l => l.id));
+  return [...fresh, ...cached.filter(l => !seen.has(l.id))];
+}
+
+// stopWhen for fetchPages: stop once a page contains an id we already have.
+// Only meaningful for newest-first scans, where new loans come before known ones.
+// With requireTotal, also wait until known + fetched covers totalCount (for
+// collections whose order we can't rely on, like my { loans }).
+export function stopOnceKnown(knownIds, { requireTotal = false } = {}) {
+  const union = new Set(knownIds);
+  return (values, { totalCount }) => {
+    const hit = values.some(v => knownIds.has(v.id));
+    values.forEach(v => union.add(v.id));
+    return hit && (!requireTotal || union.size >= totalCount);
+  };
+}
+
+export function formatAge(ms) {
+  const mins = Math.floor(ms / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins}m ago`;
+  const hours = Math.floor(mins / 60);
+  return hours < 48 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+}
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fakeIndexedDB, rawLoan } from "./testkit.mjs";
+
+const idb = globalThis.indexedDB = fakeIndexedDB();
+const { readCache, writeCache, deleteCache, clearCache, candidatesKey, portfolioKey, mergeById, stopOnceKnown, formatAge, INCREMENTAL_MAX_AGE_MS } = await import("./cache.mjs");
+
+test("cache keys ignore filter key order", () => {
+  assert.equal(candidatesKey({ b: 1, a: [2, { d: 3, c: 4 }] }), candidatesKey({ a: [2, { c: 4, d: 3 }], b: 1 }));
+  assert.notEqual(candidatesKey({ a: 1 }, { sortBy: "newest" }), candidatesKey({ a: 1 }, { sortBy: "random" }));
+  assert.equal(portfolioKey(""), "portfolio:default");
+});
+
+test("entries round-trip through the store", async () => {
+  const key = candidatesKey({ status: "fundraising" });
+  const written = await writeCache(key, [rawLoan(1)], { status: "fundraising" });
+  const read = await readCache(key);
+  assert.deepEqual(read, written);
+  assert.ok(Date.now() - read.fetchedAt < 1000);
+  await clearCache();
+  assert.equal(await readCache(key), null);
+});
+
+test("an incremental merge keeps the entry's original fetchedAt", async () => {
+  const key = candidatesKey({ status: "fundraising" });
+  const first = await writeCache(key, [rawLoan(1)], null, Date.now() - INCREMENTAL_MAX_AGE_MS);
+  await writeCache(key, mergeById([rawLoan(2)], first.loans), null, first.fetchedAt);
+  const merged = await readCache(key);
+  assert.deepEqual(merged.loans.map(l => l.id), [2, 1]);
+  assert.equal(merged.fetchedAt, first.fetchedAt);
+  // so it is old enough for the next run to scan in full
+  assert.ok(Date.now() - merged.fetchedAt >= INCREMENTAL_MAX_AGE_MS);
+  await clearCache();
+});
+
+test("one entry can be deleted without touching the rest", async () => {
+  await writeCache("team:a", [rawLoan(1)]);
+  await writeCache("team:b", [rawLoan(2)]);
+  await deleteCache("team:a");
+  assert.equal(await readCache("team:a"), null);
+  assert.equal((await readCache("team:b")).loans[0].id, 2);
+  await clearCache();
+});
+
+test("a write the store aborts settles instead of hanging", async () => {
+  idb.full = true;
+  try {
+    assert.equal((await writeCache("big", [rawLoan(1)])).key, "big");
+  } finally {
+    idb.full = false;
+  }
+  assert.equal(await readCache("big"), null);
+});
+
+test("fresh pages win over cached loans with the same id", () => {
+  const merged = mergeById([{ id: 2, v: "new" }, { id: 3 }], [{ id: 1 }, { id: 2, v: "old" }]);
+  assert.deepEqual(merged, [{ id: 2, v: "new" }, { id: 3 }, { id: 1 }]);
+});
+
+test("paging stops at the first page holding a known loan", () => {
+  const known = new Set([5, 6]);
+  const stop = stopOnceKnown(known);
+  assert.equal(stop([{ id: 1 }, { id: 2 }], { totalCount: 9 }), false);
+  assert.equal(stop([{ id: 3 }, { id: 5 }], { totalCount: 9 }), true);
+});
+
+test("with requireTotal, paging also waits for the total to be covered", () => {
+  const stop = stopOnceKnown(new Set([1, 2]), { requireTotal: true });
+  assert.equal(stop([{ id: 1 }], { totalCount: 4 }), false);
+  assert.equal(stop([{ id: 3 }, { id: 2 }], { totalCount: 4 }), false);
+  assert.equal(stop([{ id: 4 }, { id: 1 }], { totalCount: 4 }), true);
+});
+
+test("ages read in the largest sensible unit", () => {
+  assert.deepEqual([0, 5 * 60e3, 3 * 3600e3, 72 * 3600e3].map(formatAge), ["just now", "5m ago", "3h ago", "3d ago"]);
+});
@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+/**
+ * Headless runner for the dashboard's filter pipeline:
+ *   login -> fetchMyPortfolio -> fetchCandidateLoans -> mapLoan -> applyClientFilters
+ *
+ * Usage:
+ *   KIVA_USER=me@example.org KIVA_PASS=... node cli.mjs [options]
+ *   KIVA_TOKEN=<jwt> node cli.mjs [options]
+ *
+ * With KIVA_TOKEN no password is needed; if the token expires mid-run and
+ * KIVA_USER / KIVA_PASS are also set, the run signs in again and carries on.
+ *
+ * Settings are layered: DEFAULT_CFG < --preset < --config file < flags.
+ *
+ * Exit codes: 0 ok, 1 unexpected failure, 2 bad usage, 3 auth error, 4 GraphQL error,
+ *             5 some loans could not be added to the basket, 130 interrupted.
+ *
+ * --mock (or KIVA_MOCK=1) answers from the built-in mock gateway instead of
+ * Kiva; no credentials needed. See mock.mjs for the injectable failures.
+ *
+ * Ctrl-C during the candidate scan stops paging and still prints the loans
+ * from the pages already fetched (exit 130). A scan that fails part way does
+ * the same, then exits with the failure's code.
+ *
+ * --watch keeps polling instead and prints only passing loans it hasn't
+ * announced before (see watch.mjs); Ctrl-C ends it with exit 0.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { createInterface } from "node:readline/promises";
+import { parseArgs } from "node:util";
+import { kivaLogin, fetchMyPortfolio, fetchCandidateLoans, setTransport, SORT_ORDERS } from "./kiva.mjs";
+import { DEFAULT_CFG, buildServerFilters, buildScanOptions, filterPlan, mapLoan, applyClientFilters } from "./filters.mjs";
+import { toCSV, toJSON, toMarkdownReport } from "./export.mjs";
+import { addLoansToBasket, basketTotal } from "./basket.mjs";
+import { parsePresetsFile } from "./presets.mjs";
+import { cfgFieldProblem } from "./share.mjs";
+import { parsePhraseQuery } from "./text.mjs";
+import { parseTierAmounts } from "./borrowers.mjs";
+import { ANY_BATCH, batchProblems } from "./batches.mjs";
+import { tokenExpiresAt } from "./session.mjs";
+import { allocateBudget } from "./allocate.mjs";
+import { exportSnapshot, parseSnapshot, mergeTeamPortfolio } from "./team.mjs";
+import { parseMockFlags, createMockGateway } from "./mock.mjs";
+import { loadPartnerStats, savePartnerStats, trackPartnerStats, partnerChanges, acknowledgeChange } from "./partners.mjs";
+import { loadSeen, saveSeen, markSeen, pollOnce, watchLoop, DEFAULT_WATCH_MINUTES, MIN_WATCH_MINUTES } from "./watch.mjs";
+
+const EXIT_USAGE = 2, EXIT_AUTH = 3, EXIT_GQL = 4, EXIT_BASKET = 5, EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage: node cli.mjs [options]
+
+  -c, --config <file>        JSON file with cfg fields (batch, minAge, phrase, ...)
+      --presets <file>       presets file exported from the dashboard
+  -p, --preset <name>        start from this preset in --presets
+      --batch <id|BOTH>      risk batch to lend in, BOTH = any; batches are A and B
+                             unless the config file defines its own "batches"
+      --min-age <n>          minimum borrower age
+      --max-age <n>          maximum borrower age
+      --no-age-filter        disable the age filter
+      --no-infer-age         don't fall back to an age read from the description
+      --phrase <query>       description phrase query ("" to disable): words,
+                             "quoted phrases", /regex/i, AND / OR / NOT, ( )
+      --max-term <months>    max lenderRepaymentTerm
+      --country-cap <pct>    country concentration cap
+      --partner-cap <pct>    partner concentration cap
+      --include-sector <id>  only these sector ids, sent server-side (repeatable)
+      --exclude-sector <s>   excluded sector id or name (repeatable)
+      --include-country <cc> only these isoCodes, sent server-side (repeatable)
+      --exclude-country <cc> excluded isoCode (repeatable)
+      --include-tag <tag>    need at least one of these tags, e.g. "#Parent" (repeatable)
+      --exclude-tag <tag>    excluded tag (repeatable)
+      --gender <g>           any, female or male (every borrower must match)
+      --min-amount <usd>     minimum loan amount
+      --max-amount <usd>     maximum loan amount (0 = no limit)
+      --allow-partner <id>   only these field partners; direct loans unaffected (repeatable)
+      --block-partner <id>   reject this field partner (repeatable)
+      --partner-stats <file> remember partner riskRating / defaultRate and report
+                             changes since the last run
+      --tier-amounts <list>  USD lent at tiers 1-4, multiples of 25 (default ${DEFAULT_CFG.tierAmounts.join(",")})
+      --fuzzy-borrowers      also count prior loans to the same first name, country
+                             and partner when borrower ids differ
+      --team-snapshot <file> merge a teammate's portfolio snapshot into yours, so caps
+                             and tiers count the team's holdings (repeatable)
+      --export-snapshot <f>  write your portfolio as a snapshot for teammates
+      --disable-rule <id>    skip a rule, e.g. phrase or countryCap (repeatable);
+                             custom rules come from the config or preset
+      --budget <usd>         only fund the best-scoring passing loans within budget
+      --sort <order>         server sort order: ${Object.keys(SORT_ORDERS).join(", ")}
+      --pages <n>            scan depth in pages of 40 candidates (default ${DEFAULT_CFG.scanPages})
+  -a, --all                  include failing loans with their reasons
+      --json                 print JSON instead of a table
+      --csv                  print CSV instead of a table
+      --report               print the Markdown run report instead of a table
+      --basket               add passing loans to the Kiva basket (asks first)
+      --dry-run              with --basket, only log the mutations
+  -y, --yes                  with --basket, skip the confirmation prompt
+      --watch                poll on an interval, printing only newly passing loans
+                             (as JSON lines with --json)
+      --interval <min>       minutes between polls (default ${DEFAULT_WATCH_MINUTES}, at least ${MIN_WATCH_MINUTES})
+      --seen-file <file>     remember announced loans across restarts
+      --mock                 use the offline mock gateway (also KIVA_MOCK=1)
+      --mock-fail <list>     inject mock failures: slow,429,5xx,partial,fail,auth,
+                             expire,trickle,drift
+  -h, --help                 show this help
+
+Credentials come from KIVA_TOKEN, or KIVA_USER / KIVA_PASS (not needed with --mock).`;
+
+const OPTIONS = {
+  config:           { type: "string", short: "c" },
+  presets:          { type: "string" },
+  preset:           { type: "string", short: "p" },
+  batch:            { type: "string" },
+  "min-age":        { type: "string" },
+  "max-age":        { type: "string" },
+  "no-age-filter":  { type: "boolean" },
+  "no-infer-age":   { type: "boolean" },
+  phrase:           { type: "string" },
+  "max-term":       { type: "string" },
+  "country-cap":    { type: "string" },
+  "partner-cap":    { type: "string" },
+  "include-sector": { type: "string", multiple: true },
+  "exclude-sector": { type: "string", multiple: true },
+  "include-country": { type: "string", multiple: true },
+  "exclude-country": { type: "string", multiple: true },
+  "include-tag":    { type: "string", multiple: true },
+  "exclude-tag":    { type: "string", multiple: true },
+  gender:           { type: "string" },
+  "min-amount":     { type: "string" },
+  "max-amount":     { type: "string" },
+  "allow-partner":  { type: "string", multiple: true },
+  "block-partner":  { type: "string", multiple: true },
+  "partner-stats":  { type: "string" },
+  "tier-amounts":   { type: "string" },
+  "fuzzy-borrowers": { type: "boolean" },
+  "team-snapshot":  { type: "string", multiple: true },
+  "export-snapshot": { type: "string" },
+  "disable-rule":   { type: "string", multiple: true },
+  sort:             { type: "string" },
+  pages:            { type: "string" },
+  budget:           { type: "string" },
+  all:              { type: "boolean", short: "a" },
+  json:             { type: "boolean" },
+  csv:              { type: "boolean" },
+  report:           { type: "boolean" },
+  basket:           { type: "boolean" },
+  "dry-run":        { type: "boolean" },
+  yes:              { type: "boolean", short: "y" },
+  watch:            { type: "boolean" },
+  interval:         { type: "string" },
+  "seen-file":      { type: "string" },
+  mock:             { type: "boolean" },
+  "mock-fail":      { type: "string" },
+  help:             { type: "boolean", short: "h" },
+};
+
+function fail(code, msg) {
+  console.error(msg);
+  process.exit(code);
+}
+
+function toNumber(flag, value) {
+  const n = Number(value);
+  if (value === "" || !Number.isFinite(n)) fail(EXIT_USAGE, `--${flag} expects a number, got "${value}"`);
+  return n;
+}
+
+// DEFAULT_CFG < preset < config file < flags
+function buildCfg(values) {
+  const cfg = { ...DEFAULT_CFG };
+  if (values.preset !== undefined) {
+    if (!values.presets) fail(EXIT_USAGE, "--preset needs --presets <file>");
+    let presets;
+    try {
+      presets = parsePresetsFile(readFileSync(values.presets, "utf8"));
+    } catch (e) {
+      fail(EXIT_USAGE, `Cannot read presets ${values.presets}: ${e.message}`);
+    }
+    const preset = presets.find(p => p.name === values.preset);
+    if (!preset) fail(EXIT_USAGE, `No preset "${values.preset}" in ${values.presets} (have: ${presets.map(p => p.name).join(", ")})`);
+    Object.assign(cfg, preset.cfg);
+  }
+  if (values.config) {
+    let fromFile;
+    try {
+      fromFile = JSON.parse(readFileSync(values.config, "utf8"));
+    } catch (e) {
+      fail(EXIT_USAGE, `Cannot read config ${values.config}: ${e.message}`);
+    }
+    if (!fromFile || typeof fromFile !== "object" || Array.isArray(fromFile))
+      fail(EXIT_USAGE, `Config ${values.config} must be a JSON object of settings`);
+    // the same checks a shared link gets (share.mjs)
+    for (const [k, v] of Object.entries(fromFile)) {
+      if (!(k in DEFAULT_CFG)) fail(EXIT_USAGE, `Unknown config field "${k}" in ${values.config}`);
+      const problem = cfgFieldProblem(k, v);
+      if (problem) fail(EXIT_USAGE, `Bad config field "${k}" in ${values.config}: ${problem}`);
+    }
+    Object.assign(cfg, fromFile);
+  }
+  if (values.batch !== undefined)            cfg.batch = values.batch;
+  if (values["min-age"] !== undefined)       cfg.minAge = toNumber("min-age", values["min-age"]);
+  if (values["max-age"] !== undefined)       cfg.maxAge = toNumber("max-age", values["max-age"]);
+  if (values["no-age-filter"])               cfg.ageFilter = false;
+  if (values["no-infer-age"])                cfg.inferAge = false;
+  if (values.phrase !== undefined)           cfg.phrase = values.phrase;
+  if (values["max-term"] !== undefined)      cfg.maxTerm = toNumber("max-term", values["max-term"]);
+  if (values["country-cap"] !== undefined)   cfg.countryCap = toNumber("country-cap", values["country-cap"]);
+  if (values["partner-cap"] !== undefined)   cfg.partnerCap = toNumber("partner-cap", values["partner-cap"]);
+  if (values["include-sector"] !== undefined) cfg.includedSectors = values["include-sector"].map(s => toNumber("include-sector", s));
+  if (values["exclude-sector"] !== undefined) cfg.excludedSectors = values["exclude-sector"].map(s => /^\d+$/.test(s) ? Number(s) : s);
+  if (values["include-country"] !== undefined) cfg.includedCountries = values["include-country"].map(c => c.toUpperCase());
+  if (values["exclude-country"] !== undefined) cfg.excludedCountries = values["exclude-country"].map(c => c.toUpperCase());
+  if (values["include-tag"] !== undefined)   cfg.includedTags = values["include-tag"];
+  if (values["exclude-tag"] !== undefined)   cfg.excludedTags = values["exclude-tag"];
+  if (values.gender !== undefined)           cfg.gender = values.gender.toLowerCase();
+  if (values["min-amount"] !== undefined)    cfg.minAmount = toNumber("min-amount", values["min-amount"]);
+  if (values["max-amount"] !== undefined)    cfg.maxAmount = toNumber("max-amount", values["max-amount"]);
+  if (values["allow-partner"] !== undefined) cfg.partnerAllow = values["allow-partner"].map(id => toNumber("allow-partner", id));
+  if (values["block-partner"] !== undefined) cfg.partnerBlock = values["block-partner"].map(id => toNumber("block-partner", id));
+  if (values["fuzzy-borrowers"])             cfg.fuzzyBorrowers = true;
+  if (values["disable-rule"] !== undefined)  cfg.disabledRules = [...cfg.disabledRules, ...values["disable-rule"]];
+  if (values.budget !== undefined)           cfg.budget = toNumber("budget", values.budget);
+  if (values.sort !== undefined)             cfg.sortBy = values.sort;
+  if (values.pages !== undefined)            cfg.scanPages = toNumber("pages", values.pages);
+  if (values.all)                            cfg.showFailing = true;
+
+  const batchIssues = batchProblems(cfg.batches);
+  if (batchIssues.length) fail(EXIT_USAGE, `Bad batches: ${batchIssues.join("; ")}`);
+  // ids match case-insensitively, so --batch a is Batch A
+  const wanted = String(cfg.batch).toUpperCase();
+  const batch = wanted === ANY_BATCH ? ANY_BATCH : cfg.batches.find(b => b.id.toUpperCase() === wanted)?.id;
+  if (!batch) fail(EXIT_USAGE, `batch must be ${[...cfg.batches.map(b => b.id), ANY_BATCH].join(", ")}, got "${cfg.batch}"`);
+  cfg.batch = batch;
+  try {
+    parsePhraseQuery(cfg.phrase);
+  } catch (e) {
+    fail(EXIT_USAGE, `Bad --phrase query: ${e.message}`);
+  }
+  try {
+    cfg.tierAmounts = parseTierAmounts(values["tier-amounts"] ?? String(cfg.tierAmounts));
+  } catch (e) {
+    fail(EXIT_USAGE, `Bad --tier-amounts: ${e.message}`);
+  }
+  if (!["any", "female", "male"].includes(cfg.gender)) fail(EXIT_USAGE, `gender must be any, female or male, got "${cfg.gender}"`);
+  if (!(cfg.sortBy in SORT_ORDERS)) fail(EXIT_USAGE, `sort must be one of ${Object.keys(SORT_ORDERS).join(", ")}, got "${cfg.sortBy}"`);
+  if (!Number.isInteger(cfg.scanPages) || cfg.scanPages < 1) fail(EXIT_USAGE, `pages must be a whole number ≥ 1, got ${cfg.scanPages}`);
+  return cfg;
+}
+
+// plain-text table, same columns as the dashboard results tab
+function printTable(loans, showStatus) {
+  const headers = ["ID", "Borrower", "Age", "Country", "Risk", "Default", "Term", "Tier", "Lend"];
+  if (showStatus) headers.push("Status");
+  const rows = loans.map(l => {
+    const row = [
+      String(l.id),
+      l.name,
+      l.age !== null ? `${l.ageSource === "inferred" ? "~" : ""}${l.age}y` : "—",
+      l.country,
+      l.risk !== null ? l.risk.toFixed(1) : "—",
+      l.defRate !== null ? `${(l.defRate * 100).toFixed(2)}%` : "—",
+      l.term !== null ? `${l.term}mo` : "—",
+      String(l.tier),
+      `$${l.lendAmount}`,
+    ];
+    if (showStatus) row.push(l.pass ? "PASS" : `FAIL: ${l.reasons.map(r => r.text).join("; ")}`);
+    return row;
+  });
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = r => r.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+  console.log(line(headers));
+  console.log(line(widths.map(w => "-".repeat(w))));
+  rows.forEach(r => console.log(line(r)));
+  if (loans.some(l => l.ageSource === "inferred")) console.log("\n~ age inferred from the description");
+}
+
+// Storage-like view of a JSON file, for loadSeen / saveSeen
+const fileStorage = path => ({
+  getItem: () => existsSync(path) ? readFileSync(path, "utf8") : null,
+  setItem: (_, text) => writeFileSync(path, text),
+});
+
+// each change is reported once, then acknowledged in the file
+function reportPartnerChanges(path, loans) {
+  const storage = fileStorage(path);
+  const before = loadPartnerStats(storage);
+  const stats = trackPartnerStats(before, loans);
+  const changes = partnerChanges(stats);
+  const fmt = s => `risk ${s.riskRating ?? "?"}, default ${s.defaultRate !== null ? `${(s.defaultRate * 100).toFixed(2)}%` : "?"}`;
+  changes.forEach(c => console.error(`Partner changed: ${c.name} (#${c.id}) ${fmt(c.from)} → ${fmt(c.to)}`));
+  if (stats !== before) savePartnerStats(changes.reduce((s, c) => acknowledgeChange(s, c.id), stats), storage);
+}
+
+async function watchMode({ cfg, portfolio, values, getToken, gqlOpts, intervalMin, apiFail }) {
+  const storage = values["seen-file"] ? fileStorage(values["seen-file"]) : null;
+  let seen = loadSeen(storage);
+  let state = null, polls = 0, announced = 0;
+  const stamp = () => new Date().toLocaleTimeString();
+  console.error(`Watching every ${intervalMin} min${storage ? `, ${Object.keys(seen).length} loans already seen` : ""} — Ctrl-C to stop`);
+
+  await watchLoop(async () => {
+    const poll = await pollOnce(state, { token: getToken, cfg, portfolio, ...gqlOpts });
+    state = poll.state;
+    polls++;
+    const { fresh, seen: next } = markSeen(poll.results.filter(l => l.pass), seen);
+    seen = next;
+    announced += fresh.length;
+    if (storage && fresh.length) saveSeen(seen, storage);
+    const { pages, incremental, fetched, passing } = poll.entry;
+    console.error(`[${stamp()}] poll ${polls} — ${pages} page${pages === 1 ? "" : "s"}${incremental ? " (new postings only)" : ""}, ${fetched} fetched, ${passing} passing, ${fresh.length} new`);
+    if (fresh.length === 0) return;
+    if (values.json) fresh.forEach(l => console.log(JSON.stringify(l)));
+    else printTable(fresh, false);
+    if (process.stderr.isTTY) process.stderr.write("\x07");
+  }, {
+    intervalMs: intervalMin * 60000,
+    signal: gqlOpts.signal,
+    onError: e => {
+      if (e.kind === "auth") apiFail(e);
+      console.error(`[${stamp()}] poll failed: ${e.message} — trying again next interval`);
+    },
+  });
+  console.error(`Stopped watching after ${polls} poll${polls === 1 ? "" : "s"} — ${announced} new loan${announced === 1 ? "" : "s"} announced`);
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, strict: true });
+  } catch (e) {
+    fail(EXIT_USAGE, `${e.message}\n\n${USAGE}`);
+  }
+  const { values } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const cfg = buildCfg(values);
+  if ([values.json, values.csv, values.report].filter(Boolean).length > 1)
+    fail(EXIT_USAGE, "Pick one of --json, --csv, --report");
+  if (values.watch && (values.csv || values.report || values.basket || values.all || cfg.budget > 0))
+    fail(EXIT_USAGE, "--watch can't be combined with --csv, --report, --basket, --all or --budget");
+
+  // teammates' snapshots, read up front so a bad file fails before any request
+  const team = (values["team-snapshot"] ?? []).map(file => {
+    try {
+      const snap = parseSnapshot(readFileSync(file, "utf8"));
+      return { owner: snap.account ?? file, loans: snap.loans.map(mapLoan) };
+    } catch (e) {
+      fail(EXIT_USAGE, `Cannot read team snapshot ${file}: ${e.message}`);
+    }
+  });
+
+  const mockFlags = values.mock || values["mock-fail"] !== undefined
+    ? parseMockFlags(values["mock-fail"] ?? "1")
+    : parseMockFlags(process.env.KIVA_MOCK);
+  if (mockFlags) {
+    setTransport(createMockGateway(mockFlags));
+    console.error(`Mock gateway${Object.keys(mockFlags).length ? ` (failures: ${Object.keys(mockFlags).join(", ")})` : ""}`);
+  }
+  const intervalMin = values.interval !== undefined ? toNumber("interval", values.interval) : DEFAULT_WATCH_MINUTES;
+  // the mock has no rate limits, so it may be polled faster
+  if (!(intervalMin > 0) || (intervalMin < MIN_WATCH_MINUTES && !mockFlags))
+    fail(EXIT_USAGE, `--interval must be at least ${MIN_WATCH_MINUTES} minute${MIN_WATCH_MINUTES === 1 ? "" : "s"}, got ${values.interval}`);
+
+  const email = process.env.KIVA_USER ?? (mockFlags ? "mock@example.org" : null);
+  const password = process.env.KIVA_PASS ?? (mockFlags ? "mock" : null);
+  let token = process.env.KIVA_TOKEN || null;
+  const canLogin = !!(email && password);
+  if (!token && !canLogin) fail(EXIT_USAGE, "Set KIVA_TOKEN, or KIVA_USER and KIVA_PASS, to sign in.");
+  const expiresAt = token && tokenExpiresAt(token);
+  if (expiresAt && expiresAt <= Date.now()) {
+    if (!canLogin) fail(EXIT_AUTH, `KIVA_TOKEN expired at ${new Date(expiresAt).toISOString()}`);
+    console.error("KIVA_TOKEN has expired — signing in with KIVA_USER / KIVA_PASS instead");
+    token = null;
+  }
+
+  // progress goes to stderr so --json output stays clean
+  if (!token) {
+    try {
+      console.error("Signing in…");
+      token = await kivaLogin(email, password);
+    } catch (e) {
+      fail(EXIT_AUTH, `Auth error: ${e.message}`);
+    }
+  }
+  const getToken = () => token;
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    console.error(values.watch ? "Stopping watch…" : "Interrupted — stopping after the pages already fetched…");
+    controller.abort();
+  });
+  const gqlOpts = {
+    signal: controller.signal,
+    // token lapsed mid-run: sign in again and repeat the request
+    reauth: async () => {
+      if (!canLogin) return null;
+      console.error("Session expired — signing in again…");
+      token = await kivaLogin(email, password);
+      return token;
+    },
+    onRetry: ({ attempt, retries, delayMs, error }) =>
+      console.error(`${error.message} — retrying in ${Math.ceil(delayMs / 1000)}s (${attempt}/${retries})`),
+    onPartialErrors: errs => console.error(`Warning: partial GraphQL errors: ${errs.map(e => e.message).join("; ")}`),
+  };
+  const apiExit = e => e.kind === "aborted" ? EXIT_INTERRUPTED : e.kind === "auth" ? EXIT_AUTH : EXIT_GQL;
+  const apiFail = e => fail(apiExit(e), e.kind === "aborted" ? "Interrupted." : `${e.kind === "auth" ? "Auth" : "GraphQL"} error: ${e.message}`);
+
+  let results, portfolio, own, stopped = null;
+  try {
+    console.error("Fetching your portfolio via my { loans }…");
+    const raw = await fetchMyPortfolio(getToken, gqlOpts);
+    if (values["export-snapshot"]) {
+      writeFileSync(values["export-snapshot"], exportSnapshot(email ?? "me", raw));
+      console.error(`Wrote portfolio snapshot to ${values["export-snapshot"]}`);
+    }
+    own = raw.map(mapLoan);
+    console.error(`Portfolio loaded — ${own.length} loans`);
+  } catch (e) {
+    apiFail(e);
+  }
+  portfolio = own;
+  if (team.length) {
+    portfolio = mergeTeamPortfolio([{ owner: email ?? "me", loans: own }, ...team]);
+    console.error(`Team portfolio — ${portfolio.length} loans across ${team.length + 1} lenders`);
+  }
+  if (values.watch) return watchMode({ cfg, portfolio, values, getToken, gqlOpts, intervalMin, apiFail });
+
+  let rawCandidates;
+  try {
+    const plan = filterPlan(cfg);
+    console.error(`Server-side: ${plan.server.map(f => f.text).join("; ")}`);
+    console.error(`Client-side: ${plan.client.map(r => r.label).join(", ") || "none"}`);
+    console.error(`Fetching candidates from lend { loans }, ${SORT_ORDERS[cfg.sortBy].toLowerCase()} first…`);
+    // the caps depend on every candidate, so the rules run once, after the scan
+    rawCandidates = await fetchCandidateLoans(getToken, buildServerFilters(cfg), {
+      ...gqlOpts,
+      ...buildScanOptions(cfg),
+      onPage: ({ page, pages, fetched, totalCount }) => console.error(`  page ${page} of ~${pages} — ${fetched} of ${totalCount} fetched`),
+    });
+  } catch (e) {
+    // keep whatever pages arrived before a Ctrl-C or a mid-scan failure
+    if (!e.partial?.length) apiFail(e);
+    rawCandidates = e.partial;
+    stopped = e;
+    if (e.kind !== "aborted") console.error(`Scan stopped early (${e.message}) — using the ${e.partial.length} loans fetched`);
+  }
+  results = applyClientFilters(rawCandidates.map(mapLoan), portfolio, cfg);
+  // snapshots carry the stats of the day they were taken, so only fresh loans count
+  if (values["partner-stats"]) reportPartnerChanges(values["partner-stats"], [...results, ...own]);
+
+  let passing = results.filter(l => l.pass);
+  console.error(`Done — ${passing.length} passing of ${results.length}`);
+
+  // with a budget, only the allocated loans are printed and sent to the basket
+  const allocation = cfg.budget > 0 ? allocateBudget(passing, portfolio, cfg, cfg.budget) : null;
+  if (allocation) {
+    console.error(`Budget $${cfg.budget} — ${allocation.chosen.length} chosen for $${allocation.spent}, ${allocation.leftOut.length} left out`);
+    allocation.leftOut.forEach(l => console.error(`  left out ${l.id} ${l.name}: ${l.why}`));
+    passing = allocation.chosen;
+  }
+  const shown = cfg.showFailing ? results : passing;
+
+  if (values.json)        console.log(toJSON(shown));
+  else if (values.csv)    process.stdout.write(toCSV(shown));
+  else if (values.report) console.log(toMarkdownReport({ cfg, results, portfolio, allocation }));
+  else printTable(shown, cfg.showFailing);
+
+  if (stopped) process.exit(apiExit(stopped));
+  if (values.basket) await basketStep(getToken, passing, values, gqlOpts.reauth);
+}
+
+async function basketStep(token, passing, values, reauth) {
+  const dryRun = !!values["dry-run"];
+  if (passing.length === 0) {
+    console.error("Nothing to add to the basket.");
+    return;
+  }
+  const total = basketTotal(passing);
+  if (!values.yes && !dryRun) {
+    if (!process.stdin.isTTY) fail(EXIT_USAGE, "--basket needs --yes when not run interactively");
+    const rl = createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await rl.question(`Add ${passing.length} loans totalling $${total.toLocaleString()} to your basket? [y/N] `);
+    rl.close();
+    if (!/^y(es)?$/i.test(answer.trim())) {
+      console.error("Basket step skipped.");
+      return;
+    }
+  }
+  const results = await addLoansToBasket(token, passing, {
+    dryRun,
+    reauth,
+    log: msg => console.error(msg),
+    onResult: r => { if (!r.dryRun) console.error(`${r.ok ? "✓" : "✗"} ${r.id} ${r.name} $${r.amount}${r.error ? ` — ${r.error}` : ""}`); },
+  });
+  const failed = results.filter(r => !r.ok).length;
+  console.error(`${dryRun ? "Dry run" : "Basket"} — ${results.length - failed} ok, ${failed} failed, $${total.toLocaleString()} requested`);
+  if (failed > 0) process.exit(EXIT_BASKET);
+}
+
+main().catch(e => fail(1, e.stack || String(e)));
@@ -1,316 +1,262 @@
 /**
  * Kiva Youth Fund Filter Dashboard
  *
- * Key schema facts:
- *  - Search:        lend { loans(offset, limit, filters: LoanSearchFiltersInput, sortBy) }
- *  - Portfolio:     my { loans(offset, limit): LoanBasicCollection }
- *  - Country:       loan.geocode.country.isoCode   (not a top-level string)
- *  - Partner stats: loan.partner.{ id name riskRating defaultRate }
- *  - Borrower ID:   loan.borrowers[0].id
- *  - Age:           ... on LoanDirect { ageAtTimeOfLoan }  (requires auth)
- *  - Sector filter: sector: [Int]  (inclusion by ID only, exclusion is client-side)
- *  - Range filters: MinMaxRangeInput { min, max }
- *  - Term field:    lenderRepaymentTerm  (on loan object; lenderTerm in filter input)
+ * Gateway client lives in kiva.mjs, the filter pipeline in filters.mjs;
+ * cli.mjs runs the same pipeline headless. Add ?mock (or ?mock=slow,429, see
+ * mock.mjs) to the URL to run against offline fixtures instead of Kiva.
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { kivaLogin, fetchMyPortfolio, fetchCandidateLoans, fetchFilterOptions, fetchPartnerDetails, setTransport, SORT_ORDERS } from "./kiva.mjs";
+import { DEFAULT_CFG, buildServerFilters, buildScanOptions, filterPlan, optionsFromLoans, mapLoan, applyClientFilters, summarizeResults, concentrationBreakdown } from "./filters.mjs";
+import { toCSV, toJSON, toMarkdownReport } from "./export.mjs";
+import { addLoansToBasket, basketTotal } from "./basket.mjs";
+import {
+  loadPresets, savePresets, createPreset, renamePreset, updatePreset, duplicatePreset, deletePreset,
+  exportPresets, importPresets, normalizeCfg,
+} from "./presets.mjs";
+import { allocateBudget } from "./allocate.mjs";
+import { portfolioAnalytics, missingFromPortfolio, hhiLevel } from "./analytics.mjs";
+import {
+  readCache, writeCache, deleteCache, clearCache, portfolioKey, candidatesKey, mergeById, stopOnceKnown, formatAge, INCREMENTAL_MAX_AGE_MS,
+} from "./cache.mjs";
+import { resolveRules, RULE_FIELDS, RULE_CMPS, describeCondition, countFailuresByRule } from "./rules.mjs";
+import { ANY_BATCH, DEFAULT_BATCHES, batchOf, describeBatch, batchProblems, nextBatchId } from "./batches.mjs";
+import { parseMockFlags, createMockGateway } from "./mock.mjs";
+import { parsePhraseQuery } from "./text.mjs";
+import { lendAmountFor, SHARE } from "./borrowers.mjs";
+import { T, THEMES, THEME_LABELS, applyTheme, loadTheme, saveTheme } from "./theme.mjs";
+import { COLUMNS, DEFAULT_COLUMNS, genderOf, sortLoans, toggleSort, matchesSearch, loadTablePrefs, saveTablePrefs, visibleRange } from "./table.mjs";
+import { nearMisses, ruleImpact, whatIf } from "./whatif.mjs";
+import { encodeShare, decodeShare } from "./share.mjs";
+import { loadTeam, saveTeam, addMember, removeMember, teamKey, exportSnapshot, parseSnapshot, mergeTeamPortfolio, describeOwners } from "./team.mjs";
+import {
+  partnerRollup, loadPartnerStats, savePartnerStats, trackPartnerStats, acknowledgeChange, partnerChanges, loadPartnerLists, savePartnerLists,
+} from "./partners.mjs";
+import { snapshotRun, addRun, loadHistory, saveHistory, diffRuns } from "./history.mjs";
+import { loadSeen, saveSeen, markSeen, pollOnce, watchLoop, DEFAULT_WATCH_MINUTES } from "./watch.mjs";
+import { loadSession, saveSession, clearSession, canStoreCredentials, storeCredentials, getStoredCredentials, EXPIRY_WARNING_MS } from "./session.mjs";
 
 // config
-const GRAPHQL_URL = "https://gateway.production.kiva.org/graphql";
-const KIVA_USER = typeof import.meta !== "undefined" ? import.meta.env?.VITE_KIVA_USER : null;
-const KIVA_PASS = typeof import.meta !== "undefined" ? import.meta.env?.VITE_KIVA_PASS : null;
-
-// graphql client
-async function gql(query, variables = {}, token = null) {
-  const headers = {
-    "Content-Type": "application/json",
-    "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36",
-    Origin: "https://www.kiva.org",
-    Referer: "https://www.kiva.org/lend",
-  };
-  if (token) headers["Authorization"] = `Bearer ${token}`;
-  const res = await fetch(GRAPHQL_URL, {
-    method: "POST",
-    headers,
-    body: JSON.stringify({ query, variables }),
-  });
-  const body = await res.json();
-  if (body.errors) throw new Error(body.errors.map(e => e.message).join("; "));
-  return body.data;
-}
-
-// auth
-async function kivaLogin(email, password) {
-  const data = await gql(`
-    mutation Login($email: String!, $password: String!) {
-      login(email: $email, password: $password) {
-        token
-        user { id }
-      }
-    }
-  `, { email, password });
-  return data.login.token;
-}
-
-// shared loan fragment
-const LOAN_FIELDS = `
-  __typename
-  id
-  name
-  description
-  descriptionInOriginalLanguage
-  lenderRepaymentTerm
-  geocode {
-    country {
-      isoCode
-      name
-    }
-  }
-  borrowers {
-    id
-    firstName
-    gender
-  }
-  sector { id name }
-  partner {
-    id
-    name
-    riskRating
-    defaultRate
-  }
-  loanAmount { amount }
-  tags
-  ... on LoanDirect {
-    ageAtTimeOfLoan
-  }
-`;
-
-// Fetch my protfolio:  my { loans(...): LoanBasicCollection }
-async function fetchMyPortfolio(token, pageSize = 40) {
-  const all = [];
-  let offset = 0;
-  while (true) {
-    const data = await gql(`
-      query MyLoans($offset: Int!, $limit: Int!) {
-        my {
-          loans(offset: $offset, limit: $limit) {
-            totalCount
-            values { ${LOAN_FIELDS} }
-          }
-        }
-      }
-    `, { offset, limit: pageSize }, token);
-    const { totalCount, values } = data.my.loans;
-    all.push(...values);
-    if (all.length >= totalCount || values.length === 0) break;
-    offset += pageSize;
-    await sleep(600);
-  }
-  return all;
-}
-
-// Fetch candidate loans: lend { loans(...): LoanBasicCollection }
-async function fetchCandidateLoans(token, gqlFilters, pageSize = 40, maxPages = 25) {
-  const all = [];
-  let offset = 0;
-  for (let p = 0; p < maxPages; p++) {
-    const data = await gql(`
-      query CandidateLoans($offset: Int!, $limit: Int!, $filters: LoanSearchFiltersInput) {
-        lend {
-          loans(offset: $offset, limit: $limit, filters: $filters, sortBy: newest) {
-            totalCount
-            values { ${LOAN_FIELDS} }
-          }
-        }
-      }
-    `, { offset, limit: pageSize, filters: gqlFilters }, token);
-    const { totalCount, values } = data.lend.loans;
-    all.push(...values);
-    if (all.length >= totalCount || values.length === 0) break;
-    offset += pageSize;
-    await sleep(800);
-  }
-  return all;
-}
+// VITE_* values are inlined into the bundle, so build-time credentials are
+// only honoured by the dev server
+const DEV = typeof import.meta !== "undefined" && !!import.meta.env?.DEV;
+const KIVA_USER = DEV ? import.meta.env.VITE_KIVA_USER : null;
+const KIVA_PASS = DEV ? import.meta.env.VITE_KIVA_PASS : null;
 
-// loan mapper
-function mapLoan(raw) {
-  return {
-    id: raw.id,
-    name: raw.name,
-    age: raw.ageAtTimeOfLoan ?? null,
-    country: raw.geocode?.country?.isoCode ?? "??",
-    countryName: raw.geocode?.country?.name ?? "",
-    partnerId: raw.partner?.id ?? null,
-    partner: raw.partner?.name ?? "Direct",
-    risk: raw.partner?.riskRating ?? null,
-    defRate: raw.partner?.defaultRate ?? null,
-    term: raw.lenderRepaymentTerm ?? null,
-    amount: raw.loanAmount?.amount ?? 0,
-    sector: raw.sector?.name ?? "",
-    sectorId: raw.sector?.id ?? null,
-    description: raw.description ?? "",
-    descriptionOrig: raw.descriptionInOriginalLanguage ?? "",
-    borrowerId: raw.borrowers?.[0]?.id ?? `anon-${raw.id}`,
-    tags: raw.tags ?? [],
-    priorCount: 0, tier: 1, lendAmount: 25,
-    countryPct: 0, partnerPct: 0,
-    phraseHit: false, pass: false, reasons: [],
-  };
-}
-
-// client-side filter
-function applyClientFilters(candidates, portfolio, cfg) {
-  const phrase = cfg.phrase.trim().toLowerCase();
-  const portTotal = portfolio.length;
-
-  return candidates.map(loan => {
-    const reasons = [];
-
-    // repeat-borrower tier (from existing portfolio)
-    const prior = portfolio.filter(p => p.borrowerId === loan.borrowerId).length;
-    const tier = prior === 0 ? 1 : prior === 1 ? 2 : prior === 2 ? 3 : 4;
-    const lendAmount = tier <= 2 ? 25 : tier === 3 ? 50 : 100;
-
-    // concentration: portfolio + this candidate combined
-    const countryInPort = portfolio.filter(p => p.country === loan.country).length;
-    const partnerInPort = portfolio.filter(p => p.partnerId === loan.partnerId).length;
-    const countryPct = portTotal > 0 ? ((countryInPort + 1) / (portTotal + 1)) * 100 : 0;
-    const partnerPct = portTotal > 0 && loan.partnerId
-      ? ((partnerInPort + 1) / (portTotal + 1)) * 100 : 0;
-
-    // Batch
-    const risk = loan.risk, def = loan.defRate;
-    const inA = risk !== null && def !== null && risk >= 2 && def <= 0.01;
-    const inB = risk !== null && def !== null && risk >= 2 && def > 0.01 && def <= 0.02;
-    if (cfg.batch === "A"    && !inA)        reasons.push(`Batch A: need risk≥2 & default≤1% (risk=${risk?.toFixed(1) ?? "?"}, def=${def !== null ? (def * 100).toFixed(2) + "%" : "?"})`);
-    if (cfg.batch === "B"    && !inB)        reasons.push(`Batch B: need risk≥2 & default 1.1–2%`);
-    if (cfg.batch === "BOTH" && !inA && !inB) reasons.push(`Not in Batch A or B (def=${def !== null ? (def * 100).toFixed(2) + "%" : "?"})`);
-
-    // age: only on LoanDirect, only when authenticated
-    if (cfg.ageFilter) {
-      if (loan.age === null) reasons.push("Age unknown (field-partner loan or not authenticated as direct lender)");
-      else if (loan.age < cfg.minAge || loan.age > cfg.maxAge)
-        reasons.push(`Age ${loan.age} outside ${cfg.minAge}–${cfg.maxAge}`);
-    }
+// mock mode: ?mock / ?mock=slow,429 in the URL, or VITE_KIVA_MOCK at build time
+const MOCK_FLAGS = parseMockFlags(
+  (typeof location !== "undefined" ? new URLSearchParams(location.search).get("mock") : null)
+  ?? (typeof import.meta !== "undefined" ? import.meta.env?.VITE_KIVA_MOCK : null));
+if (MOCK_FLAGS) setTransport(createMockGateway(MOCK_FLAGS, { log: console.debug }));
+// mock scans get their own cache entries so they never mix with real ones
+const cacheNs = key => MOCK_FLAGS ? `mock:${key}` : key;
 
-    // Phrase
-    const phraseHit = phrase === "" ||
-      loan.description.toLowerCase().includes(phrase) ||
-      loan.descriptionOrig.toLowerCase().includes(phrase);
-    if (phrase !== "" && !phraseHit) reasons.push(`Phrase "${cfg.phrase}" not in description`);
-
-    // Term
-    if (loan.term !== null && loan.term > cfg.maxTerm)
-      reasons.push(`lenderRepaymentTerm ${loan.term}mo > max ${cfg.maxTerm}mo`);
-
-    // Caps
-    if (countryPct >= cfg.countryCap)
-      reasons.push(`Country ${loan.country} at ${countryPct.toFixed(1)}% ≥ cap ${cfg.countryCap}%`);
-    if (loan.partnerId && partnerPct >= cfg.partnerCap)
-      reasons.push(`Partner "${loan.partner}" at ${partnerPct.toFixed(1)}% ≥ cap ${cfg.partnerCap}%`);
-
-    // sector exclusion (client-side, schema sector filter only does inclusion by [Int] ID)
-    if (cfg.excludedSectors.includes(loan.sector))
-      reasons.push(`Excluded sector: ${loan.sector}`);
-
-    return {
-      ...loan, priorCount: prior, tier, lendAmount,
-      countryPct: countryPct / 100, partnerPct: partnerPct / 100,
-      phraseHit, pass: reasons.length === 0, reasons,
-    };
-  });
+// browser download of a generated file
+function downloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-const sleep = ms => new Promise(r => setTimeout(r, ms));
-
 // UI compoentns
 function StatCard({ label, value, accent }) {
   return (
-    <div style={{ background: "#0f1117", border: `1px solid ${accent || "#2a2d3a"}`, borderRadius: 8, padding: "18px 22px", minWidth: 130 }}>
-      <div style={{ color: "#555", fontSize: 11, letterSpacing: 2, textTransform: "uppercase", marginBottom: 6 }}>{label}</div>
-      <div style={{ color: accent || "#e8d5a3", fontSize: 28, fontFamily: "'DM Mono',monospace", fontWeight: 600, lineHeight: 1 }}>{value}</div>
+    <div style={{ background: T.input, border: `1px solid ${accent || T.lineStrong}`, borderRadius: 8, padding: "18px 22px", minWidth: 130 }}>
+      <div style={{ color: T.textDim, fontSize: 11, letterSpacing: 2, textTransform: "uppercase", marginBottom: 6 }}>{label}</div>
+      <div style={{ color: accent || T.accent, fontSize: 28, fontFamily: "'DM Mono',monospace", fontWeight: 600, lineHeight: 1 }}>{value}</div>
     </div>
   );
 }
 
 function Badge({ text, color }) {
-  const map = { green: ["#1a3d2e","#4ade80"], red: ["#3d1a1a","#f87171"], amber: ["#3d2e0a","#fbbf24"], blue: ["#0a1f3d","#60a5fa"], gray: ["#1e2030","#888"] };
+  const map = { green: [T.goodBg,T.good], red: [T.badBg,T.bad], amber: [T.warnBg,T.warn], blue: [T.infoBg,T.infoStrong], gray: [T.chip,T.textMuted] };
   const [bg, fg] = map[color] || map.gray;
   return <span style={{ background: bg, color: fg, padding: "2px 8px", borderRadius: 4, fontSize: 11, fontFamily: "'DM Mono',monospace", letterSpacing: 0.5, whiteSpace: "nowrap" }}>{text}</span>;
 }
 
+// shape + word beside a coloured value, so the level doesn't rest on colour alone
+const LEVEL_MARKS = { low: "● low", mid: "◆ mid", high: "▲ high" };
+const levelColor = { low: T.good, mid: T.warn, high: T.bad };
+function LevelMark({ level }) {
+  return <span style={{ color: levelColor[level], fontSize: 10, whiteSpace: "nowrap" }}>{LEVEL_MARKS[level]}</span>;
+}
+
 function RiskBar({ value }) {
-  if (value === null) return <span style={{ color: "#333", fontSize: 11 }}>—</span>;
-  const col = value <= 2 ? "#4ade80" : value <= 3.5 ? "#fbbf24" : "#f87171";
+  if (value === null) return <span style={{ color: T.textGhost, fontSize: 11 }}>—</span>;
+  const level = value <= 2 ? "low" : value <= 3.5 ? "mid" : "high";
+  const col = levelColor[level];
   return (
     <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-      <div style={{ width: 60, height: 6, background: "#1e2030", borderRadius: 3, overflow: "hidden" }}>
+      <div style={{ width: 60, height: 6, background: T.chip, borderRadius: 3, overflow: "hidden" }}>
         <div style={{ width: `${(value / 5) * 100}%`, height: "100%", background: col, borderRadius: 3 }} />
       </div>
       <span style={{ color: col, fontSize: 12, fontFamily: "'DM Mono',monospace" }}>{value.toFixed(1)}</span>
+      <LevelMark level={level} />
     </div>
   );
 }
 
-function LoanRow({ loan, index, onExpand, expanded }) {
-  const tierColor = { 1: "gray", 2: "gray", 3: "blue", 4: "amber" };
+// description text with phrase matches (gold) and the inferred-age mention (blue)
+// marked; spans are [{ start, end }] into `text`, overlaps keep the earlier one
+function HighlightedText({ text, spans, ageSpan }) {
+  const marks = [...spans.map(s => ({ ...s, kind: "phrase" })), ...(ageSpan ? [{ ...ageSpan, kind: "age" }] : [])]
+    .sort((a, b) => a.start - b.start);
+  const out = [];
+  let at = 0;
+  marks.forEach((m, i) => {
+    if (m.start < at) return;
+    if (m.start > at) out.push(text.slice(at, m.start));
+    out.push(m.kind === "phrase"
+      ? <mark key={i} style={{ background: T.warnBg, color: T.warn, borderRadius: 2, padding: "0 1px" }}>{text.slice(m.start, m.end)}</mark>
+      : <mark key={i} title="Age inferred from this text" style={{ background: "transparent", color: T.info, borderBottom: `1px dashed ${T.info}` }}>{text.slice(m.start, m.end)}</mark>);
+    at = m.end;
+  });
+  out.push(text.slice(at));
+  return out;
+}
+
+const tierColor = { 1: "gray", 2: "gray", 3: "blue", 4: "amber" };
+const cellPad = { padding: "0 14px", whiteSpace: "nowrap" };
+const cellMono = { ...cellPad, fontFamily: "'DM Mono',monospace", fontSize: 12 };
+const genderLabel = { female: "F", male: "M", mixed: "F+M" };
+
+// results table cells by column id (columns and sort values in table.mjs);
+// every cell stays on one line so rows keep ROW_HEIGHT for the virtualized table
+const CELLS = {
+  id: { style: { ...cellMono, color: T.textDim, fontSize: 11 }, render: l => l.id },
+  name: {
+    style: { ...cellPad, maxWidth: 220, overflow: "hidden", textOverflow: "ellipsis" },
+    render: (l, { isNew }) => <>
+      <div style={{ color: T.accent, fontSize: 13, fontWeight: 500, overflow: "hidden", textOverflow: "ellipsis" }}>{l.name}{isNew && <> <Badge text="NEW" color="green" /></>}</div>
+      <div style={{ color: T.textFaint, fontSize: 11 }}>{l.sector}</div>
+    </>,
+  },
+  age: {
+    style: { ...cellMono, textAlign: "center", color: T.info, fontSize: 13 },
+    render: l => l.age === null ? <span style={{ color: T.textGhost }}>—</span>
+      : l.ageSource === "inferred" ? <span title="Inferred from the description" style={{ fontStyle: "italic", opacity: 0.75 }}>~{l.age}y</span>
+      : `${l.age}y`,
+  },
+  gender: {
+    style: { ...cellMono, color: T.textMuted },
+    render: l => genderOf(l) ? `${genderLabel[genderOf(l)]}${l.genders.length > 1 ? ` ×${l.genders.length}` : ""}` : <span style={{ color: T.textGhost }}>—</span>,
+  },
+  country: { style: cellPad, render: l => <Badge text={l.country} color="blue" /> },
+  partner: { style: { ...cellPad, color: T.textMuted, fontSize: 12, maxWidth: 180, overflow: "hidden", textOverflow: "ellipsis" }, render: l => l.partner },
+  sector: { style: { ...cellPad, color: T.textMuted, fontSize: 12 }, render: l => l.sector || "—" },
+  risk: { style: cellPad, render: l => <RiskBar value={l.risk} /> },
+  default: {
+    style: cellMono,
+    // coloured like the batch the partner stats fall in, named beside it so colour isn't the only cue
+    render: (l, { batches }) => {
+      if (l.defRate === null) return <span style={{ color: T.textGhost }}>—</span>;
+      const batch = batchOf(l, batches);
+      const color = batch ? batchColor(batches.indexOf(batch)) : T.bad;
+      return <span style={{ display: "inline-flex", gap: 6, alignItems: "baseline" }}><span style={{ color }}>{(l.defRate * 100).toFixed(2)}%</span>
+        <span style={{ color, fontSize: 10, whiteSpace: "nowrap" }}>{batch ? `■ ${batch.name}` : "✗ no batch"}</span></span>;
+    },
+  },
+  term: { style: { ...cellMono, color: T.textMuted }, render: l => l.term !== null ? `${l.term}mo` : "—" },
+  amount: { style: { ...cellMono, color: T.textMuted }, render: l => `$${Number(l.amount).toLocaleString()}` },
+  tags: {
+    style: { ...cellPad, maxWidth: 220, overflow: "hidden" },
+    render: l => l.tags.length
+      ? <span title={l.tags.join(", ")} style={{ display: "flex", gap: 4 }}>{l.tags.slice(0, 2).map(t => <Badge key={t} text={t} color="gray" />)}{l.tags.length > 2 && <span style={{ color: T.textDim, fontSize: 11 }}>+{l.tags.length - 2}</span>}</span>
+      : <span style={{ color: T.textGhost }}>—</span>,
+  },
+  tier: { style: { ...cellPad, textAlign: "center" }, render: l => <Badge text={`Tier ${l.tier}`} color={tierColor[l.tier]} /> },
+  batch: { style: { ...cellPad, textAlign: "center" }, render: l => l.batch ? <Badge text={l.batch} color="gray" /> : <span style={{ color: T.textGhost }}>—</span> },
+  lend: {
+    style: { ...cellPad, textAlign: "center" },
+    render: l => <span style={{ color: T.good, fontFamily: "'DM Mono',monospace", fontSize: 13, fontWeight: 600 }}>${l.lendAmount}</span>,
+  },
+  status: {
+    style: { ...cellPad, textAlign: "center" },
+    render: (l, { basketResult }) => <span style={{ display: "inline-flex", gap: 4 }} title={basketResult?.error || ""}>
+      {l.pass ? <Badge text="✓ PASS" color="green" /> : <Badge text="✗ FAIL" color="red" />}
+      {basketResult && (basketResult.ok
+        ? <Badge text={basketResult.dryRun ? "DRY RUN" : "IN BASKET"} color={basketResult.dryRun ? "gray" : "blue"} />
+        : <Badge text="BASKET ✗" color="red" />)}
+    </span>,
+  },
+};
+const ROW_HEIGHT = 56;
+
+function LoanRow({ loan, index, columns, batches, onExpand, expanded, selected, onSelect, basketResult, isNew, onPartner, partnerChanged, focused, onFocus, onDetailHeight }) {
+  const detailRef = useRef(null);
+  // the virtualized table needs the real height of the expanded details
+  useEffect(() => {
+    const el = detailRef.current;
+    if (!expanded || !el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(() => onDetailHeight(el.closest("tr").getBoundingClientRect().height));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [expanded]);
+  // team mode: say which teammate made each prior loan
+  const teamHistory = loan.priorLoans.some(p => p.owners.length > 0);
+
   return (
     <>
-      <tr onClick={() => onExpand(loan.id)} style={{
-        background: expanded ? "#0d1520" : index % 2 === 0 ? "#0a0c12" : "#0c0e16",
+      <tr onClick={() => { onFocus(index); onExpand(loan.id); }} style={{
+        height: ROW_HEIGHT,
+        background: expanded ? T.expanded : selected ? T.selectedRow : index % 2 === 0 ? T.panel : T.rowAlt,
         cursor: "pointer",
-        borderLeft: `3px solid ${loan.pass ? "#2d6a4f" : "#5c1a1a"}`,
+        borderLeft: loan.pass ? `3px solid ${T.goodLine}` : `3px dashed ${T.badLine}`,
+        outline: focused ? `1px solid ${T.accentLine}` : "none",
+        outlineOffset: -1,
       }}>
-        <td style={{ padding: "10px 14px", color: "#555", fontSize: 11, fontFamily: "'DM Mono',monospace" }}>{loan.id}</td>
-        <td style={{ padding: "10px 14px" }}>
-          <div style={{ color: "#e8d5a3", fontSize: 13, fontWeight: 500 }}>{loan.name}</div>
-          <div style={{ color: "#444", fontSize: 11 }}>{loan.sector}</div>
-        </td>
-        <td style={{ padding: "10px 14px", textAlign: "center", color: "#93c5fd", fontFamily: "'DM Mono',monospace", fontSize: 13 }}>
-          {loan.age !== null ? `${loan.age}y` : <span style={{ color: "#333" }}>—</span>}
-        </td>
-        <td style={{ padding: "10px 14px" }}><Badge text={loan.country} color="blue" /></td>
-        <td style={{ padding: "10px 14px" }}><RiskBar value={loan.risk} /></td>
-        <td style={{ padding: "10px 14px", fontFamily: "'DM Mono',monospace", fontSize: 12 }}>
-          {loan.defRate !== null
-            ? <span style={{ color: loan.defRate <= 0.01 ? "#4ade80" : loan.defRate <= 0.02 ? "#fbbf24" : "#f87171" }}>
-                {(loan.defRate * 100).toFixed(2)}%
-              </span>
-            : <span style={{ color: "#333" }}>—</span>}
-        </td>
-        <td style={{ padding: "10px 14px", fontFamily: "'DM Mono',monospace", fontSize: 12, color: "#888" }}>
-          {loan.term !== null ? `${loan.term}mo` : "—"}
-        </td>
-        <td style={{ padding: "10px 14px", textAlign: "center" }}><Badge text={`Tier ${loan.tier}`} color={tierColor[loan.tier]} /></td>
-        <td style={{ padding: "10px 14px", textAlign: "center" }}>
-          <span style={{ color: "#4ade80", fontFamily: "'DM Mono',monospace", fontSize: 13, fontWeight: 600 }}>${loan.lendAmount}</span>
-        </td>
-        <td style={{ padding: "10px 14px", textAlign: "center" }}>
-          {loan.pass ? <Badge text="PASS" color="green" /> : <Badge text="FAIL" color="red" />}
+        <td style={{ padding: "0 0 0 14px" }} onClick={e => e.stopPropagation()}>
+          {!loan.pass && <span title={`Fails ${loan.reasons.length} rule${loan.reasons.length === 1 ? "" : "s"}`} aria-label="Fails" style={{ color: T.bad, fontSize: 12 }}>✗</span>}
+          {loan.pass && <input type="checkbox" checked={selected} onChange={e => onSelect(index, e.nativeEvent.shiftKey)} aria-label={`Select ${loan.name}`} style={{ accentColor: T.accent, cursor: "pointer" }} />}
         </td>
+        {columns.map(id => <td key={id} style={CELLS[id].style}>{CELLS[id].render(loan, { isNew, basketResult, batches })}</td>)}
       </tr>
       {expanded && (
-        <tr style={{ background: "#0d1520" }}>
-          <td colSpan={10} style={{ padding: "0 14px 14px 14px" }}>
-            <div style={{ borderTop: "1px solid #1e2030", paddingTop: 12, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+        <tr style={{ background: T.expanded }}>
+          <td colSpan={columns.length + 1} style={{ padding: "0 14px 14px 14px" }}>
+            <div ref={detailRef} style={{ borderTop: `1px solid ${T.chip}`, paddingTop: 12, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
               <div>
-                <div style={{ color: "#555", fontSize: 11, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>Description</div>
-                <p style={{ color: "#aaa", fontSize: 13, lineHeight: 1.6, margin: 0 }}>{loan.description}</p>
+                <div style={{ color: T.textDim, fontSize: 11, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>Description</div>
+                {["description", "descriptionOrig"].filter(f => loan[f] && (f === "description" || loan[f] !== loan.description)).map(f => (
+                  <p key={f} style={{ color: f === "description" ? T.textSoft : T.textAlt, fontSize: 13, lineHeight: 1.6, margin: "0 0 8px" }}>
+                    <HighlightedText text={loan[f]} spans={loan.phraseSpans.filter(s => s.field === f)} ageSpan={loan.ageSpan?.field === f ? loan.ageSpan : null} />
+                  </p>
+                ))}
                 <div style={{ marginTop: 10, display: "flex", gap: 6, flexWrap: "wrap" }}>
-                  <Badge text={`Partner: ${loan.partner}`} color="gray" />
-                  <Badge text={`Prior: ${loan.priorCount} loans`} color="gray" />
+                  {loan.partnerId
+                    ? <button onClick={() => onPartner(loan.partnerId)} title="Partner details" style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer" }}>
+                        <Badge text={`Partner: ${loan.partner}${partnerChanged ? " ⚠ stats changed" : ""} ›`} color={partnerChanged ? "amber" : "gray"} />
+                      </button>
+                    : <Badge text="Direct (no partner)" color="gray" />}
+                  <Badge text={`Prior: ${loan.priorCount} loans${loan.priorLoans.some(p => p.via === "name") ? ` (${loan.priorLoans.filter(p => p.via === "name").length} by name)` : ""}`} color="gray" />
+                  {loan.borrowers.length > 1 && <Badge text={`Group of ${loan.borrowers.length}`} color="gray" />}
+                  {loan.pickOrder && <Badge text={`Pick #${loan.pickOrder}`} color="blue" />}
                   <Badge text={`Country: ${(loan.countryPct * 100).toFixed(1)}%`} color={loan.countryPct >= 0.10 ? "red" : "gray"} />
                   <Badge text={`Partner: ${(loan.partnerPct * 100).toFixed(1)}%`} color={loan.partnerPct >= 0.10 ? "red" : "gray"} />
                   {loan.phraseHit && <Badge text="✓ Phrase match" color="green" />}
+                  {loan.ageSource === "inferred" && <Badge text={`Age ${loan.age} inferred`} color="blue" />}
                   {loan.tags?.slice(0, 4).map(t => <Badge key={t} text={t} color="gray" />)}
                 </div>
               </div>
+              {loan.priorLoans.length > 0 && (
+                <div style={{ gridColumn: "1 / -1", order: 1 }}>
+                  <div style={{ color: T.textDim, fontSize: 11, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>Borrower history · our {loan.priorLoans.length} prior loan{loan.priorLoans.length === 1 ? "" : "s"}</div>
+                  <MiniTable headers={["ID", "Loan", "Borrower", "Country", "Partner", "Sector", "Amount", "Term", "Matched", ...(teamHistory ? ["Lender"] : [])]} empty=""
+                    rows={loan.priorLoans.map(p => [<span style={mono}>{p.id}</span>, p.name, p.borrower, p.country, p.partner, p.sector,
+                      <span style={mono}>${p.amount}</span>, p.term !== null ? `${p.term}mo` : "—",
+                      p.via === "name" ? <Badge text="BY NAME" color="amber" /> : <Badge text="BORROWER ID" color="gray" />,
+                      ...(teamHistory ? [p.owners.join(", ")] : [])])} />
+                </div>
+              )}
               {!loan.pass && (
                 <div>
-                  <div style={{ color: "#f87171", fontSize: 11, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>Rejection reasons</div>
+                  <div style={{ color: T.bad, fontSize: 11, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>Rejection reasons</div>
                   <ul style={{ margin: 0, paddingLeft: 16 }}>
-                    {loan.reasons.map((r, i) => <li key={i} style={{ color: "#f87171", fontSize: 12, marginBottom: 4 }}>{r}</li>)}
+                    {loan.reasons.map((r, i) => <li key={i} style={{ color: T.bad, fontSize: 12, marginBottom: 4 }}>{r.text} <span style={{ color: T.badLine, fontFamily: "'DM Mono',monospace", fontSize: 10 }}>{r.ruleId}</span></li>)}
                   </ul>
                 </div>
               )}
@@ -322,55 +268,1263 @@ function LoanRow({ loan, index, onExpand, expanded }) {
   );
 }
 
+const HEAD_HEIGHT = 36;
+const COLUMN_LABELS = Object.fromEntries(COLUMNS.map(c => [c.id, c.label]));
+
+// Virtualized results table: only the rows in view (plus some overscan) are
+// rendered. Header click sorts, shift-click adds a sort key; shift-click on a
+// checkbox selects a range. Keys: ↑↓ / j k move, shift extends the selection,
+// PgUp PgDn Home End, Enter expands, Esc collapses, Space selects, Ctrl+A all.
+function ResultsTable({ loans, columns, sort, onSort, selected, onSelectIds, expanded, onExpand, rowProps }) {
+  const scrollRef = useRef(null);
+  const anchorRef = useRef(null);   // id of the last checkbox toggled
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(600);
+  const [detailHeight, setDetailHeight] = useState(260);
+  const [cursor, setCursor] = useState(0);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(() => setViewport(el.clientHeight));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const at = Math.max(0, Math.min(cursor, loans.length - 1));
+  const expandedIndex = loans.findIndex(l => l.id === expanded);
+  const range = visibleRange({
+    scrollTop: Math.max(0, scrollTop - HEAD_HEIGHT), viewport, count: loans.length, rowHeight: ROW_HEIGHT,
+    expanded: expandedIndex >= 0 ? { index: expandedIndex, height: detailHeight } : null,
+  });
+  const selectable = loans.filter(l => l.pass);
+  const allSelected = selectable.length > 0 && selectable.every(l => selected.has(l.id));
+  const toggleExpand = id => onExpand(expanded === id ? null : id);
+
+  function selectRange(a, b, on) {
+    const [lo, hi] = a < b ? [a, b] : [b, a];
+    onSelectIds(loans.slice(lo, hi + 1).filter(l => l.pass).map(l => l.id), on);
+  }
+
+  function toggleAt(index, shift) {
+    const loan = loans[index];
+    if (!loan?.pass) return;
+    const anchor = loans.findIndex(l => l.id === anchorRef.current);
+    selectRange(shift && anchor >= 0 ? anchor : index, index, !selected.has(loan.id));
+    anchorRef.current = loan.id;
+  }
+
+  function moveTo(index) {
+    setCursor(index);
+    const el = scrollRef.current;
+    const top = range.offsetOf(index);
+    if (top < el.scrollTop) el.scrollTop = top;
+    else if (top + ROW_HEIGHT + HEAD_HEIGHT > el.scrollTop + el.clientHeight) el.scrollTop = top + ROW_HEIGHT + HEAD_HEIGHT - el.clientHeight;
+  }
+
+  function onKeyDown(e) {
+    if (!loans.length || e.target !== e.currentTarget) return;
+    const page = Math.max(1, Math.floor((viewport - HEAD_HEIGHT) / ROW_HEIGHT) - 1);
+    const moves = { ArrowDown: 1, j: 1, ArrowUp: -1, k: -1, PageDown: page, PageUp: -page, Home: -Infinity, End: Infinity };
+    if (e.key in moves && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      const next = Math.max(0, Math.min(loans.length - 1, at + moves[e.key]));
+      if (e.shiftKey) selectRange(at, next, true);
+      moveTo(next);
+    } else if (e.key === "Enter") toggleExpand(loans[at].id);
+    else if (e.key === "Escape" && expanded !== null) onExpand(null);
+    else if (e.key === " " || e.key === "x") toggleAt(at, e.shiftKey);
+    else if (e.key === "a" && (e.ctrlKey || e.metaKey)) onSelectIds(selectable.map(l => l.id), true);
+    else return;
+    e.preventDefault();
+  }
+
+  const spacer = height => <tr style={{ height }}><td colSpan={columns.length + 1} style={{ padding: 0 }} /></tr>;
+  const headCell = { height: HEAD_HEIGHT, padding: "0 14px", textAlign: "left", color: T.textFaint, fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", fontWeight: 500, position: "sticky", top: 0, background: T.head, zIndex: 1, whiteSpace: "nowrap", userSelect: "none" };
+  return (
+    <div ref={scrollRef} tabIndex={0} onKeyDown={onKeyDown} onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+      aria-label="Results — arrow keys move, Enter expands, Space selects"
+      style={{ maxHeight: "70vh", overflow: "auto", borderRadius: 8, border: `1px solid ${T.line}`, outline: "none" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <th style={{ ...headCell, padding: "0 0 0 14px", width: 20 }}>
+              <input type="checkbox" checked={allSelected} disabled={!selectable.length} onChange={() => onSelectIds(selectable.map(l => l.id), !allSelected)}
+                title="Select every passing loan shown" style={{ accentColor: T.accent, cursor: "pointer" }} />
+            </th>
+            {columns.map(id => {
+              const k = sort.findIndex(s => s.id === id);
+              return (
+                <th key={id} onClick={e => onSort(toggleSort(sort, id, e.shiftKey))} title="Click to sort, shift-click to add to the sort"
+                  aria-sort={k < 0 ? "none" : sort[k].dir === "asc" ? "ascending" : "descending"}
+                  style={{ ...headCell, cursor: "pointer", color: k >= 0 ? T.accent : T.textFaint }}>
+                  {COLUMN_LABELS[id]}{k >= 0 && ` ${sort[k].dir === "asc" ? "▲" : "▼"}${sort.length > 1 ? k + 1 : ""}`}
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {loans.length === 0 && <tr><td colSpan={columns.length + 1} style={{ padding: 40, textAlign: "center", color: T.textFaint, fontSize: 13 }}>No loans match current filters.</td></tr>}
+          {range.top > 0 && spacer(range.top)}
+          {loans.slice(range.start, range.end).map((loan, k) => (
+            <LoanRow key={loan.id} loan={loan} index={range.start + k} columns={columns} expanded={expanded === loan.id} onExpand={toggleExpand}
+              selected={selected.has(loan.id)} onSelect={toggleAt} focused={range.start + k === at} onFocus={setCursor} onDetailHeight={setDetailHeight}
+              {...rowProps(loan)} />
+          ))}
+          {range.bottom > 0 && spacer(range.bottom)}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// results column chooser; at least one column stays visible
+function ColumnChooser({ columns, onChange }) {
+  const [open, setOpen] = useState(false);
+  const toggle = id => onChange(columns.includes(id)
+    ? (columns.length > 1 ? columns.filter(c => c !== id) : columns)
+    : COLUMNS.map(c => c.id).filter(c => c === id || columns.includes(c)));
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} style={{ ...smallBtn, fontSize: 12, padding: "6px 10px" }}>Columns ▾</button>
+      {open && (
+        <div style={{ position: "absolute", right: 0, top: "calc(100% + 4px)", zIndex: 5, background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, padding: 10, width: 170 }}>
+          {COLUMNS.map(c => (
+            <label key={c.id} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: columns.includes(c.id) ? T.accent : T.textQuiet, padding: "3px 0", cursor: "pointer" }}>
+              <input type="checkbox" checked={columns.includes(c.id)} onChange={() => toggle(c.id)} style={{ accentColor: T.accent }} />
+              {c.label}
+            </label>
+          ))}
+          <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+            <button onClick={() => onChange(DEFAULT_COLUMNS)} style={smallBtn}>Defaults</button>
+            <button onClick={() => setOpen(false)} style={smallBtn}>Close</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const smallBtn = { padding: "4px 8px", borderRadius: 4, border: `1px solid ${T.lineStrong}`, background: "transparent", color: T.textMuted, fontSize: 11, cursor: "pointer" };
+
+// sidebar preset manager; store is { activeId, presets }
+function PresetPanel({ store, cfg, onStoreChange, onLoadCfg }) {
+  const [error, setError] = useState(null);
+  const active = store.presets.find(p => p.id === store.activeId) ?? null;
+  const modified = active && JSON.stringify(active.cfg) !== JSON.stringify(normalizeCfg(cfg));
+
+  function select(id) {
+    const preset = store.presets.find(p => p.id === id);
+    onStoreChange({ ...store, activeId: preset ? id : null });
+    if (preset) onLoadCfg(preset.cfg);
+  }
+
+  function create() {
+    const name = window.prompt("Preset name", active ? `${active.name} copy` : "New preset");
+    if (name === null) return;
+    const presets = createPreset(store.presets, name, cfg);
+    onStoreChange({ activeId: presets[presets.length - 1].id, presets });
+  }
+
+  function rename() {
+    const name = window.prompt("Rename preset", active.name);
+    if (name !== null) onStoreChange({ ...store, presets: renamePreset(store.presets, active.id, name) });
+  }
+
+  function duplicate() {
+    const presets = duplicatePreset(store.presets, active.id);
+    onStoreChange({ activeId: presets[presets.length - 1].id, presets });
+  }
+
+  function remove() {
+    if (window.confirm(`Delete preset "${active.name}"?`))
+      onStoreChange({ activeId: null, presets: deletePreset(store.presets, active.id) });
+  }
+
+  async function importFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onStoreChange({ ...store, presets: importPresets(store.presets, await file.text()) });
+      setError(null);
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+        <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>Preset</div>
+        {modified && <span style={{ color: T.warn, fontSize: 11 }}>modified</span>}
+      </div>
+      <select value={store.activeId ?? ""} onChange={e => select(e.target.value)} aria-label="Preset"
+        style={{ width: "100%", background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "8px 10px", fontSize: 13, marginBottom: 8 }}>
+        <option value="">— Unsaved settings —</option>
+        {store.presets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+        <button onClick={create} style={smallBtn}>New</button>
+        {active && <button onClick={() => onStoreChange({ ...store, presets: updatePreset(store.presets, active.id, cfg) })} disabled={!modified} style={{ ...smallBtn, opacity: modified ? 1 : 0.4 }}>Save</button>}
+        {active && <button onClick={rename} style={smallBtn}>Rename</button>}
+        {active && <button onClick={duplicate} style={smallBtn}>Duplicate</button>}
+        {active && <button onClick={remove} style={smallBtn}>Delete</button>}
+        <button onClick={() => downloadFile("kiva-presets.json", exportPresets(store.presets), "application/json")} disabled={store.presets.length === 0} style={{ ...smallBtn, opacity: store.presets.length ? 1 : 0.4 }}>Export</button>
+        <label className="focus-ring" style={smallBtn}>
+          Import
+          <input type="file" accept="application/json,.json" className="sr-only" onChange={importFile} />
+        </label>
+      </div>
+      {error && <div style={{ color: T.bad, fontSize: 11, marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
+
+// sidebar team: teammates' portfolios that caps and tiers count along with ours.
+// members: see team.mjs; counts: member id -> cached loan count; live: ids
+// whose sign-in is still held, so they can be refreshed
+function TeamPanel({ account, ownCount, members, counts, live, onAddLender, onImport, onExport, onRefresh, onRemove }) {
+  const [form, setForm] = useState(null);   // { email, password, busy } while adding a lender
+  const [error, setError] = useState(null);
+
+  async function run(fn) {
+    try {
+      await fn();
+      setError(null);
+      return true;
+    } catch (e) {
+      setError(e.message);
+      return false;
+    }
+  }
+
+  async function submit() {
+    setForm(f => ({ ...f, busy: true }));
+    const ok = await run(() => onAddLender(form.email.trim(), form.password));
+    setForm(ok ? null : f => ({ ...f, busy: false }));
+  }
+
+  async function importFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) await run(async () => onImport(await file.text(), file.name));
+  }
+
+  const row = (key, label, kind, count, fetchedAt, actions) => (
+    <div key={key} style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: T.textMuted, marginBottom: 4 }}>
+      <span style={{ flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={label}>{label}</span>
+      <span style={{ color: T.textFaint, fontSize: 10 }} title={fetchedAt ? `as of ${formatAge(Date.now() - fetchedAt)}` : undefined}>{kind}</span>
+      <span style={{ ...mono, color: T.textDim, minWidth: 28, textAlign: "right" }}>{count ?? "—"}</span>
+      {actions}
+    </div>
+  );
+
+  return (
+    <div>
+      <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Team</div>
+      {members.length > 0 && (
+        <>
+          {row("own", account, "you", ownCount, null, null)}
+          {members.map(m => row(m.id, m.label, m.kind === "session" ? "signed in" : "snapshot", counts[m.id], m.fetchedAt, <>
+            {live.has(m.id) && <button onClick={() => run(() => onRefresh(m))} aria-label={`Refresh ${m.label}`} title="Refresh this portfolio" style={{ ...smallBtn, padding: "0 5px" }}>↻</button>}
+            <button onClick={() => onRemove(m)} aria-label={`Remove ${m.label}`} title="Remove from the team" style={{ ...smallBtn, padding: "0 5px" }}>×</button>
+          </>))}
+        </>
+      )}
+      {members.length === 0 && <div style={{ color: T.textGhost, fontSize: 11, marginBottom: 8 }}>Add teammates' portfolios so caps and repeat-borrower tiers count the whole team's holdings.</div>}
+      {form && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, margin: "6px 0" }}>
+          <input type="email" value={form.email} onChange={e => setForm(f => ({ ...f, email: e.target.value }))} placeholder="Teammate's Kiva email" aria-label="Teammate's Kiva email" autoComplete="off" style={fieldInput} />
+          <input type="password" value={form.password} onChange={e => setForm(f => ({ ...f, password: e.target.value }))} onKeyDown={e => e.key === "Enter" && submit()}
+            placeholder="Password" aria-label="Teammate's Kiva password" autoComplete="off" style={fieldInput} />
+          <div style={{ display: "flex", gap: 6 }}>
+            <button onClick={submit} disabled={form.busy || !form.email.trim() || !form.password} style={smallBtn}>{form.busy ? "Signing in…" : "Add"}</button>
+            <button onClick={() => setForm(null)} style={smallBtn}>Cancel</button>
+          </div>
+          <div style={{ color: T.textGhost, fontSize: 11 }}>The password is used once; the sign-in lasts until this tab closes.</div>
+        </div>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
+        {!form && <button onClick={() => setForm({ email: "", password: "", busy: false })} style={smallBtn}>Add lender</button>}
+        <label className="focus-ring" style={smallBtn}>
+          Import snapshot
+          <input type="file" accept="application/json,.json" className="sr-only" onChange={importFile} />
+        </label>
+        <button onClick={() => run(onExport)} title="Download your portfolio for a teammate to import" style={smallBtn}>Export mine</button>
+      </div>
+      {error && <div role="alert" style={{ color: T.bad, fontSize: 11, marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
+
+// include / exclude chips: click cycles neutral → include → exclude → neutral.
+// options: [{ value, label, count? }]; include / exclude hold values (exclude may
+// also hold labels, from presets saved before sector ids)
+function IncludeExcludePicker({ title, note, options, include, exclude, onChange }) {
+  const [query, setQuery] = useState("");
+  const isOut = o => exclude.some(x => x === o.value || x === o.label);
+  const shown = options.filter(o => !query || o.label.toLowerCase().includes(query.toLowerCase()) || include.includes(o.value) || isOut(o));
+  function cycle(o) {
+    const inc = include.filter(x => x !== o.value), exc = exclude.filter(x => x !== o.value && x !== o.label);
+    if (include.includes(o.value)) onChange(inc, [...exc, o.value]);
+    else if (isOut(o)) onChange(inc, exc);
+    else onChange([...inc, o.value], exc);
+  }
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 6 }}>
+        <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>{title}</div>
+        {(include.length > 0 || exclude.length > 0) && (
+          <button onClick={() => onChange([], [])} style={{ ...smallBtn, border: "none", padding: 0 }}>
+            {include.length > 0 && `+${include.length} `}{exclude.length > 0 && `−${exclude.length} `}· clear
+          </button>
+        )}
+      </div>
+      <div style={{ color: T.textGhost, fontSize: 11, marginBottom: 8 }}>{note}</div>
+      {options.length > 12 && (
+        <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search…" aria-label={`Search ${title.toLowerCase()}`} style={{ ...fieldInput, width: "100%", marginBottom: 8 }} />
+      )}
+      <div role="group" aria-label={title} style={{ display: "flex", flexWrap: "wrap", gap: 6, maxHeight: 150, overflowY: "auto" }}>
+        {shown.map(o => {
+          const state = include.includes(o.value) ? "in" : isOut(o) ? "out" : null;
+          return (
+            <button key={o.value} onClick={() => cycle(o)} aria-label={`${o.label}: ${state === "in" ? "included" : state === "out" ? "excluded" : "not filtered"}`} title={state === "in" ? "Included — click to exclude" : state === "out" ? "Excluded — click to clear" : "Click to include"}
+              style={{ padding: "4px 10px", borderRadius: 4, border: "1px solid", fontSize: 12, cursor: "pointer",
+                borderColor: state === "in" ? T.goodLine : state === "out" ? T.badLine : T.lineStrong,
+                background: state === "in" ? T.goodBg : state === "out" ? T.badBg : "transparent",
+                color: state === "in" ? T.good : state === "out" ? T.bad : T.textQuiet, textDecoration: state === "out" ? "line-through" : "none" }}>
+              {state === "in" ? "+ " : state === "out" ? "− " : ""}{o.label}
+              {o.count !== undefined && <span style={{ color: T.textFaint, marginLeft: 4, fontFamily: "'DM Mono',monospace", fontSize: 10 }}>{o.count}</span>}
+            </button>
+          );
+        })}
+        {shown.length === 0 && <span style={{ color: T.textGhost, fontSize: 11 }}>{options.length ? "No match" : "Loads after sign-in"}</span>}
+      </div>
+    </div>
+  );
+}
+
+const fieldInput = { background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 4, color: T.accent, padding: "4px 6px", fontSize: 12, minWidth: 0 };
+const newCondition = () => ({ field: "term", cmp: "lte", value: "" });
+
+// nested AND/OR condition editor for custom rules
+function ConditionGroup({ group, onChange, onRemove, depth = 0 }) {
+  const setItem = (i, item) => onChange({ ...group, items: group.items.map((x, j) => j === i ? item : x) });
+  const removeItem = i => onChange({ ...group, items: group.items.filter((_, j) => j !== i) });
+  return (
+    <div style={{ border: `1px solid ${T.chip}`, borderRadius: 6, padding: 8, display: "flex", flexDirection: "column", gap: 6 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <select value={group.op} onChange={e => onChange({ ...group, op: e.target.value })} aria-label="Combine conditions" style={fieldInput}>
+          <option value="AND">ALL of</option>
+          <option value="OR">ANY of</option>
+        </select>
+        {onRemove && <button onClick={onRemove} aria-label="Remove group" style={{ ...smallBtn, marginLeft: "auto" }}>×</button>}
+      </div>
+      {group.items.map((item, i) => item.items
+        ? <ConditionGroup key={i} group={item} depth={depth + 1} onChange={g => setItem(i, g)} onRemove={() => removeItem(i)} />
+        : (
+          <div key={i} style={{ display: "flex", gap: 4 }}>
+            <select value={item.field} onChange={e => setItem(i, { ...item, field: e.target.value })} aria-label="Loan field" style={{ ...fieldInput, flex: 2 }}>
+              {Object.keys(RULE_FIELDS).map(f => <option key={f} value={f}>{f}</option>)}
+            </select>
+            <select value={item.cmp} onChange={e => setItem(i, { ...item, cmp: e.target.value })} aria-label="Comparison" style={{ ...fieldInput, flex: 1 }}>
+              {Object.entries(RULE_CMPS).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+            </select>
+            {item.cmp !== "isNull" && item.cmp !== "notNull" &&
+              <input value={item.value} onChange={e => setItem(i, { ...item, value: e.target.value })} aria-label="Value" style={{ ...fieldInput, flex: 2 }} />}
+            <button onClick={() => removeItem(i)} aria-label="Remove condition" style={smallBtn}>×</button>
+          </div>
+        ))}
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={() => onChange({ ...group, items: [...group.items, newCondition()] })} style={smallBtn}>+ condition</button>
+        {depth < 2 && <button onClick={() => onChange({ ...group, items: [...group.items, { op: "OR", items: [newCondition()] }] })} style={smallBtn}>+ group</button>}
+      </div>
+    </div>
+  );
+}
+
+// rule list with enable toggles + custom rule builder; rules live in cfg
+function RulesPanel({ cfg, setCfg }) {
+  const [draft, setDraft] = useState(null);
+  const rules = resolveRules(cfg);
+
+  function toggle(id, enabled) {
+    setCfg(c => ({ ...c, disabledRules: enabled ? c.disabledRules.filter(x => x !== id) : [...c.disabledRules, id] }));
+  }
+
+  function removeCustom(id) {
+    setCfg(c => ({ ...c, customRules: c.customRules.filter(r => r.id !== id), disabledRules: c.disabledRules.filter(x => x !== id) }));
+  }
+
+  function saveDraft() {
+    const rule = { id: `custom-${Date.now().toString(36)}`, label: draft.label.trim() || "Custom rule", when: draft.when };
+    if (draft.reason.trim()) rule.reason = draft.reason.trim();
+    setCfg(c => ({ ...c, customRules: [...c.customRules, rule] }));
+    setDraft(null);
+  }
+
+  return (
+    <div>
+      <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Rules</div>
+      {rules.map(r => (
+        <label key={r.id} title={r.custom ? describeCondition(cfg.customRules.find(c => c.id === r.id).when) : r.id}
+          style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: r.enabled ? T.textMuted : T.textFaint, padding: "3px 0", cursor: "pointer" }}>
+          <input type="checkbox" checked={r.enabled} onChange={e => toggle(r.id, e.target.checked)} style={{ accentColor: T.accent }} />
+          <span style={{ flex: 1 }}>{r.label}</span>
+          {r.custom && <button onClick={e => { e.preventDefault(); removeCustom(r.id); }} style={smallBtn}>×</button>}
+        </label>
+      ))}
+      {draft ? (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 8 }}>
+          <input value={draft.label} onChange={e => setDraft(d => ({ ...d, label: e.target.value }))} placeholder="Rule label" style={fieldInput} />
+          <div style={{ color: T.textGhost, fontSize: 11 }}>Loans must match:</div>
+          <ConditionGroup group={draft.when} onChange={when => setDraft(d => ({ ...d, when }))} />
+          <input value={draft.reason} onChange={e => setDraft(d => ({ ...d, reason: e.target.value }))}
+            placeholder="Reason (optional, e.g. Term {term}mo too long)" style={fieldInput} />
+          <div style={{ display: "flex", gap: 6 }}>
+            <button onClick={saveDraft} disabled={draft.when.items.length === 0} style={smallBtn}>Add rule</button>
+            <button onClick={() => setDraft(null)} style={smallBtn}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={() => setDraft({ label: "", reason: "", when: { op: "AND", items: [newCondition()] } })} style={{ ...smallBtn, marginTop: 8 }}>+ Custom rule</button>
+      )}
+    </div>
+  );
+}
+
+// one colour per batch, in cfg.batches order: stat cards, the portfolio bar
+const BATCH_COLORS = [T.infoStrong, T.warn, T.violet, T.good, T.info, T.bad];
+const batchColor = i => BATCH_COLORS[i % BATCH_COLORS.length];
+
+// batch definitions editor; default rates are edited in percent, an empty bound is unbounded
+function BatchEditor({ cfg, setCfg }) {
+  const [open, setOpen] = useState(false);
+  const problems = batchProblems(cfg.batches);
+  // dropping the batch being lent in falls back to any batch
+  const setBatches = batches => setCfg(c => ({ ...c, batches, batch: batches.some(b => b.id === c.batch) ? c.batch : ANY_BATCH }));
+  const update = (i, patch) => setBatches(cfg.batches.map((b, j) => j === i ? { ...b, ...patch } : b));
+  const shown = (v, scale) => Number.isFinite(v) ? +(v * scale).toFixed(4) : "";
+  const parsed = (text, scale) => text.trim() === "" ? null : Number(text) / scale;
+
+  if (!open) return <button onClick={() => setOpen(true)} style={{ ...smallBtn, marginTop: 8 }}>Edit batches</button>;
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 8 }}>
+      {cfg.batches.map((b, i) => (
+        <div key={b.id} style={{ border: `1px solid ${T.chip}`, borderLeft: `3px solid ${batchColor(i)}`, borderRadius: 6, padding: 8, display: "flex", flexDirection: "column", gap: 6 }}>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input value={b.name} onChange={e => update(i, { name: e.target.value })} aria-label={`Batch ${b.id} name`} style={{ ...fieldInput, flex: 1 }} />
+            <button onClick={() => setBatches(cfg.batches.filter((_, j) => j !== i))} disabled={cfg.batches.length === 1} aria-label={`Remove ${b.name}`} style={smallBtn}>×</button>
+          </div>
+          {[["risk", "Risk", 1, 0.5], ["defaultRate", "Default %", 100, 0.1]].map(([key, label, scale, step]) => (
+            <div key={key} style={{ display: "flex", gap: 4, alignItems: "center" }}>
+              <span style={{ width: 64, color: T.textFaint, fontSize: 11 }}>{label}</span>
+              {["min", "max"].map(end => (
+                <input key={end} type="number" step={step} value={shown(b[key][end], scale)} placeholder={`no ${end}`}
+                  onChange={e => update(i, { [key]: { ...b[key], [end]: parsed(e.target.value, scale) } })}
+                  aria-label={`${b.name} ${label} ${end}`} style={{ ...fieldInput, flex: 1, width: 0 }} />
+              ))}
+            </div>
+          ))}
+          <label style={{ display: "flex", gap: 4, alignItems: "center", color: T.textFaint, fontSize: 11 }}>
+            <span style={{ width: 64 }}>Lend</span>
+            <select value={b.lendAmount ?? ""} onChange={e => update(i, { lendAmount: e.target.value === "" ? null : Number(e.target.value) })} style={{ ...fieldInput, flex: 1 }}>
+              <option value="">tier amount</option>
+              {Array.from({ length: 20 }, (_, k) => (k + 1) * SHARE).map(v => <option key={v} value={v}>${v}</option>)}
+            </select>
+          </label>
+        </div>
+      ))}
+      {problems.length > 0 && (
+        <div role="alert" style={{ color: T.bad, fontSize: 11 }}>{problems.map(p => <div key={p}>{p}</div>)}</div>
+      )}
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={() => { const id = nextBatchId(cfg.batches); setBatches([...cfg.batches, { id, name: `Batch ${id}`, risk: { min: null, max: null }, defaultRate: { min: null, max: null }, lendAmount: null }]); }} style={smallBtn}>+ Batch</button>
+        <button onClick={() => setBatches(DEFAULT_BATCHES)} style={smallBtn}>Defaults</button>
+        <button onClick={() => setOpen(false)} style={{ ...smallBtn, marginLeft: "auto" }}>Done</button>
+      </div>
+    </div>
+  );
+}
+
+const th = { padding: "8px 12px", textAlign: "left", color: T.textFaint, fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", fontWeight: 500 };
+const td = { padding: "8px 12px", fontSize: 12, color: T.textMuted, borderTop: `1px solid ${T.lineFaint}` };
+const mono = { fontFamily: "'DM Mono',monospace" };
+
+function MiniTable({ headers, rows, empty }) {
+  return (
+    <div style={{ overflowX: "auto", borderRadius: 8, border: `1px solid ${T.line}` }}>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead><tr style={{ background: T.head }}>{headers.map(h => <th key={h} style={th}>{h}</th>)}</tr></thead>
+        <tbody>
+          {rows.length === 0 && <tr><td colSpan={headers.length} style={{ ...td, textAlign: "center", color: T.textFaint, padding: 20 }}>{empty}</td></tr>}
+          {rows.map((r, i) => <tr key={i}>{r.map((c, j) => <td key={j} style={td}>{c}</td>)}</tr>)}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// budget allocator output: chosen set, what was left out, distribution shift
+function AllocationTab({ allocation, budget }) {
+  const { chosen, leftOut, spent, remaining, distribution } = allocation;
+  const section = { color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", margin: "24px 0 10px" };
+  return (
+    <div>
+      <div style={{ color: T.textMuted, fontSize: 13 }}>
+        Funding <span style={{ color: T.good, ...mono }}>{chosen.length}</span> loans for{" "}
+        <span style={{ color: T.accent, ...mono }}>${spent.toLocaleString()}</span> of ${budget.toLocaleString()}
+        {" · "}<span style={mono}>${remaining.toLocaleString()}</span> unspent
+      </div>
+      <div style={section}>Chosen</div>
+      <MiniTable headers={["ID", "Borrower", "Country", "Partner", "Tier", "Score", "Lend"]} empty="Nothing fits the budget."
+        rows={chosen.map(l => [<span style={mono}>{l.id}</span>, l.name, l.country, l.partner, l.tier, <span style={mono}>{l.score.toFixed(2)}</span>, <span style={{ ...mono, color: T.good }}>${l.lendAmount}</span>])} />
+      <div style={section}>Left out</div>
+      <MiniTable headers={["ID", "Borrower", "Country", "Score", "Lend", "Why"]} empty="Every passing loan fits."
+        rows={leftOut.map(l => [<span style={mono}>{l.id}</span>, l.name, l.country, <span style={mono}>{l.score.toFixed(2)}</span>, <span style={mono}>${l.lendAmount}</span>, <span style={{ color: T.warn }}>{l.why}</span>])} />
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20 }}>
+        {[["Country", distribution.country], ["Partner", distribution.partner]].map(([title, rows]) => (
+          <div key={title}>
+            <div style={section}>{title} distribution</div>
+            <MiniTable headers={[title, "Before", "After", "Added"]} empty="—"
+              rows={rows.slice(0, 14).map(r => [r.k, <span style={mono}>{r.before.toFixed(1)}%</span>,
+                <span style={{ ...mono, color: r.after > r.before ? T.warn : T.textMuted }}>{r.after.toFixed(1)}%</span>,
+                r.added ? <span style={{ color: T.good }}>+{r.added}</span> : ""])} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// which rules reject the most, loans one rule away from passing, and what-if
+// tweaks re-run over the fetched candidates
+function NearMissTab({ candidates, portfolio, cfg, results, onApply }) {
+  const [tweak, setTweak] = useState({ maxTerm: cfg.maxTerm, countryCap: cfg.countryCap, partnerCap: cfg.partnerCap, dropPhrase: false });
+  const [open, setOpen] = useState(null);
+  const impact = useMemo(() => ruleImpact(candidates, portfolio, cfg, results), [candidates, portfolio, cfg, results]);
+  const misses = useMemo(() => nearMisses(results, cfg), [results, cfg]);
+  const changed = tweak.maxTerm !== cfg.maxTerm || tweak.countryCap !== cfg.countryCap || tweak.partnerCap !== cfg.partnerCap || tweak.dropPhrase;
+  const outcome = useMemo(() => changed ? whatIf(candidates, portfolio, cfg, tweak, results) : null, [candidates, portfolio, cfg, results, tweak, changed]);
+  const passingNow = results.filter(l => l.pass).length;
+  const maxRejects = Math.max(1, ...impact.map(r => r.rejects));
+  // striped as well as grey, so the two bar segments differ without colour
+  const STRIPES = `repeating-linear-gradient(45deg, ${T.bar} 0 3px, ${T.input} 3px 5px)`;
+  const section = { color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", margin: "24px 0 10px" };
+  const num = (key, label, quick, unit) => (
+    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 11, color: T.textDim }}>
+      {label}
+      <span style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input type="number" value={tweak[key]} onChange={e => setTweak(t => ({ ...t, [key]: Number(e.target.value) }))} style={{ ...fieldInput, width: 64 }} />
+        <button onClick={() => setTweak(t => ({ ...t, [key]: quick }))} style={smallBtn}>{quick}{unit}</button>
+      </span>
+    </label>
+  );
+
+  return (
+    <div>
+      <div style={{ ...section, marginTop: 0 }}>Rejections by rule</div>
+      {impact.length === 0 && <div style={{ color: T.textFaint, fontSize: 13 }}>No rule rejects anything in this scan.</div>}
+      {impact.map(r => (
+        <div key={r.ruleId} style={{ display: "grid", gridTemplateColumns: "180px 1fr 150px", gap: 12, alignItems: "center", marginBottom: 6, fontSize: 12 }}>
+          <span style={{ color: T.textMuted }}>{r.label}</span>
+          <div style={{ height: 14, background: T.input, borderRadius: 3, overflow: "hidden", display: "flex" }}>
+            <div title={`${r.sole} fail only this rule`} style={{ width: `${r.sole / maxRejects * 100}%`, background: T.warn }} />
+            <div title={`${r.rejects - r.sole} also fail other rules`} style={{ width: `${(r.rejects - r.sole) / maxRejects * 100}%`, background: STRIPES }} />
+          </div>
+          <span style={{ ...mono, color: T.textMuted }}>{r.rejects} · <span style={{ color: r.gainIfOff ? T.good : T.textFaint }}>+{r.gainIfOff} if off</span></span>
+        </div>
+      ))}
+      {impact.length > 0 && <div style={{ color: T.textFaint, fontSize: 11, marginTop: 4 }}><span style={{ color: T.warn }}>■</span> only reason the loan fails · <span style={{ display: "inline-block", width: 10, height: 10, background: STRIPES, verticalAlign: "middle" }} /> fails other rules too</div>}
+
+      <div style={section}>What if</div>
+      <div style={{ display: "flex", gap: 18, alignItems: "flex-end", flexWrap: "wrap" }}>
+        {num("maxTerm", "Max term (months)", 14, "mo")}
+        {num("countryCap", "Country cap (%)", 12, "%")}
+        {num("partnerCap", "Partner cap (%)", 12, "%")}
+        <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: T.textMuted, cursor: "pointer", paddingBottom: 4 }}>
+          <input type="checkbox" checked={tweak.dropPhrase} onChange={e => setTweak(t => ({ ...t, dropPhrase: e.target.checked }))} style={{ accentColor: T.accent }} />
+          Drop the phrase requirement
+        </label>
+        <button onClick={() => setTweak({ maxTerm: cfg.maxTerm, countryCap: cfg.countryCap, partnerCap: cfg.partnerCap, dropPhrase: false })} style={smallBtn}>Reset</button>
+      </div>
+      {outcome && (
+        <div style={{ marginTop: 14 }}>
+          <div style={{ color: T.textMuted, fontSize: 13, marginBottom: 8 }}>
+            Passing {passingNow} → <span style={{ color: T.accent, ...mono }}>{outcome.passing}</span>
+            {" · "}<span style={{ color: T.good }}>+{outcome.gained.length}</span>
+            {outcome.lost.length > 0 && <> · <span style={{ color: T.bad }}>−{outcome.lost.length}</span> (pushed out by the caps)</>}
+            <button onClick={() => onApply(outcome.cfg)} style={{ ...smallBtn, marginLeft: 12, color: T.accent, borderColor: T.accentLine }}>Apply to settings</button>
+          </div>
+          {outcome.refetch && <div style={{ color: T.warn, fontSize: 12, marginBottom: 8 }}>This also loosens a server-side filter, so loans it would add were never fetched — the count above is a floor. Apply and run again for the full picture.</div>}
+          <MiniTable headers={["Newly passing", "Country", "Term", "Lend"]} empty="No extra loans from this scan."
+            rows={outcome.gained.map(l => [<>{l.name} <span style={{ ...mono, color: T.textFaint }}>#{l.id}</span></>, l.country, l.term !== null ? `${l.term}mo` : "—", <span style={mono}>${l.lendAmount}</span>])} />
+        </div>
+      )}
+
+      <div style={section}>Near misses — failing exactly one rule</div>
+      {misses.length === 0 && <div style={{ color: T.textFaint, fontSize: 13 }}>No loan is a single rule away from passing.</div>}
+      {misses.map(g => (
+        <div key={g.ruleId} style={{ marginBottom: 10 }}>
+          <button onClick={() => setOpen(o => o === g.ruleId ? null : g.ruleId)}
+            style={{ background: "transparent", border: "none", color: T.accent, fontSize: 13, cursor: "pointer", padding: "4px 0" }}>
+            {open === g.ruleId ? "▾" : "▸"} {g.label} · <span style={mono}>{g.loans.length}</span>
+          </button>
+          {open === g.ruleId && (
+            <MiniTable headers={["ID", "Borrower", "Country", "Reason"]} empty="—"
+              rows={g.loans.map(l => [<span style={mono}>{l.id}</span>, l.name, l.country, <span style={{ color: T.warn }}>{l.reasons[0].text}</span>])} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// field partners in this scan and the portfolio, with a detail panel for one
+function PartnersTab({ results, portfolio, cfg, stats, details, selectedId, onSelect, onList, onAcknowledge }) {
+  const rollup = useMemo(() => partnerRollup(results, portfolio), [results, portfolio]);
+  const team = portfolio.some(l => l.owners.length > 0);
+  const changes = new Map(partnerChanges(stats).map(c => [c.id, c]));
+  const selected = rollup.find(p => p.id === selectedId) ?? null;
+  const listOf = id => cfg.partnerBlock.includes(id) ? "block" : cfg.partnerAllow.includes(id) ? "allow" : null;
+  const unseenListed = [...cfg.partnerAllow, ...cfg.partnerBlock].filter(id => !rollup.some(p => p.id === id));
+  const pctOf = v => v !== null && v !== undefined ? `${(v * 100).toFixed(2)}%` : "—";
+  const section = { color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", margin: "24px 0 10px" };
+  const listBadge = id => listOf(id) === "block" ? <Badge text="BLOCKED" color="red" /> : listOf(id) === "allow" ? <Badge text="ALLOWED" color="green" /> : null;
+  const changeText = c => [
+    c.from.riskRating !== c.to.riskRating && `risk ${c.from.riskRating ?? "?"} → ${c.to.riskRating ?? "?"}`,
+    c.from.defaultRate !== c.to.defaultRate && `default ${pctOf(c.from.defaultRate)} → ${pctOf(c.to.defaultRate)}`,
+  ].filter(Boolean).join(", ");
+
+  function DetailPanel({ p }) {
+    const d = details[p.id];
+    const change = changes.get(p.id);
+    const cell = (label, value) => (
+      <div style={{ background: T.input, borderRadius: 6, padding: "8px 12px" }}>
+        <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 4 }}>{label}</div>
+        <div style={{ color: T.accent, fontSize: 13, ...mono }}>{value ?? "—"}</div>
+      </div>
+    );
+    return (
+      <div style={{ background: T.panel, border: `1px solid ${T.line}`, borderRadius: 8, padding: "16px 20px", marginBottom: 24 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 14 }}>
+          <span style={{ color: T.accent, fontSize: 16 }}>{p.name}</span>
+          <span style={{ ...mono, color: T.textFaint, fontSize: 12 }}>#{p.id}</span>
+          {d?.status && <Badge text={d.status.toUpperCase()} color={d.status === "active" ? "green" : "gray"} />}
+          {listBadge(p.id)}
+          <span style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+            <button onClick={() => onList(p.id, listOf(p.id) === "allow" ? null : "allow")} style={{ ...smallBtn, color: T.good }}>{listOf(p.id) === "allow" ? "Remove from allowlist" : "Allow"}</button>
+            <button onClick={() => onList(p.id, listOf(p.id) === "block" ? null : "block")} style={{ ...smallBtn, color: T.bad }}>{listOf(p.id) === "block" ? "Unblock" : "Block"}</button>
+            <button onClick={() => onSelect(null)} style={smallBtn}>Close</button>
+          </span>
+        </div>
+        {change && (
+          <div style={{ display: "flex", gap: 10, alignItems: "center", background: T.noticeBg, border: `1px solid ${T.warnLine}`, borderRadius: 6, padding: "8px 12px", color: T.warn, fontSize: 12, marginBottom: 14 }}>
+            Changed since last seen: {changeText(change)} ({new Date(change.at).toLocaleDateString()})
+            <button onClick={() => onAcknowledge(p.id)} style={{ ...smallBtn, marginLeft: "auto", color: T.warn, borderColor: T.warnLine }}>Acknowledge</button>
+          </div>
+        )}
+        {d === undefined && <div style={{ color: T.textDim, fontSize: 12, marginBottom: 12 }}>Loading partner details…</div>}
+        {d === null && <div style={{ color: T.textDim, fontSize: 12, marginBottom: 12 }}>The gateway has no details for this partner; showing what the loans carry.</div>}
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 8 }}>
+          {cell("Risk rating", d?.riskRating ?? p.riskRating)}
+          {cell("Default rate", pctOf(d?.defaultRate ?? p.defaultRate))}
+          {cell("Delinquency", pctOf(d?.delinquencyRate))}
+          {cell("Profitability", d?.profitability !== null && d?.profitability !== undefined ? `${(d.profitability * 100).toFixed(1)}%` : "—")}
+          {cell("Loans posted", d?.loansPosted?.toLocaleString())}
+          {cell("Raised", d?.totalAmountRaised ? `$${Number(d.totalAmountRaised).toLocaleString()}` : null)}
+          {cell("Countries", d?.countries?.map(c => c.name).join(", "))}
+          {cell("Batch", batchOf({ risk: p.riskRating, defRate: p.defaultRate }, cfg.batches)?.name ?? "neither")}
+        </div>
+        <div style={section}>Candidates from this partner · {p.candidates.length}</div>
+        <MiniTable headers={["ID", "Borrower", "Country", "Result"]} empty="None in this scan."
+          rows={p.candidates.map(l => [<span style={mono}>{l.id}</span>, l.name, l.country,
+            l.pass ? <Badge text="PASS" color="green" /> : <span style={{ color: T.bad, fontSize: 12 }}>{l.reasons.map(r => r.text).join("; ")}</span>])} />
+        <div style={section}>In {team ? "the team" : "your"} portfolio · {p.portfolio.length}</div>
+        <MiniTable headers={["ID", "Borrower", "Country", "Sector", ...(team ? ["Lender"] : [])]} empty={team ? "The team holds no loans from this partner." : "You hold no loans from this partner."}
+          rows={p.portfolio.map(l => [<span style={mono}>{l.id}</span>, l.name, l.country, l.sector, ...(team ? [l.owners.join(", ")] : [])])} />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {selected && <DetailPanel p={selected} />}
+      <div style={{ color: T.textMuted, fontSize: 13, marginBottom: 12 }}>
+        {rollup.length} partners across this scan and {team ? "the team" : "your"} portfolio
+        {" · "}allowlist {cfg.partnerAllow.length ? cfg.partnerAllow.length : "off"} · blocklist {cfg.partnerBlock.length}
+        {changes.size > 0 && <> · <span style={{ color: T.warn }}>{changes.size} with changed stats</span></>}
+      </div>
+      <MiniTable headers={["Partner", "Risk", "Default", "Candidates", "Passing", "Portfolio", "List", "Since last seen"]} empty="No partner loans loaded."
+        rows={rollup.map(p => [
+          <button onClick={() => onSelect(p.id)} style={{ background: "transparent", border: "none", padding: 0, color: p.id === selectedId ? T.accent : T.info, fontSize: 13, cursor: "pointer", textAlign: "left" }}>{p.name}</button>,
+          <span style={mono}>{p.riskRating ?? "—"}</span>,
+          <span style={mono}>{pctOf(p.defaultRate)}</span>,
+          <span style={mono}>{p.candidates.length}</span>,
+          <span style={{ ...mono, color: p.passing ? T.good : T.textFaint }}>{p.passing}</span>,
+          <span style={mono} title={describeOwners(p.portfolio) || undefined}>{p.portfolio.length}</span>,
+          listBadge(p.id),
+          changes.has(p.id) ? <span style={{ color: T.warn, fontSize: 12 }}>⚠ {changeText(changes.get(p.id))}</span> : "",
+        ])} />
+      {unseenListed.length > 0 && (
+        <div style={{ color: T.textDim, fontSize: 12, marginTop: 10, display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+          Listed but not in this scan:
+          {unseenListed.map(id => (
+            <button key={id} onClick={() => onList(id, null)} title="Remove from the list" style={smallBtn}>#{id} {listOf(id) === "block" ? "blocked" : "allowed"} ✕</button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// earlier runs and a diff between any two of them
+function HistoryTab({ history, onDelete, onClear }) {
+  const [pick, setPick] = useState({ a: history[1]?.id, b: history[0]?.id });
+  const runA = history.find(r => r.id === pick.a) ?? history[1] ?? history[0];
+  const runB = history.find(r => r.id === pick.b) ?? history[0];
+  // always diff older -> newer, whichever way round they were picked
+  const [older, newer] = runA.at <= runB.at ? [runA, runB] : [runB, runA];
+  const diff = older !== newer ? diffRuns(older, newer) : null;
+  const section = { color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", margin: "24px 0 10px" };
+  const when = r => new Date(r.at).toLocaleString();
+  const show = v => Array.isArray(v) ? (v.length ? v.map(x => typeof x === "object" ? x.label ?? x.id : x).join(", ") : "none")
+    : v !== null && typeof v === "object" ? Object.entries(v).map(([k, w]) => `${k}×${w}`).join(", ")
+    : String(v);
+  const loanCell = l => <>{l.name} <span style={{ ...mono, color: T.textFaint }}>#{l.id}</span></>;
+  const causes = rules => rules.map(r => (
+    <div key={r.ruleId} style={{ display: "flex", gap: 6, alignItems: "baseline", marginBottom: 2 }}>
+      <Badge text={r.cause === "settings" ? "settings" : "Kiva data"} color={r.cause === "settings" ? "blue" : "amber"} />
+      <span style={{ color: T.textMuted }}>{r.label}: {r.text}</span>
+    </div>
+  ));
+  const radio = (slot, run) => (
+    <input type="radio" name={`history-${slot}`} checked={(slot === "a" ? runA : runB) === run}
+      onChange={() => setPick(p => ({ ...p, [slot]: run.id }))} style={{ accentColor: T.accent, cursor: "pointer" }} />
+  );
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <div style={{ color: T.textMuted, fontSize: 13 }}>{history.length} run{history.length === 1 ? "" : "s"} kept in this browser. Pick two to compare.</div>
+        <button onClick={onClear} style={{ ...smallBtn, borderColor: T.badLine, color: T.bad }}>Clear history</button>
+      </div>
+      <div style={section}>Runs</div>
+      <MiniTable headers={["A", "B", "When", "Preset", "Passing", "Scanned", "Order", "Delete"]} empty="No runs yet."
+        rows={history.map(r => [radio("a", r), radio("b", r), <span style={mono}>{when(r)}</span>, r.label ?? <span style={{ color: T.textFaint }}>—</span>,
+          <span style={{ ...mono, color: T.good }}>{r.passing}</span>,
+          <span style={mono}>{r.total}{r.partial ? " (partial)" : ""}</span>,
+          `${SORT_ORDERS[r.scan?.sortBy] ?? "—"} · ${r.scan?.maxPages ?? "?"}p`,
+          <button onClick={() => onDelete(r.id)} style={{ background: "transparent", border: "none", color: T.textDim, cursor: "pointer" }}>✕</button>])} />
+
+      {!diff && <div style={{ color: T.textFaint, fontSize: 13, marginTop: 24 }}>Pick two different runs to see what changed.</div>}
+      {diff && (
+        <>
+          <div style={section}>{when(older)} → {when(newer)}</div>
+          <div style={{ color: T.textMuted, fontSize: 13, marginBottom: 12 }}>
+            Passing {older.passing} → <span style={{ color: T.accent }}>{newer.passing}</span>
+            {" · "}{diff.appeared.length} appeared · {diff.disappeared.length} gone · {diff.nowPassing.length} now passing · {diff.nowFailing.length} now failing
+          </div>
+          <MiniTable headers={["Setting", "Was", "Now"]} empty="Same settings in both runs — every switch below comes from Kiva's data."
+            rows={diff.cfgChanges.map(c => [<span style={mono}>{c.key}</span>, <span style={{ color: T.textMuted }}>{show(c.from)}</span>, <span style={{ color: T.accent }}>{show(c.to)}</span>])} />
+          {diff.serverChanged && <div style={{ color: T.warn, fontSize: 12, marginTop: 8 }}>Server filters or scan options differ, so some loans appeared or vanished because of the settings rather than funding.</div>}
+
+          <div style={section}>Now failing</div>
+          <MiniTable headers={["Loan", "Country", "Newly failed rule"]} empty="None."
+            rows={diff.nowFailing.map(s => [loanCell(s.loan), s.loan.country, causes(s.rules)])} />
+          <div style={section}>Now passing</div>
+          <MiniTable headers={["Loan", "Country", "No longer failing"]} empty="None."
+            rows={diff.nowPassing.map(s => [loanCell(s.loan), s.loan.country, causes(s.rules)])} />
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20 }}>
+            <div>
+              <div style={section}>Appeared</div>
+              <MiniTable headers={["Loan", "Country", "Result"]} empty="None."
+                rows={diff.appeared.map(l => [loanCell(l), l.country, <Badge text={l.pass ? "PASS" : "FAIL"} color={l.pass ? "green" : "red"} />])} />
+            </div>
+            <div>
+              <div style={section}>Gone (funded, expired or out of scan)</div>
+              <MiniTable headers={["Loan", "Country", "Result"]} empty="None."
+                rows={diff.disappeared.map(l => [loanCell(l), l.country, <Badge text={l.pass ? "PASS" : "FAIL"} color={l.pass ? "green" : "red"} />])} />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// one row per watch poll, newest first
+function WatchLogTab({ log, watching, minutes }) {
+  const time = at => new Date(at).toLocaleTimeString();
+  return (
+    <div>
+      <div style={{ color: T.textMuted, fontSize: 13, marginBottom: 16 }}>
+        {watching ? `Watching — polls every ${formatInterval(minutes)}.` : "Watch stopped."} Only passing loans never announced before count as new.
+      </div>
+      <MiniTable headers={["Time", "Scan", "Fetched", "Passing", "New"]} empty="No polls yet."
+        rows={log.map(e => e.error
+          ? [<span style={mono}>{time(e.at)}</span>, <span style={{ color: T.bad }}>Failed: {e.error}</span>, "", "", ""]
+          : [<span style={mono}>{time(e.at)}</span>,
+            `${e.pages} page${e.pages === 1 ? "" : "s"}${e.incremental ? " · new postings only" : " · full"}`,
+            <span style={mono}>{e.fetched}</span>,
+            <span style={mono}>{e.passing} / {e.total}</span>,
+            e.fresh.length ? <span style={{ color: T.good }}>{e.fresh.map(l => `${l.name} #${l.id}`).join(", ")}</span> : <span style={{ color: T.textFaint }}>—</span>])} />
+    </div>
+  );
+}
+
+const formatInterval = min => min < 1 ? `${Math.round(min * 60)} sec` : `${min} min`;
+// the mock has no rate limits, so it can be polled every few seconds
+const WATCH_INTERVALS = [...(MOCK_FLAGS ? [0.25] : []), 1, 5, 10, 15, 30, 60];
+
+// share per key over a list, for analytics benchmarks
+const sharesOf = (items, key, weight = () => 1) => {
+  const out = {};
+  let total = 0;
+  items.forEach(x => { const w = weight(x); out[key(x)] = (out[key(x)] || 0) + w; total += w; });
+  Object.keys(out).forEach(k => { out[k] /= total || 1; });
+  return out;
+};
+
+// diversification analytics for my { loans }; benchmarks are what is
+// fundraising now (countries from countryFacets, sectors from the last scan)
+function PortfolioTab({ portfolio, filterOptions, candidates, batches }) {
+  const benchmarks = {};
+  if (filterOptions?.countries.length) benchmarks.country = sharesOf(filterOptions.countries, c => c.isoCode, c => c.count);
+  if (candidates.length) benchmarks.sector = sharesOf(candidates, l => l.sector || "unknown");
+  const a = portfolioAnalytics(portfolio, benchmarks, batches);
+  const section = { color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 12 };
+  const pctTxt = v => `${(v * 100).toFixed(1)}%`;
+  const levelColor = { diversified: "green", moderate: "amber", concentrated: "red" };
+  const countryNames = Object.fromEntries((filterOptions?.countries ?? []).map(c => [c.isoCode, c.name]));
+  const missing = benchmarks.country ? missingFromPortfolio(a.dimensions.country, benchmarks.country, countryNames).slice(0, 10) : [];
+
+  if (a.count === 0) return <div style={{ color: T.textFaint, fontSize: 13 }}>No loans in my {"{ loans }"} yet.</div>;
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 20 }}>
+        <StatCard label="Loans" value={a.count} accent={T.accent} />
+        <StatCard label="Avg riskRating" value={a.avgRisk !== null ? a.avgRisk.toFixed(2) : "—"} accent={T.info} />
+        <StatCard label="Avg defaultRate" value={a.avgDefault !== null ? `${(a.avgDefault * 100).toFixed(2)}%` : "—"} accent={T.warn} />
+      </div>
+      <div style={{ color: T.textGhost, fontSize: 11, marginBottom: 20 }}>
+        Averages weighted by loan count over the {a.riskCoverage} partner loans; direct loans have no partner stats.
+      </div>
+
+      <div style={section}>Risk batches</div>
+      <div style={{ display: "flex", height: 18, borderRadius: 4, overflow: "hidden", marginBottom: 6 }}>
+        {[...batches.map((b, i) => [b.id, b.name, batchColor(i)]), ["neither", "Neither", T.lineStrong]].map(([k, name, col]) => a.batchShare[k] > 0 && (
+          <div key={k} title={`${name}: ${pctTxt(a.batchShare[k])}`} style={{ width: pctTxt(a.batchShare[k]), background: col }} />
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", fontSize: 12, color: T.textMuted, marginBottom: 28 }}>
+        {batches.map((b, i) => <span key={b.id} title={describeBatch(b)}><span style={{ color: batchColor(i) }}>■</span> {b.name} {pctTxt(a.batchShare[b.id])}</span>)}
+        <span><span style={{ color: T.textDim }}>■</span> Neither {pctTxt(a.batchShare.neither)}</span>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20 }}>
+        {[["Country", "country"], ["Partner", "partner"], ["Sector", "sector"], ["Gender", "gender"], ["Term", "term"]].map(([title, dim]) => {
+          const d = a.dimensions[dim];
+          const level = hhiLevel(d.hhi);
+          return (
+            <div key={dim} style={{ background: T.panel, border: `1px solid ${T.line}`, borderRadius: 8, padding: 20 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 14 }}>
+                <div style={{ ...section, marginBottom: 0 }}>{title}</div>
+                <span title="Herfindahl-Hirschman index, Σ share² on 0–10,000" style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                  <span style={{ ...mono, fontSize: 12, color: T.textMuted }}>HHI {Math.round(d.hhi).toLocaleString()}</span>
+                  <Badge text={level} color={levelColor[level]} />
+                </span>
+              </div>
+              <div style={{ color: T.textGhost, fontSize: 11, marginBottom: 12 }}>≈ {d.effectiveN.toFixed(1)} equal-weight holdings · {d.rows.length} distinct</div>
+              {d.rows.slice(0, 10).map(r => (
+                <div key={r.k} style={{ marginBottom: 8 }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 3 }}>
+                    <span style={{ color: T.textMuted }}>{r.label}</span>
+                    <span style={{ ...mono, color: T.textMuted }}>
+                      {r.n} · {pctTxt(r.share)}
+                      {r.gap !== null && <span style={{ color: r.gap < 0 ? T.good : T.warn, marginLeft: 6 }} title={`Fundraising now: ${pctTxt(r.bench)}`}>
+                        {r.gap < 0 ? "under" : "over"} {Math.abs(r.gap * 100).toFixed(1)}pt
+                      </span>}
+                    </span>
+                  </div>
+                  <div style={{ position: "relative", height: 4, background: T.chip, borderRadius: 2 }}>
+                    <div style={{ height: "100%", borderRadius: 2, background: T.goodLine, width: pctTxt(r.share) }} />
+                    {r.bench !== null && <div title="Fundraising share" style={{ position: "absolute", top: -2, left: pctTxt(Math.min(r.bench, 1)), width: 2, height: 8, background: T.info }} />}
+                  </div>
+                </div>
+              ))}
+              {d.rows.length > 10 && <div style={{ color: T.textGhost, fontSize: 11 }}>+{d.rows.length - 10} more</div>}
+              {dim === "country" && missing.length > 0 && (
+                <div style={{ marginTop: 14 }}>
+                  <div style={{ color: T.textFaint, fontSize: 11, marginBottom: 6 }}>Fundraising now, not held yet</div>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                    {missing.map(m => <Badge key={m.k} text={`${m.label} ${pctTxt(m.share)}`} color="green" />)}
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// shared by the login screen and the dashboard; colours come from the theme's custom properties
+const GLOBAL_CSS = `
+  @import url('https://fonts.googleapis.com/css2?family=DM+Sans:wght@300;400;500;600&family=DM+Mono:wght@400;500&family=Playfair+Display:wght@700&display=swap');
+  *{box-sizing:border-box;}
+  body{margin:0;background:var(--kt-bg);}
+  ::-webkit-scrollbar{width:6px;height:6px;}
+  ::-webkit-scrollbar-track{background:var(--kt-panel);}
+  ::-webkit-scrollbar-thumb{background:var(--kt-lineStrong);border-radius:3px;}
+  input,select,button,textarea{font-family:inherit;}
+  :focus-visible{outline:2px solid var(--kt-accentLine);outline-offset:2px;}
+  .focus-ring:focus-within{outline:2px solid var(--kt-accentLine);outline-offset:2px;border-radius:6px;}
+  .focus-ring:focus-within :focus-visible{outline:none;}
+  .sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;}
+  @keyframes pulse{0%,100%{opacity:1}50%{opacity:0.4}}
+  @keyframes spin{to{transform:rotate(360deg)}}
+  @keyframes fadeIn{from{opacity:0;transform:translateY(6px)}to{opacity:1;transform:translateY(0)}}
+  .fade-in{animation:fadeIn 0.35s ease forwards;}
+  tr:hover td{background:var(--kt-hover)!important;}
+  @media (prefers-reduced-motion: reduce){*{animation-duration:0.01ms!important;animation-iteration-count:1!important;transition:none!important;}}
+`;
+
+function ThemePicker({ theme, onChange }) {
+  return (
+    <select value={theme} onChange={e => onChange(e.target.value)} aria-label="Colour theme" title="Colour theme"
+      style={{ background: "transparent", border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.textMuted, padding: "4px 8px", fontSize: 12, cursor: "pointer" }}>
+      {Object.keys(THEMES).map(t => <option key={t} value={t}>{THEME_LABELS[t]}</option>)}
+    </select>
+  );
+}
+
 // main app
 export default function App() {
+  // applied before the first paint, so a light-theme user never sees the dark one flash
+  const [theme, setTheme]             = useState(() => {
+    const t = loadTheme();
+    applyTheme(t);
+    return t;
+  });
+  // a shared link (#batch=A&maxTerm=14…) wins over the active preset on load
+  const [linked]                      = useState(() => decodeShare(globalThis.location?.hash));
+  const [linkWarnings, setLinkWarnings] = useState(() => linked?.warnings ?? []);
   const [token, setToken]             = useState(null);
   const [authError, setAuthError]     = useState(null);
   const [loggingIn, setLoggingIn]     = useState(false);
-  const [email, setEmail]             = useState(KIVA_USER || "");
-  const [password, setPassword]       = useState(KIVA_PASS || "");
-  const [portfolio, setPortfolio]     = useState([]);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [rememberCreds, setRememberCreds] = useState(false);
+  const [reauthPrompt, setReauthPrompt] = useState(null);   // { password, error, busy } while asking
+  const [now, setNow]                 = useState(Date.now());
+  const tokenRef                      = useRef(null);
+  const accountRef                    = useRef(null);   // email the session belongs to
+  const reauthRef                     = useRef(null);   // { promise, resolve } for the re-auth in flight
+  const [email, setEmail]             = useState(KIVA_USER || (MOCK_FLAGS ? "mock@example.org" : ""));
+  const [password, setPassword]       = useState(KIVA_PASS || (MOCK_FLAGS ? "mock" : ""));
+  const [ownPortfolio, setOwnPortfolio] = useState([]);
+  const [team, setTeam]               = useState(loadTeam);   // teammates, see team.mjs
+  const [teamLoans, setTeamLoans]     = useState({});   // member id -> mapped loans
+  const teamTokensRef                 = useRef(new Map());   // member id -> token, for this tab only
+  // everything caps and tiers count against: ours, plus the team's in team mode
+  const portfolio = useMemo(() => team.length === 0 ? ownPortfolio : mergeTeamPortfolio([
+    { owner: email, loans: ownPortfolio },
+    ...team.filter(m => teamLoans[m.id]).map(m => ({ owner: m.label, loans: teamLoans[m.id] })),
+  ]), [ownPortfolio, team, teamLoans, email]);
   const [filtered, setFiltered]       = useState([]);
+  const [candidates, setCandidates]   = useState([]);
+  const [candidatesMeta, setCandidatesMeta] = useState(null);   // { key, fetchedAt, note }
+  const [portfolioFetchedAt, setPortfolioFetchedAt] = useState(null);
   const [bootstrapStatus, setBootstrapStatus] = useState("idle");
   const [running, setRunning]         = useState(false);
+  const [scanProgress, setScanProgress] = useState(null);   // { page, pages, fetched, totalCount } while streaming
   const [hasRun, setHasRun]           = useState(false);
-  const [expanded, setExpanded]       = useState(null);
-  const [search, setSearch]           = useState("");
-  const [activeTab, setActiveTab]     = useState("results");
+  const [expanded, setExpanded]       = useState(linked?.expanded ?? null);
+  const [tablePrefs, setTablePrefs]   = useState(loadTablePrefs);   // { columns, sort }
+  const [search, setSearch]           = useState(linked?.search ?? "");
+  const [ruleFilter, setRuleFilter]   = useState(null);
+  const [activeTab, setActiveTab]     = useState(linked?.tab ?? "results");
   const [statusMsg, setStatusMsg]     = useState("");
+  const abortRef                      = useRef(null);
+  const autoSelectRef                 = useRef(false);   // a run just started: select its picks until it ends
+
+  const retryStatus = ({ attempt, retries, delayMs, error }) =>
+    setStatusMsg(`${error.message} — retrying in ${Math.ceil(delayMs / 1000)}s (${attempt}/${retries})`);
+  const [selected, setSelected]       = useState(new Set());
+  const [dryRun, setDryRun]           = useState(true);
+  const [confirmBasket, setConfirmBasket] = useState(false);
+  const [basketRunning, setBasketRunning] = useState(false);
+  const [basketResults, setBasketResults] = useState({});
 
-  const [cfg, setCfg] = useState({
-    batch: "BOTH",
-    ageFilter: true, minAge: 18, maxAge: 26,
-    phrase: "18 years old",
-    maxTerm: 12,
-    countryCap: 10, partnerCap: 10,
-    excludedSectors: [],
-    showFailing: false,
+  const [filterOptions, setFilterOptions] = useState(null);   // { sectors, countries, tags } from the gateway
+
+  const [watching, setWatching]       = useState(false);
+  const [watchMinutes, setWatchMinutes] = useState(DEFAULT_WATCH_MINUTES);
+  const [pollLog, setPollLog]         = useState([]);   // newest first
+  const [freshIds, setFreshIds]       = useState(new Set());   // announced by the last poll with news
+  const [seenCount, setSeenCount]     = useState(() => Object.keys(loadSeen()).length);
+  const watchRef                      = useRef(null);   // AbortController while watching
+  const latestRef                     = useRef(null);   // cfg + portfolio for the next poll
+
+  const [history, setHistory]         = useState(loadHistory);   // runs, newest first
+  const [presetStore, setPresetStore] = useState(loadPresets);
+  const [cfg, setCfg] = useState(() => {
+    const { allow, block } = loadPartnerLists();
+    const base = linked?.cfg ?? presetStore.presets.find(p => p.id === presetStore.activeId)?.cfg ?? DEFAULT_CFG;
+    return { ...base, partnerAllow: allow, partnerBlock: block };
   });
+  const [partnerStats, setPartnerStats] = useState(loadPartnerStats);
+  const [partnerDetails, setPartnerDetails] = useState({});   // id -> details, null when unavailable
+  const [partnerId, setPartnerId]     = useState(null);   // open in the partners tab
+
+  useEffect(() => { savePresets(presetStore); }, [presetStore]);
+  useEffect(() => { savePartnerStats(partnerStats); }, [partnerStats]);
+  useEffect(() => { saveTablePrefs(tablePrefs); }, [tablePrefs]);
+  useEffect(() => { saveTeam(team); }, [team]);
+  useEffect(() => { savePartnerLists({ allow: cfg.partnerAllow, block: cfg.partnerBlock }); }, [cfg.partnerAllow, cfg.partnerBlock]);
+
+  // the address bar is always a link to this filter and view
+  useEffect(() => {
+    const loc = globalThis.location;
+    if (!loc) return;
+    const hash = encodeShare({ cfg, tab: activeTab, search, expanded });
+    if (hash !== loc.hash.slice(1)) globalThis.history.replaceState(null, "", hash ? `#${hash}` : loc.pathname + loc.search);
+  }, [cfg, activeTab, search, expanded]);
+
+  // a link pasted into this tab's address bar
+  useEffect(() => {
+    const onHashChange = () => {
+      const link = decodeShare(globalThis.location.hash);
+      if (!link) return;
+      setLinkWarnings(link.warnings);
+      if (!link.cfg) return;   // nothing usable in it; the warnings say why
+      setCfg(c => ({ ...link.cfg, partnerAllow: c.partnerAllow, partnerBlock: c.partnerBlock }));
+      setActiveTab(link.tab);
+      setSearch(link.search);
+      setExpanded(link.expanded);
+      setStatusMsg("Filter loaded from link — press Run");
+    };
+    globalThis.addEventListener?.("hashchange", onHashChange);
+    return () => globalThis.removeEventListener?.("hashchange", onHashChange);
+  }, []);
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(globalThis.location.href);
+      setStatusMsg("Link copied — partner allow/block lists are not included");
+    } catch {
+      setStatusMsg("Could not copy — copy the address bar instead");
+    }
+  }
 
-  async function bootstrap(tok) {
+  useEffect(() => {
+    try {
+      saveHistory(history);
+    } catch {
+      // a single run too big for storage: it stays for this session only
+    }
+  }, [history]);
+
+  // session: requests read the token through getToken, so a re-auth in the
+  // middle of a scan is picked up by the pages still to come
+  const getToken = () => tokenRef.current;
+
+  function startSession(tok, account) {
+    tokenRef.current = tok;
+    accountRef.current = account;
+    setToken(tok);
+    setSessionExpiresAt(saveSession(tok, account).expiresAt);
+  }
+
+  async function signIn(account, pass) {
+    const tok = await kivaLogin(account, pass);
+    startSession(tok, account);
+    if (rememberCreds) storeCredentials(account, pass);
+    return tok;
+  }
+
+  // gql reauth hook: the password manager first, otherwise ask. Concurrent
+  // auth failures share one prompt; resolves to the new token or null.
+  function reauth() {
+    if (reauthRef.current) return reauthRef.current.promise;
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    reauthRef.current = { promise, resolve };
+    (async () => {
+      const stored = await getStoredCredentials("silent");
+      if (stored?.email === accountRef.current) {
+        try {
+          return finishReauth(await signIn(stored.email, stored.password));
+        } catch {
+          // stale saved password: fall through to the prompt
+        }
+      }
+      setStatusMsg("Session expired — sign in again to continue");
+      setReauthPrompt({ password: MOCK_FLAGS ? "mock" : "", error: null, busy: false });
+    })();
+    return promise;
+  }
+
+  function finishReauth(tok) {
+    setReauthPrompt(null);
+    reauthRef.current?.resolve(tok);
+    reauthRef.current = null;
+    return tok;
+  }
+
+  async function submitReauth() {
+    setReauthPrompt(p => ({ ...p, busy: true, error: null }));
+    try {
+      finishReauth(await signIn(accountRef.current, reauthPrompt.password));
+      setStatusMsg("Signed in again — continuing");
+    } catch (e) {
+      setReauthPrompt(p => ({ ...p, busy: false, error: e.message }));
+    }
+  }
+
+  function chooseTheme(name) {
+    saveTheme(name);
+    applyTheme(name);
+    setTheme(name);
+  }
+
+  function logout() {
+    abortRef.current?.abort();
+    watchRef.current?.abort();
+    finishReauth(null);
+    clearSession();
+    clearCache();
+    tokenRef.current = null;
+    setToken(null);
+    setSessionExpiresAt(null);
+    setPassword("");
+    setOwnPortfolio([]);
+    setPortfolioFetchedAt(null);
+    // the cache is gone, and with it the teammates' loans
+    setTeam([]);
+    setTeamLoans({});
+    teamTokensRef.current.clear();
+    setBootstrapStatus("idle");
+    setFiltered([]);
+    setCandidates([]);
+    setCandidatesMeta(null);
+    setHasRun(false);
+    setSelected(new Set());
+    setBasketResults({});
+    setFilterOptions(null);
+    setPollLog([]);
+    setFreshIds(new Set());
+    setPartnerId(null);
+    setPartnerDetails({});
+    setStatusMsg("");
+  }
+
+  // portfolio: show the cached copy at once, then refresh incrementally
+  async function bootstrap(tok, { force = false, account = email } = {}) {
     setBootstrapStatus("loading");
     setStatusMsg("Fetching your portfolio via my { loans }…");
+    const key = cacheNs(portfolioKey(account));
+    const cached = force ? null : await readCache(key);
+    if (cached) {
+      setOwnPortfolio(cached.loans.map(mapLoan));
+      setPortfolioFetchedAt(cached.fetchedAt);
+      setBootstrapStatus("ready");
+      setStatusMsg(`Portfolio from cache (${formatAge(Date.now() - cached.fetchedAt)}) — refreshing…`);
+    }
     try {
-      const raw = await fetchMyPortfolio(tok);
-      setPortfolio(raw.map(mapLoan));
+      const known = cached ? new Set(cached.loans.map(l => l.id)) : null;
+      const raw = await fetchMyPortfolio(tok, {
+        reauth,
+        onRetry: retryStatus,
+        stopWhen: known && stopOnceKnown(known, { requireTotal: true }),
+      });
+      const entry = await writeCache(key, cached ? mergeById(raw, cached.loans) : raw);
+      setOwnPortfolio(entry.loans.map(mapLoan));
+      setPartnerStats(s => trackPartnerStats(s, raw.map(mapLoan)));
+      setPortfolioFetchedAt(entry.fetchedAt);
       setBootstrapStatus("ready");
-      setStatusMsg(`Portfolio loaded — ${raw.length} loans`);
+      setStatusMsg(`Portfolio loaded — ${entry.loans.length} loans${cached ? ` (${raw.length} re-checked)` : ""}`);
+    } catch (e) {
+      if (!cached) setBootstrapStatus("error");
+      setStatusMsg(`Portfolio error: ${e.message}${cached ? " — using cached copy" : ""}`);
+    }
+  }
+
+  function loadAccount(account) {
+    // picker options load alongside; on failure the pickers fall back to loaded loans
+    fetchFilterOptions(getToken, { retries: 1, reauth }).then(setFilterOptions).catch(() => setFilterOptions(null));
+    Promise.all(team.map(async m => [m.id, (await readCache(cacheNs(teamKey(m.id))))?.loans]))
+      .then(entries => setTeamLoans(Object.fromEntries(entries.filter(([, loans]) => loans).map(([id, loans]) => [id, loans.map(mapLoan)]))));
+    return bootstrap(getToken, { account });
+  }
+
+  // team mode: teammates' loans are cached raw like our own portfolio
+  async function storeTeamLoans(member, raw) {
+    await writeCache(cacheNs(teamKey(member.id)), raw);
+    setTeamLoans(t => ({ ...t, [member.id]: raw.map(mapLoan) }));
+  }
+
+  async function addLender(account, pass) {
+    if (account === email) throw new Error("That is the account you are signed in with");
+    const tok = await kivaLogin(account, pass);
+    setStatusMsg(`Fetching ${account}'s portfolio…`);
+    const raw = await fetchMyPortfolio(tok, { onRetry: retryStatus });
+    const { members, member } = addMember(team, { label: account, kind: "session", account });
+    await storeTeamLoans(member, raw);
+    setPartnerStats(s => trackPartnerStats(s, raw.map(mapLoan)));
+    teamTokensRef.current.set(member.id, tok);
+    setTeam(members);
+    setStatusMsg(`Team: added ${account} — ${raw.length} loans`);
+  }
+
+  async function refreshLender(member) {
+    setStatusMsg(`Refreshing ${member.label}'s portfolio…`);
+    try {
+      const raw = await fetchMyPortfolio(teamTokensRef.current.get(member.id), { onRetry: retryStatus });
+      await storeTeamLoans(member, raw);
+      setPartnerStats(s => trackPartnerStats(s, raw.map(mapLoan)));
+      setTeam(t => t.map(m => m.id === member.id ? { ...m, fetchedAt: Date.now() } : m));
+      setStatusMsg(`Team: ${member.label} — ${raw.length} loans`);
     } catch (e) {
-      setBootstrapStatus("error");
-      setStatusMsg(`Portfolio error: ${e.message}`);
+      if (e.kind === "auth") teamTokensRef.current.delete(member.id);
+      setStatusMsg("");
+      throw new Error(e.kind === "auth" ? `${member.label}'s sign-in expired — add the lender again` : e.message);
     }
   }
 
+  async function importTeamSnapshot(text, fileName) {
+    const snap = parseSnapshot(text);
+    if (snap.account && snap.account === email) throw new Error("That snapshot is your own portfolio");
+    const { members, member } = addMember(team, { label: snap.account ?? fileName.replace(/\.json$/i, ""), kind: "snapshot", account: snap.account, fetchedAt: snap.exportedAt ?? Date.now() });
+    await storeTeamLoans(member, snap.loans);
+    setTeam(members);
+    setStatusMsg(`Team: imported ${member.label} — ${snap.loans.length} loans`);
+  }
+
+  async function exportOwnSnapshot() {
+    const cached = await readCache(cacheNs(portfolioKey(email)));
+    if (!cached) throw new Error("Your portfolio hasn't loaded yet");
+    downloadFile(`kiva-portfolio-${new Date().toISOString().slice(0, 10)}.json`, exportSnapshot(email, cached.loans), "application/json");
+  }
+
+  function removeLender(member) {
+    setTeam(t => removeMember(t, member.id));
+    setTeamLoans(({ [member.id]: _, ...rest }) => rest);
+    teamTokensRef.current.delete(member.id);
+    deleteCache(cacheNs(teamKey(member.id)));
+  }
+
   async function handleLogin() {
     if (!email || !password) return;
     setLoggingIn(true);
     setAuthError(null);
     try {
-      const tok = await kivaLogin(email, password);
-      setToken(tok);
-      await bootstrap(tok);
+      await signIn(email, password);
+      // the password isn't needed again once there is a token
+      if (!MOCK_FLAGS) setPassword("");
+      await loadAccount(email);
     } catch (e) {
       setAuthError(e.message);
     } finally {
@@ -378,91 +1532,313 @@ export default function App() {
     }
   }
 
-  useEffect(() => { if (KIVA_USER && KIVA_PASS) handleLogin(); }, []);
+  // a session from earlier in this tab wins over auto-login
+  useEffect(() => {
+    const session = loadSession();
+    if (session) {
+      setEmail(session.account);
+      startSession(session.token, session.account);
+      loadAccount(session.account);
+    } else if ((KIVA_USER && KIVA_PASS) || MOCK_FLAGS) handleLogin();
+  }, []);
 
-  const runFilter = useCallback(async () => {
+  // expiry warning
+  useEffect(() => {
+    if (!sessionExpiresAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [sessionExpiresAt]);
+  const expiresIn = sessionExpiresAt ? sessionExpiresAt - now : null;
+
+  // Fetch candidates for the current server filter and scan options. Every
+  // page goes into `candidates` as it arrives, so the effect below filters and
+  // renders results while the scan is still running. A recent cached
+  // newest-first scan is refreshed incrementally (paging stops at the first
+  // known loan); force re-scans from scratch.
+  const runFilter = useCallback(async ({ force = false } = {}) => {
     if (!token || bootstrapStatus !== "ready") return;
     setRunning(true);
-    setHasRun(false);
-    setFiltered([]);
+    setScanProgress(null);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let rawCandidates, stopped = null;
 
     try {
-      // Build server-side filters
-      // riskRating / defaultRate / lenderTerm all use MinMaxRangeInput { min, max }
-      const gqlFilters = {
-        status: "fundraising",
-        distributionModel: "both",
-        lenderTerm: { max: cfg.maxTerm },
-      };
-      if (cfg.batch === "A") {
-        gqlFilters.riskRating  = { min: 2 };
-        gqlFilters.defaultRate = { max: 0.01 };
-      } else if (cfg.batch === "B") {
-        gqlFilters.riskRating  = { min: 2 };
-        gqlFilters.defaultRate = { min: 0.011, max: 0.02 };
-      } else {
-        // both: fetch superset, split client-side
-        gqlFilters.riskRating  = { min: 2 };
-        gqlFilters.defaultRate = { max: 0.02 };
-      }
-      // sector exclusion is client-side only; schema uses sector: [Int] for inclusion
+      const gqlFilters = buildServerFilters(cfg);
+      const scan = buildScanOptions(cfg);
+      const key = cacheNs(candidatesKey(gqlFilters, scan));
+      const cached = force ? null : await readCache(key);
+      const incremental = cached && scan.sortBy === "newest" && Date.now() - cached.fetchedAt < INCREMENTAL_MAX_AGE_MS;
+      const known = incremental ? new Set(cached.loans.map(l => l.id)) : null;
 
-      setStatusMsg("Fetching candidates from lend { loans }…");
-      const rawCandidates = await fetchCandidateLoans(token, gqlFilters);
-      const mapped = rawCandidates.map(mapLoan);
+      setStatusMsg(incremental ? "Checking lend { loans } for new candidates…" : "Fetching candidates from lend { loans }…");
+      const streamed = [];
+      try {
+        rawCandidates = await fetchCandidateLoans(getToken, gqlFilters, {
+          ...scan,
+          reauth,
+          signal: controller.signal,
+          onRetry: retryStatus,
+          onPage: ({ page, pages, values, fetched, totalCount }) => {
+            streamed.push(...values);
+            if (page === 1) {
+              autoSelectRef.current = true;
+              setSelected(new Set());
+              setBasketResults({});
+              setRuleFilter(null);
+              setHasRun(true);
+            }
+            setScanProgress({ page, pages, fetched, totalCount });
+            setCandidates((incremental ? mergeById(streamed, cached.loans) : streamed).map(mapLoan));
+            setCandidatesMeta({ key, fetchedAt: null, note: `Scanning page ${page} of ~${pages}` });
+          },
+          stopWhen: known && stopOnceKnown(known),
+        });
+      } catch (e) {
+        // keep whatever pages arrived before a cancel or a mid-scan failure
+        if (!e.partial?.length) throw e;
+        rawCandidates = e.partial;
+        stopped = e.kind === "aborted" ? "Cancelled" : `Stopped early (${e.message})`;
+      }
 
-      setStatusMsg("Applying client-side filters…");
-      const results = applyClientFilters(mapped, portfolio, cfg);
-      setFiltered(results);
-      setHasRun(true);
-      setStatusMsg(`Done — ${results.filter(l => l.pass).length} passing of ${results.length}`);
+      const merged = incremental ? mergeById(rawCandidates, cached.loans) : rawCandidates;
+      const label = presetStore.presets.find(p => p.id === presetStore.activeId)?.name ?? null;
+      setHistory(h => addRun(h, snapshotRun({
+        cfg, gqlFilters, scan, label, partial: !!stopped,
+        results: applyClientFilters(merged.map(mapLoan), portfolio, cfg),
+      })));
+      // an interrupted scan is shown but not cached, or the next incremental
+      // refresh would treat the missing pages as known
+      const fetchedAt = stopped ? Date.now() : (await writeCache(key, merged, gqlFilters, incremental ? cached.fetchedAt : Date.now())).fetchedAt;
+      const newCount = known ? rawCandidates.filter(l => !known.has(l.id)).length : null;
+      setCandidates(merged.map(mapLoan));
+      setPartnerStats(s => trackPartnerStats(s, rawCandidates.map(mapLoan)));
+      setCandidatesMeta({
+        key, fetchedAt,
+        note: stopped ? `${stopped} — from the pages fetched`
+          : incremental ? `Refreshed — ${newCount} new since last scan` : "Done",
+      });
     } catch (e) {
-      setStatusMsg(`Error during filter run: ${e.message}`);
+      setStatusMsg(e.kind === "aborted" ? "Cancelled before any page arrived" : `Error during filter run: ${e.message}`);
     } finally {
+      abortRef.current = null;
+      setScanProgress(null);
       setRunning(false);
     }
-  }, [token, portfolio, cfg, bootstrapStatus]);
+  }, [token, portfolio, cfg, bootstrapStatus, presetStore]);
+
+  // partners: details are fetched once per partner, on first open
+  function openPartner(id) {
+    setPartnerId(id);
+    setActiveTab("partners");
+    if (id in partnerDetails) return;
+    setPartnerDetails(d => ({ ...d, [id]: undefined }));
+    fetchPartnerDetails(getToken, [id], { reauth, retries: 1 })
+      .then(found => setPartnerDetails(d => ({ ...d, [id]: found[id] ?? null })))
+      .catch(() => setPartnerDetails(d => ({ ...d, [id]: null })));
+  }
+
+  // list: "allow" | "block" | null (off both lists); results re-filter at once
+  function setPartnerList(id, list) {
+    setCfg(c => ({
+      ...c,
+      partnerAllow: list === "allow" ? [...new Set([...c.partnerAllow, id])] : c.partnerAllow.filter(x => x !== id),
+      partnerBlock: list === "block" ? [...new Set([...c.partnerBlock, id])] : c.partnerBlock.filter(x => x !== id),
+    }));
+  }
+
+  // watch mode: each poll re-runs the latest cfg, shows the results like a
+  // normal run and announces passing loans not seen before
+  latestRef.current = { cfg, portfolio };
+
+  function notifyFresh(fresh) {
+    if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+    const lines = fresh.slice(0, 5).map(l => `${l.name} · ${l.country} · $${l.lendAmount}`);
+    if (fresh.length > 5) lines.push(`+${fresh.length - 5} more`);
+    const n = new Notification(`${fresh.length} new qualifying loan${fresh.length === 1 ? "" : "s"}`, { body: lines.join("\n"), tag: "kiva-watch" });
+    n.onclick = () => {
+      window.focus();
+      setActiveTab("results");
+      n.close();
+    };
+  }
+
+  async function startWatch() {
+    if (typeof Notification !== "undefined" && Notification.permission === "default") Notification.requestPermission();
+    const controller = new AbortController();
+    watchRef.current = controller;
+    setWatching(true);
+    let state = null;
+    await watchLoop(async () => {
+      const { cfg: pollCfg, portfolio: pollPortfolio } = latestRef.current;
+      setStatusMsg("Watch — polling lend { loans }…");
+      const poll = await pollOnce(state, { token: getToken, cfg: pollCfg, portfolio: pollPortfolio, reauth, onRetry: retryStatus, signal: controller.signal });
+      state = poll.state;
+      const { fresh, seen } = markSeen(poll.results.filter(l => l.pass), loadSeen());
+      saveSeen(seen);
+      setSeenCount(Object.keys(seen).length);
+
+      const gqlFilters = buildServerFilters(pollCfg);
+      const key = cacheNs(candidatesKey(gqlFilters, buildScanOptions(pollCfg)));
+      // state.fetchedAt is the last full scan's, like the poll's own incremental check
+      const entry = await writeCache(key, state.raw, gqlFilters, state.fetchedAt);
+      setHasRun(true);
+      setCandidates(state.raw.map(mapLoan));
+      setPartnerStats(s => trackPartnerStats(s, poll.results));
+      setCandidatesMeta({ key, fetchedAt: entry.fetchedAt, note: `Watch — ${fresh.length || "no"} new` });
+      setPollLog(log => [{ ...poll.entry, fresh: fresh.map(l => ({ id: l.id, name: l.name })) }, ...log].slice(0, 200));
+      if (fresh.length) {
+        setFreshIds(new Set(fresh.map(l => l.id)));
+        notifyFresh(fresh);
+      }
+    }, {
+      intervalMs: watchMinutes * 60000,
+      signal: controller.signal,
+      onError: e => setPollLog(log => [{ at: Date.now(), error: e.message }, ...log].slice(0, 200)),
+    });
+    if (watchRef.current === controller) watchRef.current = null;
+    setWatching(false);
+    setStatusMsg("Watch stopped");
+  }
+
+  function forgetSeen() {
+    saveSeen({});
+    setSeenCount(0);
+    setFreshIds(new Set());
+  }
+
+  // client-side pipeline: re-runs on every streamed page and on cached
+  // candidates whenever cfg or the portfolio change, without refetching. If
+  // the server filter or scan options changed, a cached scan for the new ones
+  // is picked up when there is one.
+  const clientCfgKey = JSON.stringify({ ...cfg, showFailing: undefined });
+  useEffect(() => {
+    if (!hasRun) return;
+    const key = cacheNs(candidatesKey(buildServerFilters(cfg), buildScanOptions(cfg)));
+    if (key !== candidatesMeta?.key) {
+      if (running) return;   // the scan in flight is for the previous settings
+      let live = true;
+      readCache(key).then(entry => {
+        if (!live) return;
+        if (entry) {
+          setCandidates(entry.loans.map(mapLoan));
+          setCandidatesMeta({ key, fetchedAt: entry.fetchedAt, note: "From cache" });
+        } else {
+          setStatusMsg("Server-side or scan settings changed — press Run to fetch");
+        }
+      });
+      return () => { live = false; };
+    }
+    const results = applyClientFilters(candidates, portfolio, cfg);
+    const passingNow = results.filter(l => l.pass);
+    const picks = cfg.budget > 0 ? allocateBudget(passingNow, portfolio, cfg, cfg.budget).chosen : passingNow;
+    setFiltered(results);
+    // a new run selects its picks; later cfg / portfolio changes only drop
+    // loans from the selection that no longer pass
+    if (autoSelectRef.current) {
+      setSelected(new Set(picks.map(l => l.id)));
+      if (!running) autoSelectRef.current = false;
+    } else {
+      const passingIds = new Set(passingNow.map(l => l.id));
+      setSelected(s => new Set([...s].filter(id => passingIds.has(id))));
+    }
+    setStatusMsg(`${candidatesMeta.note} — ${passingNow.length} passing of ${results.length}`);
+  }, [clientCfgKey, portfolio, candidates, candidatesMeta, hasRun, running]);
 
   const passing     = filtered.filter(l => l.pass);
-  const failing     = filtered.filter(l => !l.pass);
-  const shown       = (cfg.showFailing ? filtered : passing).filter(l =>
-    search === "" ||
-    l.name.toLowerCase().includes(search.toLowerCase()) ||
-    l.country.toLowerCase().includes(search.toLowerCase()) ||
-    String(l.id).includes(search)
-  );
-  const totalLend   = passing.reduce((s, l) => s + l.lendAmount, 0);
-  const batchACount = passing.filter(l => l.risk >= 2 && l.defRate <= 0.01).length;
-  const batchBCount = passing.filter(l => l.risk >= 2 && l.defRate > 0.01 && l.defRate <= 0.02).length;
+  const phraseError = (() => {
+    try {
+      parsePhraseQuery(cfg.phrase);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  })();
+  const ruleCounts  = countFailuresByRule(filtered);
+  const ruleLabels  = Object.fromEntries(resolveRules(cfg).map(r => [r.id, r.label]));
+  const shown       = useMemo(() => sortLoans(
+    (ruleFilter ? filtered.filter(l => l.reasons.some(r => r.ruleId === ruleFilter)) : cfg.showFailing ? filtered : filtered.filter(l => l.pass))
+      .filter(l => matchesSearch(l, search)),
+    tablePrefs.sort,
+  ), [filtered, ruleFilter, cfg.showFailing, search, tablePrefs.sort]);
+  const stats       = summarizeResults(filtered, cfg.batches);
+  const allocation  = hasRun && cfg.budget > 0 ? allocateBudget(passing, portfolio, cfg, cfg.budget) : null;
+  const toBasket    = passing.filter(l => selected.has(l.id));
+
+  function selectIds(ids, on) {
+    setSelected(s => {
+      const next = new Set(s);
+      ids.forEach(id => on ? next.add(id) : next.delete(id));
+      return next;
+    });
+  }
+
+  async function sendToBasket() {
+    setConfirmBasket(false);
+    setBasketRunning(true);
+    setBasketResults({});
+    setStatusMsg(dryRun ? "Dry run — logging basket mutations…" : "Adding loans to basket…");
+    try {
+      const results = await addLoansToBasket(getToken, toBasket, {
+        dryRun,
+        reauth,
+        onResult: r => setBasketResults(prev => ({ ...prev, [r.id]: r })),
+      });
+      const failed = results.filter(r => !r.ok).length;
+      setStatusMsg(`${dryRun ? "Dry run" : "Basket"} — ${results.length - failed} ok, ${failed} failed`);
+    } finally {
+      setBasketRunning(false);
+    }
+  }
 
-  const sectorOptions = ["Agriculture","Food","Retail","Services","Education","Health","Housing","Arts","Clothing","Transport"];
+  // loans: the selection for "Export selected", otherwise the whole run
+  function exportResults(format, loans = null) {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+    const name = loans ? "kiva-selected" : "kiva-results";
+    if (format === "csv")  downloadFile(`${name}-${stamp}.csv`, toCSV(loans ?? filtered), "text/csv");
+    if (format === "json") downloadFile(`${name}-${stamp}.json`, toJSON(loans ?? filtered), "application/json");
+    if (format === "md")   downloadFile(`kiva-report-${stamp}.md`, toMarkdownReport({ cfg, results: filtered, portfolio, allocation }), "text/markdown");
+  }
+
+  const pickerOptions = filterOptions ?? optionsFromLoans([...portfolio, ...candidates]);
+  const plan = filterPlan(cfg);
 
   // login screen
   if (!token) {
     return (
-      <div style={{ minHeight: "100vh", background: "#080a0f", display: "flex", alignItems: "center", justifyContent: "center", fontFamily: "'DM Sans', sans-serif" }}>
-        <style>{`@import url('https://fonts.googleapis.com/css2?family=DM+Sans:wght@300;400;500;600&family=DM+Mono:wght@400;500&family=Playfair+Display:wght@700&display=swap'); *{box-sizing:border-box;}`}</style>
-        <div style={{ background: "#0a0c12", border: "1px solid #1a1d2a", borderRadius: 12, padding: "40px 48px", width: 420 }}>
-          <div style={{ fontFamily: "'Playfair Display', serif", fontSize: 26, color: "#e8d5a3", marginBottom: 4 }}>Kiva</div>
-          <div style={{ color: "#444", fontSize: 12, letterSpacing: 2, textTransform: "uppercase", marginBottom: 32 }}>Youth Fund Filter</div>
-          {authError && <div style={{ background: "#3d1a1a", border: "1px solid #5c1a1a", borderRadius: 6, padding: "10px 14px", color: "#f87171", fontSize: 13, marginBottom: 20 }}>{authError}</div>}
+      <div style={{ minHeight: "100vh", background: T.bg, display: "flex", alignItems: "center", justifyContent: "center", fontFamily: "'DM Sans', sans-serif" }}>
+        <style>{GLOBAL_CSS}</style>
+        <div style={{ position: "fixed", top: 16, right: 16 }}><ThemePicker theme={theme} onChange={chooseTheme} /></div>
+        <div style={{ background: T.panel, border: `1px solid ${T.line}`, borderRadius: 12, padding: "40px 48px", width: 420 }}>
+          <div style={{ fontFamily: "'Playfair Display', serif", fontSize: 26, color: T.accent, marginBottom: 4 }}>Kiva</div>
+          <div style={{ color: T.textFaint, fontSize: 12, letterSpacing: 2, textTransform: "uppercase", marginBottom: 32 }}>Youth Fund Filter</div>
+          {authError && <div role="alert" style={{ background: T.badBg, border: `1px solid ${T.badLine}`, borderRadius: 6, padding: "10px 14px", color: T.bad, fontSize: 13, marginBottom: 20 }}>{authError}</div>}
           {[["Email", email, setEmail, "email"], ["Password", password, setPassword, "password"]].map(([label, val, setter, type]) => (
             <div key={label} style={{ marginBottom: 16 }}>
-              <div style={{ color: "#555", fontSize: 11, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>{label}</div>
-              <input type={type} value={val} onChange={e => setter(e.target.value)}
+              <div style={{ color: T.textDim, fontSize: 11, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>{label}</div>
+              <input type={type} value={val} onChange={e => setter(e.target.value)} aria-label={label} autoComplete={type === "email" ? "username" : "current-password"}
                 onKeyDown={e => e.key === "Enter" && handleLogin()}
-                style={{ width: "100%", background: "#0f1117", border: "1px solid #2a2d3a", borderRadius: 6, color: "#e8d5a3", padding: "10px 14px", fontSize: 14 }} />
+                style={{ width: "100%", background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "10px 14px", fontSize: 14 }} />
             </div>
           ))}
+          {canStoreCredentials() && (
+            <label style={{ display: "flex", gap: 8, alignItems: "center", color: T.textQuiet, fontSize: 12, marginBottom: 16, cursor: "pointer" }}>
+              <input type="checkbox" checked={rememberCreds} onChange={e => setRememberCreds(e.target.checked)} />
+              Save in the browser's password manager (used to renew the session)
+            </label>
+          )}
           <button onClick={handleLogin} disabled={loggingIn} style={{
-            width: "100%", background: loggingIn ? "#6b4e10" : "#c8991f", color: "#0a0c12",
+            width: "100%", background: loggingIn ? T.warnLine : T.accentLine, color: T.onAccent,
             border: "none", borderRadius: 8, padding: "13px 0", fontSize: 14, fontWeight: 700,
             letterSpacing: 1.5, textTransform: "uppercase", cursor: loggingIn ? "not-allowed" : "pointer",
           }}>
             {loggingIn ? "Signing in…" : "Sign In"}
           </button>
-          <div style={{ color: "#333", fontSize: 11, marginTop: 20, lineHeight: 1.6 }}>
-            Credentials used only to obtain a Kiva JWT. Set <code style={{ color: "#555" }}>VITE_KIVA_USER</code> + <code style={{ color: "#555" }}>VITE_KIVA_PASS</code> to skip this screen.
+          <div style={{ color: T.textGhost, fontSize: 11, marginTop: 20, lineHeight: 1.6 }}>
+            Credentials are used only to obtain a Kiva JWT, which is kept for this tab only.
+            {DEV && <div style={{ marginTop: 8 }}>Dev server: <code style={{ color: T.textDim }}>VITE_KIVA_USER</code> + <code style={{ color: T.textDim }}>VITE_KIVA_PASS</code> skip this screen. They end up in the bundle, so production builds ignore them.</div>}
+            {MOCK_FLAGS && <div style={{ color: T.warn, marginTop: 8 }}>Mock gateway — any credentials work, no request leaves the browser.</div>}
           </div>
         </div>
       </div>
@@ -471,132 +1847,295 @@ export default function App() {
 
   // dashboard
   return (
-    <div style={{ minHeight: "100vh", background: "#080a0f", fontFamily: "'DM Sans', sans-serif", color: "#c8cad4" }}>
-      <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=DM+Sans:wght@300;400;500;600&family=DM+Mono:wght@400;500&family=Playfair+Display:wght@700&display=swap');
-        *{box-sizing:border-box;}
-        ::-webkit-scrollbar{width:6px;height:6px;}
-        ::-webkit-scrollbar-track{background:#0a0c12;}
-        ::-webkit-scrollbar-thumb{background:#2a2d3a;border-radius:3px;}
-        input,select,button{font-family:inherit;}
-        @keyframes pulse{0%,100%{opacity:1}50%{opacity:0.4}}
-        @keyframes spin{to{transform:rotate(360deg)}}
-        @keyframes fadeIn{from{opacity:0;transform:translateY(6px)}to{opacity:1;transform:translateY(0)}}
-        .fade-in{animation:fadeIn 0.35s ease forwards;}
-        tr:hover td{background:rgba(232,213,163,0.02)!important;}
-      `}</style>
+    <div style={{ minHeight: "100vh", background: T.bg, fontFamily: "'DM Sans', sans-serif", color: T.text }}>
+      <style>{GLOBAL_CSS}</style>
 
       {/* Header */}
-      <div style={{ borderBottom: "1px solid #1a1d2a", background: "rgba(8,10,15,0.96)", backdropFilter: "blur(10px)", position: "sticky", top: 0, zIndex: 100, display: "flex", alignItems: "center", justifyContent: "space-between", padding: "0 32px", height: 64 }}>
+      <div style={{ borderBottom: `1px solid ${T.line}`, background: T.headerBg, backdropFilter: "blur(10px)", position: "sticky", top: 0, zIndex: 100, display: "flex", alignItems: "center", justifyContent: "space-between", padding: "0 32px", height: 64 }}>
         <div style={{ display: "flex", alignItems: "baseline", gap: 12 }}>
-          <span style={{ fontFamily: "'Playfair Display', serif", fontSize: 22, color: "#e8d5a3" }}>Kiva</span>
-          <span style={{ color: "#2a2d3a", fontSize: 18 }}>|</span>
-          <span style={{ fontSize: 12, color: "#555", letterSpacing: 2, textTransform: "uppercase" }}>Youth Fund Filter</span>
+          <span style={{ fontFamily: "'Playfair Display', serif", fontSize: 22, color: T.accent }}>Kiva</span>
+          <span style={{ color: T.lineStrong, fontSize: 18 }}>|</span>
+          <span style={{ fontSize: 12, color: T.textDim, letterSpacing: 2, textTransform: "uppercase" }}>Youth Fund Filter</span>
+          {MOCK_FLAGS && <span title={`Offline fixtures${Object.keys(MOCK_FLAGS).length ? ` · injected: ${Object.keys(MOCK_FLAGS).join(", ")}` : ""}`}
+            style={{ fontSize: 10, color: T.warn, border: `1px solid ${T.warnLine}`, borderRadius: 4, padding: "2px 6px", letterSpacing: 1, textTransform: "uppercase" }}>Mock data</span>}
         </div>
         <div style={{ display: "flex", gap: 20, alignItems: "center" }}>
-          <span style={{ fontSize: 12, color: "#444" }}>Portfolio: <span style={{ color: "#888", fontFamily: "'DM Mono',monospace" }}>{portfolio.length}</span></span>
-          <span style={{ fontSize: 12, color: "#555" }}>{statusMsg}</span>
-          <div style={{ width: 8, height: 8, borderRadius: "50%", background: running ? "#fbbf24" : bootstrapStatus === "ready" ? "#4ade80" : "#555", animation: running ? "pulse 1s infinite" : "none", boxShadow: running ? "0 0 8px #fbbf24" : bootstrapStatus === "ready" ? "0 0 8px #4ade80" : "none" }} />
+          <span style={{ fontSize: 12, color: T.textFaint }}>
+            {team.length > 0
+              ? <span title={describeOwners(portfolio)}>Team portfolio: <span style={{ color: T.textMuted, fontFamily: "'DM Mono',monospace" }}>{portfolio.length}</span></span>
+              : <>Portfolio: <span style={{ color: T.textMuted, fontFamily: "'DM Mono',monospace" }}>{portfolio.length}</span></>}
+            {portfolioFetchedAt && <> · {formatAge(Date.now() - portfolioFetchedAt)}{" "}
+              <button onClick={() => bootstrap(getToken, { force: true })} disabled={bootstrapStatus === "loading"} title="Force refresh portfolio"
+                style={{ background: "transparent", border: "none", color: T.info, fontSize: 12, cursor: "pointer", padding: 0 }}>↻</button></>}
+          </span>
+          <span role="status" style={{ fontSize: 12, color: T.textDim }}>{statusMsg}</span>
+          <div style={{ width: 8, height: 8, borderRadius: "50%", background: running ? T.warn : bootstrapStatus === "ready" ? T.good : T.textDim, animation: running ? "pulse 1s infinite" : "none", boxShadow: running ? `0 0 8px ${T.warn}` : bootstrapStatus === "ready" ? `0 0 8px ${T.good}` : "none" }} />
+          <button onClick={copyLink} title="Copy a link to this filter, tab, search and expanded loan"
+            style={{ background: "transparent", border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.textMuted, padding: "5px 12px", fontSize: 12, cursor: "pointer" }}>Copy link</button>
+          <ThemePicker theme={theme} onChange={chooseTheme} />
+          <button onClick={logout} title={`Signed in as ${email}`}
+            style={{ background: "transparent", border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.textMuted, padding: "5px 12px", fontSize: 12, cursor: "pointer" }}>Sign out</button>
         </div>
       </div>
 
+      {expiresIn !== null && expiresIn < EXPIRY_WARNING_MS && !reauthPrompt && (
+        <div style={{ background: T.noticeBg, borderBottom: `1px solid ${T.warnLine}`, color: T.warn, fontSize: 12, padding: "8px 32px", display: "flex", gap: 12, alignItems: "center" }}>
+          {expiresIn > 0 ? `Your Kiva session expires in ${Math.max(1, Math.round(expiresIn / 60000))} min.` : "Your Kiva session has expired."}
+          <span style={{ color: T.textMuted }}>Requests will ask you to sign in again when it does.</span>
+          <button onClick={reauth} style={{ marginLeft: "auto", background: T.accentLine, border: "none", borderRadius: 6, color: T.onAccent, padding: "4px 12px", fontSize: 12, fontWeight: 700, cursor: "pointer" }}>Re-authenticate</button>
+        </div>
+      )}
+
+      {linkWarnings.length > 0 && (
+        <div role="alert" style={{ background: T.noticeBg, borderBottom: `1px solid ${T.warnLine}`, color: T.warn, fontSize: 12, padding: "8px 32px", display: "flex", gap: 12, alignItems: "flex-start" }}>
+          <div>
+            <div>The shared link had settings that could not be used as-is:</div>
+            <ul style={{ margin: "4px 0 0", paddingLeft: 18, color: T.textMuted }}>
+              {linkWarnings.map((w, i) => <li key={i}>{w}</li>)}
+            </ul>
+          </div>
+          <button onClick={() => setLinkWarnings([])} style={{ marginLeft: "auto", background: "transparent", border: `1px solid ${T.warnLine}`, borderRadius: 6, color: T.warn, padding: "4px 12px", fontSize: 12, cursor: "pointer" }}>Dismiss</button>
+        </div>
+      )}
+
       <div style={{ display: "flex", height: "calc(100vh - 64px)" }}>
         {/* Sidebar */}
-        <div style={{ width: 300, flexShrink: 0, borderRight: "1px solid #1a1d2a", overflowY: "auto", padding: "24px 20px", display: "flex", flexDirection: "column", gap: 22 }}>
+        <div style={{ width: 300, flexShrink: 0, borderRight: `1px solid ${T.line}`, overflowY: "auto", padding: "24px 20px", display: "flex", flexDirection: "column", gap: 22 }}>
+
+          <PresetPanel store={presetStore} onStoreChange={setPresetStore}
+            cfg={{ ...cfg, partnerAllow: [], partnerBlock: [] }}
+            onLoadCfg={next => setCfg(c => ({ ...next, partnerAllow: c.partnerAllow, partnerBlock: c.partnerBlock }))} />
+
+          <TeamPanel account={email} ownCount={ownPortfolio.length} members={team}
+            counts={Object.fromEntries(Object.entries(teamLoans).map(([id, loans]) => [id, loans.length]))} live={new Set(teamTokensRef.current.keys())}
+            onAddLender={addLender} onImport={importTeamSnapshot} onExport={exportOwnSnapshot} onRefresh={refreshLender} onRemove={removeLender} />
+
+          <div style={{ borderTop: `1px solid ${T.line}` }} />
 
           {/* Batch */}
           <div>
-            <div style={{ color: "#555", fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 10 }}>Risk Batch</div>
-            {[["BOTH","Both Batches"],["A","Batch A — ≤1% Default"],["B","Batch B — 1.1–2% Default"]].map(([val, label]) => (
-              <label key={val} style={{ display: "flex", alignItems: "center", gap: 10, cursor: "pointer", padding: "8px 12px", borderRadius: 6, marginBottom: 4, background: cfg.batch === val ? "#131620" : "transparent", border: `1px solid ${cfg.batch === val ? "#2a3050" : "transparent"}` }}>
-                <div style={{ width: 16, height: 16, borderRadius: "50%", border: `2px solid ${cfg.batch === val ? "#e8d5a3" : "#2a2d3a"}`, background: cfg.batch === val ? "#e8d5a3" : "transparent", flexShrink: 0 }} />
-                <span style={{ fontSize: 13, color: cfg.batch === val ? "#e8d5a3" : "#888" }}>{label}</span>
-                <input type="radio" style={{ display: "none" }} checked={cfg.batch === val} onChange={() => setCfg(c => ({ ...c, batch: val }))} />
+            <div id="batch-label" style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 10 }}>Risk Batch</div>
+            <div role="radiogroup" aria-labelledby="batch-label">
+            {[[ANY_BATCH, "All Batches"], ...cfg.batches.map(b => [b.id, `${b.name} — ${describeBatch(b)}`])].map(([val, label]) => (
+              <label key={val} className="focus-ring" style={{ display: "flex", alignItems: "center", gap: 10, cursor: "pointer", padding: "8px 12px", borderRadius: 6, marginBottom: 4, background: cfg.batch === val ? T.chosen : "transparent", border: `1px solid ${cfg.batch === val ? T.chosenLine : "transparent"}` }}>
+                <div style={{ width: 16, height: 16, borderRadius: "50%", border: `2px solid ${cfg.batch === val ? T.accent : T.lineStrong}`, background: cfg.batch === val ? T.accent : "transparent", flexShrink: 0 }} />
+                <span style={{ fontSize: 13, color: cfg.batch === val ? T.accent : T.textMuted }}>{label}</span>
+                <input type="radio" name="batch" className="sr-only" checked={cfg.batch === val} onChange={() => setCfg(c => ({ ...c, batch: val }))} />
               </label>
             ))}
-            <div style={{ color: "#333", fontSize: 11, marginTop: 8, paddingLeft: 4 }}>Server-side: riskRating/defaultRate MinMaxRangeInput {"{ min, max }"}</div>
+            </div>
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 8, paddingLeft: 4 }}>
+              Server-side: {plan.server.filter(f => f.key === "riskRating" || f.key === "defaultRate").map(f => f.text).join("; ") || "no risk filter"}
+            </div>
+            <BatchEditor cfg={cfg} setCfg={setCfg} />
           </div>
 
-          <div style={{ borderTop: "1px solid #1a1d2a" }} />
+          <div style={{ borderTop: `1px solid ${T.line}` }} />
 
           {/* Age */}
           <div>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
-              <div style={{ color: "#555", fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>Age Filter</div>
-              <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
-                <div style={{ width: 32, height: 18, borderRadius: 9, background: cfg.ageFilter ? "#2d6a4f" : "#1e2030", position: "relative" }}>
-                  <div style={{ position: "absolute", top: 2, left: cfg.ageFilter ? 14 : 2, width: 14, height: 14, borderRadius: "50%", background: cfg.ageFilter ? "#4ade80" : "#555", transition: "all 0.2s" }} />
+              <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>Age Filter</div>
+              <label className="focus-ring" style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer", borderRadius: 9 }}>
+                <span style={{ fontSize: 11, color: cfg.ageFilter ? T.good : T.textDim }}>{cfg.ageFilter ? "On" : "Off"}</span>
+                <div style={{ width: 32, height: 18, borderRadius: 9, background: cfg.ageFilter ? T.goodLine : T.chip, position: "relative" }}>
+                  <div style={{ position: "absolute", top: 2, left: cfg.ageFilter ? 14 : 2, width: 14, height: 14, borderRadius: "50%", background: cfg.ageFilter ? T.good : T.textDim, transition: "all 0.2s" }} />
                 </div>
-                <input type="checkbox" style={{ display: "none" }} checked={cfg.ageFilter} onChange={e => setCfg(c => ({ ...c, ageFilter: e.target.checked }))} />
+                <input type="checkbox" role="switch" className="sr-only" aria-label="Age filter" checked={cfg.ageFilter} onChange={e => setCfg(c => ({ ...c, ageFilter: e.target.checked }))} />
               </label>
             </div>
             {cfg.ageFilter && (
               <div style={{ display: "flex", gap: 10 }}>
                 {[["minAge","Min"],["maxAge","Max"]].map(([k, l]) => (
                   <div key={k} style={{ flex: 1 }}>
-                    <div style={{ color: "#444", fontSize: 11, marginBottom: 4 }}>{l}</div>
-                    <input type="number" value={cfg[k]} onChange={e => setCfg(c => ({ ...c, [k]: parseInt(e.target.value) || 0 }))}
-                      style={{ width: "100%", background: "#0f1117", border: "1px solid #2a2d3a", borderRadius: 6, color: "#e8d5a3", padding: "6px 10px", fontFamily: "'DM Mono',monospace", fontSize: 14 }} />
+                    <div style={{ color: T.textFaint, fontSize: 11, marginBottom: 4 }}>{l}</div>
+                    <input type="number" value={cfg[k]} onChange={e => setCfg(c => ({ ...c, [k]: parseInt(e.target.value) || 0 }))} aria-label={`${l} age`}
+                      style={{ width: "100%", background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "6px 10px", fontFamily: "'DM Mono',monospace", fontSize: 14 }} />
                   </div>
                 ))}
               </div>
             )}
-            <div style={{ color: "#333", fontSize: 11, marginTop: 8 }}>ageAtTimeOfLoan on LoanDirect only; null for field-partner loans</div>
+            <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10, cursor: "pointer", fontSize: 12, color: T.textMuted }}>
+              <input type="checkbox" checked={cfg.inferAge} onChange={e => setCfg(c => ({ ...c, inferAge: e.target.checked }))} style={{ accentColor: T.info }} />
+              Infer age from description
+            </label>
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 8 }}>ageAtTimeOfLoan on LoanDirect only; otherwise read from the description (en/es/fr/pt/id/…), shown as ~age</div>
           </div>
 
           {/* Phrase */}
           <div>
-            <div style={{ color: "#555", fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Description Phrase</div>
-            <input value={cfg.phrase} onChange={e => setCfg(c => ({ ...c, phrase: e.target.value }))}
-              placeholder='e.g. "18 years old"'
-              style={{ width: "100%", background: "#0f1117", border: "1px solid #2a2d3a", borderRadius: 6, color: "#e8d5a3", padding: "8px 12px", fontSize: 13 }} />
-            <div style={{ color: "#333", fontSize: 11, marginTop: 6 }}>Client-side match on description + descriptionInOriginalLanguage</div>
+            <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Description Phrase</div>
+            <textarea value={cfg.phrase} onChange={e => setCfg(c => ({ ...c, phrase: e.target.value }))} rows={2} aria-label="Description phrase query"
+              aria-invalid={!!phraseError}
+              placeholder={'e.g. "18 years old" OR "tiene 18 años"'}
+              style={{ width: "100%", background: T.input, border: `1px solid ${phraseError ? T.badLine : T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "8px 12px", fontSize: 13, fontFamily: "'DM Mono',monospace", resize: "vertical" }} />
+            {phraseError && <div style={{ color: T.bad, fontSize: 11, marginTop: 4 }}>{phraseError}</div>}
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 6 }}>
+              Client-side match on description + descriptionInOriginalLanguage. Words, "quoted phrases", /regex/i, AND / OR / NOT and ( ); case-insensitive.
+            </div>
           </div>
 
           {/* Term */}
           <div>
             <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
-              <div style={{ color: "#555", fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>Max lenderRepaymentTerm</div>
-              <span style={{ color: "#e8d5a3", fontFamily: "'DM Mono',monospace", fontSize: 13 }}>{cfg.maxTerm}mo</span>
+              <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>Max lenderRepaymentTerm</div>
+              <span style={{ color: T.accent, fontFamily: "'DM Mono',monospace", fontSize: 13 }}>{cfg.maxTerm}mo</span>
             </div>
-            <input type="range" min={1} max={36} value={cfg.maxTerm} onChange={e => setCfg(c => ({ ...c, maxTerm: parseInt(e.target.value) }))} style={{ width: "100%", accentColor: "#e8d5a3" }} />
-            <div style={{ color: "#333", fontSize: 11, marginTop: 4 }}>Server-side: lenderTerm: {"{ max }"}; client also checks lenderRepaymentTerm</div>
+            <input type="range" min={1} max={36} value={cfg.maxTerm} onChange={e => setCfg(c => ({ ...c, maxTerm: parseInt(e.target.value) }))}
+              aria-label="Max repayment term" aria-valuetext={`${cfg.maxTerm} months`} style={{ width: "100%", accentColor: T.accent }} />
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 4 }}>Server-side: lenderTerm: {"{ max }"}; client also checks lenderRepaymentTerm</div>
           </div>
 
           {/* Caps */}
           {[["countryCap","Country Cap %"],["partnerCap","Partner Cap %"]].map(([k, l]) => (
             <div key={k}>
               <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
-                <div style={{ color: "#555", fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>{l}</div>
-                <span style={{ color: "#93c5fd", fontFamily: "'DM Mono',monospace", fontSize: 13 }}>{cfg[k]}%</span>
+                <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>{l}</div>
+                <span style={{ color: T.info, fontFamily: "'DM Mono',monospace", fontSize: 13 }}>{cfg[k]}%</span>
               </div>
-              <input type="range" min={1} max={30} value={cfg[k]} onChange={e => setCfg(c => ({ ...c, [k]: parseInt(e.target.value) }))} style={{ width: "100%", accentColor: "#93c5fd" }} />
-              <div style={{ color: "#333", fontSize: 11, marginTop: 4 }}>Enforced against my.loans + current run combined</div>
+              <input type="range" min={1} max={30} value={cfg[k]} onChange={e => setCfg(c => ({ ...c, [k]: parseInt(e.target.value) }))} aria-label={l} aria-valuetext={`${cfg[k]}%`} style={{ width: "100%", accentColor: T.info }} />
+              <div style={{ color: T.textGhost, fontSize: 11, marginTop: 4 }}>Enforced against my.loans + earlier picks in this run (repeat borrowers, then lowest default, first)</div>
             </div>
           ))}
+          {(cfg.partnerAllow.length > 0 || cfg.partnerBlock.length > 0) && (
+            <div style={{ color: T.textFaint, fontSize: 11, marginTop: -12 }}>
+              Partner lists: {cfg.partnerAllow.length ? `${cfg.partnerAllow.length} allowed only` : "no allowlist"} · {cfg.partnerBlock.length} blocked
+              {" "}<button onClick={() => setActiveTab("partners")} style={{ background: "transparent", border: "none", padding: 0, color: T.info, fontSize: 11, cursor: "pointer" }}>edit</button>
+            </div>
+          )}
 
-          <div style={{ borderTop: "1px solid #1a1d2a" }} />
+          <div style={{ borderTop: `1px solid ${T.line}` }} />
+
+          {/* Sectors / countries / tags */}
+          {!filterOptions && pickerOptions.sectors.length > 0 && (
+            <div style={{ color: T.warn, fontSize: 11, marginBottom: -12 }}>Gateway facets unavailable — options below come from loans already loaded</div>
+          )}
+          <IncludeExcludePicker title="Sectors" note="Include: server-side sector [Int] · Exclude: client-side"
+            options={pickerOptions.sectors.map(s => ({ value: s.id, label: s.name }))}
+            include={cfg.includedSectors} exclude={cfg.excludedSectors}
+            onChange={(inc, exc) => setCfg(c => ({ ...c, includedSectors: inc, excludedSectors: exc }))} />
+          <IncludeExcludePicker title="Countries" note="Include: server-side countryIsoCode · Exclude: client-side"
+            options={pickerOptions.countries.map(c => ({ value: c.isoCode, label: c.name, count: c.count }))}
+            include={cfg.includedCountries} exclude={cfg.excludedCountries}
+            onChange={(inc, exc) => setCfg(c => ({ ...c, includedCountries: inc, excludedCountries: exc }))} />
+          <IncludeExcludePicker title="Tags" note="Client-side on loan.tags; include needs any one of them"
+            options={pickerOptions.tags.map(t => ({ value: t.name, label: t.name }))}
+            include={cfg.includedTags} exclude={cfg.excludedTags}
+            onChange={(inc, exc) => setCfg(c => ({ ...c, includedTags: inc, excludedTags: exc }))} />
 
-          {/* Excluded sectors */}
+          {/* Gender / amount */}
+          <div>
+            <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Borrower Gender</div>
+            <div role="group" aria-label="Borrower gender" style={{ display: "flex", gap: 6 }}>
+              {["any", "female", "male"].map(g => (
+                <button key={g} onClick={() => setCfg(c => ({ ...c, gender: g }))} aria-pressed={cfg.gender === g}
+                  style={{ ...smallBtn, flex: 1, fontSize: 12, textTransform: "capitalize", borderColor: cfg.gender === g ? T.accent : T.lineStrong, color: cfg.gender === g ? T.accent : T.textQuiet }}>{cfg.gender === g && "✓ "}{g}</button>
+              ))}
+            </div>
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 6 }}>Server-side gender; client re-checks so every borrower in a group matches</div>
+          </div>
           <div>
-            <div style={{ color: "#555", fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 6 }}>Excluded Sectors</div>
-            <div style={{ color: "#333", fontSize: 11, marginBottom: 10 }}>Client-side only — schema sector filter is inclusion by [Int] ID</div>
-            <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
-              {sectorOptions.map(s => {
-                const active = cfg.excludedSectors.includes(s);
-                return (
-                  <button key={s} onClick={() => setCfg(c => ({ ...c, excludedSectors: active ? c.excludedSectors.filter(x => x !== s) : [...c.excludedSectors, s] }))}
-                    style={{ padding: "4px 10px", borderRadius: 4, border: "1px solid", borderColor: active ? "#5c1a1a" : "#2a2d3a", background: active ? "#3d1a1a" : "transparent", color: active ? "#f87171" : "#666", fontSize: 12, cursor: "pointer" }}>
-                    {s}
-                  </button>
-                );
-              })}
+            <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Loan Amount (USD)</div>
+            <div style={{ display: "flex", gap: 10 }}>
+              {[["minAmount","Min"],["maxAmount","Max"]].map(([k, l]) => (
+                <div key={k} style={{ flex: 1 }}>
+                  <div style={{ color: T.textFaint, fontSize: 11, marginBottom: 4 }}>{l}</div>
+                  <input type="number" min={0} step={25} value={cfg[k]} onChange={e => setCfg(c => ({ ...c, [k]: Math.max(0, parseInt(e.target.value) || 0) }))} aria-label={`${l} loan amount (USD)`}
+                    style={{ width: "100%", background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "6px 10px", fontFamily: "'DM Mono',monospace", fontSize: 14 }} />
+                </div>
+              ))}
+            </div>
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 6 }}>Client-side on loanAmount; 0 = no limit</div>
+          </div>
+
+          <div style={{ borderTop: `1px solid ${T.line}` }} />
+
+          <RulesPanel cfg={cfg} setCfg={setCfg} />
+
+          <div style={{ borderTop: `1px solid ${T.line}` }} />
+
+          {/* Repeat borrowers */}
+          <div>
+            <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Lend per Tier</div>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 6 }}>
+              {[1, 2, 3, 4].map(t => (
+                <label key={t} style={{ fontSize: 11, color: T.textFaint }}>
+                  Tier {t}
+                  <select value={lendAmountFor(t, cfg.tierAmounts)} onChange={e => setCfg(c => ({ ...c, tierAmounts: [1, 2, 3, 4].map(k => k === t ? Number(e.target.value) : lendAmountFor(k, c.tierAmounts)) }))}
+                    style={{ ...fieldInput, width: "100%", marginTop: 4, padding: "4px 2px" }}>
+                    {Array.from({ length: 20 }, (_, i) => (i + 1) * SHARE).map(v => <option key={v} value={v}>${v}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10, cursor: "pointer", fontSize: 12, color: T.textMuted }}>
+              <input type="checkbox" checked={cfg.fuzzyBorrowers} onChange={e => setCfg(c => ({ ...c, fuzzyBorrowers: e.target.checked }))} style={{ accentColor: T.info }} />
+              Match prior loans by name
+            </label>
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 4 }}>Tier = prior loans to any borrower on the loan + 1. By name also counts the same first name, country and partner under another borrower id — it can over-count common names.</div>
+          </div>
+
+          <div style={{ borderTop: `1px solid ${T.line}` }} />
+
+          {/* Budget */}
+          <div>
+            <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Budget</div>
+            <input type="number" min={0} step={25} value={cfg.budget} onChange={e => setCfg(c => ({ ...c, budget: Math.max(0, parseInt(e.target.value) || 0) }))} aria-label="Budget in USD per run"
+              style={{ width: "100%", background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "6px 10px", fontFamily: "'DM Mono',monospace", fontSize: 14 }} />
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 6 }}>USD per run; 0 funds every passing loan</div>
+            {cfg.budget > 0 && [["tier","Favour repeat tiers"],["defaultRate","Favour low default"],["term","Favour short term"],["diversity","Favour under-weight countries"]].map(([k, l]) => (
+              <div key={k} style={{ marginTop: 8 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: T.textFaint }}>
+                  <span>{l}</span><span style={{ color: T.info, fontFamily: "'DM Mono',monospace" }}>×{cfg.allocWeights[k] ?? 0}</span>
+                </div>
+                <input type="range" min={0} max={3} step={0.5} value={cfg.allocWeights[k] ?? 0} aria-label={l}
+                  onChange={e => setCfg(c => ({ ...c, allocWeights: { ...c.allocWeights, [k]: parseFloat(e.target.value) } }))}
+                  style={{ width: "100%", accentColor: T.info }} />
+              </div>
+            ))}
+          </div>
+
+          <div style={{ borderTop: `1px solid ${T.line}` }} />
+
+          {/* Scan */}
+          <div>
+            <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Scan Order</div>
+            <select value={cfg.sortBy} onChange={e => setCfg(c => ({ ...c, sortBy: e.target.value }))} aria-label="Scan order" style={{ ...fieldInput, width: "100%" }}>
+              {Object.entries(SORT_ORDERS).map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+            </select>
+            <div style={{ display: "flex", justifyContent: "space-between", margin: "12px 0 8px" }}>
+              <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>Scan Depth</div>
+              <span style={{ color: T.accent, fontFamily: "'DM Mono',monospace", fontSize: 13 }}>{cfg.scanPages} pages</span>
+            </div>
+            <input type="range" min={1} max={100} value={cfg.scanPages} onChange={e => setCfg(c => ({ ...c, scanPages: parseInt(e.target.value) }))}
+              aria-label="Scan depth" aria-valuetext={`${cfg.scanPages} pages`} style={{ width: "100%", accentColor: T.accent }} />
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 4 }}>
+              Server-side sortBy; up to {(cfg.scanPages * 40).toLocaleString()} candidates. Loans past the last page are never seen — use "Expiring soon" to catch loans about to close.
+              {cfg.sortBy !== "newest" && " Incremental refresh only works with Newest, so this order always re-scans."}
+            </div>
+          </div>
+
+          {/* Watch */}
+          <div>
+            <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 8 }}>Watch</div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <select value={watchMinutes} disabled={watching} onChange={e => setWatchMinutes(Number(e.target.value))} aria-label="Watch interval" style={{ ...fieldInput, flex: 1 }}>
+                {WATCH_INTERVALS.map(m => <option key={m} value={m}>every {formatInterval(m)}</option>)}
+              </select>
+              <button onClick={() => watching ? watchRef.current?.abort() : startWatch()} disabled={!watching && (running || bootstrapStatus !== "ready")}
+                style={{ ...smallBtn, borderColor: watching ? T.badLine : T.goodLine, color: watching ? T.bad : T.good, padding: "4px 12px" }}>
+                {watching ? "■ Stop" : "● Watch"}
+              </button>
+            </div>
+            <div style={{ color: T.textGhost, fontSize: 11, marginTop: 6 }}>
+              Re-runs the current settings and notifies about passing loans not announced before.
+              {seenCount > 0 && <> {seenCount} seen · <button onClick={forgetSeen} style={{ background: "transparent", border: "none", color: T.info, fontSize: 11, cursor: "pointer", padding: 0 }}>forget</button></>}
             </div>
           </div>
 
           {/* Run */}
-          <button onClick={runFilter} disabled={running || bootstrapStatus !== "ready"} style={{
-            background: running ? "#6b4e10" : "#c8991f", color: "#0a0c12",
+          <button onClick={() => runFilter()} disabled={running || watching || bootstrapStatus !== "ready"} style={{
+            background: running ? T.warnLine : T.accentLine, color: T.onAccent,
             border: "none", borderRadius: 8, padding: "14px 0",
             fontSize: 14, fontWeight: 700, letterSpacing: 1.5, textTransform: "uppercase",
             cursor: running || bootstrapStatus !== "ready" ? "not-allowed" : "pointer",
@@ -605,103 +2144,200 @@ export default function App() {
           }}>
             {running ? "⟳  Scanning…" : bootstrapStatus === "loading" ? "Loading portfolio…" : "▶  Run Filter"}
           </button>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 11, color: T.textFaint, marginTop: -10 }}>
+            <span>{candidatesMeta?.fetchedAt ? `Candidates cached ${formatAge(Date.now() - candidatesMeta.fetchedAt)}` : running ? "Scanning…" : "No cached scan"}</span>
+            <button onClick={() => runFilter({ force: true })} disabled={running || watching || bootstrapStatus !== "ready"}
+              style={{ background: "transparent", border: "none", color: T.info, fontSize: 11, cursor: "pointer", padding: 0 }}>
+              Force refresh
+            </button>
+          </div>
         </div>
 
         {/* Main panel */}
         <div style={{ flex: 1, overflowY: "auto", padding: "24px 28px" }}>
-          {!hasRun && !running && (
+          {!hasRun && !running && portfolio.length === 0 && (
             <div style={{ display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", height: "100%", gap: 16, opacity: 0.35 }}>
               <div style={{ fontSize: 48 }}>◈</div>
-              <div style={{ color: "#555", letterSpacing: 2, textTransform: "uppercase", fontSize: 13 }}>Configure filters and press Run</div>
+              <div style={{ color: T.textDim, letterSpacing: 2, textTransform: "uppercase", fontSize: 13 }}>Configure filters and press Run</div>
+            </div>
+          )}
+
+          {/* before the first run: where the portfolio stands */}
+          {!hasRun && !running && portfolio.length > 0 && (
+            <div className="fade-in">
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 20 }}>
+                <div style={{ color: T.accent, fontSize: 15 }}>Portfolio</div>
+                <div style={{ color: T.textFaint, fontSize: 12, letterSpacing: 1.5, textTransform: "uppercase" }}>Configure filters and press Run</div>
+              </div>
+              <PortfolioTab portfolio={portfolio} filterOptions={filterOptions} candidates={candidates} batches={cfg.batches} />
             </div>
           )}
 
-          {running && (
+          {running && !scanProgress && (
             <div style={{ display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", height: "100%", gap: 16 }}>
-              <div style={{ width: 48, height: 48, border: "3px solid #1e2030", borderTopColor: "#e8d5a3", borderRadius: "50%", animation: "spin 0.8s linear infinite" }} />
-              <div style={{ color: "#e8d5a3", letterSpacing: 2, textTransform: "uppercase", fontSize: 12 }}>{statusMsg}</div>
+              <div style={{ width: 48, height: 48, border: `3px solid ${T.chip}`, borderTopColor: T.accent, borderRadius: "50%", animation: "spin 0.8s linear infinite" }} />
+              <div style={{ color: T.accent, letterSpacing: 2, textTransform: "uppercase", fontSize: 12 }}>{statusMsg}</div>
+              <button onClick={() => abortRef.current?.abort()} style={{ background: "transparent", border: `1px solid ${T.badLine}`, borderRadius: 6, color: T.bad, padding: "6px 18px", fontSize: 12, letterSpacing: 1, textTransform: "uppercase", cursor: "pointer" }}>
+                Cancel — keep pages fetched
+              </button>
             </div>
           )}
 
-          {hasRun && !running && (
+          {hasRun && (!running || scanProgress) && (
             <div className="fade-in">
+              {scanProgress && (
+                <div style={{ display: "flex", alignItems: "center", gap: 14, marginBottom: 20, padding: "10px 14px", background: T.panel, border: `1px solid ${T.line}`, borderRadius: 8 }}>
+                  <span style={{ color: T.accent, fontSize: 12, whiteSpace: "nowrap" }}>
+                    Page {scanProgress.page} of ~{scanProgress.pages} · {scanProgress.fetched.toLocaleString()} of {scanProgress.totalCount.toLocaleString()} · <span style={{ color: T.good }}>{passing.length} passing so far</span>
+                  </span>
+                  <div style={{ flex: 1, height: 4, background: T.chip, borderRadius: 2, overflow: "hidden" }}>
+                    <div style={{ width: `${Math.min(100, scanProgress.page / Math.max(1, scanProgress.pages) * 100)}%`, height: "100%", background: T.accent, transition: "width 0.3s" }} />
+                  </div>
+                  <button onClick={() => abortRef.current?.abort()} style={{ ...smallBtn, borderColor: T.badLine, color: T.bad }}>Stop here</button>
+                </div>
+              )}
               <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 28 }}>
-                <StatCard label="Passing"      value={passing.length}                                   accent="#4ade80" />
-                <StatCard label="Failing"       value={failing.length}                                   accent="#f87171" />
-                <StatCard label="Total to Lend" value={`$${totalLend.toLocaleString()}`}                 accent="#e8d5a3" />
-                <StatCard label="Batch A"       value={batchACount}                                      accent="#60a5fa" />
-                <StatCard label="Batch B"       value={batchBCount}                                      accent="#fbbf24" />
-                <StatCard label="Pass Rate"     value={`${filtered.length ? Math.round(passing.length / filtered.length * 100) : 0}%`} accent="#a78bfa" />
+                <StatCard label="Passing"      value={stats.passing}                                    accent={T.good} />
+                <StatCard label="Failing"       value={stats.failing}                                    accent={T.bad} />
+                <StatCard label="Total to Lend" value={`$${stats.totalLend.toLocaleString()}`}           accent={T.accent} />
+                {cfg.batches.map((b, i) => <StatCard key={b.id} label={b.name} value={stats.byBatch[b.id] ?? 0} accent={batchColor(i)} />)}
+                <StatCard label="Pass Rate"     value={`${stats.passRate}%`}                             accent={T.violet} />
+                {allocation && <StatCard label="Allocated" value={`$${allocation.spent.toLocaleString()} / ${cfg.budget.toLocaleString()}`} accent={T.good} />}
               </div>
 
-              <div style={{ display: "flex", marginBottom: 20, borderBottom: "1px solid #1a1d2a" }}>
-                {[["results","Results"],["breakdown","Country / Partner"]].map(([id, label]) => (
-                  <button key={id} onClick={() => setActiveTab(id)} style={{ padding: "10px 20px", background: "transparent", border: "none", borderBottom: `2px solid ${activeTab === id ? "#e8d5a3" : "transparent"}`, color: activeTab === id ? "#e8d5a3" : "#555", fontSize: 13, cursor: "pointer", marginBottom: -1 }}>{label}</button>
+              {/* where each filter ran */}
+              <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 24, fontSize: 11 }}>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center" }}>
+                  <span style={{ color: T.textFaint, letterSpacing: 1.5, textTransform: "uppercase", width: 84 }}>Server-side</span>
+                  {plan.server.map(f => <Badge key={f.key} text={f.text} color="blue" />)}
+                </div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center" }}>
+                  <span style={{ color: T.textFaint, letterSpacing: 1.5, textTransform: "uppercase", width: 84 }}>Client-side</span>
+                  {plan.client.map(r => <Badge key={r.id} text={r.label} color="gray" />)}
+                </div>
+              </div>
+
+              <div style={{ display: "flex", marginBottom: 20, borderBottom: `1px solid ${T.line}`, alignItems: "center" }}>
+                {[["results","Results"],["nearMiss","Near misses"],["breakdown","Country / Partner"], ["portfolio","Portfolio"], ...(allocation ? [["allocation","Allocation"]] : []), ["partners", "Partners"], ...(history.length ? [["history", "History"]] : []), ...(pollLog.length ? [["watch", "Watch log"]] : [])].map(([id, label]) => (
+                  <button key={id} onClick={() => setActiveTab(id)} style={{ padding: "10px 20px", background: "transparent", border: "none", borderBottom: `2px solid ${activeTab === id ? T.accent : "transparent"}`, color: activeTab === id ? T.accent : T.textDim, fontSize: 13, cursor: "pointer", marginBottom: -1 }}>{label}</button>
                 ))}
+                <div style={{ marginLeft: "auto", display: "flex", gap: 6, alignItems: "center" }}>
+                  <span style={{ color: T.textFaint, fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginRight: 4 }}>Export</span>
+                  {[["csv","CSV"],["json","JSON"],["md","Report"]].map(([fmt, label]) => (
+                    <button key={fmt} onClick={() => exportResults(fmt)}
+                      style={{ padding: "4px 10px", borderRadius: 4, border: `1px solid ${T.lineStrong}`, background: "transparent", color: T.textMuted, fontSize: 12, cursor: "pointer" }}>
+                      {label}
+                    </button>
+                  ))}
+                </div>
               </div>
 
               {activeTab === "results" && (
                 <>
                   <div style={{ display: "flex", gap: 12, marginBottom: 16, alignItems: "center" }}>
-                    <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search by name, country, ID…"
-                      style={{ flex: 1, background: "#0f1117", border: "1px solid #2a2d3a", borderRadius: 6, color: "#e8d5a3", padding: "8px 14px", fontSize: 13 }} />
-                    <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", fontSize: 13, color: "#888", whiteSpace: "nowrap" }}>
-                      <input type="checkbox" checked={cfg.showFailing} onChange={e => setCfg(c => ({ ...c, showFailing: e.target.checked }))} style={{ accentColor: "#e8d5a3" }} />
+                    <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search name, country, partner, sector, tag, ID…"
+                      style={{ flex: 1, background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "8px 14px", fontSize: 13 }} />
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", fontSize: 13, color: T.textMuted, whiteSpace: "nowrap" }}>
+                      <input type="checkbox" checked={cfg.showFailing} onChange={e => setCfg(c => ({ ...c, showFailing: e.target.checked }))} style={{ accentColor: T.accent }} />
                       Show failing
                     </label>
-                    <span style={{ fontSize: 12, color: "#444", whiteSpace: "nowrap" }}>{shown.length} rows</span>
+                    <span style={{ fontSize: 12, color: T.textFaint, whiteSpace: "nowrap" }}>{shown.length} rows</span>
+                    {tablePrefs.sort.length > 0 && <button onClick={() => setTablePrefs(p => ({ ...p, sort: [] }))} title="Back to the order the scan returned" style={smallBtn}>Unsort</button>}
+                    <ColumnChooser columns={tablePrefs.columns} onChange={columns => setTablePrefs(p => ({ ...p, columns }))} />
+                  </div>
+                  {Object.keys(ruleCounts).length > 0 && (
+                    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 16 }}>
+                      <span style={{ color: T.textFaint, fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginRight: 4 }}>Failures by rule</span>
+                      {Object.entries(ruleCounts).sort((a, b) => b[1] - a[1]).map(([id, n]) => (
+                        <button key={id} onClick={() => setRuleFilter(f => f === id ? null : id)}
+                          style={{ padding: "3px 9px", borderRadius: 4, border: "1px solid", borderColor: ruleFilter === id ? T.bad : T.lineStrong, background: ruleFilter === id ? T.badBg : "transparent", color: ruleFilter === id ? T.bad : T.textMuted, fontSize: 12, cursor: "pointer" }}>
+                          {ruleLabels[id] ?? id} · <span style={{ fontFamily: "'DM Mono',monospace" }}>{n}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <div style={{ display: "flex", gap: 12, marginBottom: 16, alignItems: "center" }}>
+                    <button onClick={() => setConfirmBasket(true)} disabled={running || basketRunning || toBasket.length === 0} title={running ? "Wait for the scan to finish" : undefined} style={{
+                      background: "transparent", border: `1px solid ${T.accentLine}`, borderRadius: 6, color: T.accent,
+                      padding: "6px 14px", fontSize: 12, letterSpacing: 1, textTransform: "uppercase",
+                      cursor: running || basketRunning || toBasket.length === 0 ? "not-allowed" : "pointer",
+                      opacity: running || basketRunning || toBasket.length === 0 ? 0.5 : 1,
+                    }}>
+                      {basketRunning ? "Adding…" : `Add to basket · ${toBasket.length} · $${basketTotal(toBasket).toLocaleString()}`}
+                    </button>
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", fontSize: 13, color: T.textMuted, whiteSpace: "nowrap" }}>
+                      <input type="checkbox" checked={dryRun} onChange={e => setDryRun(e.target.checked)} style={{ accentColor: T.accent }} />
+                      Dry run
+                    </label>
+                    <span style={{ marginLeft: "auto", fontSize: 12, color: T.textDim, whiteSpace: "nowrap" }}>{toBasket.length} selected</span>
+                    <button onClick={() => selectIds(shown.filter(l => l.pass).map(l => l.id), true)} style={smallBtn}>Select shown</button>
+                    <button onClick={() => {
+                      const inView = new Set(shown.map(l => l.id));
+                      setSelected(s => new Set(passing.filter(l => s.has(l.id) !== inView.has(l.id)).map(l => l.id)));
+                    }} title="Invert the selection among the rows shown" style={smallBtn}>Invert</button>
+                    <button onClick={() => setSelected(new Set())} style={smallBtn}>Clear</button>
+                    <button onClick={() => exportResults("csv", toBasket)} disabled={!toBasket.length} style={{ ...smallBtn, opacity: toBasket.length ? 1 : 0.4 }}>Export selected</button>
+                    <button onClick={() => [...new Set(toBasket.map(l => l.partnerId).filter(Boolean))].forEach(id => setPartnerList(id, "block"))}
+                      disabled={!toBasket.some(l => l.partnerId)} title="Add the field partners of the selected loans to the blocklist"
+                      style={{ ...smallBtn, opacity: toBasket.some(l => l.partnerId) ? 1 : 0.4 }}>Block partners</button>
                   </div>
-                  <div style={{ overflowX: "auto", borderRadius: 8, border: "1px solid #1a1d2a" }}>
-                    <table style={{ width: "100%", borderCollapse: "collapse" }}>
-                      <thead>
-                        <tr style={{ background: "#0c0e18", borderBottom: "1px solid #1a1d2a" }}>
-                          {["ID","Borrower","Age","Country","Risk","Default","Term","Tier","Lend","Status"].map(h => (
-                            <th key={h} style={{ padding: "10px 14px", textAlign: "left", color: "#444", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", fontWeight: 500 }}>{h}</th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {shown.length === 0 && <tr><td colSpan={10} style={{ padding: 40, textAlign: "center", color: "#444", fontSize: 13 }}>No loans match current filters.</td></tr>}
-                        {shown.map((loan, i) => <LoanRow key={loan.id} loan={loan} index={i} expanded={expanded === loan.id} onExpand={id => setExpanded(p => p === id ? null : id)} />)}
-                      </tbody>
-                    </table>
+                  <ResultsTable loans={shown} columns={tablePrefs.columns} sort={tablePrefs.sort} onSort={sort => setTablePrefs(p => ({ ...p, sort }))}
+                    selected={selected} onSelectIds={selectIds} expanded={expanded} onExpand={setExpanded}
+                    rowProps={loan => ({
+                      basketResult: basketResults[loan.id], isNew: freshIds.has(loan.id), batches: cfg.batches,
+                      onPartner: openPartner, partnerChanged: !!partnerStats[loan.partnerId]?.change,
+                    })} />
+                  <div style={{ color: T.textGhost, fontSize: 11, marginTop: 8 }}>
+                    Click a header to sort, shift-click to sort by several columns. In the table: ↑↓ or j/k move, shift+↑↓ selects, Space selects, Enter expands, Esc collapses, Ctrl+A selects every passing row.
                   </div>
                 </>
               )}
 
+              {activeTab === "allocation" && allocation && <AllocationTab allocation={allocation} budget={cfg.budget} />}
+
+              {activeTab === "nearMiss" && <NearMissTab key={[cfg.maxTerm, cfg.countryCap, cfg.partnerCap, cfg.phrase].join("|")} candidates={candidates} portfolio={portfolio} cfg={cfg} results={filtered}
+                onApply={next => setCfg(c => ({ ...c, maxTerm: next.maxTerm, countryCap: next.countryCap, partnerCap: next.partnerCap, phrase: next.phrase }))} />}
+
+              {activeTab === "partners" && <PartnersTab results={filtered} portfolio={portfolio} cfg={cfg} stats={partnerStats} details={partnerDetails}
+                selectedId={partnerId} onSelect={id => id === null ? setPartnerId(null) : openPartner(id)} onList={setPartnerList}
+                onAcknowledge={id => setPartnerStats(s => acknowledgeChange(s, id))} />}
+              {activeTab === "history" && history.length > 0 && <HistoryTab key={history[0].id} history={history}
+                onDelete={id => setHistory(h => h.filter(r => r.id !== id))} onClear={() => setHistory([])} />}
+
+              {activeTab === "watch" && <WatchLogTab log={pollLog} watching={watching} minutes={watchMinutes} />}
+
+              {activeTab === "portfolio" && <PortfolioTab portfolio={portfolio} filterOptions={filterOptions} candidates={candidates} batches={cfg.batches} />}
+
               {activeTab === "breakdown" && (
                 <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20 }}>
                   {[["Country","country",cfg.countryCap],["Partner","partner",cfg.partnerCap]].map(([title, key, cap]) => {
-                    const portCounts = {}, newCounts = {};
-                    portfolio.forEach(l => { portCounts[l[key]] = (portCounts[l[key]] || 0) + 1; });
-                    passing.forEach(l => { newCounts[l[key]] = (newCounts[l[key]] || 0) + 1; });
-                    const total = (portfolio.length + passing.length) || 1;
-                    const sorted = [...new Set([...Object.keys(portCounts), ...Object.keys(newCounts)])]
-                      .map(k => ({ k, pct: ((portCounts[k] || 0) + (newCounts[k] || 0)) / total * 100, portN: portCounts[k] || 0, newN: newCounts[k] || 0 }))
-                      .sort((a, b) => b.pct - a.pct).slice(0, 14);
+                    const { rows, total } = concentrationBreakdown(portfolio, passing, key);
+                    const sorted = rows.slice(0, 14);
                     return (
-                      <div key={title} style={{ background: "#0a0c12", border: "1px solid #1a1d2a", borderRadius: 8, padding: 20 }}>
-                        <div style={{ color: "#555", fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 16 }}>{title} Distribution</div>
-                        {sorted.map(({ k, pct, portN, newN }) => {
+                      <div key={title} style={{ background: T.panel, border: `1px solid ${T.line}`, borderRadius: 8, padding: 20 }}>
+                        <div style={{ color: T.textDim, fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 16 }}>{title} Distribution</div>
+                        {sorted.map(({ k, pct, portN, newN, portLoans }) => {
                           const over = pct >= cap, warn = pct >= cap * 0.75;
                           return (
                             <div key={k} style={{ marginBottom: 10 }}>
                               <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 3 }}>
-                                <span style={{ fontSize: 12, color: over ? "#f87171" : "#888", fontFamily: "'DM Mono',monospace" }}>{k}</span>
-                                <span style={{ fontSize: 12, color: over ? "#f87171" : warn ? "#fbbf24" : "#555", fontFamily: "'DM Mono',monospace" }}>{pct.toFixed(1)}% {over && "⚠"}</span>
+                                <span style={{ fontSize: 12, color: over ? T.bad : T.textMuted, fontFamily: "'DM Mono',monospace" }}>{k}</span>
+                                <span style={{ fontSize: 12, color: over ? T.bad : warn ? T.warn : T.textDim, fontFamily: "'DM Mono',monospace" }}>{pct.toFixed(1)}% {over && "⚠"}</span>
                               </div>
-                              <div style={{ height: 4, background: "#1e2030", borderRadius: 2, overflow: "hidden" }}>
-                                <div style={{ height: "100%", borderRadius: 2, background: over ? "#f87171" : warn ? "#fbbf24" : "#2d6a4f", width: `${Math.min(pct / cap * 100, 100)}%` }} />
+                              <div style={{ height: 4, background: T.chip, borderRadius: 2, overflow: "hidden" }}>
+                                <div style={{ height: "100%", borderRadius: 2, background: over ? T.bad : warn ? T.warn : T.goodLine, width: `${Math.min(pct / cap * 100, 100)}%` }} />
                               </div>
                               <div style={{ display: "flex", gap: 10, marginTop: 3 }}>
-                                <span style={{ fontSize: 10, color: "#333" }}>Portfolio: {portN}</span>
-                                <span style={{ fontSize: 10, color: "#4ade80" }}>+{newN} new</span>
+                                {team.length > 0
+                                  ? <span title={describeOwners(portLoans) || "No team loans"} style={{ fontSize: 10, color: T.textGhost, textDecoration: "underline dotted", cursor: "help" }}>Team: {portN}</span>
+                                  : <span style={{ fontSize: 10, color: T.textGhost }}>Portfolio: {portN}</span>}
+                                <span style={{ fontSize: 10, color: T.good }}>+{newN} new</span>
                               </div>
                             </div>
                           );
                         })}
-                        <div style={{ marginTop: 14, padding: "6px 10px", background: "#0f1117", borderRadius: 6, fontSize: 11, color: "#444" }}>
-                          Cap: <span style={{ color: "#93c5fd", fontFamily: "'DM Mono',monospace" }}>{cap}%</span>{" · "}Pool: <span style={{ color: "#888", fontFamily: "'DM Mono',monospace" }}>{total}</span>
+                        <div style={{ marginTop: 14, padding: "6px 10px", background: T.input, borderRadius: 6, fontSize: 11, color: T.textFaint }}>
+                          Cap: <span style={{ color: T.info, fontFamily: "'DM Mono',monospace" }}>{cap}%</span>{" · "}Pool: <span style={{ color: T.textMuted, fontFamily: "'DM Mono',monospace" }}>{total}</span>
                         </div>
                       </div>
                     );
@@ -712,6 +2348,50 @@ export default function App() {
           )}
         </div>
       </div>
+
+      {confirmBasket && (
+        <div style={{ position: "fixed", inset: 0, background: T.scrim, display: "flex", alignItems: "center", justifyContent: "center", zIndex: 200 }}>
+          <div style={{ background: T.panel, border: `1px solid ${T.line}`, borderRadius: 12, padding: "28px 32px", width: 440 }}>
+            <div style={{ color: T.textDim, fontSize: 11, letterSpacing: 2, textTransform: "uppercase", marginBottom: 12 }}>{dryRun ? "Dry run" : "Confirm basket"}</div>
+            <div style={{ color: T.accent, fontSize: 15, marginBottom: 16 }}>
+              Add {toBasket.length} loan{toBasket.length === 1 ? "" : "s"} totalling{" "}
+              <span style={{ fontFamily: "'DM Mono',monospace", color: T.good }}>${basketTotal(toBasket).toLocaleString()}</span> to your Kiva basket?
+            </div>
+            <div style={{ maxHeight: 200, overflowY: "auto", marginBottom: 16 }}>
+              {toBasket.map(l => (
+                <div key={l.id} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color: T.textMuted, padding: "3px 0" }}>
+                  <span>{l.name} <span style={{ color: T.textFaint }}>#{l.id}</span></span>
+                  <span style={{ fontFamily: "'DM Mono',monospace" }}>${l.lendAmount}</span>
+                </div>
+              ))}
+            </div>
+            {dryRun && <div style={{ color: T.textDim, fontSize: 12, marginBottom: 16 }}>Dry run: mutations are logged to the console, nothing is sent.</div>}
+            <div style={{ display: "flex", gap: 10, justifyContent: "flex-end" }}>
+              <button onClick={() => setConfirmBasket(false)} style={{ background: "transparent", border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.textMuted, padding: "8px 16px", fontSize: 13, cursor: "pointer" }}>Cancel</button>
+              <button onClick={sendToBasket} style={{ background: T.accentLine, border: "none", borderRadius: 6, color: T.onAccent, padding: "8px 16px", fontSize: 13, fontWeight: 700, cursor: "pointer" }}>{dryRun ? "Log mutations" : "Add to basket"}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {reauthPrompt && (
+        <div style={{ position: "fixed", inset: 0, background: T.scrim, display: "flex", alignItems: "center", justifyContent: "center", zIndex: 200 }}>
+          <div style={{ background: T.panel, border: `1px solid ${T.line}`, borderRadius: 12, padding: "28px 32px", width: 400 }}>
+            <div style={{ color: T.textDim, fontSize: 11, letterSpacing: 2, textTransform: "uppercase", marginBottom: 12 }}>Session expired</div>
+            <div style={{ color: T.accent, fontSize: 14, marginBottom: 16 }}>
+              Enter the password for <span style={{ fontFamily: "'DM Mono',monospace" }}>{email}</span> to continue{running ? " — the scan resumes where it stopped" : ""}.
+            </div>
+            {reauthPrompt.error && <div style={{ color: T.bad, fontSize: 12, marginBottom: 12 }}>{reauthPrompt.error}</div>}
+            <input type="password" autoFocus value={reauthPrompt.password} onChange={e => setReauthPrompt(p => ({ ...p, password: e.target.value }))}
+              onKeyDown={e => e.key === "Enter" && submitReauth()}
+              style={{ width: "100%", background: T.input, border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.accent, padding: "10px 14px", fontSize: 14, marginBottom: 16 }} />
+            <div style={{ display: "flex", gap: 10, justifyContent: "flex-end" }}>
+              <button onClick={() => finishReauth(null)} style={{ background: "transparent", border: `1px solid ${T.lineStrong}`, borderRadius: 6, color: T.textMuted, padding: "8px 16px", fontSize: 13, cursor: "pointer" }}>Cancel</button>
+              <button onClick={submitReauth} disabled={reauthPrompt.busy || !reauthPrompt.password} style={{ background: T.accentLine, border: "none", borderRadius: 6, color: T.onAccent, padding: "8px 16px", fontSize: 13, fontWeight: 700, cursor: "pointer" }}>{reauthPrompt.busy ? "Signing in…" : "Sign in"}</button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Run exports: CSV / JSON of the filtered loans and a Markdown run report
+ * (cfg, totals, Country/Partner breakdown, why each passing loan qualified,
+ * and the near misses that failed a single rule).
+ */
+
+import { summarizeResults, concentrationBreakdown, filterPlan } from "./filters.mjs";
+import { resolveRules, describeCondition, countFailuresByRule } from "./rules.mjs";
+import { nearMisses } from "./whatif.mjs";
+import { describeOwners } from "./team.mjs";
+import { describeBatch } from "./batches.mjs";
+
+const CSV_COLUMNS = [
+  ["id", l => l.id],
+  ["name", l => l.name],
+  ["country", l => l.country],
+  ["partner", l => l.partner],
+  ["sector", l => l.sector],
+  ["age", l => l.age],
+  ["ageSource", l => l.ageSource],
+  ["risk", l => l.risk],
+  ["defaultRate", l => l.defRate],
+  ["term", l => l.term],
+  ["amount", l => l.amount],
+  ["tier", l => l.tier],
+  ["priorLoans", l => l.priorLoans.map(p => p.via === "name" ? `${p.id} (name)` : p.id).join(" | ")],
+  ["lendAmount", l => l.lendAmount],
+  ["countryPct", l => l.countryPct],
+  ["partnerPct", l => l.partnerPct],
+  ["pass", l => l.pass],
+  ["failedRules", l => l.reasons.map(r => r.ruleId).join(" | ")],
+  ["reasons", l => l.reasons.map(r => r.text).join(" | ")],
+];
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(loans) {
+  const lines = [CSV_COLUMNS.map(([h]) => h).join(",")];
+  loans.forEach(l => lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(l))).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function toJSON(loans) {
+  return JSON.stringify(loans, null, 2);
+}
+
+const pct = v => `${(v * 100).toFixed(1)}%`;
+const mdCell = v => String(v ?? "—").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+const mdTable = (headers, rows) => [
+  `| ${headers.join(" | ")} |`,
+  `|${headers.map(() => "---").join("|")}|`,
+  ...rows.map(r => `| ${r.map(mdCell).join(" | ")} |`),
+].join("\n");
+
+// what each built-in rule checked, phrased for a loan that passed it
+const PASSED = {
+  batch: (l, cfg) => `${cfg.batches.find(b => b.id === l.batch)?.name ?? l.batch} (risk ${l.risk?.toFixed(1) ?? "?"}, default ${l.defRate !== null ? `${(l.defRate * 100).toFixed(2)}%` : "?"})`,
+  age: (l, cfg) => `age ${l.age}${l.ageSource === "inferred" ? " (inferred from description)" : ""} in ${cfg.minAge}–${cfg.maxAge}`,
+  phrase: (l, cfg) => `matches phrase query: ${cfg.phrase.trim()}`,
+  term: (l, cfg) => l.term !== null ? `term ${l.term}mo ≤ ${cfg.maxTerm}mo` : "term unknown",
+  countryCap: (l, cfg) => `country ${pct(l.countryPct)} < ${cfg.countryCap}%`,
+  partnerCap: (l, cfg) => l.partnerId ? `partner ${pct(l.partnerPct)} < ${cfg.partnerCap}%` : null,
+  countryRunCap: () => null,   // countryPct / partnerPct above already include earlier picks
+  partnerRunCap: () => null,
+  sector: l => `sector ${l.sector} allowed`,
+  country: l => `country ${l.country} allowed`,
+  tags: l => l.tags.length ? `tags ${l.tags.join(", ")}` : "no excluded tags",
+  gender: (l, cfg) => `borrowers ${cfg.gender}`,
+  amount: l => `loan amount $${Number(l.amount).toLocaleString()}`,
+  partnerList: l => l.partnerId ? `partner ${l.partner} allowed` : null,
+};
+
+// why a passing loan qualified, in the same terms the rejection reasons use
+export function qualification(loan, cfg) {
+  const parts = resolveRules(cfg)
+    .filter(r => r.enabled && (!r.applies || r.applies(cfg)))
+    .map(r => PASSED[r.id] ? PASSED[r.id](loan, cfg) : `✓ ${r.label}`)
+    .filter(Boolean);
+  const byName = loan.priorLoans.filter(p => p.via === "name").length;
+  const batch = cfg.batches.find(b => b.id === loan.batch);
+  const lend = batch?.lendAmount ? `$${loan.lendAmount} (${batch.name} amount)` : `$${loan.lendAmount}`;
+  parts.push(`tier ${loan.tier} (${loan.priorCount} prior${byName ? `, ${byName} by name` : ""}) → ${lend}, pick #${loan.pickOrder}`);
+  return parts.join("; ");
+}
+
+const settingValue = (k, v) =>
+  k === "customRules" ? (v.length ? v.map(r => `${r.label}: ${describeCondition(r.when)}`).join("; ") : "none")
+  : k === "batches" ? v.map(b => `${b.name} (${b.id}): ${describeBatch(b)}${b.lendAmount ? `, lend $${b.lendAmount}` : ""}`).join("; ")
+  : Array.isArray(v) ? (v.length ? v.join(", ") : "none")
+  : v !== null && typeof v === "object" ? Object.entries(v).map(([name, w]) => `${name}×${w}`).join(", ")
+  : v;
+
+export function toMarkdownReport({ cfg, results, portfolio, allocation = null, generatedAt = new Date() }) {
+  const stats = summarizeResults(results, cfg.batches);
+  const passing = results.filter(l => l.pass);
+  const out = [];
+
+  out.push("# Kiva Youth Fund Filter — Run Report", "");
+  const lenders = new Set(portfolio.flatMap(l => l.owners ?? []));
+  out.push(`Generated ${generatedAt.toISOString()} against ${lenders.size > 1
+    ? `a team portfolio of ${portfolio.length} loans held by ${[...lenders].join(", ")}`
+    : `a portfolio of ${portfolio.length} loans`}.`, "");
+
+  out.push("## Settings", "");
+  out.push(mdTable(["Setting", "Value"], Object.entries(cfg).map(([k, v]) => [k, settingValue(k, v)])));
+  out.push("");
+
+  const plan = filterPlan(cfg);
+  out.push("## Where Filters Ran", "");
+  out.push(`- **Server-side** (LoanSearchFiltersInput): ${plan.server.map(f => f.text).join("; ")}`);
+  out.push(`- **Client-side** (rules): ${plan.client.map(r => r.label).join(", ") || "none"}`);
+  out.push("");
+
+  out.push("## Totals", "");
+  out.push(mdTable(["Passing", "Failing", "Total to Lend", ...cfg.batches.map(b => b.name), "Pass Rate"], [[
+    stats.passing, stats.failing, `$${stats.totalLend.toLocaleString()}`, ...cfg.batches.map(b => stats.byBatch[b.id]), `${stats.passRate}%`,
+  ]]));
+  out.push("");
+
+  for (const [title, key, cap] of [["Country", "country", cfg.countryCap], ["Partner", "partner", cfg.partnerCap]]) {
+    const { rows, total } = concentrationBreakdown(portfolio, passing, key);
+    out.push(`## ${title} Distribution`, "");
+    out.push(`Cap ${cap}% · Pool ${total}`, "");
+    const headers = [title, "Portfolio", "New", "Share", ""];
+    if (lenders.size > 1) headers.splice(2, 0, "By Lender");
+    out.push(mdTable(headers, rows.map(r => {
+      const row = [r.k, r.portN, r.newN, `${r.pct.toFixed(1)}%`, r.pct >= cap ? "⚠ over cap" : ""];
+      if (lenders.size > 1) row.splice(2, 0, describeOwners(r.portLoans));
+      return row;
+    })));
+    out.push("");
+  }
+
+  out.push("## Passing Loans", "");
+  if (passing.length === 0) out.push("No loans passed.");
+  else out.push(mdTable(["ID", "Borrower", "Country", "Partner", "Lend", "Qualified because"],
+    passing.map(l => [l.id, l.name, l.country, l.partner, `$${l.lendAmount}`, qualification(l, cfg)])));
+  out.push("");
+
+  const counts = countFailuresByRule(results);
+  const misses = nearMisses(results, cfg);
+  if (Object.keys(counts).length) {
+    const sole = Object.fromEntries(misses.map(g => [g.ruleId, g.loans.length]));
+    const labels = Object.fromEntries(resolveRules(cfg).map(r => [r.id, r.label]));
+    out.push("## Rejections by Rule", "");
+    out.push(mdTable(["Rule", "Rejects", "Only reason"], Object.entries(counts).sort((a, b) => b[1] - a[1])
+      .map(([id, n]) => [labels[id] ?? id, n, sole[id] ?? 0])));
+    out.push("");
+  }
+  if (misses.length) {
+    out.push("## Near Misses", "", "Loans that failed exactly one rule.", "");
+    out.push(mdTable(["Rule", "ID", "Borrower", "Country", "Reason"],
+      misses.flatMap(g => g.loans.map(l => [g.label, l.id, l.name, l.country, l.reasons[0].text]))));
+    out.push("");
+  }
+
+  if (allocation) {
+    out.push("## Budget Allocation", "");
+    out.push(`Budget $${cfg.budget.toLocaleString()} · spent $${allocation.spent.toLocaleString()} · unspent $${allocation.remaining.toLocaleString()}`, "");
+    out.push(mdTable(["ID", "Borrower", "Score", "Lend"], allocation.chosen.map(l => [l.id, l.name, l.score.toFixed(2), `$${l.lendAmount}`])));
+    out.push("");
+    if (allocation.leftOut.length) {
+      out.push("Left out:", "");
+      out.push(mdTable(["ID", "Borrower", "Score", "Lend", "Why"], allocation.leftOut.map(l => [l.id, l.name, l.score.toFixed(2), `$${l.lendAmount}`, l.why])));
+      out.push("");
+    }
+  }
+
+  return out.join("\n");
+}
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan, applyClientFilters } from "./filters.mjs";
+import { toCSV, toJSON, toMarkdownReport } from "./export.mjs";
+import { rawLoan, spreadLoans } from "./testkit.mjs";
+
+const cfg = { ...DEFAULT_CFG, ageFilter: false, phrase: "" };
+const portfolio = spreadLoans(30).map(mapLoan);
+const results = applyClientFilters([
+  mapLoan(rawLoan(1, { name: 'Ana "Nita", Jr.' })),
+  mapLoan(rawLoan(2, { term: 14 })),
+], portfolio, cfg);
+
+test("CSV quotes cells with commas and quotes and ends lines with CRLF", () => {
+  const lines = toCSV(results).split("\r\n");
+  assert.equal(lines.length, 4);
+  assert.equal(lines[3], "");
+  assert.ok(lines[0].startsWith("id,name,country,"));
+  assert.ok(lines[1].startsWith('1,"Ana ""Nita"", Jr.",KE,'));
+  assert.match(lines[2], /lenderRepaymentTerm 14mo > max 12mo/);
+});
+
+test("JSON round-trips the loans", () => {
+  assert.deepEqual(JSON.parse(toJSON(results)), results);
+});
+
+test("the report has settings, totals, distributions and why each loan passed", () => {
+  const md = toMarkdownReport({ cfg, results, portfolio, generatedAt: new Date("2024-05-01T00:00:00Z") });
+  assert.match(md, /Generated 2024-05-01T00:00:00.000Z against a portfolio of 30 loans/);
+  for (const heading of ["## Settings", "## Totals", "## Country Distribution", "## Partner Distribution", "## Passing Loans"])
+    assert.ok(md.includes(heading), heading);
+  assert.match(md, /\| maxTerm \| 12 \|/);
+  assert.match(md, /\| 1 \| 1 \| \$25 \|/);
+  assert.match(md, /Ana "Nita", Jr\. .*term 8mo ≤ 12mo/);
+});
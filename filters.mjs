@@ -0,0 +1,240 @@
+/**
+ * Filter pipeline: raw gateway loans -> mapLoan -> applyClientFilters.
+ * Shared by the dashboard and the CLI so both apply identical rules.
+ * The eligibility checks themselves live in rules.mjs.
+ */
+
+import { resolveRules, evaluateRules } from "./rules.mjs";
+import { ANY_BATCH, DEFAULT_BATCHES, batchOf, batchServerFilters } from "./batches.mjs";
+import { extractAge, parsePhraseQuery, matchPhraseQuery } from "./text.mjs";
+import { borrowerIndex, priorLoans, tierOf, lendAmountFor, DEFAULT_TIER_AMOUNTS } from "./borrowers.mjs";
+
+// default run settings (dashboard sidebar + CLI flags)
+export const DEFAULT_CFG = {
+  batch: ANY_BATCH,                            // a batch id, or ANY_BATCH for any batch
+  batches: DEFAULT_BATCHES,                    // risk batch definitions, see batches.mjs
+  ageFilter: true, minAge: 18, maxAge: 26,
+  inferAge: true,                              // fall back to an age read from the description
+  phrase: "18 years old",                      // phrase query, see text.mjs
+  maxTerm: 12,
+  countryCap: 10, partnerCap: 10,
+  includedSectors: [], excludedSectors: [],    // sector ids (older presets exclude by name)
+  includedCountries: [], excludedCountries: [], // isoCodes
+  includedTags: [], excludedTags: [],          // tag names, as on loan.tags
+  gender: "any",                               // any | female | male; group loans need every borrower to match
+  minAmount: 0, maxAmount: 0,                  // loanAmount range in USD; 0 = unbounded
+  partnerAllow: [], partnerBlock: [],          // partner ids; a non-empty allowlist admits only those partners
+  disabledRules: [], customRules: [],
+  tierAmounts: DEFAULT_TIER_AMOUNTS,           // USD lent at tier 1–4 (prior loans to the borrower + 1)
+  fuzzyBorrowers: false,                       // also match prior loans on first name + country + partner
+  budget: 0,                                   // USD per run; 0 = fund every passing loan
+  allocWeights: { tier: 1, defaultRate: 1, term: 0, diversity: 0 },
+  sortBy: "newest",                            // LoanSearchSortByEnum, see SORT_ORDERS
+  scanPages: 25,                               // scan depth: candidate pages per run
+  showFailing: false,
+};
+
+// server-side filters
+// riskRating / defaultRate / lenderTerm all use MinMaxRangeInput { min, max }
+export function buildServerFilters(cfg) {
+  const gqlFilters = {
+    status: "fundraising",
+    distributionModel: "both",
+    lenderTerm: { max: cfg.maxTerm },
+  };
+  // riskRating / defaultRate covering the chosen batches; the batch rule splits it client-side
+  Object.assign(gqlFilters, batchServerFilters(cfg.batches, cfg.batch));
+  // inclusions the schema can do; exclusions, tags and amount stay client-side
+  if (cfg.includedSectors.length) gqlFilters.sector = cfg.includedSectors;
+  if (cfg.includedCountries.length) gqlFilters.countryIsoCode = cfg.includedCountries;
+  if (cfg.gender !== "any") gqlFilters.gender = cfg.gender;
+  return gqlFilters;
+}
+
+const describeServerValue = v =>
+  Array.isArray(v) ? v.join(", ")
+  : v && typeof v === "object" ? (v.min !== undefined && v.max !== undefined ? `${v.min}–${v.max}` : v.max !== undefined ? `≤ ${v.max}` : `≥ ${v.min}`)
+  : String(v);
+
+// where each active filter runs, for the UI / report:
+// { server: [{ key, text }], client: [{ id, label }] }. Client rules re-check
+// some server filters (term, sector/country/gender inclusion) so cached and
+// partial scans are judged the same way.
+export function filterPlan(cfg, rules = resolveRules(cfg)) {
+  return {
+    server: Object.entries(buildServerFilters(cfg)).map(([key, v]) => ({ key, text: `${key}: ${describeServerValue(v)}` })),
+    client: rules.filter(r => r.enabled && (!r.applies || r.applies(cfg))).map(r => ({ id: r.id, label: r.label })),
+  };
+}
+
+// picker options from loans already loaded, same shape as fetchFilterOptions;
+// the fallback when the facet query fails (counts are over these loans only)
+export function optionsFromLoans(loans) {
+  const sectors = new Map(), countries = new Map(), tags = new Map();
+  loans.forEach(l => {
+    if (l.sectorId !== null) sectors.set(l.sectorId, { id: l.sectorId, name: l.sector });
+    const c = countries.get(l.country) ?? { isoCode: l.country, name: l.countryName || l.country, count: 0 };
+    countries.set(l.country, { ...c, count: c.count + 1 });
+    l.tags.forEach(t => tags.set(t, { id: t, name: t }));
+  });
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return { sectors: [...sectors.values()].sort(byName), countries: [...countries.values()].sort(byName), tags: [...tags.values()].sort(byName) };
+}
+
+// how far and in which order the candidate scan walks lend { loans }
+export function buildScanOptions(cfg) {
+  return { sortBy: cfg.sortBy, maxPages: cfg.scanPages };
+}
+
+// reported age, else the first age mention in description / descriptionInOriginalLanguage
+function loanAge(raw) {
+  if (raw.ageAtTimeOfLoan != null) return { age: raw.ageAtTimeOfLoan, ageSource: "reported", ageSpan: null };
+  for (const field of ["description", "descriptionOrig"]) {
+    const found = extractAge(field === "description" ? raw.description : raw.descriptionInOriginalLanguage);
+    if (found) return { age: found.age, ageSource: "inferred", ageSpan: { field, start: found.start, end: found.end } };
+  }
+  return { age: null, ageSource: null, ageSpan: null };
+}
+
+// loan mapper
+// age is ageAtTimeOfLoan when the gateway has it; ageSource "inferred" marks an
+// age read from the description instead (ageSpan says where)
+export function mapLoan(raw) {
+  return {
+    id: raw.id,
+    name: raw.name,
+    ...loanAge(raw),
+    country: raw.geocode?.country?.isoCode ?? "??",
+    countryName: raw.geocode?.country?.name ?? "",
+    partnerId: raw.partner?.id ?? null,
+    partner: raw.partner?.name ?? "Direct",
+    risk: raw.partner?.riskRating ?? null,
+    defRate: raw.partner?.defaultRate ?? null,
+    term: raw.lenderRepaymentTerm ?? null,
+    amount: raw.loanAmount?.amount ?? 0,
+    sector: raw.sector?.name ?? "",
+    sectorId: raw.sector?.id ?? null,
+    description: raw.description ?? "",
+    descriptionOrig: raw.descriptionInOriginalLanguage ?? "",
+    borrowerId: raw.borrowers?.[0]?.id ?? `anon-${raw.id}`,
+    borrowers: (raw.borrowers ?? []).map(b => ({ id: b.id ?? null, firstName: b.firstName ?? "" })),
+    genders: (raw.borrowers ?? []).map(b => b.gender).filter(Boolean),
+    tags: raw.tags ?? [],
+    owners: [],                                 // portfolio loans in team mode: the lenders holding it
+    batch: null,                                // id of the cfg.batches entry the partner stats fall in
+    priorCount: 0, tier: 1, lendAmount: 25,
+    priorLoans: [],                             // [{ id, name, country, partner, sector, amount, term, borrower, via, owners }]
+    countryPct: 0, partnerPct: 0,               // incl. loans picked earlier in the run
+    countryPctBase: 0, partnerPctBase: 0,       // portfolio + this loan only
+    countryPicked: 0, partnerPicked: 0, pickOrder: null,
+    phraseHit: false, phraseSpans: [],          // spans: [{ field, start, end }]
+    pass: false, reasons: [],                   // reasons: [{ ruleId, text }]
+  };
+}
+
+// order in which candidates claim room under the caps: repeat borrowers
+// (higher tier) first, then lower defaultRate, then shorter term, then the
+// order the server returned them
+export function byPickPriority(a, b) {
+  const nullsLast = (x, y) => (x ?? Infinity) - (y ?? Infinity);
+  return b.tier - a.tier || nullsLast(a.defRate, b.defRate) || nullsLast(a.term, b.term) || a.index - b.index;
+}
+
+// client-side filter: derive tier / concentration / phrase, then run the rules.
+// Candidates are evaluated in byPickPriority order and every accepted loan
+// counts toward the country/partner caps of the ones after it; results come
+// back in the original candidate order.
+export function applyClientFilters(candidates, portfolio, cfg, rules = resolveRules(cfg)) {
+  // a query that doesn't parse matches nothing; the phrase rule reports why
+  let phraseQuery = null, phraseOk = true;
+  try {
+    phraseQuery = parsePhraseQuery(cfg.phrase);
+  } catch {
+    phraseOk = false;
+  }
+  const portTotal = portfolio.length;
+  const ctx = { cfg, portfolio };
+  const borrowers = borrowerIndex(portfolio);
+
+  const derived = candidates.map((loan, index) => {
+    // repeat-borrower tier (from existing portfolio)
+    const prior = priorLoans(loan, borrowers, { fuzzy: cfg.fuzzyBorrowers }).map(({ loan: p, borrower, via }) => ({
+      id: p.id, name: p.name, country: p.country, partner: p.partner, sector: p.sector, amount: p.amount, term: p.term, borrower, via, owners: p.owners,
+    }));
+    const tier = tierOf(prior.length);
+    // a batch's own lend amount wins over the tier amount
+    const batch = batchOf(loan, cfg.batches);
+    const lendAmount = batch?.lendAmount ?? lendAmountFor(tier, cfg.tierAmounts);
+
+    // Phrase
+    const { hit: phraseHit, spans: phraseSpans } = phraseOk
+      ? matchPhraseQuery(phraseQuery, { description: loan.description, descriptionOrig: loan.descriptionOrig })
+      : { hit: false, spans: [] };
+
+    const noInferred = !cfg.inferAge && loan.ageSource === "inferred" ? { age: null, ageSource: null, ageSpan: null } : {};
+    return { ...loan, ...noInferred, index, batch: batch?.id ?? null, priorCount: prior.length, priorLoans: prior, tier, lendAmount, phraseHit, phraseSpans };
+  });
+
+  // concentration: portfolio + loans accepted earlier in this run + this candidate
+  const countryInPort = {}, partnerInPort = {};
+  portfolio.forEach(p => {
+    countryInPort[p.country] = (countryInPort[p.country] || 0) + 1;
+    if (p.partnerId) partnerInPort[p.partnerId] = (partnerInPort[p.partnerId] || 0) + 1;
+  });
+  const countryPicked = {}, partnerPicked = {};
+  let picked = 0;
+
+  const results = new Array(derived.length);
+  for (const loan of [...derived].sort(byPickPriority)) {
+    const cPort = countryInPort[loan.country] || 0, pPort = partnerInPort[loan.partnerId] || 0;
+    const cRun = countryPicked[loan.country] || 0, pRun = partnerPicked[loan.partnerId] || 0;
+    const hasPartner = portTotal > 0 && !!loan.partnerId;
+    const withPct = {
+      ...loan,
+      countryPctBase: portTotal > 0 ? (cPort + 1) / (portTotal + 1) : 0,
+      partnerPctBase: hasPartner ? (pPort + 1) / (portTotal + 1) : 0,
+      // run shares count this run's picks even against an empty portfolio
+      countryPct: (cPort + cRun + 1) / (portTotal + picked + 1),
+      partnerPct: loan.partnerId ? (pPort + pRun + 1) / (portTotal + picked + 1) : 0,
+      countryPicked: cRun, partnerPicked: loan.partnerId ? pRun : 0,
+    };
+    const reasons = evaluateRules(rules, withPct, ctx);
+    const pass = reasons.length === 0;
+    if (pass) {
+      picked++;
+      countryPicked[loan.country] = cRun + 1;
+      if (loan.partnerId) partnerPicked[loan.partnerId] = pRun + 1;
+    }
+    const { index, ...rest } = withPct;
+    results[index] = { ...rest, pickOrder: pass ? picked : null, pass, reasons };
+  }
+  return results;
+}
+
+// run totals shown in the StatCards
+export function summarizeResults(results, batches = DEFAULT_BATCHES) {
+  const passing = results.filter(l => l.pass);
+  return {
+    passing: passing.length,
+    failing: results.length - passing.length,
+    totalLend: passing.reduce((s, l) => s + l.lendAmount, 0),
+    byBatch: Object.fromEntries(batches.map(b => [b.id, passing.filter(l => l.batch === b.id).length])),
+    passRate: results.length ? Math.round(passing.length / results.length * 100) : 0,
+  };
+}
+
+// portfolio + passing loans per key ("country" / "partner"), largest share first;
+// portLoans are the portfolio loans behind portN (for the per-lender split in team mode)
+export function concentrationBreakdown(portfolio, passing, key) {
+  const portCounts = {}, newCounts = {}, portLoans = {};
+  portfolio.forEach(l => {
+    portCounts[l[key]] = (portCounts[l[key]] || 0) + 1;
+    (portLoans[l[key]] ??= []).push(l);
+  });
+  passing.forEach(l => { newCounts[l[key]] = (newCounts[l[key]] || 0) + 1; });
+  const total = (portfolio.length + passing.length) || 1;
+  const rows = [...new Set([...Object.keys(portCounts), ...Object.keys(newCounts)])]
+    .map(k => ({ k, pct: ((portCounts[k] || 0) + (newCounts[k] || 0)) / total * 100, portN: portCounts[k] || 0, newN: newCounts[k] || 0, portLoans: portLoans[k] ?? [] }))
+    .sort((a, b) => b.pct - a.pct);
+  return { rows, total };
+}
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, buildServerFilters, buildScanOptions, filterPlan, optionsFromLoans, mapLoan, applyClientFilters, summarizeResults, byPickPriority } from "./filters.mjs";
+import { rawLoan, spreadLoans } from "./testkit.mjs";
+
+const cfg = { ...DEFAULT_CFG, ageFilter: false, phrase: "" };
+const portfolio = spreadLoans(30).map(mapLoan);
+const ruleIds = l => l.reasons.map(r => r.ruleId);
+
+test("server filters follow the batch", () => {
+  assert.deepEqual(buildServerFilters({ ...DEFAULT_CFG, batch: "A" }).defaultRate, { max: 0.01 });
+  assert.deepEqual(buildServerFilters(DEFAULT_CFG), {
+    status: "fundraising", distributionModel: "both", lenderTerm: { max: 12 }, riskRating: { min: 2 }, defaultRate: { max: 0.02 },
+  });
+});
+
+test("inclusions go to the server, exclusions stay client-side", () => {
+  const picky = { ...DEFAULT_CFG, includedSectors: [1, 4], excludedSectors: [2], includedCountries: ["KE"], excludedTags: ["#Elderly"], gender: "female" };
+  const server = buildServerFilters(picky);
+  assert.deepEqual([server.sector, server.countryIsoCode, server.gender], [[1, 4], ["KE"], "female"]);
+  const plan = filterPlan(picky);
+  assert.ok(plan.server.some(f => f.text === "sector: 1, 4"));
+  assert.ok(plan.server.some(f => f.text === "defaultRate: ≤ 0.02"));
+  assert.deepEqual(plan.client.map(r => r.id).filter(id => ["sector", "country", "tags", "gender", "amount"].includes(id)), ["sector", "country", "tags", "gender"]);
+});
+
+test("picker options fall back to the loans already loaded", () => {
+  const loans = [rawLoan(1, { tags: ["#Parent"] }), rawLoan(2, { country: "PE", tags: ["#Parent", "#Eco-friendly"] }), rawLoan(3)].map(mapLoan);
+  const { sectors, countries, tags } = optionsFromLoans(loans);
+  assert.deepEqual(sectors, [{ id: 1, name: "Food" }]);
+  assert.deepEqual(countries.map(c => [c.isoCode, c.count]), [["KE", 2], ["PE", 1]]);
+  assert.deepEqual(tags.map(t => t.name), ["#Eco-friendly", "#Parent"]);
+});
+
+test("scan options carry the sort order and depth", () => {
+  assert.deepEqual(buildScanOptions(DEFAULT_CFG), { sortBy: "newest", maxPages: 25 });
+  assert.deepEqual(buildScanOptions({ ...DEFAULT_CFG, sortBy: "expiringSoon", scanPages: 3 }), { sortBy: "expiringSoon", maxPages: 3 });
+});
+
+test("mapLoan flattens the gateway shape", () => {
+  const loan = mapLoan(rawLoan(7, { ageAtTimeOfLoan: 21, partnerId: null }));
+  assert.deepEqual([loan.age, loan.country, loan.partner, loan.partnerId, loan.risk, loan.term, loan.borrowerId], [21, "KE", "Direct", null, null, 8, 1007]);
+});
+
+test("without ageAtTimeOfLoan the age is read from the description", () => {
+  const loan = mapLoan(rawLoan(7, { description: "", descriptionInOriginalLanguage: "Rosa tiene 22 años." }));
+  assert.deepEqual([loan.age, loan.ageSource, loan.ageSpan], [22, "inferred", { field: "descriptionOrig", start: 5, end: 18 }]);
+  const [off] = applyClientFilters([loan], portfolio, { ...cfg, ageFilter: true, inferAge: false });
+  assert.equal(off.age, null);
+  assert.match(off.reasons[0].text, /description inference off/);
+  const [on] = applyClientFilters([loan], portfolio, { ...cfg, ageFilter: true });
+  assert.equal(on.pass, true);
+});
+
+test("a phrase query that doesn't parse fails every loan with the parse error", () => {
+  const [loan] = applyClientFilters([mapLoan(rawLoan(1, { description: "x" }))], portfolio, { ...cfg, phrase: '"open' });
+  assert.deepEqual(loan.reasons.map(r => r.text), ["Phrase query invalid: Unclosed quote at 1"]);
+});
+
+test("a loan inside every limit passes", () => {
+  const [loan] = applyClientFilters([mapLoan(rawLoan(1))], portfolio, cfg);
+  assert.equal(loan.pass, true);
+  assert.deepEqual(loan.reasons, []);
+  assert.deepEqual([loan.tier, loan.lendAmount], [1, 25]);
+});
+
+test("failing loans carry a reason per failed check", () => {
+  const [loan] = applyClientFilters([mapLoan(rawLoan(1, { term: 14, defaultRate: 0.03, ageAtTimeOfLoan: 30 }))], portfolio, { ...cfg, ageFilter: true });
+  assert.equal(loan.pass, false);
+  assert.equal(loan.reasons.length, 3);
+});
+
+test("repeat borrowers move up a tier", () => {
+  const prior = [rawLoan(50), rawLoan(51), rawLoan(52)].map(l => mapLoan({ ...l, borrowers: [{ id: 1001 }] }));
+  const [loan] = applyClientFilters([mapLoan(rawLoan(1))], [...portfolio, ...prior], cfg);
+  assert.deepEqual([loan.priorCount, loan.tier, loan.lendAmount], [3, 4, 100]);
+});
+
+test("a batch's own lend amount wins over the tier and the stat cards count by batch", () => {
+  const batches = DEFAULT_CFG.batches.map(b => b.id === "B" ? { ...b, lendAmount: 75 } : b);
+  const loans = applyClientFilters([rawLoan(1), rawLoan(2, { defaultRate: 0.015 })].map(mapLoan), portfolio, { ...cfg, batches });
+  assert.deepEqual(loans.map(l => [l.batch, l.lendAmount]), [["A", 25], ["B", 75]]);
+  assert.deepEqual(summarizeResults(loans, batches).byBatch, { A: 1, B: 1 });
+});
+
+test("run caps bind against an empty portfolio", () => {
+  const results = applyClientFilters(Array.from({ length: 20 }, (_, i) => mapLoan(rawLoan(i + 1))), [], cfg);
+  assert.equal(results.filter(l => l.pass).length, 1);
+  for (const l of results.filter(l => !l.pass)) {
+    assert.deepEqual(ruleIds(l), ["countryRunCap", "partnerRunCap"]);
+    assert.equal(l.countryPctBase, 0);
+  }
+});
+
+test("earlier picks in the run count toward the caps of later ones", () => {
+  const candidates = Array.from({ length: 5 }, (_, i) => mapLoan(rawLoan(i + 1, { partnerId: 10 + i })));
+  const results = applyClientFilters(candidates, portfolio, cfg);
+  // 1/31, 2/32 and 3/33 stay under 10%; 4/34 does not
+  assert.deepEqual(results.map(l => l.pass), [true, true, true, false, false]);
+  assert.deepEqual(ruleIds(results[3]), ["countryRunCap"]);
+  assert.equal(results[3].countryPicked, 3);
+  assert.deepEqual(results.map(l => l.pickOrder), [1, 2, 3, null, null]);
+});
+
+test("a loan over the cap before the run gets the plain cap reason", () => {
+  const crowded = Array.from({ length: 10 }, (_, i) => mapLoan(rawLoan(100 + i, { partnerId: 100 + i })));
+  const [result] = applyClientFilters([mapLoan(rawLoan(1, { partnerId: 2 }))], crowded, cfg);
+  assert.deepEqual(ruleIds(result), ["countryCap"]);
+});
+
+test("repeat borrowers and lower default rates claim cap room first", () => {
+  const candidates = [
+    mapLoan(rawLoan(1, { partnerId: 10, defaultRate: 0.009 })),
+    mapLoan(rawLoan(2, { partnerId: 11, defaultRate: 0.001 })),
+    mapLoan(rawLoan(3, { partnerId: 12, defaultRate: 0.005 })),
+    mapLoan(rawLoan(4, { partnerId: 13, defaultRate: 0.009 })),
+  ];
+  const prior = mapLoan({ ...rawLoan(60, { country: "ZZ", partnerId: 99 }), borrowers: [{ id: 1004 }] });
+  const results = applyClientFilters(candidates, [...portfolio, prior], cfg);
+  assert.deepEqual(results.map(l => l.pickOrder), [null, 2, 3, 1]);
+  assert.deepEqual([...results].sort(byPickPriority).map(l => l.id), [4, 2, 3, 1]);
+});
@@ -0,0 +1,101 @@
+/**
+ * Run history: a snapshot of every filter run, and a diff between any two.
+ *
+ * A run is { id, at, label, cfg, gqlFilters, scan, partial, passing, total,
+ * loans: [{ id, name, country, pass, reasons: [{ ruleId, text }] }] }, newest
+ * first in local storage. Only what the diff and the history list need is
+ * kept per loan, so a few dozen runs fit in the storage quota.
+ *
+ * diffRuns tells settings from inventory: a loan that switched between pass
+ * and fail is put down to settings when a cfg field the responsible rule reads
+ * (rule.cfgKeys) changed between the runs, and to Kiva's data otherwise
+ * (loan details, fundraising progress, the portfolio, or which other loans
+ * took a cap this run).
+ */
+
+import { resolveRules } from "./rules.mjs";
+
+export const HISTORY_STORAGE_KEY = "kiva-run-history";
+export const MAX_RUNS = 30;
+// display-only settings that never change a result
+const IGNORED_CFG = new Set(["showFailing"]);
+
+const newId = () => `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// results: applyClientFilters output for the run
+export function snapshotRun({ cfg, gqlFilters, scan, results, label = null, partial = false, at = Date.now() }) {
+  return {
+    id: newId(), at, label, cfg, gqlFilters, scan, partial,
+    passing: results.filter(l => l.pass).length,
+    total: results.length,
+    loans: results.map(l => ({ id: l.id, name: l.name, country: l.country, pass: l.pass, reasons: l.reasons })),
+  };
+}
+
+export const addRun = (runs, run) => [run, ...runs].slice(0, MAX_RUNS);
+
+export function loadHistory(storage = globalThis.localStorage) {
+  try {
+    const runs = JSON.parse(storage?.getItem(HISTORY_STORAGE_KEY) ?? "[]");
+    return Array.isArray(runs) ? runs.filter(r => r && Array.isArray(r.loans)) : [];
+  } catch {
+    return [];
+  }
+}
+
+// drops the oldest runs until the list fits in storage; -> the runs kept
+export function saveHistory(runs, storage = globalThis.localStorage) {
+  let kept = runs;
+  for (;;) {
+    try {
+      storage?.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+      return kept;
+    } catch (e) {
+      if (kept.length <= 1) throw e;
+      kept = kept.slice(0, -1);
+    }
+  }
+}
+
+// -> [{ key, from, to }] for every cfg field that differs
+export function diffCfg(a, b) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(k => !IGNORED_CFG.has(k));
+  return keys
+    .filter(k => JSON.stringify(a[k]) !== JSON.stringify(b[k]))
+    .map(k => ({ key: k, from: a[k], to: b[k] }));
+}
+
+// Compare an older run `a` with a newer run `b`.
+// -> { cfgChanges, serverChanged, appeared, disappeared, nowPassing, nowFailing }
+// where each switch is { loan, rules: [{ ruleId, label, text, cause: "settings" | "inventory" }] }
+// (the rules it now fails, or the ones it failed before and no longer does)
+export function diffRuns(a, b) {
+  const cfgChanges = diffCfg(a.cfg, b.cfg);
+  const changed = new Set(cfgChanges.map(c => c.key));
+  const rules = new Map([...resolveRules(a.cfg), ...resolveRules(b.cfg)].map(r => [r.id, r]));
+  const toggled = new Set([...a.cfg.disabledRules ?? [], ...b.cfg.disabledRules ?? []]
+    .filter(id => (a.cfg.disabledRules ?? []).includes(id) !== (b.cfg.disabledRules ?? []).includes(id)));
+  const causeOf = ruleId => toggled.has(ruleId) || (rules.get(ruleId)?.cfgKeys ?? []).some(k => changed.has(k)) ? "settings" : "inventory";
+  const explain = reasons => reasons.map(r => ({ ...r, label: rules.get(r.ruleId)?.label ?? r.ruleId, cause: causeOf(r.ruleId) }));
+
+  const before = new Map(a.loans.map(l => [l.id, l]));
+  const after = new Map(b.loans.map(l => [l.id, l]));
+  const nowPassing = [], nowFailing = [];
+  for (const loan of b.loans) {
+    const old = before.get(loan.id);
+    if (!old || old.pass === loan.pass) continue;
+    if (loan.pass) nowPassing.push({ loan, rules: explain(old.reasons) });
+    else {
+      const oldIds = new Set(old.reasons.map(r => r.ruleId));
+      nowFailing.push({ loan, rules: explain(loan.reasons.filter(r => !oldIds.has(r.ruleId))) });
+    }
+  }
+  return {
+    cfgChanges,
+    serverChanged: JSON.stringify([a.gqlFilters, a.scan]) !== JSON.stringify([b.gqlFilters, b.scan]),
+    appeared: b.loans.filter(l => !before.has(l.id)),
+    disappeared: a.loans.filter(l => !after.has(l.id)),
+    nowPassing,
+    nowFailing,
+  };
+}
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan } from "./filters.mjs";
+import { snapshotRun, addRun, loadHistory, saveHistory, diffCfg, diffRuns, MAX_RUNS, HISTORY_STORAGE_KEY } from "./history.mjs";
+import { rawLoan, memoryStorage } from "./testkit.mjs";
+
+const result = (id, pass, ruleIds = []) => ({ ...mapLoan(rawLoan(id)), pass, reasons: ruleIds.map(ruleId => ({ ruleId, text: ruleId })) });
+const run = (cfg, results, gqlFilters = {}) => snapshotRun({ cfg, gqlFilters, scan: {}, results });
+
+test("snapshots keep the counts and a slim copy of each loan", () => {
+  const r = run(DEFAULT_CFG, [{ ...result(1, true), description: "long text" }, result(2, false, ["term"])]);
+  assert.deepEqual([r.passing, r.total], [1, 2]);
+  assert.deepEqual(Object.keys(r.loans[0]), ["id", "name", "country", "pass", "reasons"]);
+  const many = Array.from({ length: MAX_RUNS + 5 }, (_, i) => ({ id: i })).reduce(addRun, []);
+  assert.equal(many.length, MAX_RUNS);
+  assert.equal(many[0].id, MAX_RUNS + 4);
+});
+
+test("history round-trips through storage and skips junk", () => {
+  const storage = memoryStorage();
+  const runs = [run(DEFAULT_CFG, [result(1, true)])];
+  saveHistory(runs, storage);
+  assert.deepEqual(loadHistory(storage), runs);
+  storage.setItem(HISTORY_STORAGE_KEY, '[{"id":1},null]');
+  assert.deepEqual(loadHistory(storage), []);
+  storage.setItem(HISTORY_STORAGE_KEY, "{");
+  assert.deepEqual(loadHistory(storage), []);
+});
+
+test("saveHistory drops the oldest runs until they fit", () => {
+  const storage = { setItem(k, v) { if (v.length > 40) throw new Error("quota"); this.value = v; } };
+  const kept = saveHistory([{ id: "new", loans: [] }, { id: "old", loans: [] }], storage);
+  assert.deepEqual(kept.map(r => r.id), ["new"]);
+});
+
+test("diffCfg ignores display-only settings", () => {
+  assert.deepEqual(diffCfg(DEFAULT_CFG, { ...DEFAULT_CFG, showFailing: true }), []);
+  assert.deepEqual(diffCfg(DEFAULT_CFG, { ...DEFAULT_CFG, maxTerm: 14 }), [{ key: "maxTerm", from: 12, to: 14 }]);
+});
+
+test("diffRuns puts a switch down to settings or to Kiva's data", () => {
+  const a = run(DEFAULT_CFG, [result(1, false, ["term"]), result(2, true), result(3, true), result(4, true)]);
+  const b = run({ ...DEFAULT_CFG, maxTerm: 14 }, [result(1, true), result(2, false, ["countryCap"]), result(3, true), result(5, true)], { lenderTerm: { max: 14 } });
+  const d = diffRuns(a, b);
+  assert.deepEqual(d.nowPassing.map(s => [s.loan.id, s.rules[0].label, s.rules[0].cause]), [[1, "Max term", "settings"]]);
+  assert.deepEqual(d.nowFailing.map(s => [s.loan.id, s.rules[0].cause]), [[2, "inventory"]]);
+  assert.deepEqual([d.appeared.map(l => l.id), d.disappeared.map(l => l.id)], [[5], [4]]);
+  assert.equal(d.serverChanged, true);
+});
+
+test("toggling a rule off counts as a settings change", () => {
+  const a = run(DEFAULT_CFG, [result(1, false, ["phrase"])]);
+  const b = run({ ...DEFAULT_CFG, disabledRules: ["phrase"] }, [result(1, true)]);
+  assert.equal(diffRuns(a, b).nowPassing[0].rules[0].cause, "settings");
+});
@@ -0,0 +1,318 @@
+/**
+ * Kiva GraphQL gateway client, shared by the dashboard and the CLI.
+ *
+ * Key schema facts:
+ *  - Search:        lend { loans(offset, limit, filters: LoanSearchFiltersInput, sortBy) }
+ *  - Sort order:    sortBy: LoanSearchSortByEnum  (newest, expiringSoon, amountLeft, ...)
+ *  - Portfolio:     my { loans(offset, limit): LoanBasicCollection }
+ *  - Country:       loan.geocode.country.isoCode   (not a top-level string)
+ *  - Partner stats: loan.partner.{ id name riskRating defaultRate }
+ *  - Borrowers:     loan.borrowers { id firstName gender }  (several on a group loan)
+ *  - Age:           ... on LoanDirect { ageAtTimeOfLoan }  (requires auth)
+ *  - Sector filter: sector: [Int]  (inclusion by ID only, exclusion is client-side)
+ *  - Country filter: countryIsoCode: [String]  (inclusion only)
+ *  - Gender filter: gender: GenderEnum  (female | male | nonbinary)
+ *  - Tags:          loan.tags are names; no tag exclusion server-side, so tags run client-side
+ *  - Facets:        lend { sector { id name } countryFacets { count country { isoCode name } } tag { id name } }
+ *  - Partner page:  lend { partner(id: Int!) { status delinquencyRate loansPosted profitability countries ... } }
+ *                   (fields a partner doesn't report come back null)
+ *  - Range filters: MinMaxRangeInput { min, max }
+ *  - Term field:    lenderRepaymentTerm  (on loan object; lenderTerm in filter input)
+ */
+
+// config
+export const GRAPHQL_URL = "https://gateway.production.kiva.org/graphql";
+
+// fetch-compatible function every request goes through; the mock gateway
+// (mock.mjs) replaces it so offline runs exercise the same retry/error paths
+let transport = (...args) => fetch(...args);
+export function setTransport(fn) { transport = fn ?? ((...args) => fetch(...args)); }
+
+// resolves after ms, or rejects with an "aborted" KivaApiError when signal fires
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  function onAbort() { clearTimeout(t); reject(abortError()); }
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// kind: "network" | "http" | "blocked" | "rate-limit" | "auth" | "graphql" | "aborted"
+// `partial` is set by the paging helpers to whatever was fetched before the failure
+export class KivaApiError extends Error {
+  constructor(message, { kind, status = null, retryable = false, errors = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "KivaApiError";
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+    this.errors = errors;
+    this.retryAfterMs = retryAfterMs;
+    this.partial = null;
+  }
+}
+
+const abortError = () => new KivaApiError("Request cancelled", { kind: "aborted" });
+const AUTH_CODES = ["UNAUTHENTICATED", "FORBIDDEN", "UNAUTHORIZED"];
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function httpError(res, text) {
+  const status = res.status;
+  const retryAfterMs = parseRetryAfter(res.headers.get("Retry-After"));
+  if (status === 429) return new KivaApiError("Rate limited (429)", { kind: "rate-limit", status, retryable: true, retryAfterMs });
+  if (status === 401) return new KivaApiError("Not authenticated (401)", { kind: "auth", status });
+  if (status === 403) return new KivaApiError("Blocked (403): Kiva is rejecting automated requests", { kind: "blocked", status });
+  const retryable = status >= 500 || status === 408;
+  return new KivaApiError(`HTTP ${status}${text ? `: ${text.slice(0, 200)}` : ""}`, { kind: "http", status, retryable, retryAfterMs });
+}
+
+// single attempt: fatal problems throw, partial GraphQL errors come back alongside data
+async function gqlOnce(query, variables, token, signal) {
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36",
+    Origin: "https://www.kiva.org",
+    Referer: "https://www.kiva.org/lend",
+  };
+  if (token) headers["Authorization"] = `Bearer ${token}`;
+  let res;
+  try {
+    res = await transport(GRAPHQL_URL, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ query, variables }),
+      signal,
+    });
+  } catch (e) {
+    if (signal?.aborted) throw abortError();
+    throw new KivaApiError(`Network error: ${e.message}`, { kind: "network", retryable: true });
+  }
+  const text = await res.text();
+  if (!res.ok) throw httpError(res, text);
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    throw new KivaApiError(`Gateway returned non-JSON (${res.status})`, { kind: "http", status: res.status, retryable: true });
+  }
+  const errors = body.errors ?? [];
+  if (errors.length && !body.data) {
+    const auth = errors.some(e => AUTH_CODES.includes(e.extensions?.code));
+    throw new KivaApiError(errors.map(e => e.message).join("; "), { kind: auth ? "auth" : "graphql", errors });
+  }
+  return { data: body.data, errors };
+}
+
+// graphql client
+// Retries network errors, 408/429/5xx with exponential backoff + jitter,
+// honouring Retry-After. GraphQL errors that come with data are partial: the
+// data is returned and the errors go to onPartialErrors instead of throwing.
+// `token` may be a function returning the current token, so a long scan picks
+// up a renewed session. On an auth error, `reauth(error)` gets one chance to
+// return a fresh token (or null to give up) and the request is repeated.
+// Mutations are only retried after a 429, which the gateway turns away before
+// running anything: after a 5xx or a dropped connection the mutation may have
+// gone through, and repeating it would, say, reserve a loan twice.
+export async function gql(query, variables = {}, token = null, {
+  signal, retries = 4, baseDelayMs = 500, maxDelayMs = 30000, reauth,
+  onRetry, onPartialErrors = errs => console.warn(`GraphQL partial errors: ${errs.map(e => e.message).join("; ")}`),
+} = {}) {
+  const mutation = /^\s*mutation\b/.test(query);
+  let reauthed = false;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { data, errors } = await gqlOnce(query, variables, typeof token === "function" ? token() : token, signal);
+      if (errors.length) onPartialErrors(errors);
+      return data;
+    } catch (e) {
+      if (e instanceof KivaApiError && e.kind === "auth" && reauth && !reauthed) {
+        reauthed = true;
+        const fresh = await reauth(e);
+        if (fresh) {
+          if (typeof token !== "function") token = fresh;
+          attempt--;   // repeating after a re-auth doesn't use up a retry
+          continue;
+        }
+      }
+      if (!(e instanceof KivaApiError) || !e.retryable || attempt >= retries) throw e;
+      if (mutation && e.kind !== "rate-limit") throw e;
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delay = Math.min(maxDelayMs, Math.max(backoff, e.retryAfterMs ?? 0));
+      onRetry?.({ attempt: attempt + 1, retries, delayMs: delay, error: e });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// auth
+export async function kivaLogin(email, password) {
+  const data = await gql(`
+    mutation Login($email: String!, $password: String!) {
+      login(email: $email, password: $password) {
+        token
+        user { id }
+      }
+    }
+  `, { email, password });
+  return data.login.token;
+}
+
+// Picker options for the sidebar: sectors, countries (with fundraising loan
+// counts) and tags, straight from the gateway instead of hard-coded lists
+export async function fetchFilterOptions(token, opts = {}) {
+  const data = await gql(`
+    query FilterOptions {
+      lend {
+        sector { id name }
+        countryFacets { count country { isoCode name } }
+        tag { id name }
+      }
+    }
+  `, {}, token, opts);
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    sectors: [...(data.lend.sector ?? [])].sort(byName),
+    countries: (data.lend.countryFacets ?? []).map(f => ({ ...f.country, count: f.count })).sort(byName),
+    tags: [...(data.lend.tag ?? [])].sort(byName),
+  };
+}
+
+// Partner details for the drill-down, one aliased partner(id) per id in a
+// single request -> { [id]: details | null }. Some fields are missing for some
+// partners; those arrive as partial errors and are left null.
+export const PARTNER_FIELDS = `
+  id
+  name
+  status
+  riskRating
+  defaultRate
+  delinquencyRate
+  loansPosted
+  totalAmountRaised
+  profitability
+  countries { isoCode name }
+`;
+
+export async function fetchPartnerDetails(token, ids, opts = {}) {
+  const list = [...new Set(ids.map(Number))].filter(Number.isInteger);
+  if (list.length === 0) return {};
+  const data = await gql(`
+    query PartnerDetails {
+      lend {
+        ${list.map(id => `p${id}: partner(id: ${id}) { ${PARTNER_FIELDS} }`).join("\n        ")}
+      }
+    }
+  `, {}, token, { onPartialErrors: () => {}, ...opts });
+  return Object.fromEntries(list.map(id => [id, data.lend?.[`p${id}`] ?? null]));
+}
+
+// shared loan fragment
+export const LOAN_FIELDS = `
+  __typename
+  id
+  name
+  description
+  descriptionInOriginalLanguage
+  lenderRepaymentTerm
+  geocode {
+    country {
+      isoCode
+      name
+    }
+  }
+  borrowers {
+    id
+    firstName
+    gender
+  }
+  sector { id name }
+  partner {
+    id
+    name
+    riskRating
+    defaultRate
+  }
+  loanAmount { amount }
+  tags
+  ... on LoanDirect {
+    ageAtTimeOfLoan
+  }
+`;
+
+// Shared paging loop for LoanBasicCollection queries. `select(data)` picks the
+// collection out of the response (null when the gateway left it out); `onPage`
+// sees every page as it arrives, with `pages` the expected page count for this
+// scan; `stopWhen(values, { totalCount })` can end paging early (incremental
+// refresh). Any error (including cancellation) is rethrown with .partial
+// holding the loans fetched so far.
+async function fetchPages(query, variables, token, select, { pageSize, maxPages = Infinity, pageDelayMs, signal, onPage, stopWhen, ...gqlOpts }) {
+  const all = [];
+  let offset = 0;
+  try {
+    for (let p = 0; p < maxPages; p++) {
+      if (p > 0) await sleep(pageDelayMs, signal);
+      const data = await gql(query, { ...variables, offset, limit: pageSize }, token, { signal, ...gqlOpts });
+      const page = select(data);
+      if (!page) throw new KivaApiError("Gateway returned no loans collection", { kind: "graphql" });
+      const { totalCount, values } = page;
+      all.push(...values);
+      const pages = Math.min(maxPages, Math.ceil(totalCount / pageSize));
+      onPage?.({ page: p + 1, pages, values, fetched: all.length, totalCount });
+      if (all.length >= totalCount || values.length === 0) break;
+      if (stopWhen?.(values, { totalCount })) break;
+      offset += pageSize;
+    }
+  } catch (e) {
+    if (e instanceof KivaApiError) e.partial = all;
+    throw e;
+  }
+  return all;
+}
+
+// Fetch my protfolio:  my { loans(...): LoanBasicCollection }
+export function fetchMyPortfolio(token, { pageSize = 40, pageDelayMs = 600, ...opts } = {}) {
+  return fetchPages(`
+    query MyLoans($offset: Int!, $limit: Int!) {
+      my {
+        loans(offset: $offset, limit: $limit) {
+          totalCount
+          values { ${LOAN_FIELDS} }
+        }
+      }
+    }
+  `, {}, token, data => data?.my?.loans, { pageSize, pageDelayMs, ...opts });
+}
+
+// server sort orders offered in the UI (LoanSearchSortByEnum values)
+export const SORT_ORDERS = {
+  newest: "Newest",
+  expiringSoon: "Expiring soon",
+  amountLeft: "Least amount left",
+  popularity: "Popularity",
+  repaymentTerm: "Shortest term",
+  loanAmount: "Smallest loan",
+  random: "Random",
+};
+
+// Fetch candidate loans: lend { loans(...): LoanBasicCollection }
+// maxPages is the scan depth; loans past it in the chosen sort order are never seen
+export function fetchCandidateLoans(token, gqlFilters, { sortBy = "newest", pageSize = 40, maxPages = 25, pageDelayMs = 800, ...opts } = {}) {
+  if (!(sortBy in SORT_ORDERS)) throw new KivaApiError(`Unknown sort order "${sortBy}"`, { kind: "graphql" });
+  return fetchPages(`
+    query CandidateLoans($offset: Int!, $limit: Int!, $filters: LoanSearchFiltersInput, $sortBy: LoanSearchSortByEnum) {
+      lend {
+        loans(offset: $offset, limit: $limit, filters: $filters, sortBy: $sortBy) {
+          totalCount
+          values { ${LOAN_FIELDS} }
+        }
+      }
+    }
+  `, { filters: gqlFilters, sortBy }, token, data => data?.lend?.loans, { pageSize, maxPages, pageDelayMs, ...opts });
+}
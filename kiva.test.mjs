@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gql, sleep, fetchCandidateLoans, fetchMyPortfolio, KivaApiError } from "./kiva.mjs";
+import { jsonResponse, rawLoan } from "./testkit.mjs";
+
+const fast = { baseDelayMs: 1, maxDelayMs: 5 };
+
+// fetch answers the queued replies in order, the last one repeating
+function queue(t, ...replies) {
+  let i = 0;
+  return t.mock.method(globalThis, "fetch", async () => {
+    const r = replies[Math.min(i++, replies.length - 1)];
+    if (r instanceof Error) throw r;
+    return typeof r === "function" ? r() : r;
+  });
+}
+
+test("5xx, 429 and network errors are retried with backoff", async t => {
+  const fetch = queue(t, () => jsonResponse("down", { status: 503 }), new TypeError("socket hang up"),
+    () => jsonResponse({}, { status: 429 }), () => jsonResponse({ data: { ok: 1 } }));
+  const retries = [];
+  const data = await gql("{ ok }", {}, null, { ...fast, onRetry: r => retries.push([r.attempt, r.error.kind]) });
+  assert.deepEqual(data, { ok: 1 });
+  assert.equal(fetch.mock.callCount(), 4);
+  assert.deepEqual(retries, [[1, "http"], [2, "network"], [3, "rate-limit"]]);
+});
+
+test("Retry-After sets the minimum wait", async t => {
+  queue(t, () => jsonResponse({}, { status: 429, headers: { "Retry-After": "0.01" } }), () => jsonResponse({ data: {} }));
+  const delays = [];
+  await gql("{ ok }", {}, null, { baseDelayMs: 1, onRetry: r => delays.push(r.delayMs) });
+  assert.deepEqual(delays, [10]);
+});
+
+test("blocked, auth and GraphQL errors are not retried", async t => {
+  const fetch = queue(t, () => jsonResponse("nope", { status: 403 }));
+  await assert.rejects(gql("{ ok }", {}, null, fast), { kind: "blocked", status: 403 });
+  queue(t, () => jsonResponse({ errors: [{ message: "bad", extensions: { code: "UNAUTHENTICATED" } }] }));
+  await assert.rejects(gql("{ ok }", {}, null, fast), { kind: "auth", message: "bad" });
+  queue(t, () => jsonResponse({ errors: [{ message: "Cannot query field" }] }));
+  await assert.rejects(gql("{ ok }", {}, null, fast), { kind: "graphql" });
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test("gives up after the retry budget", async t => {
+  const fetch = queue(t, () => jsonResponse("", { status: 500 }));
+  await assert.rejects(gql("{ ok }", {}, null, { ...fast, retries: 2 }), e => e instanceof KivaApiError && e.status === 500);
+  assert.equal(fetch.mock.callCount(), 3);
+});
+
+test("errors that come with data are passed on, not thrown", async t => {
+  queue(t, () => jsonResponse({ data: { ok: 1 }, errors: [{ message: "age hidden" }] }));
+  const seen = [];
+  assert.deepEqual(await gql("{ ok }", {}, null, { onPartialErrors: errs => seen.push(...errs) }), { ok: 1 });
+  assert.deepEqual(seen.map(e => e.message), ["age hidden"]);
+});
+
+test("aborting cancels a pending backoff", async t => {
+  queue(t, () => jsonResponse("", { status: 502 }));
+  const ctl = new AbortController();
+  const pending = gql("{ ok }", {}, null, { signal: ctl.signal, baseDelayMs: 60000, maxDelayMs: 60000, onRetry: () => ctl.abort() });
+  await assert.rejects(pending, { kind: "aborted" });
+  await assert.rejects(sleep(10, ctl.signal), { kind: "aborted" });
+});
+
+test("a failed scan keeps the pages fetched so far", async t => {
+  const page = { data: { lend: { loans: { totalCount: 3, values: [rawLoan(1)] } } } };
+  queue(t, () => jsonResponse(page), () => jsonResponse("", { status: 403 }));
+  const err = await fetchCandidateLoans(null, {}, { pageSize: 1, pageDelayMs: 0 }).catch(e => e);
+  assert.equal(err.kind, "blocked");
+  assert.deepEqual(err.partial.map(l => l.id), [1]);
+});
+
+test("a page without its loans collection ends the scan with the pages so far", async t => {
+  const page = { data: { my: { loans: { totalCount: 3, values: [rawLoan(1)] } } } };
+  queue(t, () => jsonResponse(page), () => jsonResponse({ data: { my: null }, errors: [{ message: "my is unavailable" }] }));
+  const err = await fetchMyPortfolio(null, { pageSize: 1, pageDelayMs: 0, onPartialErrors: () => {} }).catch(e => e);
+  assert.ok(err instanceof KivaApiError);
+  assert.deepEqual(err.partial.map(l => l.id), [1]);
+});
+
+test("mutations are only repeated after a 429", async t => {
+  const mutation = "mutation AddToBasket { shop { ok } }";
+  const fetch = queue(t, () => jsonResponse("", { status: 503 }), () => jsonResponse({ data: { ok: 1 } }));
+  await assert.rejects(gql(mutation, {}, null, fast), { kind: "http", status: 503 });
+  queue(t, new TypeError("socket hang up"));
+  await assert.rejects(gql(mutation, {}, null, fast), { kind: "network" });
+  queue(t, () => jsonResponse({}, { status: 429 }), () => jsonResponse({ data: { ok: 1 } }));
+  assert.deepEqual(await gql(mutation, {}, null, fast), { ok: 1 });
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test("stopWhen ends paging early", async t => {
+  const page = id => jsonResponse({ data: { lend: { loans: { totalCount: 9, values: [rawLoan(id)] } } } });
+  const fetch = queue(t, () => page(1), () => page(2), () => page(3));
+  const loans = await fetchCandidateLoans(null, {}, { pageSize: 1, pageDelayMs: 0, stopWhen: values => values[0].id === 2 });
+  assert.deepEqual(loans.map(l => l.id), [1, 2]);
+  assert.equal(fetch.mock.callCount(), 2);
+});
+
+test("onPage reports progress against the scan depth", async t => {
+  const fetch = queue(t, () => jsonResponse({ data: { lend: { loans: { totalCount: 100, values: [rawLoan(1), rawLoan(2)] } } } }));
+  const pages = [];
+  const loans = await fetchCandidateLoans(null, {}, { pageSize: 2, maxPages: 3, pageDelayMs: 0, onPage: p => pages.push([p.page, p.pages, p.fetched]) });
+  assert.equal(loans.length, 6);
+  assert.deepEqual(pages, [[1, 3, 2], [2, 3, 4], [3, 3, 6]]);
+  assert.equal(JSON.parse(fetch.mock.calls[0].arguments[1].body).variables.sortBy, "newest");
+});
+
+test("an unknown sort order is refused before any request", t => {
+  const fetch = queue(t, () => jsonResponse({ data: {} }));
+  assert.throws(() => fetchCandidateLoans(null, {}, { sortBy: "cheapest" }), /Unknown sort order "cheapest"/);
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test("an auth error gets one reauth and the request is repeated with the new token", async t => {
+  const sent = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    sent.push(init.headers.Authorization);
+    return init.headers.Authorization === "Bearer fresh"
+      ? jsonResponse({ data: { ok: 1 } })
+      : jsonResponse({ errors: [{ message: "expired", extensions: { code: "UNAUTHENTICATED" } }] });
+  });
+  assert.deepEqual(await gql("{ ok }", {}, "stale", { ...fast, reauth: async () => "fresh" }), { ok: 1 });
+  assert.deepEqual(sent, ["Bearer stale", "Bearer fresh"]);
+
+  sent.length = 0;
+  const reauth = t.mock.fn(async () => "still-stale");
+  await assert.rejects(gql("{ ok }", {}, "stale", { ...fast, reauth }), { kind: "auth" });
+  assert.equal(reauth.mock.callCount(), 1);
+  await assert.rejects(gql("{ ok }", {}, "stale", { ...fast, reauth: async () => null }), { kind: "auth" });
+});
+
+test("a reauth doesn't use up a retry", async t => {
+  const fetch = queue(t, () => jsonResponse({ errors: [{ message: "expired", extensions: { code: "UNAUTHENTICATED" } }] }),
+    () => jsonResponse("", { status: 503 }), () => jsonResponse({ data: { ok: 1 } }));
+  assert.deepEqual(await gql("{ ok }", {}, "stale", { ...fast, retries: 1, reauth: async () => "fresh" }), { ok: 1 });
+  assert.equal(fetch.mock.callCount(), 3);
+});
+
+test("a token function is read on every attempt", async t => {
+  let token = "one";
+  const sent = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    sent.push(init.headers.Authorization);
+    token = "two";
+    return sent.length === 1 ? jsonResponse("", { status: 503 }) : jsonResponse({ data: {} });
+  });
+  await gql("{ ok }", {}, () => token, fast);
+  assert.deepEqual(sent, ["Bearer one", "Bearer two"]);
+});
@@ -0,0 +1,352 @@
+/**
+ * Mock Kiva gateway for offline development, demos and bug reproduction.
+ *
+ * Swapped in underneath gql (see setTransport in kiva.mjs), so retries,
+ * Retry-After and partial-error handling run exactly as against the real
+ * gateway. Answers Login, MyLoans, CandidateLoans, FilterOptions, AddToBasket and
+ * PartnerDetails from seeded fixtures in the LOAN_FIELDS shape.
+ *
+ * Any credentials sign in. MyLoans answers the main portfolio, except for
+ * addresses starting with "team" (team1@example.org, …), which get a smaller
+ * teammate portfolio of their own, for team mode.
+ *
+ * Enabled by VITE_KIVA_MOCK (dashboard build) or ?mock=... in the dashboard
+ * URL, and by KIVA_MOCK or --mock / --mock-fail on the CLI. The value is a
+ * comma list of injected failures ("1" / "true" / empty = none):
+ *   slow     every response takes 1.5s
+ *   429      every third request is rate limited (Retry-After: 1)
+ *   5xx      every fourth request answers 503
+ *   partial  candidate pages carry a partial GraphQL error
+ *   fail     the candidate scan fails fatally on page 3
+ *   auth     login is rejected
+ *   expire   tokens live 2 minutes and die after 4 authenticated requests
+ *            (mid-scan), to exercise re-auth and resume
+ *   trickle  every new candidate scan after the first finds 10 freshly
+ *            posted loans, for watch mode
+ *   drift    Fundación Andina's riskRating is 0.5 lower and AMK Cambodia's
+ *            defaultRate 2.1%; after a run without it, partner changes show
+ */
+
+const FAILURES = ["slow", "429", "5xx", "partial", "fail", "auth", "expire", "trickle", "drift"];
+
+// "slow,429" -> { slow: true, 429: true }; null when mock mode is off
+export function parseMockFlags(value) {
+  if (value === undefined || value === null || value === false || value === "0" || value === "false") return null;
+  const flags = {};
+  String(value).split(",").map(s => s.trim().toLowerCase()).filter(Boolean).forEach(f => {
+    if (FAILURES.includes(f)) flags[f] = true;
+    else if (f !== "1" && f !== "true") console.warn(`Unknown mock flag "${f}" (known: ${FAILURES.join(", ")})`);
+  });
+  return flags;
+}
+
+// fixtures
+
+// mulberry32: small seeded PRNG so fixtures are identical on every load
+function rng(seed) {
+  return () => {
+    seed |= 0; seed = seed + 0x6d2b79f5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+const COUNTRIES = [
+  ["KE", "Kenya"], ["UG", "Uganda"], ["PE", "Peru"], ["PH", "Philippines"], ["KH", "Cambodia"],
+  ["GT", "Guatemala"], ["NG", "Nigeria"], ["EC", "Ecuador"], ["TJ", "Tajikistan"], ["SN", "Senegal"],
+];
+const PARTNERS = [
+  { id: 101, name: "Juhudi Kilimo", riskRating: 3.5, defaultRate: 0.004 },
+  { id: 102, name: "Hluhluwe Finance", riskRating: 2.5, defaultRate: 0.009 },
+  { id: 103, name: "Fundación Andina", riskRating: 4, defaultRate: 0.012 },
+  { id: 104, name: "Negros Women for Tomorrow", riskRating: 4.5, defaultRate: 0.001 },
+  { id: 105, name: "AMK Cambodia", riskRating: 3, defaultRate: 0.017 },
+  { id: 106, name: "Génesis Empresarial", riskRating: 2, defaultRate: 0.02 },
+  { id: 107, name: "LAPO Microfinance", riskRating: 1.5, defaultRate: 0.031 },
+  { id: 108, name: "IMON International", riskRating: 3, defaultRate: 0.025 },
+];
+const SECTORS = ["Agriculture", "Food", "Retail", "Services", "Education", "Health", "Housing", "Arts", "Clothing", "Transport"]
+  .map((name, i) => ({ id: i + 1, name }));
+const NAMES = ["Amina", "Joseph", "María", "Grace", "Sokha", "Luis", "Chinedu", "Rosa", "Farida", "Awa", "Daniel", "Mercy", "Carmen", "Dilnoza", "Jean"];
+const TAGS = ["#Woman-Owned Business", "#Parent", "#Eco-friendly", "#Repeat Borrower", "#Single Parent", "#Schooling", "#Elderly"];
+// descriptions in several Kiva languages; {name} / {age} filled per loan
+const DESCRIPTIONS = [
+  ["{name} is {age} years old and sells vegetables at the local market.", ""],
+  ["{name} is a {age}-year-old student who also runs a small tailoring shop.", ""],
+  ["{name} has been farming maize for ten years and wants to buy fertilizer.", ""],
+  ["{name} is 18 years old and just finished secondary school.", ""],
+  ["{name} is {age} years old and owns a small grocery store.", "{name} tiene {age} años y es dueña de una pequeña tienda."],
+  ["{name}, aged {age}, raises chickens with her family.", "{name}, âgée de {age} ans, élève des poulets avec sa famille."],
+  ["{name} runs a motorcycle taxi business.", "{name} tem {age} anos e trabalha como mototaxista."],
+  ["{name} wants to expand his barbershop.", ""],
+];
+
+// partner: null for a direct loan without partner stats
+function makeLoan(r, id, { country, partner, borrowers, direct }) {
+  const name = borrowers[0].firstName;
+  // direct loans lean towards the default "18 years old" phrase so demos have hits
+  const eighteen = direct && r() < 0.4;
+  const age = eighteen ? 18 : 16 + Math.floor(r() * 28);
+  const [en, orig] = DESCRIPTIONS[eighteen ? 3 : Math.floor(r() * DESCRIPTIONS.length)];
+  const fill = s => s.replaceAll("{name}", name).replaceAll("{age}", age);
+  const loan = {
+    __typename: direct ? "LoanDirect" : "LoanPartner",
+    id,
+    name: borrowers.length > 1 ? `${name}'s Group` : name,
+    description: fill(en),
+    descriptionInOriginalLanguage: fill(orig),
+    lenderRepaymentTerm: [6, 8, 10, 12, 12, 14, 18, 24][Math.floor(r() * 8)],
+    geocode: { country: { isoCode: country[0], name: country[1] } },
+    borrowers,
+    sector: SECTORS[Math.floor(r() * SECTORS.length)],
+    partner: partner && { ...partner },
+    loanAmount: { amount: String(25 * (8 + Math.floor(r() * 120))) },
+    tags: TAGS.filter(() => r() < 0.2),
+  };
+  if (direct) loan.ageAtTimeOfLoan = age;
+  return loan;
+}
+
+// (i) -> candidate loan i, newer the lower i is; shared by the fixtures and
+// the loans "trickle" posts later
+function candidateMaker(r) {
+  const pick = a => a[Math.floor(r() * a.length)];
+  const borrower = id => ({ id, firstName: pick(NAMES), gender: r() < 0.7 ? "female" : "male" });
+  return i => {
+    const direct = r() < 0.4;
+    const group = !direct && r() < 0.1;
+    const repeat = i % 40 === 7 ? 9001 + (i % 3) : null;
+    const borrowers = repeat ? [{ id: repeat, firstName: "Esther", gender: "female" }]
+      : group ? [borrower(20000 + i * 3), borrower(20000 + i * 3 + 1), borrower(20000 + i * 3 + 2)]
+      : [borrower(10000 + i)];
+    const country = r() < 0.3 ? COUNTRIES[0] : pick(COUNTRIES);
+    // half the direct loans carry partner stats so age + batch can both pass
+    const partner = direct && r() < 0.5 ? null : pick(PARTNERS);
+    return makeLoan(r, 2000320 - i, { country, partner, borrowers, direct });
+  };
+}
+
+function buildFixtures() {
+  const r = rng(42);
+  const pick = a => a[Math.floor(r() * a.length)];
+  const borrower = id => ({ id, firstName: pick(NAMES), gender: r() < 0.7 ? "female" : "male" });
+
+  // portfolio: Kenya and Juhudi Kilimo deliberately over a 10% cap, the rest
+  // spread over enough countries/partners that the others stay under it
+  const spreadCountries = [...COUNTRIES.slice(1), ["MX", "Mexico"], ["RW", "Rwanda"], ["VN", "Vietnam"], ["PK", "Pakistan"], ["BO", "Bolivia"], ["GH", "Ghana"]];
+  const spreadPartners = [...PARTNERS.slice(1), ...[201, 202, 203, 204, 205, 206, 207].map(id => ({ id, name: `Closed Partner ${id}`, riskRating: 2, defaultRate: 0.01 }))];
+  const portfolio = [];
+  for (let i = 0; i < 120; i++) {
+    const country = i < 16 ? COUNTRIES[0] : spreadCountries[i % spreadCountries.length];
+    const partner = i < 14 ? PARTNERS[0] : spreadPartners[i % spreadPartners.length];
+    portfolio.push(makeLoan(r, 1000000 + i, { country, partner, borrowers: [borrower(5000 + i)], direct: i % 5 === 0 }));
+  }
+  // repeat borrowers: 1, 2 and 3 prior loans -> tiers 2, 3, 4
+  [[9001, 1], [9002, 2], [9003, 3]].forEach(([bid, n]) => {
+    for (let k = 0; k < n; k++) portfolio[30 + bid % 10 * 4 + k].borrowers = [{ id: bid, firstName: "Esther", gender: "female" }];
+  });
+
+  const makeCandidate = candidateMaker(r);
+  const candidates = Array.from({ length: 320 }, (_, i) => makeCandidate(i));
+  const esther = id => ({ id, firstName: "Esther", gender: "female" });
+  candidates.forEach((c, i) => {
+    // group loans with a repeat borrower who isn't listed first
+    if (i % 40 === 17) {
+      c.borrowers = [...c.borrowers, esther(9002)];
+      c.name = `${c.borrowers[0].firstName}'s Group`;
+    }
+    // Esther 9003 re-registered under a new id: same name, country and
+    // partner, so only fuzzy matching finds a prior loan
+    if (i % 40 === 27) {
+      const prior = portfolio[42];
+      const old = c.borrowers[0].firstName;
+      Object.assign(c, {
+        name: "Esther", borrowers: [esther(39000 + i)], geocode: prior.geocode, partner: { ...prior.partner },
+        description: c.description.replaceAll(old, "Esther"), descriptionInOriginalLanguage: c.descriptionInOriginalLanguage.replaceAll(old, "Esther"),
+      });
+    }
+  });
+  return { portfolio, candidates };
+}
+
+// lend { partner(id) }; the closed partners only ever appear in the portfolio
+function partnerDetails(id, partner) {
+  const i = PARTNERS.findIndex(p => p.id === id);
+  const base = partner ?? (id >= 201 && id <= 207 ? { id, name: `Closed Partner ${id}`, riskRating: 2, defaultRate: 0.01 } : null);
+  if (!base) return null;
+  const posted = 1200 + id * 37 % 9000;
+  return {
+    ...base,
+    status: i < 0 ? "closed" : "active",
+    delinquencyRate: +(base.defaultRate * 1.8).toFixed(4),
+    loansPosted: posted,
+    totalAmountRaised: String(posted * 410),
+    // like the real gateway, not every partner reports profitability
+    profitability: id % 3 === 0 ? null : +((id * 7 % 25 - 8) / 100).toFixed(2),
+    countries: [COUNTRIES[(i < 0 ? id : i) % COUNTRIES.length]].map(([isoCode, name]) => ({ isoCode, name })),
+  };
+}
+
+let fixtures = null;
+export const mockFixtures = () => (fixtures ??= buildFixtures());
+
+const isTeammate = account => /^team/i.test(account ?? "");
+
+// a teammate's portfolio, seeded by account: Uganda and Hluhluwe Finance
+// heavy (over a 10% cap once merged), a few loans shared with the main
+// portfolio, and a prior loan to Esther 9001
+export function teammatePortfolio(account) {
+  let seed = 0;
+  for (const ch of account) seed = Math.imul(seed, 31) + ch.charCodeAt(0) | 0;
+  const r = rng(seed);
+  const base = 1100000 + (seed >>> 0) % 800 * 100;
+  const loans = Array.from({ length: 40 }, (_, i) => makeLoan(r, base + i, {
+    country: i < 14 ? COUNTRIES[1] : COUNTRIES[2 + i % (COUNTRIES.length - 2)],
+    partner: i < 12 ? PARTNERS[1] : PARTNERS[2 + i % 4],
+    borrowers: [{ id: 60000 + base % 100000 + i, firstName: NAMES[i % NAMES.length], gender: "female" }],
+    direct: false,
+  }));
+  loans[39].borrowers = [{ id: 9001, firstName: "Esther", gender: "female" }];
+  return [...loans, ...mockFixtures().portfolio.slice(60, 64)];
+}
+
+// server-side LoanSearchFiltersInput subset the dashboard sends
+function inRange(v, range) {
+  if (!range) return true;
+  if (v === null || v === undefined) return false;
+  return (range.min === undefined || v >= range.min) && (range.max === undefined || v <= range.max);
+}
+
+function matchesFilters(loan, f = {}) {
+  return inRange(loan.partner?.riskRating, f.riskRating)
+    && inRange(loan.partner?.defaultRate, f.defaultRate)
+    && inRange(loan.lenderRepaymentTerm, f.lenderTerm)
+    && (!f.sector?.length || f.sector.includes(loan.sector.id))
+    && (!f.countryIsoCode?.length || f.countryIsoCode.includes(loan.geocode.country.isoCode))
+    // like the gateway, matches when any borrower has that gender
+    && (!f.gender || loan.borrowers.some(b => b.gender === f.gender));
+}
+
+// LoanSearchSortByEnum; ids stand in for posting date, so the oldest expire first
+const SORTS = {
+  newest: (a, b) => b.id - a.id,
+  expiringSoon: (a, b) => a.id - b.id,
+  amountLeft: (a, b) => a.loanAmount.amount - b.loanAmount.amount,
+  loanAmount: (a, b) => a.loanAmount.amount - b.loanAmount.amount,
+  repaymentTerm: (a, b) => a.lenderRepaymentTerm - b.lenderRepaymentTerm || b.id - a.id,
+  popularity: (a, b) => (a.id * 7919 % 1000) - (b.id * 7919 % 1000),
+  random: (a, b) => (a.id * 104729 % 997) - (b.id * 104729 % 997),
+};
+
+// gateway
+
+const json = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+const gqlError = (message, code) => json({ data: null, errors: [{ message, extensions: code ? { code } : undefined }] });
+
+// unsigned JWT with an exp claim, so session expiry handling has something to decode
+function mintToken(ttlSec) {
+  const b64url = obj => btoa(JSON.stringify(obj)).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+  const exp = Math.floor(Date.now() / 1000) + ttlSec;
+  return { token: `${b64url({ alg: "none", typ: "JWT" })}.${b64url({ sub: "mock-lender", exp, jti: Math.random().toString(36).slice(2) })}.mock`, exp };
+}
+
+// -> fetch-compatible function
+export function createMockGateway(flags = {}, { log = () => {} } = {}) {
+  let requests = 0;
+  const issued = new Map();   // token -> { exp, uses, account }
+  const candidatePages = new Map();   // filter key -> pages served, for "fail"
+  const posted = [];   // "trickle" loans, newest first
+  const postCandidate = candidateMaker(rng(7));
+  let scans = 0;
+
+  return async function mockFetch(url, init = {}) {
+    const n = ++requests;
+    const { query, variables = {} } = JSON.parse(init.body);
+    const op = /(?:query|mutation)\s+(\w+)/.exec(query)?.[1] ?? "anonymous";
+    const bearer = (init.headers?.Authorization ?? init.headers?.authorization ?? "").replace(/^Bearer /, "");
+    const session = issued.get(bearer);
+    const authed = !!session && session.exp * 1000 > Date.now() && (!flags.expire || ++session.uses <= 4);
+    log(`[mock] #${n} ${op} ${JSON.stringify({ ...variables, password: variables.password && "***" })}`);
+
+    if (flags.slow) await new Promise((resolve, reject) => {
+      const t = setTimeout(resolve, 1500);
+      init.signal?.addEventListener("abort", () => { clearTimeout(t); reject(new DOMException("Aborted", "AbortError")); }, { once: true });
+    });
+    if (flags["429"] && n % 3 === 0) return json({ errors: [{ message: "Too many requests" }] }, 429, { "Retry-After": "1" });
+    if (flags["5xx"] && n % 4 === 0) return new Response("Service Unavailable", { status: 503 });
+
+    if (op === "CandidateLoans" && (!bearer || authed) && !variables.offset && ++scans > 1 && flags.trickle) {
+      // negative i -> ids above every fixture
+      for (let k = 0; k < 10; k++) posted.unshift(postCandidate(-1 - posted.length));
+    }
+    const { portfolio } = mockFixtures();
+    const drifted = p => !p || !flags.drift ? p
+      : p.id === 103 ? { ...p, riskRating: p.riskRating - 0.5 }
+      : p.id === 105 ? { ...p, defaultRate: 0.021 }
+      : p;
+    let candidates = posted.length ? [...posted, ...mockFixtures().candidates] : mockFixtures().candidates;
+    if (flags.drift) candidates = candidates.map(l => ({ ...l, partner: drifted(l.partner) }));
+    const page = (list, { offset = 0, limit = 20 }) => ({ totalCount: list.length, values: list.slice(offset, offset + limit) });
+
+    switch (op) {
+      case "Login": {
+        if (flags.auth) return gqlError("Invalid email or password (mock)", "UNAUTHENTICATED");
+        const { token, exp } = mintToken(flags.expire ? 120 : 3600);
+        issued.set(token, { exp, uses: 0, account: variables.email });
+        return json({ data: { login: { token, user: { id: 1 } } } });
+      }
+
+      case "MyLoans": {
+        if (!authed) return gqlError("Not authenticated", "UNAUTHENTICATED");
+        const mine = isTeammate(session.account) ? teammatePortfolio(session.account) : portfolio;
+        return json({ data: { my: { loans: page(flags.drift ? mine.map(l => ({ ...l, partner: drifted(l.partner) })) : mine, variables) } } });
+      }
+
+      case "CandidateLoans": {
+        // public query, but a stale bearer token is still rejected
+        if (bearer && !authed) return gqlError("Token expired", "UNAUTHENTICATED");
+        const key = JSON.stringify([variables.filters, variables.sortBy]);
+        const served = (candidatePages.get(key) ?? 0) + 1;
+        candidatePages.set(key, served);
+        if (flags.fail && served === 3) return gqlError("Internal server error (mock, page 3)");
+        const sort = SORTS[variables.sortBy ?? "newest"];
+        if (!sort) return gqlError(`Variable "$sortBy" got invalid value "${variables.sortBy}" (mock)`);
+        const matching = candidates.filter(l => matchesFilters(l, variables.filters)).sort(sort);
+        const data = { lend: { loans: page(matching, variables) } };
+        return flags.partial
+          ? json({ data, errors: [{ message: "partner.defaultRate unavailable for some loans (mock)" }] })
+          : json({ data });
+      }
+
+      case "FilterOptions": {
+        const facets = {};
+        candidates.forEach(l => {
+          const c = l.geocode.country;
+          (facets[c.isoCode] ??= { count: 0, country: c }).count++;
+        });
+        return json({ data: { lend: {
+          sector: SECTORS,
+          countryFacets: Object.values(facets),
+          tag: TAGS.map((name, i) => ({ id: 100 + i, name })),
+        } } });
+      }
+
+      case "PartnerDetails": {
+        const lend = {};
+        for (const [, alias, id] of query.matchAll(/(\w+): partner\(id: (\d+)\)/g))
+          lend[alias] = partnerDetails(Number(id), drifted(PARTNERS.find(p => p.id === Number(id))));
+        return json({ data: { lend } });
+      }
+
+      case "AddToBasket":
+        if (!authed) return gqlError("Not authenticated", "UNAUTHENTICATED");
+        if (!candidates.some(l => l.id === variables.loanId)) return gqlError(`Loan ${variables.loanId} is not fundraising (mock)`);
+        return json({ data: { shop: { updateLoanReservation: { id: variables.loanId, price: variables.price } } } });
+
+      default:
+        return gqlError(`Mock gateway does not implement ${op}`);
+    }
+  };
+}
@@ -0,0 +1,136 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import { kivaLogin, fetchMyPortfolio, fetchCandidateLoans, fetchFilterOptions, gql, setTransport } from "./kiva.mjs";
+import { parseMockFlags, createMockGateway, mockFixtures } from "./mock.mjs";
+import { tokenExpiresAt } from "./session.mjs";
+
+const fast = { pageDelayMs: 0, baseDelayMs: 1, maxDelayMs: 5 };
+const useMock = flags => setTransport(createMockGateway(flags));
+afterEach(() => setTransport(null));
+
+test("mock flags parse from env / URL values", t => {
+  t.mock.method(console, "warn", () => {});
+  assert.equal(parseMockFlags(undefined), null);
+  assert.equal(parseMockFlags("0"), null);
+  assert.deepEqual(parseMockFlags("1"), {});
+  assert.deepEqual(parseMockFlags(" Slow,429, bogus"), { slow: true, 429: true });
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test("fixtures are seeded, so every load is the same", () => {
+  const { portfolio, candidates } = mockFixtures();
+  assert.equal(portfolio.length, 120);
+  assert.equal(candidates.length, 320);
+  assert.equal(portfolio.filter(l => l.geocode.country.isoCode === "KE").length, 16);
+});
+
+test("login, portfolio and filtered candidates come from the fixtures", async () => {
+  useMock({});
+  const token = await kivaLogin("me@example.org", "pw");
+  assert.ok(tokenExpiresAt(token) > Date.now());
+  assert.equal((await fetchMyPortfolio(token, fast)).length, 120);
+  const loans = await fetchCandidateLoans(token, { defaultRate: { max: 0.01 } }, fast);
+  assert.ok(loans.length > 0);
+  assert.ok(loans.every(l => l.partner.defaultRate <= 0.01));
+  await assert.rejects(fetchMyPortfolio(null, fast), { kind: "auth" });
+});
+
+test("injected 5xx and 429 are retried through", async () => {
+  useMock({ "5xx": true, 429: true });
+  const retried = [];
+  const loans = await fetchCandidateLoans(null, {}, { ...fast, pageSize: 40, maxPages: 4, onRetry: r => retried.push(r.error.status) });
+  assert.equal(loans.length, 160);
+  assert.ok(retried.includes(503) && retried.includes(429));
+});
+
+test("injected failures surface as the real gateway's would", async t => {
+  useMock({ auth: true });
+  await assert.rejects(kivaLogin("me@example.org", "pw"), { kind: "auth" });
+
+  useMock({ fail: true });
+  const err = await fetchCandidateLoans(null, {}, { ...fast, pageSize: 10 }).catch(e => e);
+  assert.equal(err.kind, "graphql");
+  assert.equal(err.partial.length, 20);
+
+  useMock({ partial: true });
+  const warn = t.mock.fn();
+  await fetchCandidateLoans(null, {}, { ...fast, maxPages: 1, onPartialErrors: warn });
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("candidate pages follow the requested sort order", async () => {
+  useMock({});
+  const byTerm = await fetchCandidateLoans(null, {}, { ...fast, sortBy: "repaymentTerm", maxPages: 1 });
+  const terms = byTerm.map(l => l.lenderRepaymentTerm);
+  assert.deepEqual(terms, [...terms].sort((a, b) => a - b));
+  const newest = await fetchCandidateLoans(null, {}, { ...fast, maxPages: 1 });
+  assert.equal(newest[0].id, Math.max(...mockFixtures().candidates.map(l => l.id)));
+});
+
+test("filter options and server-side country / gender filters", async () => {
+  useMock({});
+  const { sectors, countries, tags } = await fetchFilterOptions(null, fast);
+  assert.ok(sectors.length && tags.length);
+  assert.deepEqual(countries.map(c => c.name), [...countries.map(c => c.name)].sort((a, b) => a.localeCompare(b)));
+  const loans = await fetchCandidateLoans(null, { countryIsoCode: ["PE"], gender: "male" }, { ...fast, maxPages: 2 });
+  assert.ok(loans.length > 0);
+  assert.ok(loans.every(l => l.geocode.country.isoCode === "PE" && l.borrowers.some(b => b.gender === "male")));
+});
+
+test("with expire, a token dies mid-scan and reauth carries the scan on", async () => {
+  useMock({ expire: true });
+  let token = await kivaLogin("me@example.org", "pw");
+  let logins = 0;
+  const reauth = async () => { logins++; return (token = await kivaLogin("me@example.org", "pw")); };
+  const loans = await fetchMyPortfolio(() => token, { ...fast, pageSize: 20, reauth });
+  assert.equal(loans.length, 120);
+  assert.equal(logins, 1);
+});
+
+test("unknown operations are rejected", async () => {
+  useMock({});
+  await assert.rejects(gql("query Nope { x }", {}, null, fast), /does not implement Nope/);
+});
+
+// runs cli.mjs against the mock without the caller's credentials
+function runCli(mock, ...args) {
+  const { KIVA_USER, KIVA_PASS, ...env } = process.env;
+  return promisify(execFile)(process.execPath, ["cli.mjs", ...args], {
+    cwd: import.meta.dirname, env: { ...env, KIVA_MOCK: mock }, timeout: 30000,
+  });
+}
+
+test("the CLI runs end to end against the mock", async () => {
+  const { stdout, stderr } = await runCli("1", "--json");
+  const passing = JSON.parse(stdout);
+  assert.match(stderr, new RegExp(`Done — ${passing.length} passing of \\d+`));
+  assert.ok(passing.every(l => l.pass));
+});
+
+test("a scan that fails part way still prints the pages fetched, then exits with the failure", async () => {
+  await assert.rejects(runCli("fail", "--json"), e => {
+    assert.equal(e.code, 4);
+    assert.match(e.stderr, /Scan stopped early \(.*page 3\)\) — using the 80 loans fetched/);
+    assert.match(e.stderr, /Done — \d+ passing of 80/);
+    assert.ok(JSON.parse(e.stdout).every(l => l.pass));
+    return true;
+  });
+});
+
+test("a config file with a bad value is refused before signing in", async t => {
+  const dir = mkdtempSync(join(tmpdir(), "kiva-cli-"));
+  t.after(() => rmSync(dir, { recursive: true }));
+  const file = join(dir, "cfg.json");
+  writeFileSync(file, JSON.stringify({ maxTerm: 14, countryCap: null }));
+  await assert.rejects(runCli("1", "--config", file), e => {
+    assert.equal(e.code, 2);
+    assert.match(e.stderr, /^Bad config field "countryCap" in .*cfg\.json: must be a whole number in 1–100$/m);
+    assert.doesNotMatch(e.stderr, /Signing in/);
+    return true;
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Field partners: per-partner rollups of the loaded loans, and a persisted
+ * record of each partner's riskRating / defaultRate so that a change between
+ * runs stands out.
+ *
+ * Stats are { [partnerId]: { name, riskRating, defaultRate, seenAt, change } }
+ * where change is null or { from: { riskRating, defaultRate }, at }. A change
+ * stays flagged until acknowledged. Only freshly fetched loans should be fed
+ * to trackPartnerStats: a cached scan carries the stats of its own day.
+ *
+ * The allowlist / blocklist are cfg.partnerAllow / cfg.partnerBlock, so rules,
+ * run history and the CLI see them like any other setting. The dashboard keeps
+ * them in their own storage entry rather than in presets: they describe
+ * partners, not a filtering strategy, and apply whichever preset is loaded.
+ */
+
+export const PARTNER_STATS_KEY = "kiva-partner-stats";
+export const PARTNER_LISTS_KEY = "kiva-partner-lists";
+
+// mapped loans -> [{ id, name, riskRating, defaultRate, candidates, portfolio, passing }],
+// most candidates first; candidates may be filtered results (for passing)
+export function partnerRollup(candidates, portfolio) {
+  const byId = new Map();
+  const entry = l => {
+    if (!byId.has(l.partnerId)) byId.set(l.partnerId, { id: l.partnerId, name: l.partner, riskRating: l.risk, defaultRate: l.defRate, candidates: [], portfolio: [], passing: 0 });
+    return byId.get(l.partnerId);
+  };
+  candidates.filter(l => l.partnerId).forEach(l => {
+    const p = entry(l);
+    // candidate stats are the freshest, portfolio copies may be older
+    Object.assign(p, { name: l.partner, riskRating: l.risk, defaultRate: l.defRate });
+    p.candidates.push(l);
+    if (l.pass) p.passing++;
+  });
+  portfolio.filter(l => l.partnerId).forEach(l => entry(l).portfolio.push(l));
+  return [...byId.values()].sort((a, b) => b.candidates.length - a.candidates.length || b.portfolio.length - a.portfolio.length);
+}
+
+// -> { allow: [ids], block: [ids] }
+export function loadPartnerLists(storage = globalThis.localStorage) {
+  try {
+    const lists = JSON.parse(storage?.getItem(PARTNER_LISTS_KEY) ?? "{}");
+    const ids = v => Array.isArray(v) ? v.filter(Number.isInteger) : [];
+    return { allow: ids(lists?.allow), block: ids(lists?.block) };
+  } catch {
+    return { allow: [], block: [] };
+  }
+}
+
+export function savePartnerLists({ allow, block }, storage = globalThis.localStorage) {
+  storage?.setItem(PARTNER_LISTS_KEY, JSON.stringify({ allow, block }));
+}
+
+export function loadPartnerStats(storage = globalThis.localStorage) {
+  try {
+    const stats = JSON.parse(storage?.getItem(PARTNER_STATS_KEY) ?? "{}");
+    return stats && typeof stats === "object" && !Array.isArray(stats) ? stats : {};
+  } catch {
+    return {};
+  }
+}
+
+export function savePartnerStats(stats, storage = globalThis.localStorage) {
+  storage?.setItem(PARTNER_STATS_KEY, JSON.stringify(stats));
+}
+
+// Record the stats on these (mapped, fresh) loans. -> the same object when
+// nothing changed, so it can go straight into React state.
+export function trackPartnerStats(stats, loans, now = Date.now()) {
+  let next = stats;
+  const seen = new Set();
+  for (const l of loans) {
+    if (!l.partnerId || seen.has(l.partnerId)) continue;
+    seen.add(l.partnerId);
+    const prev = stats[l.partnerId];
+    if (prev && prev.riskRating === l.risk && prev.defaultRate === l.defRate) continue;
+    if (next === stats) next = { ...stats };
+    // compare with the oldest unacknowledged values, so a second change doesn't
+    // hide the first and a change that reverts clears the flag
+    const from = prev && (prev.change?.from ?? { riskRating: prev.riskRating, defaultRate: prev.defaultRate });
+    const reverted = from && from.riskRating === l.risk && from.defaultRate === l.defRate;
+    next[l.partnerId] = {
+      name: l.partner, riskRating: l.risk, defaultRate: l.defRate, seenAt: now,
+      change: from && !reverted ? { from, at: now } : null,
+    };
+  }
+  return next;
+}
+
+export function acknowledgeChange(stats, partnerId) {
+  return stats[partnerId]?.change ? { ...stats, [partnerId]: { ...stats[partnerId], change: null } } : stats;
+}
+
+// -> [{ id, name, from, to, at }] for every flagged partner, newest first
+export function partnerChanges(stats) {
+  return Object.entries(stats)
+    .filter(([, s]) => s.change)
+    .map(([id, s]) => ({ id: Number(id), name: s.name, from: s.change.from, to: { riskRating: s.riskRating, defaultRate: s.defaultRate }, at: s.change.at }))
+    .sort((a, b) => b.at - a.at);
+}
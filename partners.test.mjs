@@ -0,0 +1,61 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan, applyClientFilters } from "./filters.mjs";
+import { fetchPartnerDetails, setTransport } from "./kiva.mjs";
+import { createMockGateway } from "./mock.mjs";
+import {
+  partnerRollup, trackPartnerStats, acknowledgeChange, partnerChanges,
+  loadPartnerLists, savePartnerLists, loadPartnerStats, PARTNER_LISTS_KEY,
+} from "./partners.mjs";
+import { rawLoan, spreadLoans, memoryStorage } from "./testkit.mjs";
+
+const loan = (id, partnerId, over = {}) => mapLoan(rawLoan(id, { partnerId, country: `X${id}`, ...over }));
+afterEach(() => setTransport(null));
+
+test("the rollup groups candidates and portfolio by partner", () => {
+  const candidates = [{ ...loan(1, 7, { risk: 4 }), pass: true }, { ...loan(2, 7), pass: false }, loan(3, 8), loan(4, null)];
+  const rows = partnerRollup(candidates, [loan(50, 8), loan(51, 9, { risk: 1 })]);
+  assert.deepEqual(rows.map(r => [r.id, r.candidates.length, r.portfolio.length, r.passing]), [[7, 2, 0, 1], [8, 1, 1, 0], [9, 0, 1, 0]]);
+  // the later candidate's stats win
+  assert.equal(rows[0].riskRating, 3);
+});
+
+test("the allow / block lists hold back partner loans only", () => {
+  const cfg = { ...DEFAULT_CFG, ageFilter: false, phrase: "", partnerAllow: [7], partnerBlock: [8] };
+  const results = applyClientFilters([loan(1, 7), loan(2, 8), loan(3, 9), loan(4, null)], spreadLoans(30).map(mapLoan), cfg);
+  assert.deepEqual(results.map(l => l.reasons.filter(r => r.ruleId === "partnerList").map(r => r.text)), [
+    [], ['Partner "Partner 8" is on the blocklist'], ['Partner "Partner 9" is not on the allowlist'], [],
+  ]);
+});
+
+test("a rating change is flagged against the oldest unacknowledged values", () => {
+  const first = trackPartnerStats({}, [loan(1, 7)], 1);
+  assert.deepEqual(first[7], { name: "Partner 7", riskRating: 3, defaultRate: 0.005, seenAt: 1, change: null });
+  assert.equal(trackPartnerStats(first, [loan(2, 7)], 2), first);
+
+  const moved = trackPartnerStats(first, [loan(3, 7, { risk: 2.5 })], 3);
+  const again = trackPartnerStats(moved, [loan(4, 7, { risk: 2 })], 4);
+  assert.deepEqual(partnerChanges(again), [{ id: 7, name: "Partner 7", from: { riskRating: 3, defaultRate: 0.005 }, to: { riskRating: 2, defaultRate: 0.005 }, at: 4 }]);
+  // back where it started: nothing to flag
+  assert.equal(trackPartnerStats(again, [loan(5, 7)], 5)[7].change, null);
+  assert.deepEqual(partnerChanges(acknowledgeChange(again, 7)), []);
+});
+
+test("lists and stats survive storage, junk doesn't", () => {
+  const storage = memoryStorage();
+  savePartnerLists({ allow: [1, 2], block: [3] }, storage);
+  assert.deepEqual(loadPartnerLists(storage), { allow: [1, 2], block: [3] });
+  storage.setItem(PARTNER_LISTS_KEY, '{"allow":["1",2],"block":null}');
+  assert.deepEqual(loadPartnerLists(storage), { allow: [2], block: [] });
+  assert.deepEqual(loadPartnerStats(memoryStorage({ "kiva-partner-stats": "[]" })), {});
+});
+
+test("partner details come back per id, null where unknown", async () => {
+  setTransport(createMockGateway({}));
+  const details = await fetchPartnerDetails(null, [101, "205", 999, 101]);
+  assert.deepEqual(Object.keys(details), ["101", "205", "999"]);
+  assert.equal(details[101].status, "active");
+  assert.equal(details[205].status, "closed");
+  assert.equal(details[999], null);
+  assert.deepEqual(await fetchPartnerDetails(null, []), {});
+});
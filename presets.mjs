@@ -0,0 +1,103 @@
+/**
+ * Named filter presets: { id, name, cfg } kept in local storage together with
+ * the active preset id, and shareable as a JSON file
+ * ({ version, presets: [{ name, cfg }] }).
+ *
+ * All helpers are pure and return a new list; the caller persists it.
+ */
+
+import { DEFAULT_CFG } from "./filters.mjs";
+import { ANY_BATCH, batchProblems } from "./batches.mjs";
+import { validRule } from "./rules.mjs";
+
+export const PRESETS_STORAGE_KEY = "kiva-filter-presets";
+const EXPORT_VERSION = 1;
+
+const newId = () => `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// keep only known cfg fields, fill the rest from defaults; malformed batches
+// fall back to the defaults and malformed custom rules are dropped
+export function normalizeCfg(cfg) {
+  const out = { ...DEFAULT_CFG };
+  for (const k of Object.keys(DEFAULT_CFG)) {
+    const v = cfg?.[k];
+    const ok = Array.isArray(DEFAULT_CFG[k]) ? Array.isArray(v) : v !== undefined && typeof v === typeof DEFAULT_CFG[k];
+    if (ok) out[k] = v;
+  }
+  // the same checks a shared link gets (share.mjs)
+  if (batchProblems(out.batches).length) out.batches = DEFAULT_CFG.batches;
+  if (out.batch !== ANY_BATCH && !out.batches.some(b => b.id === out.batch)) out.batch = ANY_BATCH;
+  out.customRules = out.customRules.filter(validRule);
+  return out;
+}
+
+// "Youth fund" -> "Youth fund (2)" when taken
+function uniqueName(presets, name) {
+  const taken = new Set(presets.map(p => p.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+export function createPreset(presets, name, cfg) {
+  const preset = { id: newId(), name: uniqueName(presets, name.trim() || "Untitled"), cfg: normalizeCfg(cfg) };
+  return [...presets, preset];
+}
+
+export function renamePreset(presets, id, name) {
+  const others = presets.filter(p => p.id !== id);
+  return presets.map(p => p.id === id ? { ...p, name: uniqueName(others, name.trim() || p.name) } : p);
+}
+
+export function updatePreset(presets, id, cfg) {
+  return presets.map(p => p.id === id ? { ...p, cfg: normalizeCfg(cfg) } : p);
+}
+
+export function duplicatePreset(presets, id) {
+  const src = presets.find(p => p.id === id);
+  return src ? createPreset(presets, `${src.name} copy`, src.cfg) : presets;
+}
+
+export function deletePreset(presets, id) {
+  return presets.filter(p => p.id !== id);
+}
+
+// -> { activeId, presets }; a missing or corrupt entry yields an empty store
+export function loadPresets(storage = globalThis.localStorage) {
+  try {
+    const stored = JSON.parse(storage?.getItem(PRESETS_STORAGE_KEY) ?? "{}");
+    const presets = Array.isArray(stored.presets)
+      ? stored.presets.filter(p => p && typeof p.name === "string").map(p => ({ id: p.id || newId(), name: p.name, cfg: normalizeCfg(p.cfg) }))
+      : [];
+    const activeId = presets.some(p => p.id === stored.activeId) ? stored.activeId : null;
+    return { activeId, presets };
+  } catch {
+    return { activeId: null, presets: [] };
+  }
+}
+
+export function savePresets({ activeId, presets }, storage = globalThis.localStorage) {
+  storage?.setItem(PRESETS_STORAGE_KEY, JSON.stringify({ activeId, presets }));
+}
+
+export function exportPresets(presets) {
+  return JSON.stringify({ version: EXPORT_VERSION, presets: presets.map(({ name, cfg }) => ({ name, cfg })) }, null, 2);
+}
+
+// parse an exported file; throws on anything that isn't one
+export function parsePresetsFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(list)) throw new Error("Not a presets file (expected { presets: [...] })");
+  return list.map((p, i) => {
+    if (!p || typeof p.name !== "string" || typeof p.cfg !== "object")
+      throw new Error(`Preset #${i + 1} needs a name and a cfg object`);
+    return { name: p.name, cfg: normalizeCfg(p.cfg) };
+  });
+}
+
+// append imported presets, renaming on clashes
+export function importPresets(presets, text) {
+  return parsePresetsFile(text).reduce((acc, p) => createPreset(acc, p.name, p.cfg), presets);
+}
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG } from "./filters.mjs";
+import {
+  PRESETS_STORAGE_KEY, normalizeCfg, createPreset, renamePreset, updatePreset, duplicatePreset, deletePreset,
+  loadPresets, savePresets, exportPresets, parsePresetsFile, importPresets,
+} from "./presets.mjs";
+import { memoryStorage } from "./testkit.mjs";
+
+test("normalizeCfg keeps known fields of the right type and fills the rest", () => {
+  const cfg = normalizeCfg({ maxTerm: 6, bogus: 1, countryCap: "10", excludedSectors: "Food" });
+  assert.equal(cfg.maxTerm, 6);
+  assert.equal(cfg.countryCap, DEFAULT_CFG.countryCap);
+  assert.deepEqual(cfg.excludedSectors, DEFAULT_CFG.excludedSectors);
+  assert.ok(!("bogus" in cfg));
+  assert.deepEqual(normalizeCfg(null), DEFAULT_CFG);
+});
+
+test("names stay unique through create, rename and duplicate", () => {
+  let presets = createPreset([], "Youth", { maxTerm: 6 });
+  presets = createPreset(presets, "Youth", DEFAULT_CFG);
+  presets = createPreset(presets, "  ", DEFAULT_CFG);
+  assert.deepEqual(presets.map(p => p.name), ["Youth", "Youth (2)", "Untitled"]);
+  presets = renamePreset(presets, presets[2].id, "Youth");
+  presets = duplicatePreset(presets, presets[0].id);
+  assert.deepEqual(presets.map(p => p.name), ["Youth", "Youth (2)", "Youth (3)", "Youth copy"]);
+  assert.equal(presets[3].cfg.maxTerm, 6);
+  presets = updatePreset(presets, presets[3].id, { ...DEFAULT_CFG, maxTerm: 9 });
+  assert.equal(presets[3].cfg.maxTerm, 9);
+  assert.equal(deletePreset(presets, presets[0].id).length, 3);
+});
+
+test("the store round-trips through storage and survives corrupt entries", () => {
+  const storage = memoryStorage();
+  const presets = createPreset([], "Youth", DEFAULT_CFG);
+  savePresets({ activeId: presets[0].id, presets }, storage);
+  assert.deepEqual(loadPresets(storage), { activeId: presets[0].id, presets });
+  assert.deepEqual(loadPresets(memoryStorage({ [PRESETS_STORAGE_KEY]: "{not json" })), { activeId: null, presets: [] });
+  assert.deepEqual(loadPresets(memoryStorage({ [PRESETS_STORAGE_KEY]: JSON.stringify({ activeId: "gone", presets: [] }) })).activeId, null);
+});
+
+test("exported files import with renamed clashes and bad files are rejected", () => {
+  const mine = createPreset([], "Youth", { maxTerm: 6 });
+  const merged = importPresets(mine, exportPresets(mine));
+  assert.deepEqual(merged.map(p => [p.name, p.cfg.maxTerm]), [["Youth", 6], ["Youth (2)", 6]]);
+  assert.throws(() => parsePresetsFile("{}"), /Not a presets file/);
+  assert.throws(() => parsePresetsFile('{"presets":[{"cfg":{}}]}'), /Preset #1 needs a name/);
+  assert.throws(() => parsePresetsFile("nope"), SyntaxError);
+});
+
+test("a hand-edited preset can't bring in broken batches or rules", () => {
+  const rule = { id: "custom-1", label: "Short", when: { op: "AND", items: [{ field: "term", cmp: "lte", value: "6" }] } };
+  const [preset] = parsePresetsFile(JSON.stringify({ presets: [{ name: "edited", cfg: {
+    batch: "X",
+    batches: [{ id: "X", name: "X", risk: { min: 3, max: 1 } }],
+    customRules: [rule, { id: "broken", label: "Broken", when: { field: "nope", cmp: "lte" } }, null],
+  } }] }));
+  assert.deepEqual(preset.cfg.batches, DEFAULT_CFG.batches);
+  assert.equal(preset.cfg.batch, DEFAULT_CFG.batch);
+  assert.deepEqual(preset.cfg.customRules, [rule]);
+
+  const batches = [{ id: "X", name: "Wide", risk: { min: 1, max: null }, defaultRate: { min: null, max: 0.05 }, lendAmount: 50 }];
+  assert.deepEqual(normalizeCfg({ batch: "X", batches }), { ...DEFAULT_CFG, batch: "X", batches });
+});
@@ -0,0 +1,309 @@
+/**
+ * Declarative eligibility rules evaluated by applyClientFilters.
+ *
+ * A rule is data:
+ *   { id, label, enabled, cfgKeys, applies?(cfg), test(loan, ctx) -> bool, reason }
+ * `cfgKeys` lists the cfg fields the rule reads, so a change in results can be
+ * traced to a change in settings (see diffRuns in history.mjs).
+ * `loan` is the mapped loan with derived fields (tier, lendAmount, countryPct,
+ * partnerPct, phraseHit, age/ageSource) already filled in; ctx is { cfg, portfolio }. Rules
+ * run in pick-priority order (see applyClientFilters), so countryPct and
+ * partnerPct already include loans accepted earlier in the same run.
+ * `reason` is a template string or a (loan, ctx) -> string function; templates
+ * interpolate {field} from the loan and {cfg.field} from cfg.
+ *
+ * Custom rules are plain JSON kept in cfg.customRules (so presets carry them):
+ *   { id, label, reason?, when: group }
+ *   group: { op: "AND" | "OR", items: [cond | group] }
+ *   cond:  { field, cmp, value }
+ * `when` describes what a loan must satisfy to pass. Any rule id listed in
+ * cfg.disabledRules is skipped.
+ */
+
+import { parsePhraseQuery } from "./text.mjs";
+import { ANY_BATCH, selectedBatches, describeBatch } from "./batches.mjs";
+
+const fmtPct = v => `${(v * 100).toFixed(1)}%`;
+const fmtDef = d => d !== null ? `${(d * 100).toFixed(2)}%` : "?";
+
+// built-in rules, in the order their reasons are reported
+export const BUILTIN_RULES = [
+  {
+    id: "batch",
+    label: "Risk batch",
+    cfgKeys: ["batch", "batches"],
+    // loan.batch is the first batch in cfg.batches the partner stats fall in (see batches.mjs)
+    test: (loan, { cfg }) => loan.batch !== null && (cfg.batch === ANY_BATCH || loan.batch === cfg.batch),
+    reason: (loan, { cfg }) => {
+      const stats = `risk=${loan.risk?.toFixed(1) ?? "?"}, def=${fmtDef(loan.defRate)}`;
+      if (cfg.batch === ANY_BATCH) return `Not in ${cfg.batches.map(b => b.name).join(" or ")} (${stats})`;
+      const [want] = selectedBatches(cfg.batches, cfg.batch);
+      if (!want) return `No batch "${cfg.batch}" is defined`;
+      const other = cfg.batches.find(b => b.id === loan.batch);
+      return `${want.name}: need ${describeBatch(want)} (${stats}${other ? `; in ${other.name}` : ""})`;
+    },
+  },
+  {
+    id: "age",
+    label: "Borrower age",
+    cfgKeys: ["ageFilter", "minAge", "maxAge", "inferAge"],
+    applies: cfg => cfg.ageFilter,
+    // ageAtTimeOfLoan only on LoanDirect when authenticated; else inferred from the description
+    test: (loan, { cfg }) => loan.age !== null && loan.age >= cfg.minAge && loan.age <= cfg.maxAge,
+    reason: (loan, { cfg }) => loan.age === null
+      ? `Age unknown (no ageAtTimeOfLoan${cfg.inferAge ? " and none found in the description" : "; description inference off"})`
+      : `Age ${loan.age}${loan.ageSource === "inferred" ? " (inferred)" : ""} outside ${cfg.minAge}–${cfg.maxAge}`,
+  },
+  {
+    id: "phrase",
+    label: "Description phrase",
+    cfgKeys: ["phrase"],
+    applies: cfg => cfg.phrase.trim() !== "",
+    test: loan => loan.phraseHit,
+    reason: (loan, { cfg }) => {
+      try {
+        parsePhraseQuery(cfg.phrase);
+      } catch (e) {
+        return `Phrase query invalid: ${e.message}`;
+      }
+      return `Description doesn't match phrase query: ${cfg.phrase.trim()}`;
+    },
+  },
+  {
+    id: "term",
+    label: "Max term",
+    cfgKeys: ["maxTerm"],
+    test: (loan, { cfg }) => loan.term === null || loan.term <= cfg.maxTerm,
+    reason: "lenderRepaymentTerm {term}mo > max {cfg.maxTerm}mo",
+  },
+  {
+    id: "countryCap",
+    label: "Country cap",
+    cfgKeys: ["countryCap"],
+    test: (loan, { cfg }) => loan.countryPctBase * 100 < cfg.countryCap,
+    reason: (loan, { cfg }) => `Country ${loan.country} at ${fmtPct(loan.countryPctBase)} ≥ cap ${cfg.countryCap}%`,
+  },
+  {
+    id: "partnerCap",
+    label: "Partner cap",
+    cfgKeys: ["partnerCap"],
+    test: (loan, { cfg }) => !loan.partnerId || loan.partnerPctBase * 100 < cfg.partnerCap,
+    reason: (loan, { cfg }) => `Partner "${loan.partner}" at ${fmtPct(loan.partnerPctBase)} ≥ cap ${cfg.partnerCap}%`,
+  },
+  {
+    // only reports loans that were under the cap before this run's earlier picks;
+    // a country's first pick always fits (against an empty portfolio it is 100% of the run)
+    id: "countryRunCap",
+    label: "Country cap (this run)",
+    cfgKeys: ["countryCap"],
+    test: (loan, { cfg }) => loan.countryPicked === 0 || loan.countryPctBase * 100 >= cfg.countryCap || loan.countryPct * 100 < cfg.countryCap,
+    reason: (loan, { cfg }) => `Country ${loan.country} cap used up by ${loan.countryPicked} earlier pick${loan.countryPicked === 1 ? "" : "s"} this run (${fmtPct(loan.countryPct)} ≥ cap ${cfg.countryCap}%)`,
+  },
+  {
+    id: "partnerRunCap",
+    label: "Partner cap (this run)",
+    cfgKeys: ["partnerCap"],
+    test: (loan, { cfg }) => !loan.partnerId || loan.partnerPicked === 0 || loan.partnerPctBase * 100 >= cfg.partnerCap || loan.partnerPct * 100 < cfg.partnerCap,
+    reason: (loan, { cfg }) => `Partner "${loan.partner}" cap used up by ${loan.partnerPicked} earlier pick${loan.partnerPicked === 1 ? "" : "s"} this run (${fmtPct(loan.partnerPct)} ≥ cap ${cfg.partnerCap}%)`,
+  },
+  {
+    // inclusion also runs server-side (sector: [Int]); exclusion is client-side
+    // only. Excluded entries may be names, from presets saved before sector ids.
+    id: "sector",
+    label: "Sectors",
+    cfgKeys: ["includedSectors", "excludedSectors"],
+    applies: cfg => cfg.includedSectors.length > 0 || cfg.excludedSectors.length > 0,
+    test: (loan, { cfg }) => (!cfg.includedSectors.length || cfg.includedSectors.includes(loan.sectorId))
+      && !cfg.excludedSectors.some(s => s === loan.sectorId || s === loan.sector),
+    reason: (loan, { cfg }) => cfg.includedSectors.length && !cfg.includedSectors.includes(loan.sectorId)
+      ? `Sector ${loan.sector} not in the included sectors` : `Excluded sector: ${loan.sector}`,
+  },
+  {
+    // inclusion also runs server-side (countryIsoCode)
+    id: "country",
+    label: "Countries",
+    cfgKeys: ["includedCountries", "excludedCountries"],
+    applies: cfg => cfg.includedCountries.length > 0 || cfg.excludedCountries.length > 0,
+    test: (loan, { cfg }) => (!cfg.includedCountries.length || cfg.includedCountries.includes(loan.country))
+      && !cfg.excludedCountries.includes(loan.country),
+    reason: (loan, { cfg }) => cfg.excludedCountries.includes(loan.country)
+      ? `Excluded country: ${loan.countryName || loan.country}` : `Country ${loan.countryName || loan.country} not in the included countries`,
+  },
+  {
+    id: "tags",
+    label: "Tags",
+    cfgKeys: ["includedTags", "excludedTags"],
+    applies: cfg => cfg.includedTags.length > 0 || cfg.excludedTags.length > 0,
+    test: (loan, { cfg }) => (!cfg.includedTags.length || cfg.includedTags.some(t => loan.tags.includes(t)))
+      && !cfg.excludedTags.some(t => loan.tags.includes(t)),
+    reason: (loan, { cfg }) => {
+      const excluded = cfg.excludedTags.filter(t => loan.tags.includes(t));
+      return excluded.length ? `Excluded tag${excluded.length > 1 ? "s" : ""}: ${excluded.join(", ")}` : `None of the tags ${cfg.includedTags.join(", ")}`;
+    },
+  },
+  {
+    // also sent as gender: GenderEnum; re-checked so group loans need every borrower to match
+    id: "gender",
+    label: "Borrower gender",
+    cfgKeys: ["gender"],
+    applies: cfg => cfg.gender !== "any",
+    test: (loan, { cfg }) => loan.genders.length > 0 && loan.genders.every(g => g === cfg.gender),
+    reason: (loan, { cfg }) => loan.genders.length ? `Borrowers ${[...new Set(loan.genders)].join("/")}, want ${cfg.gender}` : "Borrower gender unknown",
+  },
+  {
+    // direct loans have no partner and are never held back by the lists
+    id: "partnerList",
+    label: "Partner lists",
+    cfgKeys: ["partnerAllow", "partnerBlock"],
+    applies: cfg => cfg.partnerAllow.length > 0 || cfg.partnerBlock.length > 0,
+    test: (loan, { cfg }) => !loan.partnerId
+      || (!cfg.partnerBlock.includes(loan.partnerId) && (!cfg.partnerAllow.length || cfg.partnerAllow.includes(loan.partnerId))),
+    reason: (loan, { cfg }) => cfg.partnerBlock.includes(loan.partnerId)
+      ? `Partner "${loan.partner}" is on the blocklist` : `Partner "${loan.partner}" is not on the allowlist`,
+  },
+  {
+    id: "amount",
+    label: "Loan amount",
+    cfgKeys: ["minAmount", "maxAmount"],
+    applies: cfg => cfg.minAmount > 0 || cfg.maxAmount > 0,
+    test: (loan, { cfg }) => Number(loan.amount) >= cfg.minAmount && (!cfg.maxAmount || Number(loan.amount) <= cfg.maxAmount),
+    reason: (loan, { cfg }) => `Loan amount $${Number(loan.amount).toLocaleString()} outside $${cfg.minAmount}–${cfg.maxAmount ? `$${cfg.maxAmount}` : "∞"}`,
+  },
+];
+
+// mapped-loan fields custom rules may compare against
+export const RULE_FIELDS = {
+  age: "number", ageSource: "string", risk: "number", defRate: "number", term: "number", amount: "number",
+  batch: "string", priorCount: "number", tier: "number", lendAmount: "number", countryPct: "number", partnerPct: "number",
+  countryPctBase: "number", partnerPctBase: "number",
+  name: "string", country: "string", countryName: "string", partner: "string", sector: "string",
+  description: "string", descriptionOrig: "string", borrowerId: "string",
+  tags: "list", genders: "list",
+};
+
+export const RULE_CMPS = {
+  eq: "=", neq: "≠", lt: "<", lte: "≤", gt: ">", gte: "≥",
+  contains: "contains", notContains: "does not contain", in: "is one of", isNull: "is empty", notNull: "is set",
+};
+
+// shape checks for custom rules from outside the editor: shared links (share.mjs)
+// and preset files (presets.mjs); conditions nest at most three groups deep
+export const validCondition = (node, depth = 0) => !!node && typeof node === "object" && (
+  Array.isArray(node.items)
+    ? depth < 3 && (node.op === "AND" || node.op === "OR") && node.items.every(n => validCondition(n, depth + 1))
+    : Object.hasOwn(RULE_FIELDS, node.field) && Object.hasOwn(RULE_CMPS, node.cmp)
+      && (node.value === undefined || typeof node.value === "string" || typeof node.value === "number")
+);
+
+export const validRule = r => !!r && typeof r.id === "string" && typeof r.label === "string" &&
+  (r.reason === undefined || typeof r.reason === "string") && validCondition(r.when);
+
+export function renderTemplate(tpl, loan, cfg) {
+  return tpl.replace(/\{(cfg\.)?(\w+)\}/g, (m, isCfg, key) => {
+    const v = isCfg ? cfg[key] : loan[key];
+    return v === undefined ? m : Array.isArray(v) ? v.join(", ") : String(v ?? "—");
+  });
+}
+
+function compare(cond, loan) {
+  const type = RULE_FIELDS[cond.field];
+  if (!type) throw new Error(`Unknown field "${cond.field}"`);
+  const v = loan[cond.field];
+  if (cond.cmp === "isNull") return v === null || v === "" || (Array.isArray(v) && v.length === 0);
+  if (cond.cmp === "notNull") return !(v === null || v === "" || (Array.isArray(v) && v.length === 0));
+  if (v === null || v === undefined) return cond.cmp === "neq" || cond.cmp === "notContains";
+
+  const raw = String(cond.value ?? "").trim();
+  const norm = x => type === "number" ? Number(x) : String(x).toLowerCase();
+  const want = norm(raw);
+  const list = raw.split(",").map(s => norm(s.trim()));
+  if (type === "list") {
+    const items = v.map(x => String(x).toLowerCase());
+    switch (cond.cmp) {
+      case "contains":    return items.some(x => x.includes(want));
+      case "notContains": return !items.some(x => x.includes(want));
+      case "in":          return items.some(x => list.includes(x));
+      case "eq":          return items.includes(want);
+      case "neq":         return !items.includes(want);
+      default: throw new Error(`"${RULE_CMPS[cond.cmp] ?? cond.cmp}" does not apply to ${cond.field}`);
+    }
+  }
+  const have = norm(v);
+  switch (cond.cmp) {
+    case "eq":          return have === want;
+    case "neq":         return have !== want;
+    case "lt":          return have < want;
+    case "lte":         return have <= want;
+    case "gt":          return have > want;
+    case "gte":         return have >= want;
+    case "contains":    return String(have).includes(String(want));
+    case "notContains": return !String(have).includes(String(want));
+    case "in":          return list.includes(have);
+    default: throw new Error(`Unknown comparison "${cond.cmp}"`);
+  }
+}
+
+export function evaluateCondition(node, loan) {
+  if (node.items) {
+    if (node.items.length === 0) return true;
+    return node.op === "OR"
+      ? node.items.some(n => evaluateCondition(n, loan))
+      : node.items.every(n => evaluateCondition(n, loan));
+  }
+  return compare(node, loan);
+}
+
+export function describeCondition(node) {
+  if (node.items) {
+    const parts = node.items.map(n => n.items ? `(${describeCondition(n)})` : describeCondition(n));
+    return parts.join(` ${node.op === "OR" ? "OR" : "AND"} `) || "always";
+  }
+  const v = node.cmp === "isNull" || node.cmp === "notNull" ? "" : ` ${node.value}`;
+  return `${node.field} ${RULE_CMPS[node.cmp] ?? node.cmp}${v}`;
+}
+
+// custom rule JSON -> rule
+export function compileCustomRule(def) {
+  return {
+    id: def.id,
+    label: def.label,
+    custom: true,
+    // batch / priorCount / tier / lendAmount, which a condition may read, follow these too
+    cfgKeys: ["customRules", "fuzzyBorrowers", "tierAmounts", "batches"],
+    test: loan => evaluateCondition(def.when, loan),
+    reason: def.reason || `Custom rule "${def.label}": needs ${describeCondition(def.when)}`,
+  };
+}
+
+// every rule for this cfg, built-ins first, each with its enabled flag
+export function resolveRules(cfg) {
+  const disabled = new Set(cfg.disabledRules ?? []);
+  return [...BUILTIN_RULES, ...(cfg.customRules ?? []).map(compileCustomRule)]
+    .map(r => ({ ...r, enabled: !disabled.has(r.id) }));
+}
+
+// -> [{ ruleId, text }] for every enabled, applicable rule the loan fails
+export function evaluateRules(rules, loan, ctx) {
+  const reasons = [];
+  for (const rule of rules) {
+    if (!rule.enabled || (rule.applies && !rule.applies(ctx.cfg))) continue;
+    let ok, text;
+    try {
+      ok = rule.test(loan, ctx);
+    } catch (e) {
+      ok = false;
+      text = `Rule "${rule.label}" could not be evaluated: ${e.message}`;
+    }
+    if (ok) continue;
+    text ??= typeof rule.reason === "function" ? rule.reason(loan, ctx) : renderTemplate(rule.reason, loan, ctx.cfg);
+    reasons.push({ ruleId: rule.id, text });
+  }
+  return reasons;
+}
+
+// failing-loan count per rule id
+export function countFailuresByRule(results) {
+  const counts = {};
+  results.forEach(l => l.reasons.forEach(r => { counts[r.ruleId] = (counts[r.ruleId] || 0) + 1; }));
+  return counts;
+}
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan } from "./filters.mjs";
+import { resolveRules, evaluateRules, evaluateCondition, describeCondition, renderTemplate, countFailuresByRule, validCondition, validRule } from "./rules.mjs";
+import { rawLoan } from "./testkit.mjs";
+
+const loan = {
+  ...mapLoan(rawLoan(7, { name: "Grace", term: 14, amount: 800, tags: ["#Woman-Owned Business"] })),
+  age: 22, batch: "A", countryPct: 0.05, phraseHit: true,
+};
+const ctx = cfg => ({ cfg, portfolio: [] });
+const failing = (cfg, l = loan) => evaluateRules(resolveRules(cfg), l, ctx(cfg)).map(r => r.ruleId);
+
+test("built-in rules report what a loan fails", () => {
+  assert.deepEqual(failing(DEFAULT_CFG), ["term"]);
+  assert.deepEqual(failing({ ...DEFAULT_CFG, maxTerm: 14 }), []);
+  assert.deepEqual(failing({ ...DEFAULT_CFG, maxTerm: 14 }, { ...loan, age: 30, defRate: 0.03, batch: null }), ["batch", "age"]);
+  assert.deepEqual(failing({ ...DEFAULT_CFG, maxTerm: 14, batch: "B" }), ["batch"]);
+});
+
+test("disabled rules and rules that don't apply are skipped", () => {
+  assert.deepEqual(failing({ ...DEFAULT_CFG, disabledRules: ["term"] }), []);
+  assert.deepEqual(failing({ ...DEFAULT_CFG, maxTerm: 14, ageFilter: false }, { ...loan, age: 30 }), []);
+});
+
+test("reasons render templates and functions", () => {
+  const [reason] = evaluateRules(resolveRules(DEFAULT_CFG), loan, ctx(DEFAULT_CFG));
+  assert.equal(reason.text, "lenderRepaymentTerm 14mo > max 12mo");
+  assert.equal(renderTemplate("{name} {missing} {cfg.maxTerm} {tags}", loan, DEFAULT_CFG), "Grace {missing} 12 #Woman-Owned Business");
+});
+
+test("conditions nest AND / OR and compare by field type", () => {
+  const when = { op: "OR", items: [
+    { field: "amount", cmp: "gt", value: "1000" },
+    { op: "AND", items: [{ field: "tags", cmp: "contains", value: "woman" }, { field: "name", cmp: "in", value: "grace, ada" }] },
+  ] };
+  assert.equal(evaluateCondition(when, loan), true);
+  assert.equal(evaluateCondition(when, { ...loan, name: "Bob" }), false);
+  assert.equal(evaluateCondition({ field: "age", cmp: "isNull" }, { ...loan, age: null }), true);
+  assert.equal(evaluateCondition({ field: "defRate", cmp: "lt", value: "0.01" }, loan), true);
+  assert.equal(describeCondition(when), "amount > 1000 OR (tags contains woman AND name is one of grace, ada)");
+});
+
+test("custom rules fail with their reason, and a broken one doesn't throw", () => {
+  const cfg = { ...DEFAULT_CFG, maxTerm: 14, customRules: [
+    { id: "c1", label: "Small", reason: "Amount ${amount} too big", when: { op: "AND", items: [{ field: "amount", cmp: "lte", value: "500" }] } },
+    { id: "c2", label: "Broken", when: { op: "AND", items: [{ field: "nope", cmp: "eq", value: "1" }] } },
+  ] };
+  const reasons = evaluateRules(resolveRules(cfg), loan, ctx(cfg));
+  assert.deepEqual(reasons.map(r => r.ruleId), ["c1", "c2"]);
+  assert.equal(reasons[0].text, "Amount $800 too big");
+  assert.match(reasons[1].text, /could not be evaluated: Unknown field "nope"/);
+  assert.deepEqual(countFailuresByRule([{ reasons }, { reasons: [reasons[0]] }]), { c1: 2, c2: 1 });
+});
+
+test("sector, country, tag, gender and amount filters explain which side failed", () => {
+  const base = { ...DEFAULT_CFG, maxTerm: 14 };
+  const reason = over => evaluateRules(resolveRules({ ...base, ...over }), loan, ctx({ ...base, ...over })).map(r => r.text);
+  assert.deepEqual(reason({ includedSectors: [2] }), ["Sector Food not in the included sectors"]);
+  assert.deepEqual(reason({ excludedSectors: ["Food"] }), ["Excluded sector: Food"]);
+  assert.deepEqual(reason({ excludedSectors: [1] }), ["Excluded sector: Food"]);
+  assert.deepEqual(reason({ includedCountries: ["PE"] }), ["Country KE not in the included countries"]);
+  assert.deepEqual(reason({ excludedCountries: ["KE"] }), ["Excluded country: KE"]);
+  assert.deepEqual(reason({ includedTags: ["#Parent"] }), ["None of the tags #Parent"]);
+  assert.deepEqual(reason({ excludedTags: ["#Woman-Owned Business"] }), ["Excluded tag: #Woman-Owned Business"]);
+  assert.deepEqual(reason({ gender: "male" }), ["Borrowers female, want male"]);
+  assert.deepEqual(reason({ minAmount: 1000 }), ["Loan amount $800 outside $1000–∞"]);
+  assert.deepEqual(reason({ includedSectors: [1], includedCountries: ["KE"], gender: "female", minAmount: 500, maxAmount: 900 }), []);
+});
+
+test("a group loan passes the gender filter only when every borrower matches", () => {
+  const group = { ...loan, genders: ["female", "male"] };
+  const cfg = { ...DEFAULT_CFG, maxTerm: 14, gender: "female" };
+  assert.deepEqual(evaluateRules(resolveRules(cfg), group, ctx(cfg)).map(r => r.text), ["Borrowers female/male, want female"]);
+});
+
+test("the batch reason names the wanted batch and the one the loan is in", () => {
+  const cfg = { ...DEFAULT_CFG, maxTerm: 14, batch: "B" };
+  assert.deepEqual(evaluateRules(resolveRules(cfg), loan, ctx(cfg)).map(r => r.text), ["Batch B: need risk ≥ 2 · default 1%–2% (risk=3.0, def=0.50%; in Batch A)"]);
+  const any = { ...DEFAULT_CFG, maxTerm: 14 };
+  assert.deepEqual(evaluateRules(resolveRules(any), { ...loan, batch: null }, ctx(any)).map(r => r.text), ["Not in Batch A or Batch B (risk=3.0, def=0.50%)"]);
+  const gone = { ...DEFAULT_CFG, maxTerm: 14, batch: "Z" };
+  assert.deepEqual(evaluateRules(resolveRules(gone), loan, ctx(gone)).map(r => r.text), ['No batch "Z" is defined']);
+});
+
+test("validRule checks the shape of rules from links and preset files", () => {
+  const when = { op: "AND", items: [{ field: "term", cmp: "lte", value: "6" }] };
+  assert.equal(validRule({ id: "custom-1", label: "Short", when }), true);
+  assert.equal(validRule({ id: "custom-1", label: "Short", reason: 1, when }), false);
+  assert.equal(validRule(null), false);
+  assert.equal(validCondition({ field: "constructor", cmp: "eq" }), false);
+  assert.equal(validCondition({ field: "term", cmp: "near" }), false);
+  const deep = [0, 1, 2, 3].reduce(node => ({ op: "OR", items: [node] }), { field: "term", cmp: "notNull" });
+  assert.equal(validCondition(deep.items[0]), true);
+  assert.equal(validCondition(deep), false);
+});
@@ -0,0 +1,92 @@
+/**
+ * Browser session for the Kiva JWT.
+ *
+ * The token is kept in sessionStorage: it survives a reload but not closing
+ * the tab, and other tabs never see it. Expiry comes from the JWT's `exp`
+ * claim (null when the token isn't a decodable JWT). Passwords are never
+ * stored here; silent re-auth goes through the browser's password manager
+ * (Credential Management API) when the user opted in, otherwise the dashboard
+ * prompts.
+ */
+
+const KEY = "kiva-session";
+export const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+const storage = () => (typeof sessionStorage !== "undefined" ? sessionStorage : null);
+
+// JWT payload, or null for anything that isn't a JWT
+export function decodeJwt(token) {
+  const part = typeof token === "string" ? token.split(".")[1] : null;
+  if (!part) return null;
+  try {
+    const b64 = part.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(part.length / 4) * 4, "=");
+    return JSON.parse(decodeURIComponent([...atob(b64)].map(c => `%${c.charCodeAt(0).toString(16).padStart(2, "0")}`).join("")));
+  } catch {
+    return null;
+  }
+}
+
+export function tokenExpiresAt(token) {
+  const exp = decodeJwt(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+}
+
+// -> { token, account, expiresAt } or null; an expired session is dropped
+export function loadSession() {
+  try {
+    const s = JSON.parse(storage()?.getItem(KEY) ?? "null");
+    if (!s?.token) return null;
+    if (s.expiresAt && s.expiresAt <= Date.now()) {
+      clearSession();
+      return null;
+    }
+    return s;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(token, account) {
+  const session = { token, account, expiresAt: tokenExpiresAt(token) };
+  try {
+    storage()?.setItem(KEY, JSON.stringify(session));
+  } catch {
+    // storage full or blocked: the session just won't survive a reload
+  }
+  return session;
+}
+
+export function clearSession() {
+  try {
+    storage()?.removeItem(KEY);
+  } catch {
+    // nothing to clear
+  }
+}
+
+// browser password manager
+
+export const canStoreCredentials = () =>
+  typeof window !== "undefined" && "PasswordCredential" in window && !!navigator.credentials;
+
+export async function storeCredentials(email, password) {
+  if (!canStoreCredentials()) return false;
+  try {
+    await navigator.credentials.store(new window.PasswordCredential({ id: email, password, name: email }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// -> { email, password } from the password manager, or null; may show the
+// browser's account chooser
+export async function getStoredCredentials(mediation = "optional") {
+  if (!canStoreCredentials()) return null;
+  try {
+    const cred = await navigator.credentials.get({ password: true, mediation });
+    return cred?.password ? { email: cred.id, password: cred.password } : null;
+  } catch {
+    return null;
+  }
+}
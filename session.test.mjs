@@ -0,0 +1,41 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { decodeJwt, tokenExpiresAt, loadSession, saveSession, clearSession } from "./session.mjs";
+import { memoryStorage } from "./testkit.mjs";
+
+const b64url = s => Buffer.from(s).toString("base64url");
+const jwt = payload => `${b64url('{"alg":"none"}')}.${b64url(JSON.stringify(payload))}.sig`;
+
+beforeEach(() => { globalThis.sessionStorage = memoryStorage(); });
+
+test("decodeJwt reads the payload, including non-ASCII claims", () => {
+  assert.deepEqual(decodeJwt(jwt({ sub: "lender", name: "María" })), { sub: "lender", name: "María" });
+  assert.equal(decodeJwt("not-a-jwt"), null);
+  assert.equal(decodeJwt("a.%%%.c"), null);
+  assert.equal(decodeJwt(null), null);
+});
+
+test("expiry comes from the exp claim", () => {
+  assert.equal(tokenExpiresAt(jwt({ exp: 1700000000 })), 1700000000000);
+  assert.equal(tokenExpiresAt(jwt({ sub: "x" })), null);
+  assert.equal(tokenExpiresAt("opaque"), null);
+});
+
+test("a saved session loads back until it expires", () => {
+  const token = jwt({ exp: Math.floor(Date.now() / 1000) + 600 });
+  const saved = saveSession(token, "me@example.org");
+  assert.deepEqual(loadSession(), saved);
+  clearSession();
+  assert.equal(loadSession(), null);
+
+  saveSession(jwt({ exp: Math.floor(Date.now() / 1000) - 1 }), "me@example.org");
+  assert.equal(loadSession(), null);
+  assert.equal(sessionStorage.data.size, 0);
+});
+
+test("a session without exp never expires; junk in storage is ignored", () => {
+  saveSession("opaque-token", "me");
+  assert.equal(loadSession().token, "opaque-token");
+  sessionStorage.setItem("kiva-session", "{nope");
+  assert.equal(loadSession(), null);
+});
@@ -0,0 +1,265 @@
+/**
+ * Shareable links: the filter cfg and the view (tab, search text, expanded
+ * loan) in the URL hash, so "open this link and press Run" reproduces a filter.
+ *
+ * The hash is URLSearchParams: numbers, booleans and text as-is, tier amounts
+ * as "25,25,50,100", lists and objects as JSON. Only cfg fields that differ
+ * from DEFAULT_CFG are written, which keeps links short. The partner
+ * allowlist / blocklist stay out, as they do with presets (see partners.mjs).
+ *
+ * Reading never fails: a malformed value falls back to the default and an
+ * out-of-range one is clamped, each with a warning for the user to see. A
+ * phrase query from a link may only hold short, simple /regex/ terms, since a
+ * link is someone else's input and a backtracking pattern can hang the tab.
+ *
+ * cfgFieldProblem checks already-parsed values (cli.mjs --config) against the
+ * same specs, strictly: there is no user in the loop to read a warning.
+ */
+
+import { DEFAULT_CFG } from "./filters.mjs";
+import { validRule } from "./rules.mjs";
+import { parsePhraseQuery } from "./text.mjs";
+import { parseTierAmounts } from "./borrowers.mjs";
+import { SORT_ORDERS } from "./kiva.mjs";
+import { ANY_BATCH, batchProblems } from "./batches.mjs";
+
+export const SHARE_TABS = ["results", "nearMiss", "breakdown", "portfolio", "allocation", "partners", "history", "watch"];
+const MAX_SEARCH = 200;
+const MAX_LINK_REGEX = 60;
+
+const num = (min, max, integer = true) => ({ kind: "number", min, max, integer });
+const oneOf = values => ({ kind: "enum", values });
+const flag = { kind: "boolean" };
+const list = { kind: "list" };
+
+// cfg key -> how it is written and checked; partnerAllow / partnerBlock are left out on purpose
+const FIELDS = {
+  batch: { kind: "text" },   // checked against batches once both are read
+  batches: { kind: "batches" },
+  ageFilter: flag, minAge: num(0, 120), maxAge: num(0, 120),
+  inferAge: flag,
+  phrase: { kind: "phrase" },
+  maxTerm: num(1, 120),
+  countryCap: num(1, 100), partnerCap: num(1, 100),
+  includedSectors: list, excludedSectors: list,
+  includedCountries: list, excludedCountries: list,
+  includedTags: list, excludedTags: list,
+  gender: oneOf(["any", "female", "male"]),
+  minAmount: num(0, 1e6), maxAmount: num(0, 1e6),
+  disabledRules: list, customRules: { kind: "rules" },
+  tierAmounts: { kind: "tiers" },
+  fuzzyBorrowers: flag,
+  budget: num(0, 1e6),
+  allocWeights: { kind: "weights", min: 0, max: 3 },
+  sortBy: oneOf(Object.keys(SORT_ORDERS)),
+  scanPages: num(1, 100),
+  showFailing: flag,
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function write(spec, v) {
+  if (spec.kind === "tiers") return v.join(",");
+  if (spec.kind === "list" || spec.kind === "rules" || spec.kind === "weights" || spec.kind === "batches") return JSON.stringify(v);
+  return String(v);
+}
+
+// -> "batch=A&maxTerm=14&tab=partners" (no leading "#"); "" when everything is default
+export function encodeShare({ cfg, tab = "results", search = "", expanded = null }) {
+  const params = new URLSearchParams();
+  for (const [k, spec] of Object.entries(FIELDS)) {
+    if (cfg[k] !== undefined && !same(cfg[k], DEFAULT_CFG[k])) params.set(k, write(spec, cfg[k]));
+  }
+  if (tab && tab !== "results") params.set("tab", tab);
+  if (search) params.set("q", search);
+  if (expanded !== null && expanded !== undefined) params.set("loan", String(expanded));
+  return params.toString();
+}
+
+function regexesIn(node) {
+  if (!node) return [];
+  if (node.op === "regex") return [node.re];
+  if (node.op === "not") return regexesIn(node.item);
+  return node.items?.flatMap(regexesIn) ?? [];
+}
+
+// long patterns, backreferences and quantified groups ((a+)+, (a|aa)*) are
+// where catastrophic backtracking comes from
+const riskyRegex = re => re.source.length > MAX_LINK_REGEX || /\\(?:[1-9]|k<)/.test(re.source) ||
+  /\)(?:[*+]|\{\d+,)/.test(re.source);
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// one field -> { value, warning }; warning is null when the value was fine
+function read(key, text, spec) {
+  const fallback = DEFAULT_CFG[key];
+  const bad = why => ({ value: fallback, warning: `${key}: ${why}, using the default` });
+  switch (spec.kind) {
+    case "number": {
+      const n = Number(text);
+      if (text.trim() === "" || !Number.isFinite(n)) return bad(`"${text}" is not a number`);
+      const v = Math.min(spec.max, Math.max(spec.min, spec.integer ? Math.round(n) : n));
+      const why = n < spec.min || n > spec.max ? `outside ${spec.min}–${spec.max}` : "not a whole number";
+      return { value: v, warning: v === n ? null : `${key}: ${n} is ${why}, using ${v}` };
+    }
+    case "enum":
+      return spec.values.includes(text) ? { value: text, warning: null } : bad(`"${text}" is not one of ${spec.values.join(", ")}`);
+    case "boolean":
+      if (text === "true" || text === "1") return { value: true, warning: null };
+      if (text === "false" || text === "0") return { value: false, warning: null };
+      return bad(`"${text}" is not true or false`);
+    case "text":
+      return { value: text, warning: null };
+    case "batches": {
+      const v = parseJSON(text);
+      const problems = v === undefined ? ["not JSON"] : batchProblems(v);
+      return problems.length ? bad(problems.join("; ")) : { value: v, warning: null };
+    }
+    case "phrase": {
+      let query;
+      try {
+        query = parsePhraseQuery(text);
+      } catch (e) {
+        return bad(`the query does not parse (${e.message})`);
+      }
+      const risky = regexesIn(query).find(riskyRegex);
+      return risky ? bad(`${risky} is too long or complex to take from a link`) : { value: text, warning: null };
+    }
+    case "tiers":
+      try {
+        return { value: parseTierAmounts(text), warning: null };
+      } catch (e) {
+        return bad(e.message);
+      }
+    case "list": {
+      const v = parseJSON(text);
+      if (!Array.isArray(v)) return bad("not a JSON list");
+      const kept = v.filter(x => typeof x === "string" || Number.isFinite(x));
+      return { value: kept, warning: kept.length === v.length ? null : `${key}: dropped ${v.length - kept.length} entr${v.length - kept.length === 1 ? "y" : "ies"} that are not text or numbers` };
+    }
+    case "rules": {
+      const v = parseJSON(text);
+      if (!Array.isArray(v)) return bad("not a JSON list");
+      const kept = v.filter(validRule);
+      return { value: kept, warning: kept.length === v.length ? null : `${key}: dropped ${v.length - kept.length} malformed custom rule${v.length - kept.length === 1 ? "" : "s"}` };
+    }
+    case "weights": {
+      const v = parseJSON(text);
+      if (!v || typeof v !== "object" || Array.isArray(v)) return bad("not a JSON object");
+      const out = { ...fallback };
+      let clamped = false;
+      for (const k of Object.keys(fallback)) {
+        if (v[k] === undefined) continue;
+        const n = Number.isFinite(v[k]) ? Math.min(spec.max, Math.max(spec.min, v[k])) : fallback[k];
+        if (n !== v[k]) clamped = true;
+        out[k] = n;
+      }
+      return { value: out, warning: clamped ? `${key}: weights must be numbers in ${spec.min}–${spec.max}, clamped` : null };
+    }
+  }
+}
+
+// a cfg value from a JSON file -> what is wrong with it, or null when usable
+export function cfgFieldProblem(key, value) {
+  const spec = FIELDS[key] ?? (Array.isArray(DEFAULT_CFG[key]) ? list : null);
+  if (!spec) return "is not a setting";
+  const isList = Array.isArray(value);
+  switch (spec.kind) {
+    case "number": {
+      const range = `${spec.integer ? "a whole number" : "a number"} in ${spec.min}–${spec.max}`;
+      return typeof value === "number" && (spec.integer ? Number.isInteger(value) : Number.isFinite(value)) && value >= spec.min && value <= spec.max
+        ? null : `must be ${range}`;
+    }
+    case "enum":
+      return spec.values.includes(value) ? null : `must be one of ${spec.values.join(", ")}`;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "text":
+      return typeof value === "string" ? null : "must be text";
+    case "phrase":
+      if (typeof value !== "string") return "must be text";
+      try {
+        parsePhraseQuery(value);
+        return null;
+      } catch (e) {
+        return `does not parse (${e.message})`;
+      }
+    case "tiers":
+      if (!isList || !value.every(v => typeof v === "number")) return "must be a list of numbers";
+      try {
+        parseTierAmounts(value.join(","));
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    case "list":
+      return isList && value.every(x => typeof x === "string" || Number.isFinite(x)) ? null : "must be a list of text or numbers";
+    case "rules":
+      return isList && value.every(validRule) ? null : "must be a list of well-formed custom rules";
+    case "batches": {
+      const problems = batchProblems(value);
+      return problems.length ? problems.join("; ") : null;
+    }
+    case "weights":
+      if (!value || typeof value !== "object" || isList) return "must be an object";
+      for (const [k, w] of Object.entries(value)) {
+        if (!(k in DEFAULT_CFG.allocWeights)) return `has no weight "${k}"`;
+        if (typeof w !== "number" || !(w >= spec.min && w <= spec.max)) return `${k} must be a number in ${spec.min}–${spec.max}`;
+      }
+      return null;
+  }
+}
+
+// a location.hash -> { cfg, tab, search, expanded, warnings }, or null when it
+// is empty. cfg is complete (DEFAULT_CFG for whatever the link leaves out)
+// except for the partner lists, which the caller keeps. A hash holding only
+// unknown keys gives just { warnings }, so the user learns why nothing loaded.
+export function decodeShare(hash) {
+  const params = new URLSearchParams(String(hash ?? "").replace(/^#/, ""));
+  const cfg = { ...DEFAULT_CFG };
+  const view = { tab: "results", search: "", expanded: null };
+  const warnings = [];
+  let found = false;
+  for (const [key, text] of params) {
+    if (key in FIELDS) {
+      const { value, warning } = read(key, text, FIELDS[key]);
+      cfg[key] = value;
+      if (warning) warnings.push(warning);
+    } else if (key === "tab") {
+      if (SHARE_TABS.includes(text)) view.tab = text;
+      else warnings.push(`tab: "${text}" is not a tab, showing results`);
+    } else if (key === "q") {
+      view.search = text.slice(0, MAX_SEARCH);
+      if (text.length > MAX_SEARCH) warnings.push(`q: search text cut to ${MAX_SEARCH} characters`);
+    } else if (key === "loan") {
+      if (/^\d+$/.test(text)) view.expanded = Number(text);
+      else warnings.push(`loan: "${text}" is not a loan id`);
+    } else {
+      warnings.push(`${key}: not a setting, ignored`);
+      continue;
+    }
+    found = true;
+  }
+  if (!found) return warnings.length ? { warnings: [...warnings, "the link holds no filter settings, nothing was loaded"] } : null;
+
+  if (cfg.batch !== ANY_BATCH && !cfg.batches.some(b => b.id === cfg.batch)) {
+    warnings.push(`batch: no batch "${cfg.batch}" is defined, using any batch`);
+    cfg.batch = ANY_BATCH;
+  }
+  // pairs that only make sense one way round
+  if (cfg.minAge > cfg.maxAge) {
+    warnings.push(`minAge ${cfg.minAge} is above maxAge ${cfg.maxAge}, swapped`);
+    [cfg.minAge, cfg.maxAge] = [cfg.maxAge, cfg.minAge];
+  }
+  if (cfg.maxAmount > 0 && cfg.minAmount > cfg.maxAmount) {
+    warnings.push(`minAmount ${cfg.minAmount} is above maxAmount ${cfg.maxAmount}, swapped`);
+    [cfg.minAmount, cfg.maxAmount] = [cfg.maxAmount, cfg.minAmount];
+  }
+  return { cfg, ...view, warnings };
+}
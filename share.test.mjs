@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG } from "./filters.mjs";
+import { encodeShare, decodeShare, cfgFieldProblem } from "./share.mjs";
+
+test("only non-default settings are written and they read back", () => {
+  const cfg = { ...DEFAULT_CFG, batch: "A", maxTerm: 14, tierAmounts: [25, 50, 50, 100], excludedCountries: ["KE"], allocWeights: { ...DEFAULT_CFG.allocWeights, term: 2 } };
+  const hash = encodeShare({ cfg, tab: "partners", search: "farm", expanded: 123 });
+  assert.equal(encodeShare({ cfg: DEFAULT_CFG }), "");
+  const shared = decodeShare(`#${hash}`);
+  assert.deepEqual(shared.cfg, cfg);
+  assert.deepEqual([shared.tab, shared.search, shared.expanded, shared.warnings], ["partners", "farm", 123, []]);
+});
+
+test("an empty hash decodes to null, one with only unknown keys to just warnings", () => {
+  assert.equal(decodeShare(""), null);
+  assert.equal(decodeShare("#"), null);
+  assert.deepEqual(decodeShare("#foo=1&utm_source=x"), { warnings: [
+    "foo: not a setting, ignored", "utm_source: not a setting, ignored", "the link holds no filter settings, nothing was loaded",
+  ] });
+});
+
+test("out-of-range numbers are clamped with a warning", () => {
+  const { cfg, warnings } = decodeShare("#maxTerm=500&countryCap=2.6&scanPages=abc");
+  assert.equal(cfg.maxTerm, 120);
+  assert.equal(cfg.countryCap, 3);
+  assert.equal(cfg.scanPages, DEFAULT_CFG.scanPages);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /maxTerm: 500 is outside 1–120, using 120/);
+});
+
+test("bad values fall back to defaults, inverted pairs are swapped", () => {
+  const { cfg, tab, expanded, warnings } = decodeShare("#gender=robot&ageFilter=maybe&minAge=30&maxAge=20&tab=nope&loan=x&extra=1");
+  assert.equal(cfg.gender, "any");
+  assert.equal(cfg.ageFilter, DEFAULT_CFG.ageFilter);
+  assert.deepEqual([cfg.minAge, cfg.maxAge], [20, 30]);
+  assert.deepEqual([tab, expanded], ["results", null]);
+  assert.equal(warnings.length, 6);
+});
+
+test("lists and rules are checked", () => {
+  const rules = [{ id: "c1", label: "ok", when: { op: "AND", items: [] } }, { id: "c2", label: "bad", when: { field: "nope", cmp: "eq" } }];
+  const { cfg, warnings } = decodeShare(`#excludedTags=${encodeURIComponent('["a",{"x":1}]')}&customRules=${encodeURIComponent(JSON.stringify(rules))}&batch=Z`);
+  assert.deepEqual(cfg.excludedTags, ["a"]);
+  assert.deepEqual(cfg.customRules, [rules[0]]);
+  assert.equal(cfg.batch, "BOTH");
+  assert.equal(warnings.length, 3);
+});
+
+test("batch definitions travel and the chosen batch must be one of them", () => {
+  const batches = [...DEFAULT_CFG.batches, { id: "C", name: "Batch C", risk: { min: 1, max: null }, defaultRate: { min: null, max: 0.05 }, lendAmount: 50 }];
+  assert.deepEqual(decodeShare(`#${encodeShare({ cfg: { ...DEFAULT_CFG, batches, batch: "C" } })}`).cfg.batches, batches);
+  const { cfg, warnings } = decodeShare("#batch=Z");
+  assert.equal(cfg.batch, DEFAULT_CFG.batch);
+  assert.deepEqual(warnings, ['batch: no batch "Z" is defined, using any batch']);
+  assert.equal(decodeShare(`#batches=${encodeURIComponent("[]")}`).warnings.length, 1);
+});
+
+test("a link's phrase may only carry short, simple regexes", () => {
+  const phrase = q => decodeShare(`#phrase=${encodeURIComponent(q)}`);
+  assert.equal(phrase("/1[89] (years|años)/i OR farmer").cfg.phrase, "/1[89] (years|años)/i OR farmer");
+  for (const q of ["/(a+)+$/", "farmer AND NOT /(x|xx)*y/", "/(a)\\1/", `/${"a".repeat(61)}/`]) {
+    const { cfg, warnings } = phrase(q);
+    assert.equal(cfg.phrase, DEFAULT_CFG.phrase, q);
+    assert.match(warnings[0], /^phrase: \/.*\/ is too long or complex to take from a link, using the default$/);
+  }
+});
+
+test("long search text is cut", () => {
+  const { search, warnings } = decodeShare(`#q=${"x".repeat(250)}`);
+  assert.equal(search.length, 200);
+  assert.equal(warnings.length, 1);
+});
+
+test("partner lists never travel in a link", () => {
+  const hash = encodeShare({ cfg: { ...DEFAULT_CFG, partnerBlock: [7] } });
+  assert.equal(hash, "");
+  const { cfg, warnings } = decodeShare("#partnerBlock=%5B7%5D&maxTerm=8");
+  assert.deepEqual(cfg.partnerBlock, []);
+  assert.deepEqual(warnings, ["partnerBlock: not a setting, ignored"]);
+});
+
+test("cfg values from a JSON file get the same checks, strictly", () => {
+  for (const [k, v] of Object.entries(DEFAULT_CFG)) assert.equal(cfgFieldProblem(k, v), null, k);
+  assert.equal(cfgFieldProblem("countryCap", "10"), "must be a whole number in 1–100");
+  assert.equal(cfgFieldProblem("countryCap", null), "must be a whole number in 1–100");
+  assert.equal(cfgFieldProblem("countryCap", 150), "must be a whole number in 1–100");
+  assert.equal(cfgFieldProblem("tierAmounts", "25,25,50,100"), "must be a list of numbers");
+  assert.equal(cfgFieldProblem("tierAmounts", [25, 25, 50, 110]), '"110" is not a multiple of $25');
+  assert.equal(cfgFieldProblem("partnerBlock", "12"), "must be a list of text or numbers");
+  assert.equal(cfgFieldProblem("allocWeights", { tier: 4 }), "tier must be a number in 0–3");
+  assert.equal(cfgFieldProblem("phrase", '"open'), "does not parse (Unclosed quote at 1)");
+  assert.equal(cfgFieldProblem("bogus", 1), "is not a setting");
+});
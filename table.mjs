@@ -0,0 +1,121 @@
+/**
+ * Results table: columns, multi-column sort, search and the row window for
+ * virtualized rendering. The dashboard renders the cells; this module only
+ * compares, matches and measures, so the CLI or a test can use it as well.
+ *
+ * A sort is [{ id, dir: "asc" | "desc" }], most significant column first.
+ * Empty values (null, "") sort last in either direction and ties keep the
+ * order the server returned.
+ */
+
+export const TABLE_STORAGE_KEY = "kiva-results-table";
+
+// every borrower's gender: "female" | "male" | "mixed" | null
+export function genderOf(loan) {
+  const kinds = [...new Set(loan.genders)];
+  return kinds.length === 0 ? null : kinds.length === 1 ? kinds[0] : "mixed";
+}
+
+// { id, label, value(loan) for sorting, optional: hidden until chosen }, in display order
+export const COLUMNS = [
+  { id: "id",      label: "ID",       value: l => l.id },
+  { id: "name",    label: "Borrower", value: l => l.name },
+  { id: "age",     label: "Age",      value: l => l.age },
+  { id: "gender",  label: "Gender",   value: genderOf, optional: true },
+  { id: "country", label: "Country",  value: l => l.country },
+  { id: "partner", label: "Partner",  value: l => l.partnerId ? l.partner : null, optional: true },
+  { id: "sector",  label: "Sector",   value: l => l.sector || null, optional: true },
+  { id: "risk",    label: "Risk",     value: l => l.risk },
+  { id: "default", label: "Default",  value: l => l.defRate },
+  { id: "term",    label: "Term",     value: l => l.term },
+  { id: "amount",  label: "Amount",   value: l => Number(l.amount) || null, optional: true },
+  { id: "tags",    label: "Tags",     value: l => l.tags.length || null, optional: true },
+  { id: "batch",   label: "Batch",    value: l => l.batch, optional: true },
+  { id: "tier",    label: "Tier",     value: l => l.tier },
+  { id: "lend",    label: "Lend",     value: l => l.lendAmount },
+  // passing first, then by how many rules a loan fails
+  { id: "status",  label: "Status",   value: l => l.pass ? 0 : l.reasons.length },
+];
+const BY_ID = Object.fromEntries(COLUMNS.map(c => [c.id, c]));
+export const DEFAULT_COLUMNS = COLUMNS.filter(c => !c.optional).map(c => c.id);
+
+const isEmpty = v => v === null || v === undefined || v === "";
+const compare = (x, y) => typeof x === "string" ? x.localeCompare(y, undefined, { sensitivity: "base" }) : x < y ? -1 : x > y ? 1 : 0;
+
+export function sortLoans(loans, sort) {
+  const keys = sort.filter(s => BY_ID[s.id]).map(s => ({ value: BY_ID[s.id].value, sign: s.dir === "desc" ? -1 : 1 }));
+  if (!keys.length) return loans;
+  return loans
+    .map((loan, i) => ({ loan, i, values: keys.map(k => k.value(loan)) }))
+    .sort((a, b) => {
+      for (let k = 0; k < keys.length; k++) {
+        const x = a.values[k], y = b.values[k];
+        if (isEmpty(x) || isEmpty(y)) {
+          if (isEmpty(x) !== isEmpty(y)) return isEmpty(x) ? 1 : -1;
+          continue;
+        }
+        const c = compare(x, y);
+        if (c) return c * keys[k].sign;
+      }
+      return a.i - b.i;
+    })
+    .map(e => e.loan);
+}
+
+// header click: a plain click sorts by this column alone (asc -> desc -> off);
+// with `multi` (shift-click) it is added to / cycled within the current sort
+export function toggleSort(sort, id, multi = false) {
+  const current = sort.find(s => s.id === id);
+  if (!multi) {
+    // another column, or one key of a multi-column sort: start over with this one
+    if (!current || sort.length > 1) return [{ id, dir: "asc" }];
+    return current.dir === "asc" ? [{ id, dir: "desc" }] : [];
+  }
+  if (!current) return [...sort, { id, dir: "asc" }];
+  return current.dir === "asc" ? sort.map(s => s.id === id ? { id, dir: "desc" } : s) : sort.filter(s => s.id !== id);
+}
+
+// every whitespace-separated term must appear in the id, names, country,
+// partner, sector or tags
+export function matchesSearch(loan, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const haystack = [
+    loan.id, loan.name, loan.country, loan.countryName, loan.partner, loan.sector,
+    ...loan.tags, ...loan.borrowers.map(b => b.firstName),
+  ].join("\n").toLowerCase();
+  return terms.every(t => haystack.includes(t));
+}
+
+// -> { columns, sort }, dropping ids that no longer exist
+export function loadTablePrefs(storage = globalThis.localStorage) {
+  try {
+    const prefs = JSON.parse(storage?.getItem(TABLE_STORAGE_KEY) ?? "{}");
+    const columns = Array.isArray(prefs?.columns) ? prefs.columns.filter(id => BY_ID[id]) : [];
+    const sort = Array.isArray(prefs?.sort) ? prefs.sort.filter(s => BY_ID[s?.id] && (s.dir === "asc" || s.dir === "desc")) : [];
+    return { columns: columns.length ? columns : DEFAULT_COLUMNS, sort };
+  } catch {
+    return { columns: DEFAULT_COLUMNS, sort: [] };
+  }
+}
+
+export function saveTablePrefs({ columns, sort }, storage = globalThis.localStorage) {
+  storage?.setItem(TABLE_STORAGE_KEY, JSON.stringify({ columns, sort }));
+}
+
+// Row window for a scroll position. Rows are rowHeight tall except the one
+// expanded row, which adds expanded.height below it.
+// -> { start, end, top, bottom, offsetOf(i) } where rows [start, end) are
+// rendered and top / bottom are the spacer heights around them
+export function visibleRange({ scrollTop, viewport, count, rowHeight, expanded = null, overscan = 8 }) {
+  const ei = expanded ? expanded.index : Infinity;
+  const extra = expanded ? expanded.height : 0;
+  const offsetOf = i => i * rowHeight + (i > ei ? extra : 0);
+  const rowAt = y => {
+    const i = y < offsetOf(ei + 1) ? Math.min(Math.floor(y / rowHeight), ei) : Math.floor((y - extra) / rowHeight);
+    return Math.max(0, Math.min(count - 1, i));
+  };
+  const start = Math.max(0, rowAt(scrollTop) - overscan);
+  const end = Math.min(count, rowAt(scrollTop + viewport) + overscan + 1);
+  return { start, end, top: offsetOf(start), bottom: offsetOf(count) - offsetOf(end), offsetOf };
+}
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mapLoan } from "./filters.mjs";
+import { sortLoans, toggleSort, matchesSearch, visibleRange, loadTablePrefs, saveTablePrefs, genderOf, DEFAULT_COLUMNS, TABLE_STORAGE_KEY } from "./table.mjs";
+import { rawLoan, memoryStorage } from "./testkit.mjs";
+
+const loans = [
+  mapLoan(rawLoan(1, { name: "bea", risk: 3, defaultRate: 0.01 })),
+  mapLoan(rawLoan(2, { name: "Ana", risk: 2, defaultRate: 0.02, tags: ["#Parent"] })),
+  mapLoan(rawLoan(3, { name: "Cid", partnerId: null })),
+  mapLoan(rawLoan(4, { name: "ana", risk: 3, defaultRate: 0.005, country: "PE" })),
+];
+const ids = list => list.map(l => l.id);
+
+test("multi-column sort, case-insensitive, empty values last, ties stable", () => {
+  assert.deepEqual(ids(sortLoans(loans, [{ id: "name", dir: "asc" }])), [2, 4, 1, 3]);
+  assert.deepEqual(ids(sortLoans(loans, [{ id: "risk", dir: "desc" }])), [1, 4, 2, 3]);
+  assert.deepEqual(ids(sortLoans(loans, [{ id: "risk", dir: "desc" }, { id: "default", dir: "asc" }])), [4, 1, 2, 3]);
+  assert.deepEqual(ids(sortLoans(loans, [{ id: "risk", dir: "asc" }])), [2, 1, 4, 3]);
+  assert.equal(sortLoans(loans, [{ id: "gone", dir: "asc" }]), loans);
+});
+
+test("header clicks cycle asc -> desc -> off; shift-click builds a multi sort", () => {
+  assert.deepEqual(toggleSort([], "risk"), [{ id: "risk", dir: "asc" }]);
+  assert.deepEqual(toggleSort([{ id: "risk", dir: "asc" }], "risk"), [{ id: "risk", dir: "desc" }]);
+  assert.deepEqual(toggleSort([{ id: "risk", dir: "desc" }], "risk"), []);
+  const multi = toggleSort([{ id: "risk", dir: "asc" }], "term", true);
+  assert.deepEqual(multi, [{ id: "risk", dir: "asc" }, { id: "term", dir: "asc" }]);
+  assert.deepEqual(toggleSort(multi, "risk", true), [{ id: "risk", dir: "desc" }, { id: "term", dir: "asc" }]);
+  assert.deepEqual(toggleSort(multi, "term"), [{ id: "term", dir: "asc" }]);
+});
+
+test("search needs every term somewhere on the loan", () => {
+  assert.deepEqual(ids(loans.filter(l => matchesSearch(l, "ana pe"))), [4]);
+  assert.deepEqual(ids(loans.filter(l => matchesSearch(l, "#PARENT"))), [2]);
+  assert.deepEqual(ids(loans.filter(l => matchesSearch(l, "  "))), [1, 2, 3, 4]);
+});
+
+test("gender of a group is mixed when the borrowers differ", () => {
+  assert.equal(genderOf({ genders: ["female", "female"] }), "female");
+  assert.equal(genderOf({ genders: ["female", "male"] }), "mixed");
+  assert.equal(genderOf({ genders: [] }), null);
+});
+
+test("the row window accounts for overscan and the expanded row", () => {
+  const plain = visibleRange({ scrollTop: 400, viewport: 200, count: 100, rowHeight: 40, overscan: 2 });
+  assert.deepEqual([plain.start, plain.end, plain.top, plain.bottom], [8, 18, 320, 3280]);
+  const open = visibleRange({ scrollTop: 400, viewport: 200, count: 100, rowHeight: 40, overscan: 0, expanded: { index: 5, height: 300 } });
+  // rows 0–5 end at 240 and the panel runs to 540, so 400 is still inside it
+  assert.deepEqual([open.start, open.end, open.offsetOf(6)], [5, 8, 540]);
+  assert.deepEqual(visibleRange({ scrollTop: 0, viewport: 500, count: 3, rowHeight: 40 }).end, 3);
+});
+
+test("prefs drop unknown columns and bad sorts", () => {
+  const storage = memoryStorage();
+  saveTablePrefs({ columns: ["id", "amount"], sort: [{ id: "amount", dir: "desc" }] }, storage);
+  assert.deepEqual(loadTablePrefs(storage), { columns: ["id", "amount"], sort: [{ id: "amount", dir: "desc" }] });
+  storage.setItem(TABLE_STORAGE_KEY, JSON.stringify({ columns: ["nope"], sort: [{ id: "id", dir: "up" }, null] }));
+  assert.deepEqual(loadTablePrefs(storage), { columns: DEFAULT_COLUMNS, sort: [] });
+  storage.setItem(TABLE_STORAGE_KEY, "{");
+  assert.deepEqual(loadTablePrefs(storage).sort, []);
+});
@@ -0,0 +1,82 @@
+/**
+ * Team mode: several lenders' portfolios merged into one, so the caps, the
+ * repeat-borrower tiers and the Country / Partner breakdown count what
+ * teammates already hold.
+ *
+ * A member is { id, label, kind: "session" | "snapshot", account, fetchedAt }.
+ * "session" portfolios are fetched with a teammate's sign-in, "snapshot" ones
+ * come from a file a teammate exported (exportSnapshot). Either way the loans
+ * are kept raw, as the gateway returns them, in the loan cache under
+ * teamKey(id); the member list itself is in local storage.
+ *
+ * mergeTeamPortfolio tags each mapped loan with owners, the labels of the
+ * lenders holding it. A loan two teammates both lent to appears once, so it
+ * counts once towards caps and tiers.
+ */
+
+export const TEAM_STORAGE_KEY = "kiva-team";
+const SNAPSHOT_VERSION = 1;
+
+export const teamKey = id => `team:${id}`;
+const newId = () => `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export function loadTeam(storage = globalThis.localStorage) {
+  try {
+    const members = JSON.parse(storage?.getItem(TEAM_STORAGE_KEY) ?? "[]");
+    return Array.isArray(members)
+      ? members.filter(m => m && typeof m.id === "string" && typeof m.label === "string" && (m.kind === "session" || m.kind === "snapshot"))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveTeam(members, storage = globalThis.localStorage) {
+  storage?.setItem(TEAM_STORAGE_KEY, JSON.stringify(members));
+}
+
+// -> { members, member }; re-adding the same session account replaces it
+export function addMember(members, { label, kind, account = null, fetchedAt = Date.now() }) {
+  const existing = kind === "session" && members.find(m => m.kind === "session" && m.account === account);
+  const member = { id: existing?.id ?? newId(), label: label.trim() || account || "Teammate", kind, account, fetchedAt };
+  return { members: existing ? members.map(m => m.id === member.id ? member : m) : [...members, member], member };
+}
+
+export function removeMember(members, id) {
+  return members.filter(m => m.id !== id);
+}
+
+// raw portfolio loans -> file contents a teammate can import
+export function exportSnapshot(account, loans, exportedAt = new Date()) {
+  return JSON.stringify({ version: SNAPSHOT_VERSION, account, exportedAt: exportedAt.toISOString(), loans }, null, 2);
+}
+
+// -> { account, exportedAt (ms), loans }; throws on anything that isn't a snapshot
+export function parseSnapshot(text) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.loans)) throw new Error("Not a portfolio snapshot (expected { loans: [...] })");
+  const bad = data.loans.findIndex(l => !l || !Number.isInteger(l.id));
+  if (bad >= 0) throw new Error(`Loan #${bad + 1} has no numeric id`);
+  const exportedAt = Date.parse(data.exportedAt);
+  return { account: typeof data.account === "string" ? data.account : null, exportedAt: Number.isNaN(exportedAt) ? null : exportedAt, loans: data.loans };
+}
+
+// [{ owner, loans (mapped) }] -> one mapped portfolio, loans tagged with owners
+export function mergeTeamPortfolio(parts) {
+  const byId = new Map();
+  for (const { owner, loans } of parts) {
+    for (const l of loans) {
+      const held = byId.get(l.id);
+      if (!held) byId.set(l.id, { ...l, owners: [owner] });
+      else if (!held.owners.includes(owner)) held.owners.push(owner);
+    }
+  }
+  return [...byId.values()];
+}
+
+// portfolio loans -> "alice: 3 · bob: 2", for the per-lender hover; "" outside team mode
+export function describeOwners(loans) {
+  const counts = {};
+  loans.forEach(l => l.owners.forEach(o => { counts[o] = (counts[o] || 0) + 1; }));
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([o, n]) => `${o}: ${n}`).join(" · ");
+}
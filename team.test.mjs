@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan, applyClientFilters } from "./filters.mjs";
+import { toMarkdownReport } from "./export.mjs";
+import {
+  loadTeam, saveTeam, addMember, removeMember, exportSnapshot, parseSnapshot,
+  mergeTeamPortfolio, describeOwners, TEAM_STORAGE_KEY,
+} from "./team.mjs";
+import { rawLoan, spreadLoans, memoryStorage } from "./testkit.mjs";
+
+const cfg = { ...DEFAULT_CFG, ageFilter: false, phrase: "" };
+const mapped = raws => raws.map(mapLoan);
+
+test("a loan two teammates hold counts once and lists both owners", () => {
+  const merged = mergeTeamPortfolio([
+    { owner: "alice", loans: mapped([rawLoan(1), rawLoan(2)]) },
+    { owner: "bob", loans: mapped([rawLoan(2), rawLoan(3)]) },
+    { owner: "bob", loans: mapped([rawLoan(3)]) },
+  ]);
+  assert.deepEqual(merged.map(l => [l.id, l.owners]), [[1, ["alice"]], [2, ["alice", "bob"]], [3, ["bob"]]]);
+  assert.equal(describeOwners(merged), "alice: 2 · bob: 2");
+});
+
+test("teammates' loans feed the caps and the repeat-borrower tiers", () => {
+  const alice = spreadLoans(15, 100);
+  const bob = [...spreadLoans(14, 200), rawLoan(300, { country: "KE", partnerId: 99, borrowers: [{ id: 1001 }] })];
+  const portfolio = mergeTeamPortfolio([{ owner: "alice", loans: mapped(alice) }, { owner: "bob", loans: mapped(bob) }]);
+  const [candidate] = applyClientFilters(mapped([rawLoan(1, { partnerId: 7 })]), portfolio, cfg);
+  assert.deepEqual([candidate.pass, candidate.tier], [true, 2]);
+  assert.deepEqual(candidate.priorLoans[0].owners, ["bob"]);
+  // two more KE loans in bob's portfolio put Kenya over the 10% cap
+  const more = mergeTeamPortfolio([{ owner: "alice", loans: mapped(alice) }, { owner: "bob", loans: mapped([...bob, rawLoan(301, { country: "KE", partnerId: 98 }), rawLoan(302, { country: "KE", partnerId: 97 })]) }]);
+  assert.deepEqual(applyClientFilters(mapped([rawLoan(1, { partnerId: 7 })]), more, cfg)[0].reasons.map(r => r.ruleId), ["countryCap"]);
+});
+
+test("the report splits the breakdown by lender in team mode", () => {
+  const portfolio = mergeTeamPortfolio([{ owner: "alice", loans: mapped(spreadLoans(3, 100)) }, { owner: "bob", loans: mapped(spreadLoans(3, 100)) }]);
+  const md = toMarkdownReport({ cfg, results: [], portfolio });
+  assert.match(md, /a team portfolio of 3 loans held by alice, bob/);
+  assert.match(md, /\| Country \| Portfolio \| By Lender \|/);
+  assert.match(md, /\| C0 \| 1 \| alice: 1 · bob: 1 \|/);
+  assert.match(toMarkdownReport({ cfg, results: [], portfolio: mapped(spreadLoans(3)) }), /against a portfolio of 3 loans/);
+});
+
+test("snapshots round-trip and reject what isn't one", () => {
+  const text = exportSnapshot("alice@example.org", [rawLoan(1)], new Date("2026-01-02T03:04:05Z"));
+  assert.deepEqual(parseSnapshot(text), { account: "alice@example.org", exportedAt: Date.parse("2026-01-02T03:04:05Z"), loans: [rawLoan(1)] });
+  assert.throws(() => parseSnapshot("[]"), /Not a portfolio snapshot/);
+  assert.throws(() => parseSnapshot('{"loans":[{"id":1},{"id":"2"}]}'), /Loan #2 has no numeric id/);
+  assert.deepEqual(parseSnapshot('{"loans":[],"exportedAt":"soon"}'), { account: null, exportedAt: null, loans: [] });
+});
+
+test("members are added, replaced per account, removed and persisted", () => {
+  let { members, member } = addMember([], { label: " Alice ", kind: "session", account: "a@x", fetchedAt: 1 });
+  assert.equal(member.label, "Alice");
+  ({ members } = addMember(members, { label: "", kind: "snapshot", account: "b@x", fetchedAt: 2 }));
+  const again = addMember(members, { label: "Alice again", kind: "session", account: "a@x", fetchedAt: 3 });
+  assert.equal(again.members.length, 2);
+  assert.equal(again.member.id, member.id);
+  assert.deepEqual(again.members.map(m => m.label), ["Alice again", "b@x"]);
+
+  const storage = memoryStorage();
+  saveTeam(removeMember(again.members, member.id), storage);
+  assert.deepEqual(loadTeam(storage).map(m => m.label), ["b@x"]);
+  storage.setItem(TEAM_STORAGE_KEY, '[{"id":"x","label":"y","kind":"other"}, null]');
+  assert.deepEqual(loadTeam(storage), []);
+});
@@ -0,0 +1,77 @@
+/**
+ * Fixtures shared by the *.test.mjs files (run with `npm test`).
+ */
+
+// a lend { loans } value as the gateway returns it: Batch A partner, 8-month
+// term, one borrower; any field can be overridden
+export function rawLoan(id, { country = "KE", partnerId = 1, risk = 3, defaultRate = 0.005, term = 8, amount = 500, ...over } = {}) {
+  return {
+    id, name: `Borrower ${id}`,
+    geocode: { country: { isoCode: country, name: country } },
+    partner: partnerId === null ? null : { id: partnerId, name: `Partner ${partnerId}`, riskRating: risk, defaultRate },
+    lenderRepaymentTerm: term, loanAmount: { amount },
+    sector: { id: 1, name: "Food" },
+    borrowers: [{ id: 1000 + id, firstName: `Borrower${id}`, gender: "female" }],
+    ...over,
+  };
+}
+
+// n loans from n different countries and partners, ids from `from`
+export const spreadLoans = (n, from = 100) =>
+  Array.from({ length: n }, (_, i) => rawLoan(from + i, { country: `C${i}`, partnerId: from + i }));
+
+// a localStorage / sessionStorage stand-in
+export function memoryStorage(entries = {}) {
+  const data = new Map(Object.entries(entries));
+  return {
+    getItem: k => data.has(k) ? data.get(k) : null,
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: k => { data.delete(k); },
+    data,
+  };
+}
+
+// a gateway reply for fetch stubs
+export const jsonResponse = (body, { status = 200, headers = {} } = {}) =>
+  new Response(typeof body === "string" ? body : JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+// just enough of IndexedDB for cache.mjs: object stores keyed by keyPath,
+// get/put/delete/clear, callbacks fired on a later tick like the real thing.
+// Setting `full` makes puts abort their transaction, as a quota error does.
+export function fakeIndexedDB() {
+  const stores = new Map();
+  const idb = { stores, full: false };
+  const later = fn => setTimeout(fn, 0);
+  const request = run => {
+    const req = {};
+    later(() => { req.result = run(); req.onsuccess?.(); });
+    return req;
+  };
+  const db = {
+    createObjectStore: (name, { keyPath }) => { stores.set(name, { keyPath, rows: new Map() }); },
+    transaction(name) {
+      const { keyPath, rows } = stores.get(name);
+      const tx = {
+        error: null,
+        objectStore: () => ({
+          get: key => request(() => structuredClone(rows.get(key))),
+          put: value => {
+            if (idb.full) tx.error = new DOMException("Quota exceeded", "QuotaExceededError");
+            return request(() => { if (!tx.error) rows.set(value[keyPath], structuredClone(value)); return value[keyPath]; });
+          },
+          delete: key => request(() => { rows.delete(key); }),
+          clear: () => request(() => { rows.clear(); }),
+        }),
+      };
+      later(() => later(() => tx.error ? tx.onabort?.() : tx.oncomplete?.()));
+      return tx;
+    },
+  };
+  return Object.assign(idb, {
+    open() {
+      const req = {};
+      later(() => { req.result = db; if (!stores.size) req.onupgradeneeded?.(); req.onsuccess?.(); });
+      return req;
+    },
+  });
+}
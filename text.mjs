@@ -0,0 +1,204 @@
+/**
+ * Description text helpers used by mapLoan / applyClientFilters.
+ *
+ * extractAge reads a borrower's age out of description text in the common Kiva
+ * languages. It is only a fallback for loans without ageAtTimeOfLoan and its
+ * result is always labelled as inferred.
+ *
+ * Phrase queries (cfg.phrase) are a small boolean language, case-insensitive:
+ *   18 years old                    bare words are one literal phrase
+ *   "18 years old" OR "tiene 18"    quoted phrases, OR / AND / NOT, ( )
+ *   /\b1[89] (years|años)\b/i        regex literal with its own flags
+ *   farmer NOT "loan officer"       adjacent terms are ANDed
+ * A plain phrase from older presets parses to itself, so nothing changes for them.
+ */
+
+// age
+
+// first capture group is the age; first match in the text wins, and only
+// 15–99 is accepted so a child's age mentioned later is less likely to stick
+const W = "(?<![\\p{L}\\d])";   // word start that works for accented letters
+const END = "(?![\\p{L}\\d])";  // word end, likewise
+// a business that is N years old, and N years of something other than life
+// (experience, marriage, …), are not the borrower's age
+const notOf = words => `(?<!${W}(?:${words}) )`;
+const notFor = words => `(?! (?:${words})${END})`;
+const EN_THINGS = "business|shop|store|stall|company|farm|house|building|enterprise|restaurant|salon|kiosk";
+const EN_NOT_PERSON = `(?<!${W}(?:${EN_THINGS}|it|which)(?:'s| is| was| has been| will be| turns?| turned)(?: now| about| over| almost| nearly| already)? )`;
+const EN_NOT_BORROWER = `(?:son|daughter|child|children|boy|girl|grand|(?:${EN_THINGS})${END})`;
+const ES_NOT_AGE = notFor("de (?:experiencia|trabajo|actividad|casad[ao]s?|existencia|funcionamiento)");
+const FR_NOT_AGE = notFor("d['’](?:expérience|activité|existence)|de (?:métier|carrière|mariage|pratique)");
+const PT_NOT_AGE = notFor("de (?:experiência|experiencia|atividade|trabalho|profissão|mercado|casad[ao]s?|existência)");
+
+const AGE_PATTERNS = [
+  // en
+  `${W}${EN_NOT_PERSON}(\\d{2}) ?(?:years?|yrs?)[ -]?old(?![ -]${EN_NOT_BORROWER})`,
+  `${W}(\\d{2})-year-old(?! ${EN_NOT_BORROWER})`,
+  `${W}aged (\\d{2})${END}`,
+  `^\\s*\\p{Lu}[\\p{L}'. -]{1,40}, (\\d{2}),`,   // "Maria, 32, sells..."
+  // es
+  `${W}${notOf("negocio|tienda|empresa|puesto")}tiene (\\d{2}) años${ES_NOT_AGE}`,
+  `${W}(\\d{2}) años de edad`,
+  `${W}(?:una?|el|la) (?:joven|señora?|mujer|hombre|madre|padre)? ?de (\\d{2}) años`,
+  // fr; "il y a N ans" is "N years ago"
+  `${W}âgée? de (\\d{2}) ans`,
+  `${W}${notOf("y|entreprise|boutique|commerce|magasin|activité|affaire|société")}a (\\d{2}) ans${FR_NOT_AGE}`,
+  // pt
+  `${W}${notOf("empresa|loja|negócio|banca|barraca|comércio")}tem (\\d{2}) anos${PT_NOT_AGE}`,
+  `${W}(\\d{2}) anos de idade`,
+  `${W}com (\\d{2}) anos${PT_NOT_AGE}`,
+  // id / tl / sw / ru
+  `${W}(?:berusia|berumur|usia|umur) (\\d{2}) tahun`,
+  `${W}(\\d{2}) (?:taong gulang|anyos)`,
+  `${W}(?:ana )?umri wa miaka (\\d{2})${END}`,
+  `${W}(?:ей|ему) (\\d{2}) (?:год|года|лет)`,
+].map(src => new RegExp(src, "iu"));
+
+// -> { age, start, end } for the first plausible age mention, or null
+// (start/end delimit the whole matched phrase, for highlighting)
+export function extractAge(text) {
+  if (!text) return null;
+  let best = null;
+  for (const re of AGE_PATTERNS) {
+    const m = re.exec(text);
+    if (!m) continue;
+    const age = Number(m[1]);
+    if (age < 15 || age > 99) continue;
+    if (!best || m.index < best.start) best = { age, start: m.index, end: m.index + m[0].length };
+  }
+  return best;
+}
+
+// phrase queries
+
+export class PhraseQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PhraseQueryError";
+  }
+}
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === "(" || ch === ")") { tokens.push({ t: ch }); i++; continue; }
+    if (ch === '"') {
+      const end = src.indexOf('"', i + 1);
+      if (end < 0) throw new PhraseQueryError(`Unclosed quote at ${i + 1}`);
+      tokens.push({ t: "text", value: src.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+    if (ch === "/") {
+      let j = i + 1;
+      while (j < src.length && src[j] !== "/") j += src[j] === "\\" ? 2 : 1;
+      if (j >= src.length) throw new PhraseQueryError(`Unclosed /regex/ at ${i + 1}`);
+      const flags = /^[a-z]*/.exec(src.slice(j + 1))[0];
+      let re;
+      try {
+        re = new RegExp(src.slice(i + 1, j), flags.replace("g", ""));
+      } catch (e) {
+        throw new PhraseQueryError(`Bad regex: ${e.message}`);
+      }
+      tokens.push({ t: "regex", re });
+      i = j + 1 + flags.length;
+      continue;
+    }
+    const word = /^[^\s()"]+/.exec(src.slice(i))[0];
+    if (word === "AND" || word === "OR" || word === "NOT") tokens.push({ t: word });
+    else {
+      // consecutive bare words form one phrase
+      const last = tokens[tokens.length - 1];
+      if (last?.t === "text" && last.bare) last.value += ` ${word}`;
+      else tokens.push({ t: "text", value: word, bare: true });
+    }
+    i += word.length;
+  }
+  return tokens;
+}
+
+// query string -> AST ({ op: "or"|"and", items } | { op: "not", item } | { op: "text", value } | { op: "regex", re })
+// or null for an empty query; throws PhraseQueryError
+export function parsePhraseQuery(src) {
+  const tokens = tokenize(src ?? "");
+  if (tokens.length === 0) return null;
+  let pos = 0;
+  const peek = () => tokens[pos]?.t;
+
+  function orExpr() {
+    const items = [andExpr()];
+    while (peek() === "OR") { pos++; items.push(andExpr()); }
+    return items.length === 1 ? items[0] : { op: "or", items };
+  }
+  function andExpr() {
+    const items = [notExpr()];
+    while (peek() && peek() !== "OR" && peek() !== ")") {
+      if (peek() === "AND") pos++;
+      items.push(notExpr());
+    }
+    return items.length === 1 ? items[0] : { op: "and", items };
+  }
+  function notExpr() {
+    if (peek() === "NOT") { pos++; return { op: "not", item: notExpr() }; }
+    return atom();
+  }
+  function atom() {
+    const tok = tokens[pos++];
+    if (!tok) throw new PhraseQueryError("Query ends early");
+    if (tok.t === "(") {
+      const inner = orExpr();
+      if (tokens[pos++]?.t !== ")") throw new PhraseQueryError("Missing )");
+      return inner;
+    }
+    if (tok.t === "text") return { op: "text", value: tok.value.toLowerCase() };
+    if (tok.t === "regex") return { op: "regex", re: tok.re };
+    throw new PhraseQueryError(`Unexpected ${tok.t}`);
+  }
+
+  const ast = orExpr();
+  if (pos < tokens.length) throw new PhraseQueryError(`Unexpected ${tokens[pos].t}`);
+  return ast;
+}
+
+// texts: { field: string }. -> { hit, spans: [{ field, start, end }] }; spans
+// come from the positive terms of the branches that matched, for highlighting
+export function matchPhraseQuery(ast, texts) {
+  const lower = Object.fromEntries(Object.entries(texts).map(([f, t]) => [f, t.toLowerCase()]));
+
+  function find(node) {
+    const spans = [];
+    for (const [field, text] of Object.entries(node.op === "text" ? lower : texts)) {
+      if (node.op === "text") {
+        if (!node.value) continue;
+        for (let at = text.indexOf(node.value); at >= 0; at = text.indexOf(node.value, at + node.value.length))
+          spans.push({ field, start: at, end: at + node.value.length });
+      } else {
+        for (const m of text.matchAll(new RegExp(node.re.source, node.re.flags + "g")))
+          if (m[0] !== "") spans.push({ field, start: m.index, end: m.index + m[0].length });
+      }
+    }
+    return spans.length ? spans : null;
+  }
+
+  // -> spans (possibly empty) when the node matches, null when it doesn't
+  function ev(node) {
+    switch (node.op) {
+      case "or": {
+        const hits = node.items.map(ev).filter(Boolean);
+        return hits.length ? hits.flat() : null;
+      }
+      case "and": {
+        const hits = node.items.map(ev);
+        return hits.every(Boolean) ? hits.flat() : null;
+      }
+      case "not": return ev(node.item) ? null : [];
+      default:    return find(node);
+    }
+  }
+
+  const spans = ast === null ? [] : ev(ast);
+  return { hit: spans !== null, spans: spans ?? [] };
+}
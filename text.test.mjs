@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractAge, parsePhraseQuery, matchPhraseQuery, PhraseQueryError } from "./text.mjs";
+
+// [description, age, matched phrase]: one per AGE_PATTERNS entry, in order
+// (the "aged N" pattern has its own test below)
+const AGE_CASES = [
+  ["Grace is 19 years old and sells fruit.", 19, "19 years old"],
+  ["Grace is a 23-year-old tailor.", 23, "23-year-old"],
+  ["Maria, 32, sells fruit.", 32, "Maria, 32,"],
+  ["Rosa tiene 22 años y vende ropa.", 22, "tiene 22 años"],
+  ["Rosa, 44 años de edad, vende ropa.", 44, "44 años de edad"],
+  ["Es una joven de 24 años que vende pan.", 24, "una joven de 24 años"],
+  ["Awa, âgée de 20 ans, élève des poulets.", 20, "âgée de 20 ans"],
+  ["Awa a 31 ans et vend du riz.", 31, "a 31 ans"],
+  ["Ana tem 45 anos e vende peixe.", 45, "tem 45 anos"],
+  ["Ana, 29 anos de idade, vende peixe.", 29, "29 anos de idade"],
+  ["Ana, com 33 anos, vende peixe.", 33, "com 33 anos"],
+  ["Ibu Sari berusia 27 tahun dan berjualan sayur.", 27, "berusia 27 tahun"],
+  ["Si Liza ay 35 taong gulang.", 35, "35 taong gulang"],
+  ["Amina ana umri wa miaka 41 na anauza mboga.", 41, "ana umri wa miaka 41"],
+  ["Ей 38 лет, она продаёт овощи.", 38, "Ей 38 лет"],
+];
+
+for (const [text, age, phrase] of AGE_CASES) {
+  test(`extractAge reads "${phrase}"`, () => {
+    const found = extractAge(text);
+    assert.equal(found?.age, age);
+    assert.equal(text.slice(found.start, found.end), phrase);
+  });
+}
+
+test(`extractAge reads "aged N"`, () => {
+  const text = "Maria, aged 19, sells fruit.";
+  const found = extractAge(text);
+  assert.equal(found?.age, 19);
+  assert.equal(text.slice(found.start, found.end), "aged 19");
+});
+
+test("extractAge skips a child's age and out-of-range numbers", () => {
+  assert.equal(extractAge("Her 12-year-old son helps. She is 34 years old.").age, 34);
+  assert.equal(extractAge("The shop is 10 years old."), null);
+  assert.equal(extractAge("He was aged 123 at the time."), null);
+  assert.equal(extractAge(""), null);
+});
+
+test("extractAge skips years that aren't the borrower's age", () => {
+  for (const text of [
+    "Her business is 20 years old.",
+    "She runs a 25-year-old shop.",
+    "Elle vend du riz. Il y a 20 ans, elle a ouvert sa boutique.",
+    "Elle a 20 ans d'expérience dans la couture.",
+    "L'entreprise a 30 ans.",
+    "Ela tem 20 anos de experiência como costureira.",
+    "A loja tem 30 anos.",
+    "Ana, com 20 anos de experiência, vende peixe.",
+    "Rosa tiene 20 años de experiencia.",
+  ]) assert.equal(extractAge(text), null, text);
+  assert.equal(extractAge("Il y a 20 ans, elle a ouvert sa boutique. Elle a 45 ans.").age, 45);
+  assert.equal(extractAge("She is a 24-year-old shopkeeper.").age, 24);
+});
+
+test("phrase queries combine phrases, regexes and NOT", () => {
+  const hit = (query, description) => matchPhraseQuery(parsePhraseQuery(query), { description }).hit;
+  assert.equal(hit("18 years old", "She is 18 YEARS OLD."), true);
+  assert.equal(hit('"tiene 18" OR "18 years old"', "Tiene 18 años."), true);
+  assert.equal(hit("farmer NOT \"loan officer\"", "A farmer met the loan officer."), false);
+  assert.equal(hit("/\\b1[89] años\\b/i", "tiene 19 años"), true);
+  assert.equal(parsePhraseQuery("  "), null);
+  assert.throws(() => parsePhraseQuery('"open'), PhraseQueryError);
+  assert.throws(() => parsePhraseQuery("(a OR b"), PhraseQueryError);
+});
+
+test("phrase matches report spans in each field for highlighting", () => {
+  const { hit, spans } = matchPhraseQuery(parsePhraseQuery('"18 years" OR /tiene 1\\d/'), {
+    description: "She is 18 years old.", descriptionOrig: "Tiene 18 años.",
+  });
+  assert.equal(hit, true);
+  assert.deepEqual(spans, [{ field: "description", start: 7, end: 15 }]);
+  assert.deepEqual(matchPhraseQuery(parsePhraseQuery("/Tiene 1\\d/"), { description: "", descriptionOrig: "Tiene 18 años." }).spans,
+    [{ field: "descriptionOrig", start: 0, end: 8 }]);
+});
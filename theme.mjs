@@ -0,0 +1,78 @@
+/**
+ * Dashboard colour themes: dark (the original look), light and high contrast.
+ *
+ * A theme is a set of CSS custom properties on the document root. Inline
+ * styles refer to them through T (T.accent is "var(--kt-accent)"), so a theme
+ * switch is a handful of setProperty calls and needs no re-render. Every theme
+ * defines the same tokens; the names say what a colour is for, not what it is.
+ *
+ * Without a saved choice the OS preference decides: prefers-contrast: more
+ * picks high contrast, prefers-color-scheme: light picks light.
+ */
+
+export const THEME_STORAGE_KEY = "kiva-theme";
+
+export const THEMES = {
+  dark: {
+    bg: "#080a0f", headerBg: "rgba(8,10,15,0.96)", scrim: "rgba(8,10,15,0.8)", hover: "rgba(232,213,163,0.02)",
+    panel: "#0a0c12", rowAlt: "#0c0e16", head: "#0c0e18", expanded: "#0d1520", input: "#0f1117", selectedRow: "#101a14",
+    chosen: "#131620", chosenLine: "#2a3050", chip: "#1e2030",
+    lineFaint: "#12141c", line: "#1a1d2a", lineStrong: "#2a2d3a", bar: "#3a3d4a",
+    accent: "#e8d5a3", accentLine: "#c8991f", onAccent: "#0a0c12",
+    text: "#c8cad4", textSoft: "#aaa", textMuted: "#888", textAlt: "#777", textQuiet: "#666", textDim: "#555", textFaint: "#444", textGhost: "#333",
+    good: "#4ade80", goodBg: "#1a3d2e", goodLine: "#2d6a4f",
+    bad: "#f87171", badBg: "#3d1a1a", badLine: "#5c1a1a",
+    warn: "#fbbf24", warnBg: "#3d2e0a", noticeBg: "#2a1f0a", warnLine: "#6b4e10",
+    info: "#93c5fd", infoStrong: "#60a5fa", infoBg: "#0a1f3d",
+    violet: "#a78bfa",
+  },
+  light: {
+    bg: "#f6f4ef", headerBg: "rgba(246,244,239,0.96)", scrim: "rgba(40,36,28,0.45)", hover: "rgba(122,90,12,0.05)",
+    panel: "#ffffff", rowAlt: "#f9f8f4", head: "#efede6", expanded: "#eef3fa", input: "#ffffff", selectedRow: "#e9f6ee",
+    chosen: "#f3ecda", chosenLine: "#c8b27a", chip: "#ebe9e2",
+    lineFaint: "#eeece6", line: "#e0ddd4", lineStrong: "#c9c5b9", bar: "#b3afa4",
+    accent: "#735409", accentLine: "#a47d14", onAccent: "#ffffff",
+    text: "#22252e", textSoft: "#33363f", textMuted: "#4d525d", textAlt: "#555a66", textQuiet: "#5b6070", textDim: "#626776", textFaint: "#686d7c", textGhost: "#70747f",
+    good: "#17743a", goodBg: "#dcf3e4", goodLine: "#4caf73",
+    bad: "#b42318", badBg: "#fde4e1", badLine: "#e2766b",
+    warn: "#855600", warnBg: "#fcefd0", noticeBg: "#fff6df", warnLine: "#d9a63e",
+    info: "#1d5fb8", infoStrong: "#1a64c4", infoBg: "#e1ecfb",
+    violet: "#6341b8",
+  },
+  contrast: {
+    bg: "#000000", headerBg: "#000000", scrim: "rgba(0,0,0,0.85)", hover: "rgba(255,255,255,0.08)",
+    panel: "#000000", rowAlt: "#0b0b0b", head: "#000000", expanded: "#111111", input: "#000000", selectedRow: "#00300f",
+    chosen: "#1c1c1c", chosenLine: "#ffffff", chip: "#1c1c1c",
+    lineFaint: "#5a5a5a", line: "#8a8a8a", lineStrong: "#c0c0c0", bar: "#a0a0a0",
+    accent: "#ffe680", accentLine: "#ffd400", onAccent: "#000000",
+    text: "#ffffff", textSoft: "#ffffff", textMuted: "#e6e6e6", textAlt: "#dddddd", textQuiet: "#d6d6d6", textDim: "#cfcfcf", textFaint: "#c6c6c6", textGhost: "#bcbcbc",
+    good: "#5dff8a", goodBg: "#00361a", goodLine: "#5dff8a",
+    bad: "#ff8a8a", badBg: "#450000", badLine: "#ff8a8a",
+    warn: "#ffd84d", warnBg: "#3a2e00", noticeBg: "#2a2100", warnLine: "#ffd84d",
+    info: "#9ccfff", infoStrong: "#9ccfff", infoBg: "#00284f",
+    violet: "#d6b8ff",
+  },
+};
+export const THEME_LABELS = { dark: "Dark", light: "Light", contrast: "High contrast" };
+
+// token -> "var(--kt-token)", for inline styles
+export const T = Object.fromEntries(Object.keys(THEMES.dark).map(k => [k, `var(--kt-${k})`]));
+
+export function applyTheme(name, root = globalThis.document?.documentElement) {
+  const theme = THEMES[name] ?? THEMES.dark;
+  if (!root) return;
+  Object.entries(theme).forEach(([k, v]) => root.style.setProperty(`--kt-${k}`, v));
+  root.style.colorScheme = name === "light" ? "light" : "dark";
+  root.dataset.theme = name in THEMES ? name : "dark";
+}
+
+export function loadTheme(storage = globalThis.localStorage, media = globalThis.matchMedia) {
+  const saved = storage?.getItem(THEME_STORAGE_KEY);
+  if (saved in THEMES) return saved;
+  if (media?.("(prefers-contrast: more)").matches) return "contrast";
+  return media?.("(prefers-color-scheme: light)").matches ? "light" : "dark";
+}
+
+export function saveTheme(name, storage = globalThis.localStorage) {
+  storage?.setItem(THEME_STORAGE_KEY, name);
+}
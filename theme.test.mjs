@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { THEMES, T, applyTheme, loadTheme, saveTheme, THEME_STORAGE_KEY } from "./theme.mjs";
+import { memoryStorage } from "./testkit.mjs";
+
+// WCAG relative luminance / contrast ratio of two #rrggbb colours
+const luminance = hex => {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+    .map(c => c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+const contrast = (a, b) => {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+};
+const fakeRoot = () => {
+  const props = {};
+  return { props, dataset: {}, style: { setProperty: (k, v) => { props[k] = v; } } };
+};
+
+test("every theme defines the same tokens", () => {
+  const tokens = Object.keys(THEMES.dark).sort();
+  for (const name of Object.keys(THEMES)) assert.deepEqual(Object.keys(THEMES[name]).sort(), tokens, name);
+  assert.equal(T.accent, "var(--kt-accent)");
+});
+
+test("light and high-contrast text stays readable on every background", () => {
+  for (const name of ["light", "contrast"]) {
+    const theme = THEMES[name];
+    for (const fg of ["text", "textMuted", "textDim", "good", "bad", "warn", "info", "accent"])
+      for (const bg of ["bg", "panel", "rowAlt"])
+        assert.ok(contrast(theme[fg], theme[bg]) >= 4.5, `${name}: ${fg} on ${bg} is ${contrast(theme[fg], theme[bg]).toFixed(2)}:1`);
+  }
+});
+
+test("applyTheme sets the custom properties and falls back to dark", () => {
+  const root = fakeRoot();
+  applyTheme("light", root);
+  assert.equal(root.props["--kt-bg"], THEMES.light.bg);
+  assert.deepEqual([root.style.colorScheme, root.dataset.theme], ["light", "light"]);
+  applyTheme("sepia", root);
+  assert.equal(root.props["--kt-bg"], THEMES.dark.bg);
+  assert.deepEqual([root.style.colorScheme, root.dataset.theme], ["dark", "dark"]);
+  assert.doesNotThrow(() => applyTheme("light", undefined));
+});
+
+test("a saved theme wins, else the OS contrast / colour-scheme preference", () => {
+  const media = prefs => query => ({ matches: prefs.includes(query) });
+  const storage = memoryStorage();
+  assert.equal(loadTheme(storage, media([])), "dark");
+  assert.equal(loadTheme(storage, media(["(prefers-color-scheme: light)"])), "light");
+  assert.equal(loadTheme(storage, media(["(prefers-color-scheme: light)", "(prefers-contrast: more)"])), "contrast");
+  saveTheme("light", storage);
+  assert.equal(storage.getItem(THEME_STORAGE_KEY), "light");
+  assert.equal(loadTheme(storage, media(["(prefers-contrast: more)"])), "light");
+  storage.setItem(THEME_STORAGE_KEY, "sepia");
+  assert.equal(loadTheme(storage, undefined), "dark");
+});
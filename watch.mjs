@@ -0,0 +1,95 @@
+/**
+ * Watch mode: re-run a cfg on an interval and announce only the passing loans
+ * that have never been announced before.
+ *
+ * Newest-first polls stop paging at the first page that overlaps the previous
+ * poll (new postings come first), so a quiet poll costs one page; the previous
+ * candidates are merged back in so concentration caps still see the whole
+ * scan. That shortcut is only trusted for INCREMENTAL_MAX_AGE_MS, after which
+ * the poll re-scans in full. Other sort orders re-scan every time.
+ *
+ * Announced ids live in a seen map { [id]: firstSeenAt } that the caller
+ * persists (localStorage in the dashboard, a file on the CLI).
+ */
+
+import { fetchCandidateLoans, sleep } from "./kiva.mjs";
+import { buildServerFilters, buildScanOptions, mapLoan, applyClientFilters } from "./filters.mjs";
+import { mergeById, stopOnceKnown, INCREMENTAL_MAX_AGE_MS } from "./cache.mjs";
+
+export const SEEN_STORAGE_KEY = "kiva-watch-seen";
+export const DEFAULT_WATCH_MINUTES = 10;
+export const MIN_WATCH_MINUTES = 1;
+// fundraising lasts at most a few weeks, so older ids can't come back
+const SEEN_TTL_MS = 60 * 24 * 60 * 60 * 1000;
+
+// seen ids
+
+export function loadSeen(storage = globalThis.localStorage) {
+  try {
+    const seen = JSON.parse(storage?.getItem(SEEN_STORAGE_KEY) ?? "{}");
+    return seen && typeof seen === "object" && !Array.isArray(seen) ? pruneSeen(seen) : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveSeen(seen, storage = globalThis.localStorage) {
+  storage?.setItem(SEEN_STORAGE_KEY, JSON.stringify(seen));
+}
+
+export function pruneSeen(seen, now = Date.now()) {
+  return Object.fromEntries(Object.entries(seen).filter(([, at]) => typeof at === "number" && now - at < SEEN_TTL_MS));
+}
+
+// -> { fresh, seen }: passing loans not seen before, and the seen map with them added
+export function markSeen(passing, seen, now = Date.now()) {
+  const fresh = passing.filter(l => !(l.id in seen));
+  return { fresh, seen: fresh.length ? { ...seen, ...Object.fromEntries(fresh.map(l => [l.id, now])) } : seen };
+}
+
+// polling
+
+// One poll. `prev` is the previous poll's { raw, fetchedAt, key } (or null)
+// -> { state, results, entry } where entry is the poll log line
+// { at, pages, fetched, incremental, passing, total }
+export async function pollOnce(prev, { token, cfg, portfolio, onPage, ...gqlOpts }) {
+  const gqlFilters = buildServerFilters(cfg);
+  const scan = buildScanOptions(cfg);
+  const key = JSON.stringify([gqlFilters, scan]);
+  const at = Date.now();
+  const incremental = !!prev && prev.key === key && scan.sortBy === "newest" && at - prev.fetchedAt < INCREMENTAL_MAX_AGE_MS;
+  const known = incremental ? new Set(prev.raw.map(l => l.id)) : null;
+
+  let pages = 0;
+  const raw = await fetchCandidateLoans(token, gqlFilters, {
+    ...gqlOpts,
+    ...scan,
+    onPage: info => { pages = info.page; onPage?.(info); },
+    stopWhen: known && stopOnceKnown(known),
+  });
+  const merged = incremental ? mergeById(raw, prev.raw) : raw;
+  const results = applyClientFilters(merged.map(mapLoan), portfolio, cfg);
+  return {
+    state: { raw: merged, fetchedAt: incremental ? prev.fetchedAt : at, key },
+    results,
+    entry: { at, pages, fetched: raw.length, incremental, passing: results.filter(l => l.pass).length, total: results.length },
+  };
+}
+
+// Calls `poll()` now and then every intervalMs until the signal aborts. A
+// failed poll goes to onError and the loop carries on; resolves on abort.
+export async function watchLoop(poll, { intervalMs, signal, onError }) {
+  while (!signal?.aborted) {
+    try {
+      await poll();
+    } catch (e) {
+      if (e.kind === "aborted" || signal?.aborted) return;
+      onError?.(e);
+    }
+    try {
+      await sleep(intervalMs, signal);
+    } catch {
+      return;
+    }
+  }
+}
@@ -0,0 +1,74 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setTransport } from "./kiva.mjs";
+import { createMockGateway } from "./mock.mjs";
+import { DEFAULT_CFG } from "./filters.mjs";
+import { loadSeen, saveSeen, pruneSeen, markSeen, pollOnce, watchLoop, SEEN_STORAGE_KEY } from "./watch.mjs";
+import { memoryStorage } from "./testkit.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+const cfg = { ...DEFAULT_CFG, phrase: "", ageFilter: false };
+afterEach(() => setTransport(null));
+
+test("markSeen announces each passing loan once", () => {
+  const first = markSeen([{ id: 1 }, { id: 2 }], {}, 100);
+  assert.deepEqual(first.fresh.map(l => l.id), [1, 2]);
+  const second = markSeen([{ id: 2 }, { id: 3 }], first.seen, 200);
+  assert.deepEqual(second.fresh.map(l => l.id), [3]);
+  assert.deepEqual(second.seen, { 1: 100, 2: 100, 3: 200 });
+  const quiet = markSeen([{ id: 3 }], second.seen, 300);
+  assert.equal(quiet.seen, second.seen);
+});
+
+test("seen ids persist and old ones are pruned", () => {
+  const storage = memoryStorage();
+  const now = Date.now();
+  saveSeen({ 1: now, 2: now - 61 * DAY }, storage);
+  assert.deepEqual(loadSeen(storage), { 1: now });
+  assert.deepEqual(pruneSeen({ 1: "x", 2: now }, now), { 2: now });
+  storage.setItem(SEEN_STORAGE_KEY, "[1,2]");
+  assert.deepEqual(loadSeen(storage), {});
+  storage.setItem(SEEN_STORAGE_KEY, "{oops");
+  assert.deepEqual(loadSeen(storage), {});
+});
+
+test("a newest-first poll after the first one only reads the new page", async () => {
+  setTransport(createMockGateway({ trickle: true }));
+  const opts = { token: null, cfg, portfolio: [], pageDelayMs: 0 };
+  const first = await pollOnce(null, opts);
+  assert.equal(first.entry.incremental, false);
+  assert.ok(first.entry.pages > 1);
+
+  const second = await pollOnce(first.state, opts);
+  assert.deepEqual([second.entry.incremental, second.entry.pages], [true, 1]);
+  // trickle posts 10 loans; only those inside the server filters come back
+  const added = second.state.raw.length - first.state.raw.length;
+  assert.ok(added > 0 && added <= 10);
+  assert.ok(second.state.raw.slice(0, added).every(l => l.id > first.state.raw[0].id));
+  assert.equal(second.state.fetchedAt, first.state.fetchedAt);
+  assert.equal(second.results.length, second.state.raw.length);
+});
+
+test("a changed cfg or sort order re-scans in full", async () => {
+  setTransport(createMockGateway({}));
+  const opts = { token: null, cfg, portfolio: [], pageDelayMs: 0 };
+  const first = await pollOnce(null, opts);
+  const otherSort = await pollOnce(first.state, { ...opts, cfg: { ...cfg, sortBy: "expiringSoon" } });
+  assert.equal(otherSort.entry.incremental, false);
+  const otherFilter = await pollOnce(first.state, { ...opts, cfg: { ...cfg, maxTerm: 8 } });
+  assert.equal(otherFilter.entry.incremental, false);
+  const stale = await pollOnce({ ...first.state, fetchedAt: Date.now() - DAY }, opts);
+  assert.equal(stale.entry.incremental, false);
+});
+
+test("the loop keeps polling through errors and stops on abort", async () => {
+  const ctl = new AbortController();
+  const errors = [];
+  let polls = 0;
+  await watchLoop(async () => {
+    if (++polls === 1) throw new Error("gateway down");
+    if (polls === 3) ctl.abort();
+  }, { intervalMs: 1, signal: ctl.signal, onError: e => errors.push(e.message) });
+  assert.equal(polls, 3);
+  assert.deepEqual(errors, ["gateway down"]);
+});
@@ -0,0 +1,61 @@
+/**
+ * Bottleneck and what-if analysis over a scan that is already fetched.
+ *
+ * Everything here re-runs applyClientFilters on the mapped candidates with a
+ * tweaked cfg, so nothing is refetched. A tweak that loosens a server-side
+ * filter (maxTerm is also sent as lenderTerm) can only count loans that were
+ * fetched anyway: the result says so with `refetch`, and the real gain shows
+ * after a new run.
+ */
+
+import { applyClientFilters, buildServerFilters } from "./filters.mjs";
+import { resolveRules, countFailuresByRule } from "./rules.mjs";
+
+const passingIds = results => new Set(results.filter(l => l.pass).map(l => l.id));
+
+// loans failing exactly one rule -> [{ ruleId, label, loans }], biggest group first
+export function nearMisses(results, cfg) {
+  const labels = Object.fromEntries(resolveRules(cfg).map(r => [r.id, r.label]));
+  const groups = new Map();
+  results.filter(l => l.reasons.length === 1).forEach(l => {
+    const { ruleId } = l.reasons[0];
+    if (!groups.has(ruleId)) groups.set(ruleId, { ruleId, label: labels[ruleId] ?? ruleId, loans: [] });
+    groups.get(ruleId).loans.push(l);
+  });
+  return [...groups.values()].sort((a, b) => b.loans.length - a.loans.length);
+}
+
+// Per rule that rejects anything: { ruleId, label, rejects, sole, gainIfOff }
+// — loans it fails, loans it alone fails, and how many more would pass with
+// the rule switched off (caps can make that smaller than `sole`). Most
+// rejections first.
+export function ruleImpact(candidates, portfolio, cfg, results = applyClientFilters(candidates, portfolio, cfg)) {
+  const counts = countFailuresByRule(results);
+  const sole = Object.fromEntries(nearMisses(results, cfg).map(g => [g.ruleId, g.loans.length]));
+  const passing = passingIds(results).size;
+  return resolveRules(cfg)
+    .filter(r => counts[r.id])
+    .map(r => {
+      const off = applyClientFilters(candidates, portfolio, { ...cfg, disabledRules: [...cfg.disabledRules, r.id] });
+      return { ruleId: r.id, label: r.label, rejects: counts[r.id], sole: sole[r.id] ?? 0, gainIfOff: passingIds(off).size - passing };
+    })
+    .sort((a, b) => b.rejects - a.rejects);
+}
+
+// overrides: any of { maxTerm, countryCap, partnerCap, dropPhrase }
+// -> { cfg, passing, gained, lost, refetch } where gained/lost are loans
+// whose pass/fail flips against the current results
+export function whatIf(candidates, portfolio, cfg, overrides, results = applyClientFilters(candidates, portfolio, cfg)) {
+  const { dropPhrase, ...fields } = overrides;
+  const tweaked = { ...cfg, ...fields, ...(dropPhrase ? { phrase: "" } : {}) };
+  const next = applyClientFilters(candidates, portfolio, tweaked);
+  const before = passingIds(results);
+  const after = passingIds(next);
+  return {
+    cfg: tweaked,
+    passing: after.size,
+    gained: next.filter(l => l.pass && !before.has(l.id)),
+    lost: results.filter(l => l.pass && !after.has(l.id)),
+    refetch: JSON.stringify(buildServerFilters(tweaked)) !== JSON.stringify(buildServerFilters(cfg)),
+  };
+}
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CFG, mapLoan, applyClientFilters } from "./filters.mjs";
+import { nearMisses, ruleImpact, whatIf } from "./whatif.mjs";
+import { toMarkdownReport } from "./export.mjs";
+import { rawLoan, spreadLoans } from "./testkit.mjs";
+
+const cfg = { ...DEFAULT_CFG, ageFilter: false, phrase: "" };
+const portfolio = spreadLoans(30).map(mapLoan);
+const candidates = [[1, 8], [2, 14], [3, 8], [4, 14]]
+  .map(([id, term]) => mapLoan(rawLoan(id, { country: `X${id}`, partnerId: id, term, description: id === 1 ? "She is 18 years old." : "" })));
+const results = applyClientFilters(candidates, portfolio, cfg);
+
+test("near misses group loans failing a single rule", () => {
+  assert.deepEqual(nearMisses(results, cfg).map(g => [g.ruleId, g.label, g.loans.map(l => l.id)]), [["term", "Max term", [2, 4]]]);
+});
+
+test("rule impact counts what switching a rule off would gain", () => {
+  assert.deepEqual(ruleImpact(candidates, portfolio, cfg, results), [{ ruleId: "term", label: "Max term", rejects: 2, sole: 2, gainIfOff: 2 }]);
+});
+
+test("what-if re-runs the fetched scan with tweaked settings", () => {
+  const longer = whatIf(candidates, portfolio, cfg, { maxTerm: 14 }, results);
+  assert.equal(longer.passing, 4);
+  assert.deepEqual(longer.gained.map(l => l.id), [2, 4]);
+  // maxTerm is also sent to the server, so a new run may find more
+  assert.equal(longer.refetch, true);
+  const tighter = whatIf(candidates, portfolio, cfg, { countryCap: 3 }, results);
+  assert.deepEqual([tighter.passing, tighter.lost.length, tighter.refetch], [0, 2, false]);
+});
+
+test("dropPhrase clears the phrase query", () => {
+  const phrased = { ...cfg, phrase: "18 years old" };
+  const before = applyClientFilters(candidates, portfolio, phrased);
+  assert.deepEqual(before.filter(l => l.pass).map(l => l.id), [1]);
+  const dropped = whatIf(candidates, portfolio, phrased, { dropPhrase: true }, before);
+  assert.deepEqual([dropped.cfg.phrase, dropped.gained.map(l => l.id), dropped.refetch], ["", [3], false]);
+});
+
+test("the report lists rejections by rule and the near misses", () => {
+  const md = toMarkdownReport({ cfg, results, portfolio });
+  assert.match(md, /## Rejections by Rule[\s\S]*\| Max term \| 2 \| 2 \|/);
+  assert.match(md, /## Near Misses[\s\S]*\| Max term \| 2 \| Borrower 2 \| X2 \| lenderRepaymentTerm 14mo > max 12mo \|/);
+});